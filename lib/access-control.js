@@ -0,0 +1,179 @@
+/**
+ * Serve-time side of landing access protection (see lib/access.js): checking a
+ * request against a protected landing, logging visitors in and preparing the
+ * stored settings.
+ */
+
+const crypto = require('crypto');
+const { readDB } = require('./store');
+const { hashPassword, comparePassword } = require('./auth');
+const { parseCookies } = require('./experiments');
+const { loginAttemptKey, isLoginRateLimited, recordLoginFailure } = require('./login-attempts');
+const {
+  TOKEN_MAX_AGE_MS,
+  needsPassword,
+  resolveAccess,
+  isProtected,
+  signAccessToken,
+  verifyAccessToken,
+  getCookieName,
+  parseBasicAuth
+} = require('./access');
+
+// Token subject of the instance admin (not a valid email, so no user can claim it)
+const ADMIN_SUBJECT = '@admin';
+const MEMBERSHIP_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+let generatedSecret = null;
+
+// Access cookies and preview links (lib/preview-links.js) survive restarts only
+// with a configured secret.
+function getAccessSecret() {
+  if (process.env.ACCESS_COOKIE_SECRET) return process.env.ACCESS_COOKIE_SECRET;
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!generatedSecret) generatedSecret = crypto.randomBytes(32).toString('hex');
+  return generatedSecret;
+}
+
+// bcrypt is slow by design and basic auth sends the password with every asset,
+// so verified credentials are remembered (keyed by a digest, never in clear).
+// Failures count against `attemptKey` (lib/login-attempts.js) when given; over
+// the limit, unknown credentials are refused without running bcrypt.
+const verifiedPasswords = new Set();
+
+async function checkPassword(password, hash, attemptKey = null) {
+  if (typeof password !== 'string' || !password || !hash) return false;
+  const key = crypto.createHash('sha256').update(`${hash}\0${password}`).digest('hex');
+  if (verifiedPasswords.has(key)) return true;
+  if (attemptKey && isLoginRateLimited(attemptKey)) return false;
+  if (!(await comparePassword(password, hash))) {
+    if (attemptKey) recordLoginFailure(attemptKey);
+    return false;
+  }
+  if (verifiedPasswords.size >= MAX_CACHE_ENTRIES) verifiedPasswords.clear();
+  verifiedPasswords.add(key);
+  return true;
+}
+
+// Membership lookups read the whole database, so answers are kept for a minute.
+const memberships = new Map();
+
+async function isOrganizationMember(email, organizationId) {
+  if (!email || !organizationId) return false;
+  const key = `${organizationId}|${email}`;
+  const cached = memberships.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.member;
+
+  const db = await readDB();
+  const org = (db.organizations || []).find(o => o.id === organizationId);
+  const member = Boolean(org && (org.users || []).some(u => u.email === email));
+  if (memberships.size >= MAX_CACHE_ENTRIES) memberships.clear();
+  memberships.set(key, { member, expiresAt: Date.now() + MEMBERSHIP_TTL_MS });
+  return member;
+}
+
+/**
+ * Whether the request carries an admin session, or the session of a member of the
+ * landing's organization. Sessions only reach hosts sharing the admin cookie.
+ * @param {import('express').Request} req
+ * @param {Object} landing
+ * @returns {Promise<boolean>}
+ */
+async function hasSessionAccess(req, landing) {
+  const sessionUser = req.session && req.session.user;
+  return Boolean(sessionUser && (req.session.isAdmin || await isOrganizationMember(sessionUser.email, landing.organizationId)));
+}
+
+/**
+ * Whether a request may view a landing.
+ * @param {import('express').Request} req
+ * @param {Object} landing
+ * @returns {Promise<boolean>}
+ */
+async function hasAccess(req, landing) {
+  if (!isProtected(landing)) return true;
+  const { mode, username } = resolveAccess(landing);
+
+  if (mode === 'basic') {
+    const credentials = parseBasicAuth(req.get('authorization'));
+    return Boolean(credentials
+      && (!username || credentials.username === username)
+      && await checkPassword(credentials.password, landing.access.passwordHash, loginAttemptKey(req.ip, landing)));
+  }
+
+  const token = parseCookies(req.get('cookie'))[getCookieName(landing)];
+  const subject = token ? verifyAccessToken(landing, token, { secret: getAccessSecret() }) : null;
+  if (mode === 'password') return subject === 'password';
+
+  // organization: an admin session on this host, or a login on the landing
+  if (await hasSessionAccess(req, landing)) return true;
+  if (!subject) return false;
+  return subject === ADMIN_SUBJECT || isOrganizationMember(subject, landing.organizationId);
+}
+
+/**
+ * Check the credentials posted to a landing's login page (rate limited by
+ * routes/access.js).
+ * @param {Object} landing
+ * @param {{ email?: string, password?: string }} credentials
+ * @returns {Promise<string|null>} the token subject, or null when refused
+ */
+async function authenticateVisitor(landing, { email, password }) {
+  const { mode } = resolveAccess(landing);
+  if (mode === 'password') return (await checkPassword(password, landing.access.passwordHash)) ? 'password' : null;
+  if (mode !== 'organization' || typeof email !== 'string' || !email || typeof password !== 'string' || !password) return null;
+
+  if (process.env.ADMIN_USERNAME && email === process.env.ADMIN_USERNAME && password === process.env.ADMIN_PASSWORD) {
+    return ADMIN_SUBJECT;
+  }
+  const db = await readDB();
+  const user = (db.users || []).find(u => u.email === email);
+  if (!user || !user.password || !(await comparePassword(password, user.password))) return null;
+  return (await isOrganizationMember(email, landing.organizationId)) ? email : null;
+}
+
+function setAccessCookie(req, res, landing, subject) {
+  res.cookie(getCookieName(landing), signAccessToken(landing, subject, { secret: getAccessSecret() }), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: TOKEN_MAX_AGE_MS,
+    path: '/'
+  });
+}
+
+function clearAccessCookie(res, landing) {
+  res.clearCookie(getCookieName(landing), { path: '/' });
+}
+
+/**
+ * Stored access settings from normalized admin input (see normalizeAccess):
+ * hashes a new password or keeps the current hash. Throws an Error with
+ * status 400 when a password mode ends up without a password.
+ * @param {Object} value - output of normalizeAccess
+ * @param {Object} [current] - the landing's current `access`
+ * @returns {Object}
+ */
+function prepareAccess(value, current) {
+  const updatedAt = new Date().toISOString();
+  if (value.mode === 'public') return { mode: 'public', updatedAt };
+
+  const passwordHash = value.password ? hashPassword(value.password) : (current && current.passwordHash) || null;
+  if (needsPassword(value.mode) && !passwordHash) {
+    const error = new Error('A password is required');
+    error.status = 400;
+    throw error;
+  }
+  return { mode: value.mode, username: value.username, passwordHash, updatedAt };
+}
+
+module.exports = {
+  getAccessSecret,
+  hasSessionAccess,
+  hasAccess,
+  authenticateVisitor,
+  setAccessCookie,
+  clearAccessCookie,
+  prepareAccess
+};
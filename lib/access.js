@@ -0,0 +1,209 @@
+/**
+ * Per-landing access protection.
+ *
+ * `landing.access` is `{ mode, username, passwordHash, updatedAt }`:
+ *   - public (default): anyone can view the landing
+ *   - password: a shared password entered on a login page; success sets a
+ *     signed cookie scoped to the landing
+ *   - basic: HTTP basic auth (the username is optional)
+ *   - organization: SuperLandings users of the landing's organization (and
+ *     admins), through their admin session or the landing's login page
+ *
+ * Access cookies carry `<expires>.<subject>.<signature>`. The signing key is
+ * derived from the landing id, mode and password hash, so changing the
+ * password or the mode signs every visitor out. Password hashes are never sent
+ * to the admin, which only sees `hasPassword`.
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_MODES = ['public', 'password', 'basic', 'organization'];
+const LOGIN_PATH = '/_access/login';
+const LOGOUT_PATH = '/_access/logout';
+const TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 4;
+
+function needsPassword(mode) {
+  return mode === 'password' || mode === 'basic';
+}
+
+/**
+ * Validate access settings coming from the admin API. The password, when
+ * given, is still in clear text; the caller hashes it before storing.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { mode, username?, password? }
+ * @returns {{ mode: string, username: string, password: string|null }}
+ */
+function normalizeAccess(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Access settings must be an object');
+  const mode = input.mode || 'public';
+  if (!ACCESS_MODES.includes(mode)) throw new Error(`Access mode must be one of: ${ACCESS_MODES.join(', ')}`);
+
+  const username = mode === 'basic' && typeof input.username === 'string' ? input.username.trim() : '';
+  if (username.includes(':')) throw new Error('Username cannot contain ":"');
+
+  let password = null;
+  if (needsPassword(mode) && input.password !== undefined && input.password !== null && input.password !== '') {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    password = input.password;
+  }
+
+  return { mode, username, password };
+}
+
+/**
+ * Access settings as shown in the admin (without the password hash).
+ * @param {Object} landing
+ * @returns {{ mode: string, username: string, hasPassword: boolean }}
+ */
+function resolveAccess(landing) {
+  const access = (landing && landing.access) || {};
+  return {
+    mode: ACCESS_MODES.includes(access.mode) ? access.mode : 'public',
+    username: access.username || '',
+    hasPassword: Boolean(access.passwordHash)
+  };
+}
+
+/**
+ * A landing record as sent to the admin: `access` resolved, hash dropped.
+ * @param {Object} landing
+ * @returns {Object}
+ */
+function toAdminLanding(landing) {
+  if (!landing || !landing.access) return landing;
+  const { access, ...rest } = landing;
+  return { ...rest, access: resolveAccess({ access }) };
+}
+
+function isProtected(landing) {
+  return resolveAccess(landing).mode !== 'public';
+}
+
+// Per-landing signing key: rotating the password or mode invalidates cookies.
+function signingKey(landing, secret) {
+  const { mode, passwordHash } = landing.access || {};
+  return crypto.createHmac('sha256', secret).update(`${landing.id}|${mode}|${passwordHash || ''}`).digest();
+}
+
+function signature(landing, secret, payload) {
+  return crypto.createHmac('sha256', signingKey(landing, secret)).update(payload).digest('base64url');
+}
+
+/**
+ * Signed access token for a visitor let into a landing.
+ * @param {Object} landing
+ * @param {string} subject - 'password', or the user's email in organization mode
+ * @param {Object} opts
+ * @param {string} opts.secret
+ * @param {number} [opts.now]
+ * @param {number} [opts.maxAgeMs]
+ * @returns {string}
+ */
+function signAccessToken(landing, subject, { secret, now = Date.now(), maxAgeMs = TOKEN_MAX_AGE_MS }) {
+  const payload = `${now + maxAgeMs}.${Buffer.from(String(subject)).toString('base64url')}`;
+  return `${payload}.${signature(landing, secret, payload)}`;
+}
+
+/**
+ * Subject of a valid, unexpired access token, or null.
+ * @param {Object} landing
+ * @param {string} token
+ * @param {{ secret: string, now?: number }} opts
+ * @returns {string|null}
+ */
+function verifyAccessToken(landing, token, { secret, now = Date.now() }) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  const [expires, subject, sig] = parts;
+  const expected = signature(landing, secret, `${expires}.${subject}`);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  if (!(Number(expires) > now)) return null;
+  return Buffer.from(subject, 'base64url').toString();
+}
+
+function getCookieName(landing) {
+  return `sl_access_${landing.id}`;
+}
+
+/**
+ * Credentials of an `Authorization: Basic` header, or null.
+ * @param {string} header
+ * @returns {{ username: string, password: string }|null}
+ */
+function parseBasicAuth(header) {
+  const m = typeof header === 'string' && header.match(/^Basic\s+([A-Za-z0-9+/=]+)\s*$/i);
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString();
+  const idx = decoded.indexOf(':');
+  if (idx === -1) return null;
+  return { username: decoded.slice(0, idx), password: decoded.slice(idx + 1) };
+}
+
+/**
+ * Where to send a visitor after logging in: a same-site path, or the fallback.
+ * @param {string} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+function safeReturnPath(value, fallback) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) return fallback;
+  return value;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Login page of a protected landing.
+ * @param {Object} opts
+ * @param {string} opts.title - landing name
+ * @param {string} opts.mode - 'password' or 'organization'
+ * @param {string} opts.action - login form URL
+ * @param {string} opts.returnTo - path to come back to
+ * @param {string} [opts.error]
+ * @returns {string}
+ */
+function renderLoginPage({ title, mode, action, returnTo, error }) {
+  const input = 'display:block;width:100%;box-sizing:border-box;padding:.6rem .75rem;margin:.25rem 0 1rem;border:1px solid #d1d5db;border-radius:.5rem;font-size:1rem';
+  const fields = mode === 'organization'
+    ? `<label>Email<input type="email" name="email" autocomplete="username" required autofocus style="${input}"></label>`
+      + `<label>Password<input type="password" name="password" autocomplete="current-password" required style="${input}"></label>`
+    : `<label>Password<input type="password" name="password" autocomplete="current-password" required autofocus style="${input}"></label>`;
+  const intro = mode === 'organization'
+    ? 'This page is private. Sign in with your SuperLandings account to continue.'
+    : 'This page is password protected.';
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head>`
+    + '<body style="margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#f3f4f6;font-family:system-ui,sans-serif;color:#111827">'
+    + '<form method="post" style="background:#fff;width:100%;max-width:22rem;margin:1rem;padding:2rem;border-radius:.75rem;box-shadow:0 10px 25px rgba(0,0,0,.08)"'
+    + ` action="${escapeHtml(action)}">`
+    + `<h1 style="font-size:1.25rem;margin:0 0 .5rem">${escapeHtml(title)}</h1>`
+    + `<p style="color:#6b7280;font-size:.9rem;margin:0 0 1.25rem">${intro}</p>`
+    + (error ? `<p style="background:#fef2f2;color:#b91c1c;padding:.5rem .75rem;border-radius:.5rem;font-size:.9rem">${escapeHtml(error)}</p>` : '')
+    + fields
+    + `<input type="hidden" name="return" value="${escapeHtml(returnTo)}">`
+    + '<button type="submit" style="width:100%;padding:.65rem;border:0;border-radius:.5rem;background:#2563eb;color:#fff;font-size:1rem;cursor:pointer">Continue</button>'
+    + '</form></body></html>';
+}
+
+module.exports = {
+  ACCESS_MODES,
+  LOGIN_PATH,
+  LOGOUT_PATH,
+  TOKEN_MAX_AGE_MS,
+  needsPassword,
+  normalizeAccess,
+  resolveAccess,
+  toAdminLanding,
+  isProtected,
+  signAccessToken,
+  verifyAccessToken,
+  getCookieName,
+  parseBasicAuth,
+  safeReturnPath,
+  renderLoginPage
+};
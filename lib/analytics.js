@@ -0,0 +1,205 @@
+/**
+ * Built-in, cookieless pageview analytics.
+ *
+ * The serving layer records one pageview per successful HTML page response.
+ * Pageviews are counted in memory and flushed periodically as daily aggregates
+ * per landing: `{ landingId, day, total, domains: {}, paths: {}, referrers: {} }`.
+ *
+ * Nothing identifying a visitor is kept: no cookies, no IP address, no user
+ * agent. Referrers are reduced to their hostname, and paths lose their query
+ * string (which may carry emails or tokens).
+ */
+
+const BOT_RE = /bot|crawl|spider|slurp|preview|fetch|monitor|headless|lighthouse|curl|wget|python-requests|axios|go-http-client/i;
+const MAX_PATH_LENGTH = 200;
+const MAX_KEYS_PER_DIMENSION = 500;
+const OTHER_KEY = '(other)';
+const DIRECT_KEY = '(direct)';
+const DEFAULT_FLUSH_INTERVAL_MS = 10 * 1000;
+
+function isAnalyticsEnabled() {
+  return (process.env.ANALYTICS_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Whether a request should count as a pageview: GET only, no known bots,
+ * no speculative prefetches.
+ * @param {Object} opts
+ * @param {string} opts.method
+ * @param {string} [opts.userAgent]
+ * @param {string} [opts.purpose] - Sec-Purpose / Purpose header
+ * @returns {boolean}
+ */
+function isTrackable({ method, userAgent, purpose }) {
+  if (method !== 'GET') return false;
+  if (!userAgent || BOT_RE.test(userAgent)) return false;
+  if (purpose && /prefetch|prerender/i.test(purpose)) return false;
+  return true;
+}
+
+// UTC calendar day, e.g. "2024-05-01"
+function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Path below the landing root, without query string or slug prefix.
+ * @param {string} url - request URL
+ * @param {string} [slug] - stripped when the URL starts with /<slug>
+ * @returns {string}
+ */
+function normalizePath(url, slug) {
+  let p = String(url || '/').split(/[?#]/)[0].replace(/\/{2,}/g, '/');
+  if (slug && (p === '/' + slug || p.startsWith('/' + slug + '/'))) p = p.slice(slug.length + 1);
+  if (!p.startsWith('/')) p = '/' + p;
+  if (p.length > 1) p = p.replace(/\/+$/, '');
+  return p.slice(0, MAX_PATH_LENGTH);
+}
+
+/**
+ * Referrer hostname, "(direct)" without one, or null for internal navigation.
+ * @param {string} referer
+ * @param {string} host - request Host header
+ * @returns {string|null}
+ */
+function referrerKey(referer, host) {
+  if (!referer) return DIRECT_KEY;
+  let hostname;
+  try {
+    hostname = new URL(referer).hostname.toLowerCase();
+  } catch (e) {
+    return DIRECT_KEY;
+  }
+  if (!hostname) return DIRECT_KEY;
+  const requestHost = String(host || '').toLowerCase().replace(/:\d+$/, '');
+  return hostname === requestHost ? null : hostname;
+}
+
+function emptyCounts() {
+  return { total: 0, domains: {}, paths: {}, referrers: {} };
+}
+
+function bump(map, key, by) {
+  if (map[key] === undefined && Object.keys(map).length >= MAX_KEYS_PER_DIMENSION) key = OTHER_KEY;
+  map[key] = (map[key] || 0) + by;
+}
+
+/**
+ * Add `delta` counts into `target` (mutates and returns target). Each dimension
+ * keeps at most MAX_KEYS_PER_DIMENSION keys; the rest is folded into "(other)".
+ */
+function mergeCounts(target, delta) {
+  target.total = (target.total || 0) + (delta.total || 0);
+  for (const dim of ['domains', 'paths', 'referrers']) {
+    target[dim] = target[dim] || {};
+    for (const [key, count] of Object.entries(delta[dim] || {})) bump(target[dim], key, count);
+  }
+  return target;
+}
+
+/**
+ * Buffer pageviews in memory and hand daily deltas to `write` periodically.
+ * @param {Object} opts
+ * @param {(deltas: Array<Object>) => Promise<void>} opts.write
+ * @param {number} [opts.flushIntervalMs]
+ * @returns {{ record: Function, flush: Function, size: Function }}
+ */
+function createPageviewRecorder({ write, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS }) {
+  let buffer = new Map();
+  let timer = null;
+
+  async function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!buffer.size) return;
+    const deltas = [...buffer.values()];
+    buffer = new Map();
+    try {
+      await write(deltas);
+    } catch (err) {
+      console.error('[analytics] Failed to flush pageviews:', err.message);
+    }
+  }
+
+  function record({ landingId, host, path, referrer, date = new Date() }) {
+    const day = toDay(date);
+    const key = `${landingId}|${day}`;
+    let entry = buffer.get(key);
+    if (!entry) {
+      entry = { landingId, day, ...emptyCounts() };
+      buffer.set(key, entry);
+    }
+    entry.total++;
+    bump(entry.domains, String(host || '').toLowerCase().replace(/:\d+$/, '') || '(unknown)', 1);
+    bump(entry.paths, path || '/', 1);
+    if (referrer) bump(entry.referrers, referrer, 1);
+
+    if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      if (timer.unref) timer.unref();
+    }
+  }
+
+  return { record, flush, size: () => buffer.size };
+}
+
+function lastDays(days, today) {
+  const end = Date.parse(toDay(today) + 'T00:00:00Z');
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) out.push(toDay(end - i * 86400000));
+  return out;
+}
+
+function topEntries(map, limit) {
+  return Object.entries(map)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+/**
+ * Daily totals for the last `days` days (oldest first), zero-filled.
+ * @param {Array<Object>} docs - daily aggregates of one landing
+ * @param {Object} opts
+ * @param {number} opts.days
+ * @param {Date} [opts.today]
+ * @returns {number[]}
+ */
+function buildSparkline(docs, { days, today = new Date() }) {
+  const byDay = new Map((docs || []).map(d => [d.day, d.total || 0]));
+  return lastDays(days, today).map(day => byDay.get(day) || 0);
+}
+
+/**
+ * Detail report for one landing over the last `days` days.
+ * @param {Array<Object>} docs - daily aggregates of one landing
+ * @param {Object} opts
+ * @param {number} opts.days
+ * @param {Date} [opts.today]
+ * @param {number} [opts.limit] - entries per top list
+ * @returns {{ series: Array<{ day: string, total: number }>, total: number, domains: Array, paths: Array, referrers: Array }}
+ */
+function buildReport(docs, { days, today = new Date(), limit = 10 }) {
+  const range = lastDays(days, today);
+  const inRange = (docs || []).filter(d => d.day >= range[0] && d.day <= range[range.length - 1]);
+  const totals = inRange.reduce((acc, doc) => mergeCounts(acc, doc), emptyCounts());
+  const byDay = new Map(inRange.map(d => [d.day, d.total || 0]));
+  return {
+    series: range.map(day => ({ day, total: byDay.get(day) || 0 })),
+    total: totals.total,
+    domains: topEntries(totals.domains, limit),
+    paths: topEntries(totals.paths, limit),
+    referrers: topEntries(totals.referrers, limit)
+  };
+}
+
+module.exports = {
+  isAnalyticsEnabled,
+  isTrackable,
+  toDay,
+  normalizePath,
+  referrerKey,
+  mergeCounts,
+  createPageviewRecorder,
+  buildSparkline,
+  buildReport
+};
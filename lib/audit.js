@@ -150,9 +150,20 @@ const AUDIT_ACTIONS = {
   DOMAIN_PUBLISH: 'domain_publish',
   DOMAIN_UNPUBLISH: 'domain_unpublish',
   MOVE: 'move',
+  SETTINGS_UPDATE: 'settings_update',
   CLOUDFLARE_CONNECT: 'cloudflare_connect',
   CLOUDFLARE_DISCONNECT: 'cloudflare_disconnect',
-  CLOUDFLARE_DNS_CONFIGURE: 'cloudflare_dns_configure'
+  CLOUDFLARE_DNS_CONFIGURE: 'cloudflare_dns_configure',
+  EXPERIMENT_START: 'experiment_start',
+  EXPERIMENT_STOP: 'experiment_stop',
+  EXPERIMENT_PROMOTE: 'experiment_promote',
+  SCHEDULE_CREATE: 'schedule_create',
+  SCHEDULE_CANCEL: 'schedule_cancel',
+  SCHEDULE_FAIL: 'schedule_fail',
+  PREVIEW_LINK_CREATE: 'preview_link_create',
+  PREVIEW_LINK_REVOKE: 'preview_link_revoke',
+  MAINTENANCE_ON: 'maintenance_on',
+  MAINTENANCE_OFF: 'maintenance_off'
 };
 
 module.exports = {
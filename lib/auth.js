@@ -20,6 +20,11 @@ function verifyPassword(password, hash) {
   return bcrypt.compareSync(password, hash);
 }
 
+// Verify password without blocking the event loop (resolves to a boolean)
+function comparePassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
 // Check if user is admin (basic auth)
 function isAdmin(req) {
   return req.adminAuth === true;
@@ -127,6 +132,19 @@ async function setCurrentOrganization(req, res, next) {
   next();
 }
 
+// Landings visible to the request: the current organization's, or (for non-admins
+// without one selected) those of every organization the user belongs to.
+function filterVisibleLandings(req, landings) {
+  if (req.currentOrganization) {
+    return landings.filter(l => l.organizationId === req.currentOrganization.id);
+  }
+  if (!req.adminAuth && req.userOrganizations) {
+    const orgIds = req.userOrganizations.map(o => o.id);
+    return landings.filter(l => orgIds.includes(l.organizationId));
+  }
+  return landings;
+}
+
 // Middleware to require specific right
 function requireRight(right) {
   return (req, res, next) => {
@@ -148,6 +166,7 @@ module.exports = {
   AVAILABLE_RIGHTS,
   hashPassword,
   verifyPassword,
+  comparePassword,
   isAdmin,
   getCurrentUser,
   getCurrentOrganization,
@@ -155,5 +174,6 @@ module.exports = {
   sessionAuth,
   handleLogin,
   setCurrentOrganization,
+  filterVisibleLandings,
   requireRight
 };
@@ -0,0 +1,140 @@
+/**
+ * HTTP caching rules for served landings.
+ *
+ * Each landing may carry a `cachePolicy` object; missing fields fall back to
+ * DEFAULT_CACHE_POLICY. HTML documents and plain assets revalidate against an
+ * ETag, while fingerprinted assets (e.g. `main.3f2a1b9c.js`, `index-B4x9Kq2a.css`)
+ * are cached as immutable.
+ */
+
+const { assertSafePattern, testSafePattern } = require('./safe-regex');
+
+const DEFAULT_CACHE_POLICY = {
+  noStore: false,              // true restores the legacy "never cache" headers
+  htmlMaxAge: 0,               // seconds; 0 means "revalidate every time"
+  assetMaxAge: 0,
+  hashedAssetMaxAge: 31536000, // one year
+  hashedAssetPattern: null     // optional custom regex source matched against the path (see lib/safe-regex.js)
+};
+
+const MAX_AGE_LIMIT = 31536000;
+
+// The dot/dash separated name segment right before the extension
+const NAME_SEGMENT_RE = /[.-]([A-Za-z0-9_]{8,})\.[A-Za-z0-9]+$/;
+
+const NO_STORE_HEADERS = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+  Pragma: 'no-cache',
+  Expires: '0'
+};
+
+function parseMaxAge(value, field) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(n) || n < 0 || n > MAX_AGE_LIMIT) {
+    throw new Error(`${field} must be an integer between 0 and ${MAX_AGE_LIMIT}`);
+  }
+  return n;
+}
+
+/**
+ * Validate a cache policy coming from the admin API.
+ * Throws an Error describing the first invalid field.
+ * @param {Object} input
+ * @returns {Object} normalized policy
+ */
+function normalizeCachePolicy(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Cache policy must be an object');
+  }
+
+  const policy = { ...DEFAULT_CACHE_POLICY };
+  if (input.noStore !== undefined) policy.noStore = input.noStore === true || input.noStore === 'true';
+  for (const field of ['htmlMaxAge', 'assetMaxAge', 'hashedAssetMaxAge']) {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      policy[field] = parseMaxAge(input[field], field);
+    }
+  }
+
+  if (input.hashedAssetPattern) {
+    assertSafePattern(String(input.hashedAssetPattern), 'hashedAssetPattern');
+    policy.hashedAssetPattern = String(input.hashedAssetPattern);
+  }
+
+  return policy;
+}
+
+/**
+ * Effective policy for a landing (stored fields merged over the defaults).
+ * @param {Object} landing
+ * @returns {Object}
+ */
+function resolveCachePolicy(landing) {
+  return { ...DEFAULT_CACHE_POLICY, ...((landing && landing.cachePolicy) || {}) };
+}
+
+// Whether a name segment looks like a build tool's content hash: lowercase hex
+// (webpack, this app's optimizer) with letters and digits, or base64-like (Vite,
+// Rollup) mixing upper case, lower case and digits without a run of four letters
+// or four digits. Dates (`hero-20240101`) and words (`logo-v2_final`,
+// `IMG-Photo2024`) are not hashes.
+function isContentHash(segment) {
+  if (/^[a-f0-9]+$/.test(segment)) return /\d/.test(segment) && /[a-f]/.test(segment);
+  return /[A-Z]/.test(segment) && /[a-z]/.test(segment) && /\d/.test(segment) && !/[A-Za-z]{4}|\d{4}/.test(segment);
+}
+
+function isHashedAsset(filePath, policy = DEFAULT_CACHE_POLICY) {
+  if (typeof filePath !== 'string') return false;
+  if (policy.hashedAssetPattern) return testSafePattern(policy.hashedAssetPattern, filePath);
+  const match = NAME_SEGMENT_RE.exec(filePath);
+  return Boolean(match) && isContentHash(match[1]);
+}
+
+/**
+ * Classify a served file: 'html', 'immutable' (fingerprinted asset) or 'asset'.
+ */
+function classifyFile(filePath, policy) {
+  if (/\.html?$/i.test(filePath)) return 'html';
+  return isHashedAsset(filePath, policy) ? 'immutable' : 'asset';
+}
+
+/**
+ * Response headers for a given kind of content under a policy.
+ * @param {Object} policy
+ * @param {'html'|'asset'|'immutable'} kind
+ * @returns {Object<string, string>}
+ */
+function getCacheHeaders(policy, kind) {
+  if (policy.noStore) return { ...NO_STORE_HEADERS };
+
+  let maxAge = policy.assetMaxAge;
+  if (kind === 'html') maxAge = policy.htmlMaxAge;
+  if (kind === 'immutable') maxAge = policy.hashedAssetMaxAge;
+
+  if (!maxAge) return { 'Cache-Control': 'public, max-age=0, must-revalidate' };
+  if (kind === 'immutable') return { 'Cache-Control': `public, max-age=${maxAge}, immutable` };
+  return { 'Cache-Control': `public, max-age=${maxAge}` };
+}
+
+/**
+ * Weak ETag for a file served from a landing. The landing's current version id is
+ * part of the tag, so switching versions invalidates every cached response even
+ * when an extracted file keeps its size and mtime.
+ * @param {Object} landing
+ * @param {import('fs').Stats} stat
+ * @returns {string}
+ */
+function buildFileEtag(landing, stat) {
+  const version = (landing && landing.currentVersionId) || '0';
+  return `W/"${version}-${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+module.exports = {
+  DEFAULT_CACHE_POLICY,
+  NO_STORE_HEADERS,
+  normalizeCachePolicy,
+  resolveCachePolicy,
+  isHashedAsset,
+  classifyFile,
+  getCacheHeaders,
+  buildFileEtag
+};
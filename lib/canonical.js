@@ -0,0 +1,125 @@
+/**
+ * Canonical URL redirects for landings served on several domains.
+ *
+ * Per landing, `landing.canonical` holds:
+ *   - redirectToPrimary: 301 every other exact domain to the primary domain
+ *     (the SEO primary domain, see getPrimaryDomain in lib/seo.js)
+ *   - forceHttps: 301 plain HTTP requests on the landing's domains to HTTPS
+ *   - trailingSlash: 'ignore' (default), 'add' or 'remove' a trailing slash on
+ *     page paths; the landing root and paths with a file extension are left alone
+ * Path and query string are preserved, and all rules apply in a single redirect.
+ * The same rules are emitted as Traefik middlewares (see lib/traefik.js), so
+ * they also hold before requests reach the app.
+ */
+
+const { getPrimaryDomain } = require('./seo');
+
+const TRAILING_SLASH_MODES = ['ignore', 'add', 'remove'];
+
+/**
+ * Validate canonical redirect settings coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { redirectToPrimary?, forceHttps?, trailingSlash? }
+ * @returns {{ redirectToPrimary: boolean, forceHttps: boolean, trailingSlash: string }}
+ */
+function normalizeCanonicalSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Canonical settings must be an object');
+  for (const key of ['redirectToPrimary', 'forceHttps']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') throw new Error(`${key} must be a boolean`);
+  }
+  const trailingSlash = input.trailingSlash === undefined || input.trailingSlash === '' ? 'ignore' : input.trailingSlash;
+  if (!TRAILING_SLASH_MODES.includes(trailingSlash)) {
+    throw new Error(`trailingSlash must be one of: ${TRAILING_SLASH_MODES.join(', ')}`);
+  }
+  return { redirectToPrimary: input.redirectToPrimary === true, forceHttps: input.forceHttps === true, trailingSlash };
+}
+
+/**
+ * Effective canonical settings of a landing (no redirects by default).
+ * @param {Object} landing
+ */
+function resolveCanonicalSettings(landing) {
+  const canonical = (landing && landing.canonical) || {};
+  return {
+    redirectToPrimary: canonical.redirectToPrimary === true,
+    forceHttps: canonical.forceHttps === true,
+    trailingSlash: TRAILING_SLASH_MODES.includes(canonical.trailingSlash) ? canonical.trailingSlash : 'ignore'
+  };
+}
+
+/**
+ * Path with the landing's trailing slash policy applied.
+ * @param {string} urlPath - path below the landing root
+ * @param {string} mode - 'ignore', 'add' or 'remove'
+ * @returns {string}
+ */
+function applyTrailingSlash(urlPath, mode) {
+  if (urlPath === '/' || mode === 'ignore') return urlPath;
+  const last = urlPath.replace(/\/$/, '').split('/').pop();
+  if (/\.[a-z0-9]+$/i.test(last)) return urlPath;
+  if (mode === 'add') return urlPath.endsWith('/') ? urlPath : urlPath + '/';
+  return urlPath.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Where a request should be redirected to reach its canonical URL, or null.
+ * @param {Object} landing
+ * @param {Object} request
+ * @param {string} request.host - Host header
+ * @param {'domain'|'wildcard'|'subdomain'|null} request.via - how the host resolved
+ *   to the landing (null for slug URLs on the instance host)
+ * @param {string} request.protocol - 'http' or 'https' as seen by the visitor
+ * @param {string} request.basePath - '' on the landing's hosts, '/<slug>' elsewhere
+ * @param {string} request.path - path below the landing root
+ * @param {string} [request.search] - query string including '?'
+ * @returns {string|null} absolute URL or path
+ */
+function getCanonicalRedirect(landing, { host, via, protocol, basePath, path: urlPath, search = '' }) {
+  const settings = resolveCanonicalSettings(landing);
+  const hostname = String(host || '').toLowerCase().replace(/:\d+$/, '');
+
+  let targetHost = hostname;
+  let targetProtocol = protocol;
+  if (via) {
+    const primary = getPrimaryDomain(landing);
+    if (settings.redirectToPrimary && via === 'domain' && primary && hostname !== primary) targetHost = primary;
+    if (settings.forceHttps) targetProtocol = 'https';
+  }
+  const targetPath = applyTrailingSlash(urlPath, settings.trailingSlash);
+
+  if (targetHost === hostname && targetProtocol === protocol && targetPath === urlPath) return null;
+  if (targetHost === hostname && targetProtocol === protocol) return basePath + targetPath + search;
+  // A new host or scheme needs an absolute URL (on the default port)
+  return `${targetProtocol}://${targetHost}${basePath}${targetPath}${search}`;
+}
+
+/**
+ * Traefik redirectRegex matching a landing's trailing slash policy, or null.
+ * The regex sees the full request URL (`https://host/path?query`).
+ * @param {string} mode - 'ignore', 'add' or 'remove'
+ * @returns {{ regex: string, replacement: string }|null}
+ */
+function trailingSlashRedirectRegex(mode) {
+  if (mode === 'add') return { regex: '^(https?://[^/]+(?:/[^/?]+)*/[^/?.]+)(\\?.*)?$', replacement: '${1}/${2}' };
+  if (mode === 'remove') return { regex: '^(https?://[^/]+/[^?]*[^/?])/+(\\?.*)?$', replacement: '${1}${2}' };
+  return null;
+}
+
+/**
+ * Traefik redirectRegex sending any URL to the same path and query on a host.
+ * @param {string} primary - target domain
+ * @returns {{ regex: string, replacement: string }}
+ */
+function hostRedirectRegex(primary) {
+  return { regex: '^https?://[^/]+(.*)$', replacement: `https://${primary}\${1}` };
+}
+
+module.exports = {
+  TRAILING_SLASH_MODES,
+  normalizeCanonicalSettings,
+  resolveCanonicalSettings,
+  applyTrailingSlash,
+  getCanonicalRedirect,
+  trailingSlashRedirectRegex,
+  hostRedirectRegex
+};
@@ -0,0 +1,476 @@
+/**
+ * Server-side data providers for EJS landings.
+ *
+ * An EJS landing may ship a `landing.json` manifest at its root declaring the
+ * data its templates need and extra routes mapping page names to templates:
+ *
+ *   {
+ *     "routes": [{ "path": ":slug", "template": "post" }],
+ *     "dataSources": [
+ *       { "name": "posts", "type": "collection", "templates": ["index"],
+ *         "collection": "blog_posts", "filter": { "status": "published" },
+ *         "sort": { "publishedAt": -1 }, "fields": ["title", "slug"],
+ *         "query": { "tag": "tags" }, "paginate": { "limit": 10, "maxLimit": 50 } },
+ *       { "name": "tags", "type": "facets", "templates": ["index"],
+ *         "collection": "blog_posts", "field": "tags", "limit": 30 },
+ *       { "name": "post", "type": "item", "templates": ["post"],
+ *         "collection": "blog_posts", "match": { "slug": ":slug" }, "required": true }
+ *     ]
+ *   }
+ *
+ * A `:param` route may set `as` to also expose the matched value as a local of
+ * that name, and a `query` entry may be `{ field, as }` to expose the applied
+ * value the same way (e.g. templates written for `postSlug` and `filterTag`).
+ *
+ * Sources read either a MongoDB collection (`collection`, only names listed in
+ * DATA_PROVIDER_COLLECTIONS) or a JSON array file inside the landing (`file`).
+ * Results are exposed to the template as `res.locals[name]`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLandingManifest } = require('./landing-manifest');
+
+const SOURCE_TYPES = ['collection', 'facets', 'item'];
+const FILTER_OPERATORS = ['$in', '$nin', '$ne', '$exists', '$gt', '$gte', '$lt', '$lte'];
+const DEFAULT_PAGE_LIMIT = 10;
+const DEFAULT_MAX_PAGE_LIMIT = 50;
+const DEFAULT_FACET_LIMIT = 50;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function getAllowedCollections() {
+  return String(process.env.DATA_PROVIDER_COLLECTIONS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function validateQuery(query, where) {
+  if (query === undefined) return undefined;
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new Error(`${where}: query must be an object`);
+  }
+  for (const [param, target] of Object.entries(query)) {
+    if (typeof target === 'string') continue;
+    if (!target || typeof target.field !== 'string' || (target.as !== undefined && !IDENTIFIER_PATTERN.test(target.as))) {
+      throw new Error(`${where}: query.${param} must be a field name or { field, as }`);
+    }
+  }
+  return query;
+}
+
+function validateFilter(filter, where) {
+  if (filter === undefined) return {};
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error(`${where}: filter must be an object`);
+  }
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) throw new Error(`${where}: unsupported filter key "${key}"`);
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const op of Object.keys(value)) {
+        if (!FILTER_OPERATORS.includes(op)) throw new Error(`${where}: unsupported filter operator "${op}"`);
+      }
+    }
+  }
+  return filter;
+}
+
+/**
+ * Validate a parsed manifest. Throws an Error describing the first problem.
+ * @param {Object} raw
+ * @returns {{ routes: Array, dataSources: Array }}
+ */
+function normalizeManifest(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Manifest must be an object');
+
+  const routes = (raw.routes || []).map((route, i) => {
+    if (!route || typeof route.path !== 'string' || typeof route.template !== 'string') {
+      throw new Error(`routes[${i}]: "path" and "template" are required`);
+    }
+    if (route.as !== undefined && !IDENTIFIER_PATTERN.test(route.as)) {
+      throw new Error(`routes[${i}]: "as" must be a valid identifier`);
+    }
+    const normalized = { path: route.path.replace(/^\//, ''), template: route.template };
+    if (route.as) normalized.as = route.as;
+    return normalized;
+  });
+
+  const names = new Set();
+  const dataSources = (raw.dataSources || []).map((source, i) => {
+    const where = `dataSources[${i}]`;
+    if (!source || typeof source.name !== 'string' || !IDENTIFIER_PATTERN.test(source.name)) {
+      throw new Error(`${where}: "name" must be a valid identifier`);
+    }
+    if (names.has(source.name)) throw new Error(`${where}: duplicate name "${source.name}"`);
+    names.add(source.name);
+    if (!SOURCE_TYPES.includes(source.type)) {
+      throw new Error(`${where}: "type" must be one of ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (!source.collection && !source.file) throw new Error(`${where}: "collection" or "file" is required`);
+    if (source.type === 'facets' && typeof source.field !== 'string') {
+      throw new Error(`${where}: facets sources need a "field"`);
+    }
+    if (source.type === 'item' && (!source.match || typeof source.match !== 'object')) {
+      throw new Error(`${where}: item sources need a "match" object`);
+    }
+    return {
+      ...source,
+      filter: validateFilter(source.filter, where),
+      query: validateQuery(source.query, where),
+      templates: Array.isArray(source.templates) ? source.templates : null
+    };
+  });
+
+  return { routes, dataSources };
+}
+
+const normalizedCache = new WeakMap();
+
+/**
+ * Data-provider section of a landing's manifest, or null when it has none.
+ * Throws when the manifest is invalid.
+ * @param {string} landingDir
+ */
+function loadDataManifest(landingDir) {
+  const raw = readLandingManifest(landingDir);
+  if (!raw) return null;
+  if (!normalizedCache.has(raw)) normalizedCache.set(raw, normalizeManifest(raw));
+  return normalizedCache.get(raw);
+}
+
+/**
+ * Match a page name against the manifest routes.
+ * A route path is either a literal page name or a `:param` placeholder.
+ * `locals` is set when the route exposes the param under another name (`as`).
+ * @returns {{ template: string, params: Object, locals?: Object }|null}
+ */
+function matchRoute(manifest, page) {
+  if (!manifest) return null;
+  for (const route of manifest.routes) {
+    if (route.path.startsWith(':')) {
+      const match = { template: route.template, params: { [route.path.slice(1)]: page } };
+      if (route.as) match.locals = { [route.as]: page };
+      return match;
+    }
+    if (route.path === page) return { template: route.template, params: {} };
+  }
+  return null;
+}
+
+// --- query evaluation over plain arrays (file sources) -----------------------
+
+function getField(doc, field) {
+  return field.split('.').reduce((v, k) => (v == null ? undefined : v[k]), doc);
+}
+
+function valueMatches(actual, expected) {
+  if (Array.isArray(actual)) return actual.some(a => valueMatches(a, expected));
+  return actual === expected;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesFilter(doc, filter) {
+  return Object.entries(filter).every(([field, cond]) => {
+    const actual = getField(doc, field);
+    if (!cond || typeof cond !== 'object' || Array.isArray(cond)) return valueMatches(actual, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+      switch (op) {
+        case '$in': return (arg || []).some(v => valueMatches(actual, v));
+        case '$nin': return !(arg || []).some(v => valueMatches(actual, v));
+        case '$ne': return !valueMatches(actual, arg);
+        case '$exists': return (actual !== undefined) === Boolean(arg);
+        case '$gt': return actual != null && compare(actual, arg) > 0;
+        case '$gte': return actual != null && compare(actual, arg) >= 0;
+        case '$lt': return actual != null && compare(actual, arg) < 0;
+        case '$lte': return actual != null && compare(actual, arg) <= 0;
+        default: return false;
+      }
+    });
+  });
+}
+
+function projectFields(doc, fields) {
+  if (!fields || !fields.length) return doc;
+  const out = {};
+  for (const f of fields) if (doc[f] !== undefined) out[f] = doc[f];
+  return out;
+}
+
+function countFacets(docs, field, limit) {
+  const counts = new Map();
+  for (const doc of docs) {
+    const value = getField(doc, field);
+    for (const v of Array.isArray(value) ? value : [value]) {
+      if (v === undefined || v === null || v === '') continue;
+      counts.set(v, (counts.get(v) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || compare(a.name, b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Collection adapter over an in-memory array of documents.
+ * @param {Array<Object>} docs
+ */
+function createArrayCollection(docs) {
+  return {
+    async find(filter, { sort, skip = 0, limit, fields } = {}) {
+      let rows = docs.filter(d => matchesFilter(d, filter));
+      if (sort) {
+        const keys = Object.entries(sort);
+        rows = rows.slice().sort((a, b) => {
+          for (const [k, dir] of keys) {
+            const c = compare(getField(a, k), getField(b, k));
+            if (c) return dir < 0 ? -c : c;
+          }
+          return 0;
+        });
+      }
+      rows = rows.slice(skip, limit ? skip + limit : undefined);
+      return rows.map(r => projectFields(r, fields));
+    },
+    async count(filter) {
+      return docs.filter(d => matchesFilter(d, filter)).length;
+    },
+    async findOne(filter) {
+      return docs.find(d => matchesFilter(d, filter)) || null;
+    },
+    async facets(filter, field, limit) {
+      return countFacets(docs.filter(d => matchesFilter(d, filter)), field, limit);
+    }
+  };
+}
+
+/**
+ * Collection adapter over a MongoDB collection.
+ * @param {import('mongodb').Collection} collection
+ */
+function createMongoCollection(collection) {
+  return {
+    async find(filter, { sort, skip = 0, limit, fields } = {}) {
+      let cursor = collection.find(filter);
+      if (sort) cursor = cursor.sort(sort);
+      if (fields && fields.length) cursor = cursor.project(Object.fromEntries(fields.map(f => [f, 1])));
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+    async count(filter) {
+      return collection.countDocuments(filter);
+    },
+    async findOne(filter) {
+      return collection.findOne(filter);
+    },
+    async facets(filter, field, limit) {
+      const rows = await collection.aggregate([
+        { $match: filter },
+        { $unwind: '$' + field },
+        { $match: { [field]: { $nin: ['', null] } } },
+        { $group: { _id: '$' + field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit }
+      ]).toArray();
+      return rows.map(r => ({ name: r._id, count: r.count }));
+    }
+  };
+}
+
+// --- source resolution ----------------------------------------------------------
+
+async function openCollection(source, { landingDir, getMongoDb }) {
+  if (source.file) {
+    const filePath = path.resolve(landingDir, source.file);
+    if (!filePath.startsWith(path.resolve(landingDir) + path.sep)) {
+      throw new Error(`File "${source.file}" is outside the landing directory`);
+    }
+    const docs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(docs)) throw new Error(`File "${source.file}" must contain a JSON array`);
+    return createArrayCollection(docs);
+  }
+
+  if (!getAllowedCollections().includes(source.collection)) {
+    throw new Error(`Collection "${source.collection}" is not listed in DATA_PROVIDER_COLLECTIONS`);
+  }
+  const db = getMongoDb ? await getMongoDb() : null;
+  if (!db) throw new Error('MongoDB is not available (PERSISTENCE_ENGINE=mongo required)');
+  return createMongoCollection(db.collection(source.collection));
+}
+
+function positiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Request query params mapped onto filter fields; only plain strings are accepted.
+// `aliases` holds the applied values of `{ field, as }` entries under their `as` name.
+function applyQueryFilters(source, filter, query) {
+  const applied = {};
+  const aliases = {};
+  const merged = { ...filter };
+  for (const [param, target] of Object.entries(source.query || {})) {
+    const field = typeof target === 'string' ? target : target.field;
+    const value = typeof query[param] === 'string' ? query[param].trim() : '';
+    applied[param] = value;
+    if (typeof target === 'object' && target.as) aliases[target.as] = value;
+    if (value) merged[field] = value;
+  }
+  return { filter: merged, applied, aliases };
+}
+
+function emptyValue(source) {
+  return source.type === 'item' ? null : [];
+}
+
+function emptyPagination(limit) {
+  return { currentPage: 1, total: 0, limit, totalPages: 0, hasPrev: false, hasNext: false };
+}
+
+async function runSource(source, ctx, locals) {
+  const collection = await openCollection(source, ctx);
+
+  if (source.type === 'item') {
+    const filter = { ...source.filter };
+    for (const [field, value] of Object.entries(source.match)) {
+      const resolved = typeof value === 'string' && value.startsWith(':') ? ctx.params[value.slice(1)] : value;
+      if (resolved === undefined) return null;
+      filter[field] = resolved;
+    }
+    return collection.findOne(filter);
+  }
+
+  const { filter, applied, aliases } = applyQueryFilters(source, source.filter, ctx.query);
+  if (source.query) locals.filters = { ...(locals.filters || {}), ...applied };
+  Object.assign(locals, aliases);
+
+  if (source.type === 'facets') {
+    return collection.facets(filter, source.field, positiveInt(source.limit, DEFAULT_FACET_LIMIT));
+  }
+
+  if (!source.paginate) {
+    return collection.find(filter, { sort: source.sort, limit: positiveInt(source.limit, 0), fields: source.fields });
+  }
+
+  const maxLimit = positiveInt(source.paginate.maxLimit, DEFAULT_MAX_PAGE_LIMIT);
+  const limit = Math.min(positiveInt(ctx.query.limit, positiveInt(source.paginate.limit, DEFAULT_PAGE_LIMIT)), maxLimit);
+  const currentPage = positiveInt(ctx.query.page, 1);
+  const [items, total] = await Promise.all([
+    collection.find(filter, { sort: source.sort, skip: (currentPage - 1) * limit, limit, fields: source.fields }),
+    collection.count(filter)
+  ]);
+  locals[source.paginate.as || 'pagination'] = {
+    currentPage,
+    total,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    hasPrev: currentPage > 1,
+    hasNext: currentPage * limit < total
+  };
+  return items;
+}
+
+/**
+ * Run every data source that applies to a template and collect template locals.
+ * A failing source is logged and yields an empty value; a `required` item source
+ * that finds nothing sets `notFound`.
+ *
+ * @param {Object|null} manifest - from loadDataManifest
+ * @param {Object} ctx
+ * @param {string} ctx.template - template about to be rendered
+ * @param {Object} [ctx.params] - route params from matchRoute
+ * @param {Object} [ctx.query] - request query string
+ * @param {string} ctx.landingDir
+ * @param {Function} [ctx.getMongoDb]
+ * @returns {Promise<{ locals: Object, notFound: boolean }>}
+ */
+async function resolveDataSources(manifest, ctx) {
+  const locals = {};
+  if (!manifest) return { locals, notFound: false };
+
+  const context = { params: {}, query: {}, ...ctx };
+  const sources = manifest.dataSources.filter(s => !s.templates || s.templates.includes(context.template));
+  let notFound = false;
+
+  await Promise.all(sources.map(async (source) => {
+    try {
+      locals[source.name] = await runSource(source, context, locals);
+    } catch (err) {
+      console.error(`[Data] ${source.name}: ${err.message}`);
+      locals[source.name] = emptyValue(source);
+      if (source.paginate) locals[source.paginate.as || 'pagination'] = emptyPagination(DEFAULT_PAGE_LIMIT);
+    }
+    if (source.type === 'item' && source.required && !locals[source.name]) notFound = true;
+  }));
+
+  return { locals, notFound };
+}
+
+/**
+ * Pages served through the manifest routes, for sitemaps. A literal route is one
+ * page; a `:param` route has one page per document of the `item` source that
+ * matches the param (e.g. every published post for `:slug`). Failing sources
+ * are logged and skipped.
+ *
+ * @param {Object|null} manifest - from loadDataManifest
+ * @param {Object} ctx
+ * @param {string} ctx.landingDir
+ * @param {Function} [ctx.getMongoDb]
+ * @param {number} [ctx.limit] - maximum pages per route
+ * @returns {Promise<Array<{ page: string, lastmod: *|null }>>}
+ */
+async function listRoutePages(manifest, ctx) {
+  if (!manifest) return [];
+  const pages = [];
+
+  for (const route of manifest.routes) {
+    if (!route.path.startsWith(':')) {
+      pages.push({ page: route.path, lastmod: null });
+      continue;
+    }
+    const param = ':' + route.path.slice(1);
+    const source = manifest.dataSources.find(s => s.type === 'item'
+      && (!s.templates || s.templates.includes(route.template))
+      && Object.values(s.match).includes(param));
+    if (!source) continue;
+
+    const field = Object.keys(source.match).find(k => source.match[k] === param);
+    const filter = { ...source.filter };
+    const others = Object.entries(source.match).filter(([k]) => k !== field);
+    // Items that also depend on other params cannot be listed
+    if (others.some(([, v]) => typeof v === 'string' && v.startsWith(':'))) continue;
+    for (const [k, v] of others) filter[k] = v;
+
+    try {
+      const collection = await openCollection(source, ctx);
+      const docs = await collection.find(filter, { limit: ctx.limit, fields: [field.split('.')[0], 'updatedAt', 'publishedAt'] });
+      for (const doc of docs) {
+        const value = getField(doc, field);
+        if (typeof value === 'string' || typeof value === 'number') {
+          pages.push({ page: String(value), lastmod: doc.updatedAt || doc.publishedAt || null });
+        }
+      }
+    } catch (err) {
+      console.error(`[Data] ${source.name}: ${err.message}`);
+    }
+  }
+  return pages;
+}
+
+module.exports = {
+  normalizeManifest,
+  loadDataManifest,
+  matchRoute,
+  matchesFilter,
+  createArrayCollection,
+  createMongoCollection,
+  resolveDataSources,
+  listRoutePages
+};
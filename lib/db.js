@@ -69,6 +69,22 @@ function readDirectoryFilesSync(dirPath, prefix, files) {
   }
 }
 
+// Write files shaped like readDirectoryFilesSync output ({ path, content }) below dirPath.
+// Paths escaping the directory are skipped.
+function writeDirectoryFilesSync(dirPath, files, { clearExisting = true } = {}) {
+  if (clearExisting && fs.existsSync(dirPath)) {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  }
+  fs.mkdirSync(dirPath, { recursive: true });
+  const root = path.resolve(dirPath);
+  for (const file of files || []) {
+    const filePath = path.resolve(root, file.path);
+    if (!filePath.startsWith(root + path.sep)) continue;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.content);
+  }
+}
+
 module.exports = {
   DATA_DIR,
   LANDINGS_DIR,
@@ -79,5 +95,6 @@ module.exports = {
   migrateDomains,
   getPublishedDomains,
   getAllDomainStrings,
-  readDirectoryFilesSync
+  readDirectoryFilesSync,
+  writeDirectoryFilesSync
 };
@@ -0,0 +1,83 @@
+/**
+ * Custom error pages for visitors (404 and 5xx).
+ *
+ * Pages are looked up in this order and the first match is served with the
+ * error status:
+ *   1. landing: `404.html`/`404.ejs` and `500.html`/`500.ejs` at the root of the
+ *      landing's files (versioned with the landing)
+ *   2. instance: the same files in ERROR_PAGES_DIR (default: data/error-pages),
+ *      used for unknown hosts/slugs and landings without pages of their own
+ *   3. a built-in page, so visitors never get a bare text response
+ *
+ * Every 5xx status uses the `500` page. EJS pages get `status` and `path` locals.
+ * Maintenance pages (lib/maintenance.js) are looked up the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./db');
+
+const ERROR_PAGE_EXTENSIONS = ['.html', '.ejs'];
+
+const DEFAULT_MESSAGES = {
+  401: { title: 'Authentication required', text: 'You need to sign in to view this page.' },
+  404: { title: 'Page not found', text: 'The page you are looking for does not exist or has been moved.' },
+  500: { title: 'Something went wrong', text: 'The page could not be loaded. Please try again in a moment.' }
+};
+
+function getInstanceErrorPagesDir() {
+  return process.env.ERROR_PAGES_DIR || path.join(DATA_DIR, 'error-pages');
+}
+
+// The page name used for a status: 404 for 4xx, 500 for 5xx.
+function errorPageName(status) {
+  return status >= 500 ? '500' : '404';
+}
+
+/**
+ * Find a page by name (`<name>.html` or `<name>.ejs`) in a directory.
+ * @param {string} dir
+ * @param {string} name
+ * @returns {{ path: string, kind: 'html'|'ejs' }|null}
+ */
+function findPageFile(dir, name) {
+  if (!dir) return null;
+  for (const ext of ERROR_PAGE_EXTENSIONS) {
+    const filePath = path.join(dir, name + ext);
+    try {
+      if (fs.statSync(filePath).isFile()) return { path: filePath, kind: ext.slice(1) };
+    } catch (err) {
+      // not there, try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the error page for a status in a directory.
+ * @param {string} dir
+ * @param {number} status
+ * @returns {{ path: string, kind: 'html'|'ejs' }|null}
+ */
+function findErrorPage(dir, status) {
+  return findPageFile(dir, errorPageName(status));
+}
+
+/**
+ * Built-in page used when neither the landing nor the instance has one.
+ * @param {number} status
+ * @returns {string}
+ */
+function renderDefaultErrorPage(status) {
+  const { title, text } = DEFAULT_MESSAGES[status] || DEFAULT_MESSAGES[errorPageName(status)];
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>`
+    + `<body style="font-family:sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;color:#333">`
+    + `<p style="color:#999;font-size:3rem;margin:0">${Number(status) || 500}</p><h1>${title}</h1><p>${text}</p></body></html>`;
+}
+
+module.exports = {
+  getInstanceErrorPagesDir,
+  findPageFile,
+  findErrorPage,
+  renderDefaultErrorPage
+};
@@ -0,0 +1,137 @@
+/**
+ * Serve-time side of A/B experiments (see lib/experiments.js): assigning
+ * visitors, choosing what to serve for their variant and counting conversions.
+ */
+
+const { incrementExperimentStats, getExperimentStats } = require('./store');
+const { getVersion, getVersionFsDir, getOptimizedFsDir } = require('./versions');
+const { applyVersionedConfig } = require('./versioned-config');
+const { isTrackable, normalizePath } = require('./analytics');
+const {
+  COOKIE_MAX_AGE_MS,
+  isRunning,
+  pickVariant,
+  getCookieName,
+  readAssignment,
+  formatAssignment,
+  isFormGoal,
+  isUrlGoal,
+  createStatsRecorder,
+  buildResults
+} = require('./experiments');
+
+const stats = createStatsRecorder({ write: incrementExperimentStats });
+
+// Versioned settings (injections) of variant versions; versions never change.
+const versionConfigCache = new Map();
+
+async function getVersionConfig(landingId, versionId) {
+  const key = `${landingId}:${versionId}`;
+  if (!versionConfigCache.has(key)) {
+    const version = await getVersion(landingId, versionId);
+    versionConfigCache.set(key, version ? version.config : undefined);
+  }
+  return versionConfigCache.get(key);
+}
+
+function setAssignmentCookie(res, experiment, assignment) {
+  res.cookie(getCookieName(experiment), formatAssignment(assignment), {
+    maxAge: COOKIE_MAX_AGE_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/'
+  });
+}
+
+function countEvent(landing, assignment, field) {
+  stats.record({ landingId: landing.id, experimentId: landing.experiment.id, variantId: assignment.variantId, field });
+}
+
+// The landing as served for a variant: its own files and versioned settings when
+// the variant is not the current version.
+async function getVariantLanding(landing, variant) {
+  const view = { ...landing, experimentVariant: variant.id };
+  if (variant.versionId === landing.currentVersionId) return view;
+  try {
+    view.fsDir = await getVersionFsDir(landing, variant.versionId);
+  } catch (err) {
+    console.error(`[experiments] Cannot serve version ${variant.versionId} of ${landing.slug}: ${err.message}`);
+    return landing;
+  }
+  view.currentVersionId = variant.versionId;
+  applyVersionedConfig(view, await getVersionConfig(landing.id, variant.versionId));
+  view.fsDir = (await getOptimizedFsDir(view, variant.versionId)) || view.fsDir;
+  return view;
+}
+
+/**
+ * Landing to serve for a request. Visitors already in the landing's running
+ * experiment get their variant; new visitors are assigned one only on page
+ * requests (`assign`), so asset requests never start an assignment. Bots are
+ * never assigned or counted. Hitting a URL goal counts a conversion.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} landing
+ * @param {{ assign: boolean }} opts
+ * @returns {Promise<Object>}
+ */
+async function resolveExperimentLanding(req, res, landing, { assign }) {
+  const experiment = landing && landing.experiment;
+  if (!isRunning(experiment)) return landing;
+
+  // A request can pass through several serve middlewares; assign only once.
+  const resolved = res.locals.experimentLanding;
+  if (resolved && resolved.id === landing.id) return resolved;
+
+  let assignment = readAssignment(experiment, req.get('cookie'));
+  if (!assignment) {
+    const trackable = isTrackable({ method: req.method, userAgent: req.get('user-agent'), purpose: req.get('sec-purpose') || req.get('purpose') });
+    if (!assign || !trackable) return landing;
+    assignment = { variantId: pickVariant(experiment.variants).id, converted: false };
+    setAssignmentCookie(res, experiment, assignment);
+    countEvent(landing, assignment, 'visitors');
+  }
+
+  if (assign && !assignment.converted && isUrlGoal(experiment.goal, normalizePath(req.originalUrl, landing.slug))) {
+    assignment.converted = true;
+    setAssignmentCookie(res, experiment, assignment);
+    countEvent(landing, assignment, 'conversions');
+  }
+
+  res.vary('Cookie');
+  const variant = experiment.variants.find(v => v.id === assignment.variantId);
+  res.locals.experimentLanding = await getVariantLanding(landing, variant);
+  return res.locals.experimentLanding;
+}
+
+// Count a form-goal conversion for the submitting visitor, once per visitor.
+function recordFormConversion(req, res, landing, formName) {
+  const experiment = landing && landing.experiment;
+  if (!isRunning(experiment) || !isFormGoal(experiment.goal, formName)) return;
+  const assignment = readAssignment(experiment, req.get('cookie'));
+  if (!assignment || assignment.converted) return;
+  assignment.converted = true;
+  setAssignmentCookie(res, experiment, assignment);
+  countEvent(landing, assignment, 'conversions');
+}
+
+/**
+ * Current results of a landing's experiment, including counts not flushed yet.
+ * @param {Object} landing
+ * @returns {Promise<Array>}
+ */
+async function getExperimentResults(landing) {
+  await stats.flush();
+  return buildResults(landing.experiment, await getExperimentStats(landing.id, landing.experiment.id));
+}
+
+function flushExperimentStats() {
+  return stats.flush();
+}
+
+module.exports = {
+  resolveExperimentLanding,
+  recordFormConversion,
+  getExperimentResults,
+  flushExperimentStats
+};
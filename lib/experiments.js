@@ -0,0 +1,246 @@
+/**
+ * A/B split tests between versions of a landing.
+ *
+ * A landing runs at most one experiment at a time, stored on the landing record:
+ *
+ *   landing.experiment = {
+ *     id, name, status: 'running'|'stopped'|'completed',
+ *     variants: [{ id: 'a', versionId, weight }],
+ *     goal: { type: 'form', form? } | { type: 'url', path },
+ *     startedAt, stoppedAt, winner
+ *   }
+ *
+ * Each visitor is assigned a variant by weight on their first page view and keeps
+ * it through a cookie (`sl_exp_<experimentId>=<variantId>`); the cookie becomes
+ * `<variantId>.c` once they convert, so a visitor counts at most once for each.
+ * Counts are buffered in memory and flushed to the store like pageviews.
+ */
+
+const crypto = require('crypto');
+
+const GOAL_TYPES = ['form', 'url'];
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+const VARIANT_IDS = 'abcde';
+const COOKIE_PREFIX = 'sl_exp_';
+const COOKIE_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_FLUSH_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Validate an experiment definition coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { name, variants: [{ versionId, weight }], goal }
+ * @param {string[]} versionIds - existing versions of the landing
+ * @returns {{ name: string, variants: Array, goal: Object }}
+ */
+function normalizeExperiment(input, versionIds) {
+  if (!input || typeof input !== 'object') throw new Error('Experiment must be an object');
+  const variantsInput = input.variants;
+  if (!Array.isArray(variantsInput) || variantsInput.length < MIN_VARIANTS || variantsInput.length > MAX_VARIANTS) {
+    throw new Error(`An experiment needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants`);
+  }
+
+  const seen = new Set();
+  const variants = variantsInput.map((v, i) => {
+    const versionId = v && String(v.versionId || '');
+    if (!versionId || !versionIds.includes(versionId)) throw new Error(`Variant ${i + 1}: unknown version`);
+    if (seen.has(versionId)) throw new Error(`Variant ${i + 1}: version is already used by another variant`);
+    seen.add(versionId);
+    const weight = v.weight === undefined || v.weight === '' ? 1 : Number(v.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) throw new Error(`Variant ${i + 1}: weight must be an integer between 1 and 100`);
+    return { id: VARIANT_IDS[i], versionId, weight };
+  });
+
+  const goalInput = input.goal || {};
+  if (!GOAL_TYPES.includes(goalInput.type)) throw new Error('Goal type must be "form" or "url"');
+  let goal;
+  if (goalInput.type === 'form') {
+    goal = { type: 'form', form: typeof goalInput.form === 'string' ? goalInput.form.trim() : '' };
+  } else {
+    const goalPath = typeof goalInput.path === 'string' ? goalInput.path.trim() : '';
+    if (!goalPath.startsWith('/')) throw new Error('Goal path must start with "/"');
+    goal = { type: 'url', path: normalizeGoalPath(goalPath) };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim().slice(0, 100) : '';
+  return { name, variants, goal };
+}
+
+function normalizeGoalPath(p) {
+  const clean = p.split(/[?#]/)[0];
+  return clean.length > 1 ? clean.replace(/\/+$/, '') : clean;
+}
+
+/**
+ * A new running experiment record.
+ * @param {Object} definition - output of normalizeExperiment
+ * @returns {Object}
+ */
+function createExperiment(definition) {
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    ...definition,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    stoppedAt: null,
+    winner: null
+  };
+}
+
+function isRunning(experiment) {
+  return Boolean(experiment && experiment.status === 'running');
+}
+
+/**
+ * Pick a variant at random, proportionally to the weights.
+ * @param {Array<{ id: string, weight: number }>} variants
+ * @param {() => number} [random]
+ * @returns {Object}
+ */
+function pickVariant(variants, random = Math.random) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let roll = random() * total;
+  for (const variant of variants) {
+    roll -= variant.weight;
+    if (roll < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    if (key && cookies[key] === undefined) cookies[key] = part.slice(idx + 1).trim();
+  }
+  return cookies;
+}
+
+function getCookieName(experiment) {
+  return COOKIE_PREFIX + experiment.id;
+}
+
+/**
+ * Read a visitor's assignment from the request cookies. Returns null when the
+ * visitor has none or it names a variant the experiment does not have.
+ * @param {Object} experiment
+ * @param {string} cookieHeader
+ * @returns {{ variantId: string, converted: boolean }|null}
+ */
+function readAssignment(experiment, cookieHeader) {
+  const value = parseCookies(cookieHeader)[getCookieName(experiment)];
+  if (!value) return null;
+  const [variantId, flag] = value.split('.');
+  if (!experiment.variants.some(v => v.id === variantId)) return null;
+  return { variantId, converted: flag === 'c' };
+}
+
+function formatAssignment({ variantId, converted }) {
+  return converted ? `${variantId}.c` : variantId;
+}
+
+function isFormGoal(goal, formName) {
+  return Boolean(goal && goal.type === 'form' && (!goal.form || goal.form === formName));
+}
+
+function isUrlGoal(goal, pagePath) {
+  return Boolean(goal && goal.type === 'url' && normalizeGoalPath(pagePath || '/') === goal.path);
+}
+
+/**
+ * Buffer visitor/conversion counts and hand them to `write` periodically.
+ * @param {Object} opts
+ * @param {(deltas: Array<{ landingId, experimentId, variantId, visitors, conversions }>) => Promise<void>} opts.write
+ * @param {number} [opts.flushIntervalMs]
+ * @returns {{ record: Function, flush: Function }}
+ */
+function createStatsRecorder({ write, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS }) {
+  let buffer = new Map();
+  let timer = null;
+
+  async function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!buffer.size) return;
+    const deltas = [...buffer.values()];
+    buffer = new Map();
+    try {
+      await write(deltas);
+    } catch (err) {
+      console.error('[experiments] Failed to flush stats:', err.message);
+    }
+  }
+
+  function record({ landingId, experimentId, variantId, field }) {
+    const key = `${landingId}|${experimentId}|${variantId}`;
+    let entry = buffer.get(key);
+    if (!entry) {
+      entry = { landingId, experimentId, variantId, visitors: 0, conversions: 0 };
+      buffer.set(key, entry);
+    }
+    entry[field]++;
+    if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      if (timer.unref) timer.unref();
+    }
+  }
+
+  return { record, flush };
+}
+
+// Two-sided p-value of a two-proportion z-test (normal approximation).
+function twoProportionPValue(c1, n1, c2, n2) {
+  if (!n1 || !n2) return null;
+  const pooled = (c1 + c2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!se) return null;
+  const z = Math.abs(c1 / n1 - c2 / n2) / se;
+  // Abramowitz-Stegun approximation of the normal CDF tail
+  const t = 1 / (1 + 0.2316419 * z);
+  const d = 0.3989423 * Math.exp(-z * z / 2);
+  const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return Math.min(1, 2 * tail);
+}
+
+/**
+ * Per-variant results. The first variant is the baseline; the others get the
+ * relative lift of their conversion rate and the confidence that it differs.
+ * @param {Object} experiment
+ * @param {Object<string, { visitors: number, conversions: number }>} stats - by variant id
+ * @returns {Array<{ id, versionId, weight, visitors, conversions, rate, lift, confidence }>}
+ */
+function buildResults(experiment, stats) {
+  const rows = experiment.variants.map(v => {
+    const s = (stats && stats[v.id]) || {};
+    const visitors = s.visitors || 0;
+    const conversions = s.conversions || 0;
+    return { ...v, visitors, conversions, rate: visitors ? conversions / visitors : 0 };
+  });
+  const base = rows[0];
+  return rows.map((row, i) => {
+    if (i === 0) return { ...row, lift: null, confidence: null };
+    const pValue = twoProportionPValue(row.conversions, row.visitors, base.conversions, base.visitors);
+    return {
+      ...row,
+      lift: base.rate ? (row.rate - base.rate) / base.rate : null,
+      confidence: pValue === null ? null : 1 - pValue
+    };
+  });
+}
+
+module.exports = {
+  COOKIE_MAX_AGE_MS,
+  normalizeExperiment,
+  createExperiment,
+  isRunning,
+  pickVariant,
+  parseCookies,
+  getCookieName,
+  readAssignment,
+  formatAssignment,
+  isFormGoal,
+  isUrlGoal,
+  createStatsRecorder,
+  buildResults
+};
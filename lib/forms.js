@@ -0,0 +1,207 @@
+/**
+ * Lead-capture forms.
+ *
+ * A landing declares its forms in `landing.forms` (edited from the admin
+ * settings modal). Pages post to `/<slug>/_forms/<name>` (or `/_forms/<name>` on
+ * the landing's own domain); the submission is validated against the form's
+ * field schema and stored through lib/store.js.
+ *
+ * A form is `{ name, fields: [{ name, label, type, required, maxLength, options }],
+ * redirect, honeypot }`. Posted fields that are not in the schema are dropped.
+ * The honeypot field is rendered hidden by the page; bots that fill it in get a
+ * normal-looking success response but nothing is stored.
+ */
+
+const FIELD_TYPES = ['text', 'email', 'tel', 'url', 'number', 'textarea', 'checkbox', 'select', 'hidden'];
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const MAX_FORMS = 20;
+const MAX_FIELDS = 50;
+const DEFAULT_MAX_LENGTH = 1000;
+const TEXTAREA_MAX_LENGTH = 10000;
+const DEFAULT_HONEYPOT = '_gotcha';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TEL_RE = /^[+()0-9 .-]{5,30}$/;
+
+function normalizeField(field, formLabel, i) {
+  const label = `${formLabel}, field ${i + 1}`;
+  if (!field || typeof field !== 'object') throw new Error(`${label} must be an object`);
+  if (typeof field.name !== 'string' || !NAME_RE.test(field.name)) {
+    throw new Error(`${label}: name must use letters, numbers, "-" or "_"`);
+  }
+  const type = field.type || 'text';
+  if (!FIELD_TYPES.includes(type)) throw new Error(`${label}: unknown type "${type}"`);
+
+  const out = {
+    name: field.name,
+    label: typeof field.label === 'string' && field.label.trim() ? field.label.trim() : field.name,
+    type,
+    required: field.required === true
+  };
+
+  if (field.maxLength !== undefined && field.maxLength !== null && field.maxLength !== '') {
+    const maxLength = Number(field.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1) throw new Error(`${label}: maxLength must be a positive integer`);
+    out.maxLength = maxLength;
+  }
+
+  if (type === 'select') {
+    const options = Array.isArray(field.options) ? field.options.map(o => String(o).trim()).filter(Boolean) : [];
+    if (!options.length) throw new Error(`${label}: select fields need at least one option`);
+    out.options = [...new Set(options)];
+  }
+  return out;
+}
+
+/**
+ * Validate form definitions coming from the admin API.
+ * Throws an Error describing the first invalid form or field.
+ * @param {Array} input
+ * @returns {Array<Object>}
+ */
+function normalizeForms(input) {
+  if (!Array.isArray(input)) throw new Error('Forms must be an array');
+  if (input.length > MAX_FORMS) throw new Error(`At most ${MAX_FORMS} forms are allowed`);
+
+  const names = new Set();
+  return input.map((form, i) => {
+    if (!form || typeof form !== 'object') throw new Error(`Form ${i + 1} must be an object`);
+    if (typeof form.name !== 'string' || !NAME_RE.test(form.name)) {
+      throw new Error(`Form ${i + 1}: name must use letters, numbers, "-" or "_"`);
+    }
+    if (names.has(form.name)) throw new Error(`Duplicate form name "${form.name}"`);
+    names.add(form.name);
+
+    const formLabel = `Form "${form.name}"`;
+    if (!Array.isArray(form.fields) || form.fields.length === 0) throw new Error(`${formLabel} needs at least one field`);
+    if (form.fields.length > MAX_FIELDS) throw new Error(`${formLabel}: at most ${MAX_FIELDS} fields are allowed`);
+
+    const fields = form.fields.map((field, j) => normalizeField(field, formLabel, j));
+    const fieldNames = new Set();
+    for (const field of fields) {
+      if (fieldNames.has(field.name)) throw new Error(`${formLabel}: duplicate field "${field.name}"`);
+      fieldNames.add(field.name);
+    }
+
+    const redirect = typeof form.redirect === 'string' ? form.redirect.trim() : '';
+    if (redirect && !/^(https?:\/\/|\/)/.test(redirect)) {
+      throw new Error(`${formLabel}: redirect must be an absolute URL or start with "/"`);
+    }
+
+    const honeypot = typeof form.honeypot === 'string' && form.honeypot.trim() ? form.honeypot.trim() : DEFAULT_HONEYPOT;
+    if (fieldNames.has(honeypot)) throw new Error(`${formLabel}: honeypot "${honeypot}" clashes with a field`);
+
+    return { name: form.name, fields, redirect, honeypot };
+  });
+}
+
+function findForm(landing, name) {
+  return ((landing && landing.forms) || []).find(f => f.name === name) || null;
+}
+
+/**
+ * True when the honeypot field was filled in (the submission should be dropped).
+ * @param {Object} form
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function isSpam(form, body) {
+  const value = body && body[form.honeypot || DEFAULT_HONEYPOT];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function checkValue(field, value) {
+  switch (field.type) {
+    case 'email': return EMAIL_RE.test(value) ? null : 'must be a valid email address';
+    case 'tel': return TEL_RE.test(value) ? null : 'must be a valid phone number';
+    case 'url': return /^https?:\/\/\S+$/i.test(value) ? null : 'must be a valid URL';
+    case 'number': return value !== '' && Number.isFinite(Number(value)) ? null : 'must be a number';
+    case 'select': return field.options.includes(value) ? null : 'is not one of the allowed options';
+    default: return null;
+  }
+}
+
+/**
+ * Validate a posted body against a form schema.
+ * @param {Object} form - normalized form
+ * @param {Object} body - parsed request body (urlencoded or JSON)
+ * @returns {{ data: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function validateSubmission(form, body) {
+  const source = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errors = [];
+
+  for (const field of form.fields) {
+    let raw = source[field.name];
+    if (Array.isArray(raw)) raw = raw[raw.length - 1];
+
+    if (field.type === 'checkbox') {
+      const checked = raw !== undefined && raw !== null && raw !== false && !['', 'false', 'off', '0'].includes(String(raw));
+      if (field.required && !checked) errors.push({ field: field.name, message: `${field.label} is required` });
+      data[field.name] = checked;
+      continue;
+    }
+
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!value) {
+      if (field.required) errors.push({ field: field.name, message: `${field.label} is required` });
+      continue;
+    }
+
+    const maxLength = field.maxLength || (field.type === 'textarea' ? TEXTAREA_MAX_LENGTH : DEFAULT_MAX_LENGTH);
+    if (value.length > maxLength) {
+      errors.push({ field: field.name, message: `${field.label} must be at most ${maxLength} characters` });
+      continue;
+    }
+
+    const problem = checkValue(field, value);
+    if (problem) {
+      errors.push({ field: field.name, message: `${field.label} ${problem}` });
+      continue;
+    }
+    data[field.name] = field.type === 'number' ? Number(value) : value;
+  }
+
+  return { data, errors };
+}
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Neutralise spreadsheet formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize submissions to CSV. Columns are the fixed metadata columns followed
+ * by every data field seen, in first-seen order.
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+function submissionsToCsv(entries) {
+  const fieldNames = [];
+  for (const entry of entries) {
+    for (const key of Object.keys(entry.data || {})) {
+      if (!fieldNames.includes(key)) fieldNames.push(key);
+    }
+  }
+  const header = ['createdAt', 'landing', 'form', ...fieldNames, 'referer'];
+  const rows = entries.map(entry => [
+    entry.createdAt,
+    entry.landingSlug,
+    entry.form,
+    ...fieldNames.map(name => (entry.data || {})[name]),
+    entry.meta && entry.meta.referer
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  FIELD_TYPES,
+  normalizeForms,
+  findForm,
+  isSpam,
+  validateSubmission,
+  submissionsToCsv
+};
@@ -0,0 +1,431 @@
+/**
+ * Redirect and proxy landings: landings that forward visitors instead of serving
+ * files, answered by the app itself (routes/serve.js) on the landing's domains and
+ * slug URLs, with or without Traefik in front.
+ *
+ * `redirect` landings store `landing.redirectTarget`:
+ *   { url, status, preservePath, preserveQuery }
+ * Every request is redirected to `url` (301, 302, 307 or 308), with the request
+ * path appended below the target path and the query string merged, unless
+ * turned off.
+ *
+ * `proxy` landings store `landing.proxy`:
+ *   { upstream, timeout, preserveHost, rewriteLocation, requestHeaders, responseHeaders }
+ * Requests are streamed to `upstream` (an http(s) URL, optionally with a path
+ * prefix) with X-Forwarded-* headers. Header lists are `[{ name, value }]`: a
+ * value sets the header, an empty value removes it. Redirects of the upstream
+ * pointing inside it are rewritten to the landing's URL. Requests taking longer
+ * than `timeout` seconds get a 504, unreachable upstreams a 502. Cookies of this
+ * app never cross the proxy: they are removed from forwarded requests, and
+ * upstream `Set-Cookie` headers naming them are dropped.
+ *
+ * Upstreams on loopback, private or link-local addresses (the host network, the
+ * cloud metadata endpoint) are refused unless PROXY_ALLOWED_HOSTS lists them:
+ * IP literals when saved, resolved addresses on every request.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const FORWARDING_TYPES = ['redirect', 'proxy'];
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const DEFAULT_PROXY_TIMEOUT = 30;
+const MAX_PROXY_TIMEOUT = 300;
+const MAX_PROXY_HEADERS = 20;
+
+// Connection-level headers, never forwarded in either direction (RFC 9110, 7.6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// Admin session, landing access tokens (lib/access.js) and experiment assignments
+// (lib/experiments.js): slug URLs share the admin origin, so an upstream must
+// neither read nor overwrite them
+const APP_COOKIE_PATTERN = /^(connect\.sid|sl_access_.*|sl_exp_.*)$/i;
+
+// Unspecified, loopback, private, carrier-grade NAT, link-local, benchmarking,
+// multicast and reserved networks. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const BLOCKED_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+];
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_NETWORKS) BLOCKED_ADDRESSES.addSubnet(network, prefix, type);
+
+function isForwardingLanding(landing) {
+  return Boolean(landing && FORWARDING_TYPES.includes(landing.type));
+}
+
+function parseHttpUrl(value, label) {
+  let url;
+  try {
+    url = new URL(typeof value === 'string' ? value.trim() : '');
+  } catch (e) {
+    throw new Error(`${label} must be an absolute http(s) URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`${label} must be an absolute http(s) URL`);
+  return url;
+}
+
+function normalizeBoolean(input, key, fallback) {
+  if (input[key] === undefined) return fallback;
+  if (typeof input[key] !== 'boolean') throw new Error(`${key} must be a boolean`);
+  return input[key];
+}
+
+// --- redirect landings ----------------------------------------------------------
+
+/**
+ * Validate the target of a redirect landing coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { url, status?, preservePath?, preserveQuery? }
+ * @returns {{ url: string, status: number, preservePath: boolean, preserveQuery: boolean }}
+ */
+function normalizeRedirectTarget(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Redirect target must be an object');
+  const url = parseHttpUrl(input.url, 'url');
+  const status = input.status === undefined || input.status === '' ? 301 : Number(input.status);
+  if (!REDIRECT_STATUSES.includes(status)) throw new Error(`status must be one of: ${REDIRECT_STATUSES.join(', ')}`);
+  return {
+    url: url.href,
+    status,
+    preservePath: normalizeBoolean(input, 'preservePath', true),
+    preserveQuery: normalizeBoolean(input, 'preserveQuery', true)
+  };
+}
+
+/**
+ * Effective redirect target of a landing (url is '' when none is set).
+ * @param {Object} landing
+ */
+function resolveRedirectTarget(landing) {
+  const target = (landing && landing.redirectTarget) || {};
+  return {
+    url: typeof target.url === 'string' ? target.url : '',
+    status: REDIRECT_STATUSES.includes(target.status) ? target.status : 301,
+    preservePath: target.preservePath !== false,
+    preserveQuery: target.preserveQuery !== false
+  };
+}
+
+/**
+ * Where a request to a redirect landing goes, or null without a target.
+ * @param {Object} target - resolved redirect target
+ * @param {Object} request
+ * @param {string} request.path - path below the landing root
+ * @param {string} [request.search] - query string including '?'
+ * @returns {string|null}
+ */
+function getRedirectTargetLocation(target, { path: urlPath, search = '' }) {
+  if (!target.url) return null;
+  const url = new URL(target.url);
+  if (target.preservePath && urlPath && urlPath !== '/') {
+    url.pathname = url.pathname.replace(/\/+$/, '') + (urlPath.startsWith('/') ? urlPath : '/' + urlPath);
+  }
+  if (target.preserveQuery && search && search !== '?') {
+    url.search = url.search ? `${url.search}&${search.slice(1)}` : search;
+  }
+  return url.href;
+}
+
+// --- proxy landings -------------------------------------------------------------
+
+function normalizeHeaderList(input, label) {
+  const list = input === undefined ? [] : input;
+  if (!Array.isArray(list)) throw new Error(`${label} must be an array of headers`);
+  const headers = list.filter(h => h && (h.name || h.value));
+  if (headers.length > MAX_PROXY_HEADERS) throw new Error(`At most ${MAX_PROXY_HEADERS} ${label} are allowed`);
+  const seen = new Set();
+  return headers.map((header, i) => {
+    const name = typeof header.name === 'string' ? header.name.trim() : '';
+    if (!/^[A-Za-z0-9-]+$/.test(name)) throw new Error(`${label} ${i + 1}: invalid name`);
+    const lower = name.toLowerCase();
+    if (HOP_BY_HOP_HEADERS.includes(lower) || lower === 'host' || lower === 'content-length') {
+      throw new Error(`${label} ${i + 1}: ${name} cannot be set here`);
+    }
+    if (seen.has(lower)) throw new Error(`${label} ${i + 1}: ${name} is listed twice`);
+    seen.add(lower);
+    const value = typeof header.value === 'string' ? header.value.trim() : '';
+    if (/[\r\n]/.test(value) || value.length > 4000) throw new Error(`${label} ${i + 1}: invalid value`);
+    return { name, value };
+  });
+}
+
+function addressType(address) {
+  const version = net.isIP(address);
+  return version === 6 ? 'ipv6' : version === 4 ? 'ipv4' : null;
+}
+
+function isPrivateAddress(address) {
+  const type = addressType(address);
+  return Boolean(type) && BLOCKED_ADDRESSES.check(address, type);
+}
+
+// PROXY_ALLOWED_HOSTS: comma-separated hostnames, IP addresses and CIDR ranges
+// (`10.0.0.0/8`) a proxy may reach even though they are private
+function isAllowedProxyTarget(host) {
+  const value = String(host).replace(/^\[|\]$/g, '').toLowerCase();
+  const type = addressType(value);
+  return String(process.env.PROXY_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some(entry => {
+      if (entry === value) return true;
+      const [network, prefix] = entry.split('/');
+      if (!type || prefix === undefined || addressType(network) !== type) return false;
+      const range = new net.BlockList();
+      try {
+        range.addSubnet(network, Number(prefix), type);
+      } catch (e) {
+        return false;
+      }
+      return range.check(value, type);
+    });
+}
+
+// Why the proxy may not reach a hostname before resolving it (IP literals and
+// localhost), or null
+function upstreamHostProblem(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '').toLowerCase();
+  if (isAllowedProxyTarget(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'localhost';
+  return isPrivateAddress(host) ? `a private address (${host})` : null;
+}
+
+// dns.lookup for upstream connections that fails on private addresses, so a
+// hostname cannot lead (or be rebound) into the host network
+function lookupPublicAddress(hostname, options, callback) {
+  const opts = typeof options === 'number' ? { family: options } : { ...(options || {}) };
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = isAllowedProxyTarget(hostname)
+      ? null
+      : addresses.find(({ address }) => isPrivateAddress(address) && !isAllowedProxyTarget(address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    if (opts.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate the settings of a proxy landing coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { upstream, timeout?, preserveHost?, rewriteLocation?, requestHeaders?, responseHeaders? }
+ * @returns {Object}
+ */
+function normalizeProxySettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Proxy settings must be an object');
+  const upstream = parseHttpUrl(input.upstream, 'upstream');
+  if (upstream.search || upstream.hash) throw new Error('upstream cannot have a query string or fragment');
+  if (upstream.username || upstream.password) throw new Error('upstream cannot contain credentials; set an Authorization request header instead');
+  const hostProblem = upstreamHostProblem(upstream.hostname);
+  if (hostProblem) throw new Error(`upstream cannot point to ${hostProblem}; list it in PROXY_ALLOWED_HOSTS to allow it`);
+  const timeout = input.timeout === undefined || input.timeout === '' ? DEFAULT_PROXY_TIMEOUT : Number(input.timeout);
+  if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_PROXY_TIMEOUT) {
+    throw new Error(`timeout must be a whole number of seconds between 1 and ${MAX_PROXY_TIMEOUT}`);
+  }
+  return {
+    upstream: upstream.href.replace(/\/+$/, ''),
+    timeout,
+    preserveHost: normalizeBoolean(input, 'preserveHost', false),
+    rewriteLocation: normalizeBoolean(input, 'rewriteLocation', true),
+    requestHeaders: normalizeHeaderList(input.requestHeaders, 'requestHeaders'),
+    responseHeaders: normalizeHeaderList(input.responseHeaders, 'responseHeaders')
+  };
+}
+
+/**
+ * Effective proxy settings of a landing (upstream is '' when none is set).
+ * @param {Object} landing
+ */
+function resolveProxySettings(landing) {
+  const proxy = (landing && landing.proxy) || {};
+  return {
+    upstream: typeof proxy.upstream === 'string' ? proxy.upstream : '',
+    timeout: Number.isInteger(proxy.timeout) ? proxy.timeout : DEFAULT_PROXY_TIMEOUT,
+    preserveHost: proxy.preserveHost === true,
+    rewriteLocation: proxy.rewriteLocation !== false,
+    requestHeaders: Array.isArray(proxy.requestHeaders) ? proxy.requestHeaders : [],
+    responseHeaders: Array.isArray(proxy.responseHeaders) ? proxy.responseHeaders : []
+  };
+}
+
+// Incoming headers minus hop-by-hop ones (including those named in Connection).
+function stripHopByHop(headers) {
+  const connection = String(headers.connection || '').toLowerCase().split(',').map(h => h.trim());
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (!HOP_BY_HOP_HEADERS.includes(lower) && !connection.includes(lower)) out[lower] = value;
+  }
+  return out;
+}
+
+function isAppCookie(name) {
+  return APP_COOKIE_PATTERN.test(String(name).trim());
+}
+
+// Cookie request header without the cookies of this app, or null when none is left
+function stripAppCookies(cookieHeader) {
+  const kept = String(cookieHeader)
+    .split(';')
+    .filter(pair => pair.trim() && !isAppCookie(pair.split('=')[0]));
+  return kept.length ? kept.map(pair => pair.trim()).join('; ') : null;
+}
+
+// Set-Cookie response headers that do not set a cookie of this app
+function stripAppSetCookies(setCookie) {
+  const kept = [].concat(setCookie).filter(value => !isAppCookie(String(value).split(/[=;]/)[0]));
+  return kept.length ? kept : null;
+}
+
+function applyHeaderList(headers, list) {
+  for (const { name, value } of list) {
+    if (value) headers[name.toLowerCase()] = value;
+    else delete headers[name.toLowerCase()];
+  }
+  return headers;
+}
+
+/**
+ * URL and headers of the upstream request for a visitor request.
+ * @param {Object} settings - resolved proxy settings
+ * @param {Object} request
+ * @param {string} request.path - path below the landing root
+ * @param {string} [request.search] - query string including '?'
+ * @param {Object} request.headers - incoming headers (lower-case names)
+ * @param {string} [request.ip] - visitor address
+ * @param {string} [request.protocol] - 'http' or 'https' as seen by the visitor
+ * @param {string[]} [request.dropHeaders] - incoming headers meant for this app only
+ * @returns {{ url: URL, headers: Object }}
+ */
+function buildProxyRequest(settings, { path: urlPath, search = '', headers, ip, protocol = 'http', dropHeaders = [] }) {
+  const upstream = new URL(settings.upstream);
+  const url = new URL(upstream.href);
+  url.pathname = upstream.pathname.replace(/\/+$/, '') + (urlPath && urlPath.startsWith('/') ? urlPath : '/' + (urlPath || ''));
+  url.search = search;
+
+  const out = stripHopByHop(headers);
+  for (const name of dropHeaders) delete out[name];
+  if (out.cookie !== undefined) {
+    const cookie = stripAppCookies(out.cookie);
+    if (cookie) out.cookie = cookie;
+    else delete out.cookie;
+  }
+  const visitorHost = headers.host || '';
+  if (!settings.preserveHost) out.host = upstream.host;
+  if (ip) out['x-forwarded-for'] = headers['x-forwarded-for'] ? `${headers['x-forwarded-for']}, ${ip}` : ip;
+  if (visitorHost) out['x-forwarded-host'] = visitorHost;
+  out['x-forwarded-proto'] = protocol;
+  return { url, headers: applyHeaderList(out, settings.requestHeaders) };
+}
+
+/**
+ * Headers of the visitor response for an upstream response.
+ * @param {Object} settings - resolved proxy settings
+ * @param {Object} headers - upstream response headers (lower-case names)
+ * @param {string} basePath - URL prefix of the landing ('' on its domains, '/<slug>' elsewhere)
+ * @returns {Object}
+ */
+function rewriteProxyResponseHeaders(settings, headers, basePath) {
+  const out = stripHopByHop(headers);
+  if (settings.rewriteLocation && typeof out.location === 'string') {
+    const upstream = new URL(settings.upstream);
+    const prefix = upstream.pathname.replace(/\/+$/, '');
+    let location;
+    try {
+      location = new URL(out.location, upstream.href);
+    } catch (e) {
+      location = null;
+    }
+    const inside = location && location.origin === upstream.origin
+      && (location.pathname === prefix || location.pathname.startsWith(prefix + '/') || !prefix);
+    if (inside) out.location = basePath + (location.pathname.slice(prefix.length) || '/') + location.search + location.hash;
+  }
+  applyHeaderList(out, settings.responseHeaders);
+  if (out['set-cookie'] !== undefined) {
+    const setCookie = stripAppSetCookies(out['set-cookie']);
+    if (setCookie) out['set-cookie'] = setCookie;
+    else delete out['set-cookie'];
+  }
+  return out;
+}
+
+/**
+ * Stream a visitor request to the upstream and its response back. Resolves once
+ * the response is sent; rejects with an Error carrying `status` (502, or 504 on
+ * timeout) when the upstream fails before answering or is a private address.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {Object} settings - resolved proxy settings
+ * @param {Object} request - see buildProxyRequest, plus `basePath`
+ * @returns {Promise<void>}
+ */
+function proxyRequest(req, res, settings, request) {
+  const { url, headers } = buildProxyRequest(settings, request);
+  const client = url.protocol === 'https:' ? https : http;
+  // IP literals are connected to without a lookup
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateAddress(address) && !isAllowedProxyTarget(address)) {
+    const error = new Error(`Upstream ${url.host} is not allowed: it is a private address`);
+    error.status = 502;
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    let visitorGone = false;
+    const upstreamReq = client.request(url, { method: req.method, headers, lookup: lookupPublicAddress }, upstreamRes => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, rewriteProxyResponseHeaders(settings, upstreamRes.headers, request.basePath || ''));
+      upstreamRes.pipe(res);
+      upstreamRes.on('end', resolve);
+      upstreamRes.on('error', () => { res.destroy(); resolve(); });
+    });
+
+    upstreamReq.setTimeout(settings.timeout * 1000, () => {
+      const error = new Error(`Upstream ${url.host} did not answer within ${settings.timeout}s`);
+      error.status = 504;
+      upstreamReq.destroy(error);
+    });
+    upstreamReq.on('error', err => {
+      if (visitorGone || res.headersSent) {
+        res.destroy();
+        return resolve();
+      }
+      const error = new Error(err.status ? err.message : `Upstream ${url.host} failed: ${err.message}`);
+      error.status = err.status || 502;
+      reject(error);
+    });
+    // A visitor leaving mid-request aborts the upstream request too
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      visitorGone = true;
+      upstreamReq.destroy();
+    });
+
+    req.pipe(upstreamReq);
+  });
+}
+
+module.exports = {
+  FORWARDING_TYPES,
+  REDIRECT_STATUSES,
+  isForwardingLanding,
+  normalizeRedirectTarget,
+  resolveRedirectTarget,
+  getRedirectTargetLocation,
+  normalizeProxySettings,
+  resolveProxySettings,
+  buildProxyRequest,
+  rewriteProxyResponseHeaders,
+  proxyRequest
+};
@@ -0,0 +1,122 @@
+/**
+ * Host patterns for landing domains and subdomain slug routing.
+ *
+ * A landing domain is either an exact host (`example.com`) or a wildcard
+ * (`*.campaigns.example.com`) matching any single label in front of its base,
+ * like a TLS wildcard certificate: `a.campaigns.example.com` matches,
+ * `campaigns.example.com` and `a.b.campaigns.example.com` do not.
+ *
+ * Subdomain slug routing serves `<slug>.<base>` for the instance's slug domain
+ * bases (`acme.pages.example.com` serves the landing with slug `acme`).
+ *
+ * Hosts resolve with a fixed precedence (see resolveHost in lib/routing-index.js):
+ * exact domain, then wildcard domain, then slug domain.
+ */
+
+const MAX_SLUG_DOMAINS = 20;
+const LABEL = '[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?';
+const HOSTNAME_RE = new RegExp(`^(${LABEL}\\.)*${LABEL}$`);
+
+// Traefik rule syntaxes: v3 takes plain regular expressions, v2 named groups.
+const RULE_SYNTAXES = ['v3', 'v2'];
+
+function isWildcardDomain(domain) {
+  return typeof domain === 'string' && domain.startsWith('*.');
+}
+
+/**
+ * Base of a wildcard domain (`*.campaigns.example.com` → `campaigns.example.com`).
+ * @param {string} domain
+ * @returns {string}
+ */
+function wildcardBase(domain) {
+  return domain.slice(2);
+}
+
+/**
+ * Validate a landing domain: a hostname (port allowed) or a wildcard with a
+ * base of at least two labels. Returns it trimmed and lowercased.
+ * Throws an Error describing the problem.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeDomain(value) {
+  const domain = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!domain) throw new Error('Domain must be a non-empty string');
+  if (isWildcardDomain(domain)) {
+    const base = wildcardBase(domain);
+    if (!HOSTNAME_RE.test(base) || !base.includes('.')) throw new Error(`"${domain}" must look like *.example.com`);
+    return domain;
+  }
+  if (domain.includes('*')) throw new Error(`"${domain}" can only use * as its first label (*.example.com)`);
+  if (!HOSTNAME_RE.test(domain.replace(/:\d+$/, ''))) throw new Error(`"${domain}" is not a valid domain`);
+  return domain;
+}
+
+/**
+ * Validate the instance's slug domain bases (e.g. `pages.example.com`).
+ * Accepts an array or a newline/comma separated string; drops duplicates.
+ * @param {string[]|string} input
+ * @returns {string[]}
+ */
+function normalizeSlugDomains(input) {
+  let domains = input === undefined || input === null ? [] : input;
+  if (typeof domains === 'string') domains = domains.split(/[\n,]/);
+  if (!Array.isArray(domains)) throw new Error('Slug domains must be an array of domains');
+  domains = [...new Set(domains.map(d => String(d).trim().toLowerCase()).filter(Boolean))];
+  if (domains.length > MAX_SLUG_DOMAINS) throw new Error(`At most ${MAX_SLUG_DOMAINS} slug domains are allowed`);
+  const invalid = domains.find(d => !HOSTNAME_RE.test(d) || !d.includes('.'));
+  if (invalid) throw new Error(`"${invalid}" is not a valid domain`);
+  return domains;
+}
+
+/**
+ * Split a hostname into its first label and the rest
+ * (`acme.pages.example.com` → { label: 'acme', base: 'pages.example.com' }).
+ * @param {string} hostname - lowercase, without port
+ * @returns {{ label: string, base: string }|null}
+ */
+function splitFirstLabel(hostname) {
+  const dot = hostname.indexOf('.');
+  if (dot <= 0 || dot === hostname.length - 1) return null;
+  return { label: hostname.slice(0, dot), base: hostname.slice(dot + 1) };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Traefik rule matching one label in front of a base domain.
+ * @param {string} base - e.g. "campaigns.example.com"
+ * @param {string} [syntax] - "v3" (default) or "v2"
+ * @returns {string}
+ */
+function hostRegexpRule(base, syntax = 'v3') {
+  if (syntax === 'v2') return `HostRegexp(\`{subdomain:[a-z0-9-]+}.${base}\`)`;
+  return `HostRegexp(\`^[a-z0-9-]+\\.${escapeRegExp(base)}$\`)`;
+}
+
+/**
+ * Traefik router rule for a list of landing domains: `Host()` for exact
+ * domains, `HostRegexp()` for wildcards.
+ * @param {string[]} domains
+ * @param {string} [syntax] - "v3" (default) or "v2"
+ * @returns {string}
+ */
+function buildHostRule(domains, syntax = 'v3') {
+  return domains
+    .map(d => (isWildcardDomain(d) ? hostRegexpRule(wildcardBase(d), syntax) : `Host(\`${d}\`)`))
+    .join(' || ');
+}
+
+module.exports = {
+  RULE_SYNTAXES,
+  isWildcardDomain,
+  wildcardBase,
+  normalizeDomain,
+  normalizeSlugDomains,
+  splitFirstLabel,
+  hostRegexpRule,
+  buildHostRule
+};
@@ -0,0 +1,248 @@
+/**
+ * Locale handling for EJS landings.
+ *
+ * A landing's supported locales come from its `landing.json` manifest
+ * (`"locales": ["fr", "en", "de"], "defaultLocale": "fr"`); without one they are
+ * discovered from its `locales/<code>.json` translation files. The default is
+ * `defaultLocale`, else the first locale (alphabetical when discovered). URLs may
+ * carry a locale prefix (`/<slug>/de/about`); unprefixed requests are negotiated
+ * from Accept-Language and fall back to the default locale.
+ *
+ * A landing with neither is not localized. Its URLs may still carry the `/fr/`
+ * and `/en/` prefixes every EJS landing recognised before locales were
+ * configurable (LEGACY_LOCALE_PREFIXES); they are stripped for routing only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLandingManifest } = require('./landing-manifest');
+
+const LOCALES_DIR = 'locales';
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const LEGACY_LOCALE_PREFIXES = ['fr', 'en'];
+
+const translationCache = new Map();
+
+function isValidLocale(code) {
+  return typeof code === 'string' && LOCALE_RE.test(code);
+}
+
+/**
+ * Validate the locale fields of a manifest. Throws on invalid codes.
+ * @param {Object} raw - manifest object
+ * @returns {{ locales: string[], defaultLocale: string }|null} null when undeclared
+ */
+function normalizeLocaleConfig(raw) {
+  if (!raw || raw.locales === undefined) return null;
+  if (!Array.isArray(raw.locales) || raw.locales.length === 0) {
+    throw new Error('"locales" must be a non-empty array');
+  }
+  const locales = [];
+  for (const code of raw.locales) {
+    if (!isValidLocale(code)) throw new Error(`Invalid locale "${code}"`);
+    const normalized = code.toLowerCase();
+    if (!locales.includes(normalized)) locales.push(normalized);
+  }
+  const defaultLocale = raw.defaultLocale ? String(raw.defaultLocale).toLowerCase() : locales[0];
+  if (!locales.includes(defaultLocale)) {
+    throw new Error(`"defaultLocale" must be one of ${locales.join(', ')}`);
+  }
+  return { locales, defaultLocale };
+}
+
+function discoverLocales(landingDir) {
+  try {
+    return fs.readdirSync(path.join(landingDir, LOCALES_DIR))
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5).toLowerCase())
+      .filter(isValidLocale)
+      .sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Locales supported by a landing. `locales` is empty when the landing is not
+ * localized: no locale is negotiated and no alternates are emitted.
+ * @param {string} landingDir
+ * @returns {{ locales: string[], defaultLocale: string|null }}
+ */
+function getLocaleConfig(landingDir) {
+  try {
+    const declared = normalizeLocaleConfig(readLandingManifest(landingDir));
+    if (declared) return declared;
+  } catch (err) {
+    console.error(`[i18n] Invalid locale config in ${landingDir}: ${err.message}`);
+  }
+  const locales = discoverLocales(landingDir);
+  return { locales, defaultLocale: locales[0] || null };
+}
+
+/**
+ * Locale prefixes recognised in the URLs of a landing: its locales, or
+ * LEGACY_LOCALE_PREFIXES when it is not localized.
+ * @param {{ locales: string[] }} config - see getLocaleConfig
+ * @returns {string[]}
+ */
+function getRoutingLocales(config) {
+  return config.locales.length ? config.locales : LEGACY_LOCALE_PREFIXES;
+}
+
+/**
+ * Split a leading locale segment off a page path.
+ * @param {string} pagePath - path below the landing root, e.g. "de/about"
+ * @param {string[]} locales
+ * @returns {{ locale: string|null, rest: string }}
+ */
+function splitLocalePrefix(pagePath, locales) {
+  const clean = String(pagePath || '').replace(/^\/+/, '');
+  const [first, ...rest] = clean.split('/');
+  if (first && locales.includes(first.toLowerCase())) {
+    return { locale: first.toLowerCase(), rest: rest.join('/') };
+  }
+  return { locale: null, rest: clean };
+}
+
+/**
+ * Parse an Accept-Language header into tags ordered by preference.
+ * @param {string} header
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') return [];
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(p => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+/**
+ * Pick the best supported locale for an Accept-Language header. Exact tags win,
+ * then primary subtags ("de-CH" matches "de", "pt" matches "pt-br").
+ * @param {string} header
+ * @param {{ locales: string[], defaultLocale: string|null }} config
+ * @returns {string|null}
+ */
+function negotiateLocale(header, { locales, defaultLocale }) {
+  for (const tag of parseAcceptLanguage(header)) {
+    if (locales.includes(tag)) return tag;
+    const primary = tag.split('-')[0];
+    const match = locales.find(l => l === primary || l.split('-')[0] === primary);
+    if (match) return match;
+  }
+  return defaultLocale;
+}
+
+function readTranslationFile(landingDir, locale) {
+  const filePath = path.join(landingDir, LOCALES_DIR, locale + '.json');
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    return {};
+  }
+  const cached = translationCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`[i18n] Invalid translation file ${filePath}: ${err.message}`);
+  }
+  translationCache.set(filePath, { mtimeMs: stat.mtimeMs, data });
+  return data;
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return out;
+}
+
+/**
+ * Translations for a locale, with missing keys filled from the default locale.
+ * @param {string} landingDir
+ * @param {string|null} locale
+ * @param {string|null} defaultLocale
+ * @returns {Object}
+ */
+function loadTranslations(landingDir, locale, defaultLocale) {
+  if (!locale) return {};
+  const current = readTranslationFile(landingDir, locale);
+  if (!defaultLocale || defaultLocale === locale) return current;
+  return deepMerge(readTranslationFile(landingDir, defaultLocale), current);
+}
+
+/**
+ * Wrap a translations object into a `t(key, vars)` helper. Dotted keys are looked
+ * up in nested objects and `{name}` placeholders are replaced from `vars`; a
+ * missing key renders as the key itself. The object's top-level keys stay
+ * reachable as properties (`t.nav.home`) for templates written that way.
+ * @param {Object} translations
+ * @returns {Function}
+ */
+function createTranslationHelper(translations) {
+  const source = translations || {};
+  const t = (key, vars) => {
+    const value = String(key).split('.').reduce((v, k) => (v == null ? undefined : v[k]), source);
+    if (typeof value !== 'string') return value === undefined ? key : value;
+    if (!vars) return value;
+    return value.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? String(vars[name]) : m));
+  };
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in Function.prototype) && key !== 'length' && key !== 'name') t[key] = value;
+  }
+  return t;
+}
+
+/**
+ * hreflang alternates for a page: one prefixed URL per locale plus x-default
+ * pointing at the unprefixed (negotiated) URL.
+ * @param {Object} opts
+ * @param {string} opts.origin - e.g. "https://example.com"
+ * @param {string} opts.basePath - "" on a landing's own domain, "/<slug>" otherwise
+ * @param {string} opts.page - page name, "index" for the root
+ * @param {string[]} opts.locales
+ * @returns {Array<{ hreflang: string, href: string }>}
+ */
+function buildAlternateLinks({ origin, basePath, page, locales }) {
+  if (!locales || locales.length < 2) return [];
+  const suffix = page && page !== 'index' ? '/' + page : '';
+  const links = locales.map(locale => ({ hreflang: locale, href: `${origin}${basePath}/${locale}${suffix}` }));
+  links.push({ hreflang: 'x-default', href: origin + (`${basePath}${suffix}` || '/') });
+  return links;
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function renderAlternateLinks(links) {
+  return links.map(l => `<link rel="alternate" hreflang="${escapeAttr(l.hreflang)}" href="${escapeAttr(l.href)}">`).join('\n');
+}
+
+module.exports = {
+  isValidLocale,
+  normalizeLocaleConfig,
+  getLocaleConfig,
+  getRoutingLocales,
+  splitLocalePrefix,
+  parseAcceptLanguage,
+  negotiateLocale,
+  loadTranslations,
+  createTranslationHelper,
+  buildAlternateLinks,
+  renderAlternateLinks
+};
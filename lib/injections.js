@@ -0,0 +1,129 @@
+/**
+ * Serve-time HTML injection rules (analytics tags, chat widgets, consent banners).
+ *
+ * Rules come from three levels and are applied in this order:
+ *   1. instance: the INJECT_HEAD_HTML env var (a single head snippet)
+ *   2. organization: `organization.injections`
+ *   3. landing: `landing.injections` (versioned with the landing)
+ *
+ * A rule is `{ id, name, position: 'head'|'body', html, domains: [], enabled }`.
+ * An empty `domains` list applies the rule on every host; otherwise only requests
+ * whose Host matches one of the domains get it. A snippet whose `src` already
+ * appears in the page is skipped so bundles that ship their own tag are not
+ * double-counted.
+ */
+
+const crypto = require('crypto');
+
+const POSITIONS = ['head', 'body'];
+const MAX_RULES = 50;
+const MAX_SNIPPET_LENGTH = 50000;
+
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/:\d+$/, '');
+}
+
+/**
+ * Validate injection rules coming from the admin API.
+ * Throws an Error describing the first invalid rule.
+ * @param {Array} input
+ * @returns {Array<Object>}
+ */
+function normalizeInjections(input) {
+  if (!Array.isArray(input)) throw new Error('Injections must be an array');
+  if (input.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} injection rules are allowed`);
+
+  return input.map((rule, i) => {
+    if (!rule || typeof rule !== 'object') throw new Error(`Injection ${i + 1} must be an object`);
+    const position = rule.position || 'head';
+    if (!POSITIONS.includes(position)) throw new Error(`Injection ${i + 1}: position must be "head" or "body"`);
+    if (typeof rule.html !== 'string' || !rule.html.trim()) throw new Error(`Injection ${i + 1}: html is required`);
+    if (rule.html.length > MAX_SNIPPET_LENGTH) {
+      throw new Error(`Injection ${i + 1}: html exceeds ${MAX_SNIPPET_LENGTH} characters`);
+    }
+    const domains = Array.isArray(rule.domains) ? rule.domains.map(normalizeDomain).filter(Boolean) : [];
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomBytes(6).toString('hex'),
+      name: typeof rule.name === 'string' ? rule.name.trim() : '',
+      position,
+      html: rule.html,
+      domains: [...new Set(domains)],
+      enabled: rule.enabled !== false
+    };
+  });
+}
+
+// The legacy global snippet, expressed as an instance-level rule.
+function getInstanceInjections() {
+  const html = process.env.INJECT_HEAD_HTML || '';
+  return html ? [{ id: 'instance', name: 'INJECT_HEAD_HTML', position: 'head', html, domains: [], enabled: true }] : [];
+}
+
+/**
+ * Enabled rules of a landing on any host, in application order.
+ * @param {Object} opts
+ * @param {Object} [opts.landing]
+ * @param {Object} [opts.organization]
+ * @returns {Array<Object>}
+ */
+function listInjections({ landing, organization }) {
+  return [
+    ...getInstanceInjections(),
+    ...((organization && organization.injections) || []),
+    ...((landing && landing.injections) || [])
+  ].filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Rules applying to a request, in application order.
+ * @param {Object} opts
+ * @param {Object} [opts.landing]
+ * @param {Object} [opts.organization]
+ * @param {string} [opts.host] - request Host header
+ * @returns {Array<Object>}
+ */
+function resolveInjections({ landing, organization, host }) {
+  const requestHost = normalizeDomain(host);
+  return listInjections({ landing, organization })
+    .filter(rule => !rule.domains || !rule.domains.length || rule.domains.includes(requestHost));
+}
+
+function alreadyPresent(html, snippet) {
+  const m = snippet.match(/src="([^"]+)"/);
+  return Boolean(m && html.indexOf(m[1]) !== -1);
+}
+
+/**
+ * Insert rules into an HTML document: head snippets before `</head>` (skipped when
+ * the document has none), body snippets before the last `</body>` (or appended).
+ * @param {string} html
+ * @param {Array<Object>} rules
+ * @returns {string}
+ */
+function applyInjections(html, rules) {
+  if (typeof html !== 'string' || !rules || !rules.length) return html;
+
+  let head = '';
+  let body = '';
+  for (const rule of rules) {
+    if (alreadyPresent(html, rule.html)) continue;
+    if (rule.position === 'body') body += rule.html;
+    else head += rule.html;
+  }
+
+  let out = html;
+  if (head && out.indexOf('</head>') !== -1) out = out.replace('</head>', head + '</head>');
+  if (body) {
+    const idx = out.lastIndexOf('</body>');
+    out = idx === -1 ? out + body : out.slice(0, idx) + body + out.slice(idx);
+  }
+  return out;
+}
+
+module.exports = {
+  normalizeInjections,
+  getInstanceInjections,
+  listInjections,
+  resolveInjections,
+  applyInjections
+};
@@ -0,0 +1,43 @@
+/**
+ * Reads the optional `landing.json` manifest shipped at the root of an EJS landing.
+ * Feature modules (data providers, i18n) validate their own sections of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'landing.json';
+
+const cache = new Map();
+
+/**
+ * Parsed manifest of a landing directory, cached until the file's mtime changes.
+ * Returns null when the landing has no manifest; throws on invalid JSON.
+ * @param {string} landingDir
+ * @returns {Object|null}
+ */
+function readLandingManifest(landingDir) {
+  const manifestPath = path.join(landingDir, MANIFEST_FILE);
+  let stat;
+  try {
+    stat = fs.statSync(manifestPath);
+  } catch (e) {
+    cache.delete(manifestPath);
+    return null;
+  }
+
+  const cached = cache.get(manifestPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.manifest;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`${MANIFEST_FILE} must contain a JSON object`);
+  }
+  cache.set(manifestPath, { mtimeMs: stat.mtimeMs, manifest });
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  readLandingManifest
+};
@@ -0,0 +1,265 @@
+/**
+ * Broken-link and missing-asset checker for file-based landings (html, static,
+ * virtual and EJS).
+ *
+ * Every `.html`, `.htm`, `.ejs` and `.css` file of a landing is scanned for
+ * internal references: `href`, `src`, `srcset`, `poster`, `action` and `data-src`
+ * attributes, CSS `url()` and `@import`. Each reference is resolved the way the
+ * app serves the landing:
+ *   - relative references against the folder of the file (EJS partials in a
+ *     `partials/` folder against the landing root, where they are rendered),
+ *   - `/<slug>/...` and `/...` against the landing root,
+ *   - files, EJS pages and manifest routes (with a locale prefix), SPA client
+ *     routes, redirect rules and `_shared/` assets of the organization.
+ * External URLs, anchors, links to other landings (`/<their-slug>/...`), app
+ * endpoints (`_forms/`, `_access/`, robots.txt, sitemap.xml) and values built by
+ * EJS tags or `{{param}}` placeholders are not checked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchRedirect } = require('./redirects');
+const { shouldServeSpaFallback } = require('./spa');
+const { getLocaleConfig, getRoutingLocales, splitLocalePrefix } = require('./i18n');
+const { loadDataManifest, matchRoute } = require('./data-providers');
+const { matchSharedAssetPath, resolveLibraryFile } = require('./shared-library');
+
+const CHECKED_TYPES = ['html', 'static', 'virtual', 'ejs'];
+const SCANNED_EXTENSIONS = ['.html', '.htm', '.ejs', '.css'];
+const MAX_SCANNED_FILES = 2000;
+const MAX_SCANNED_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_REPORTED = 200;
+
+const ATTRIBUTE_PATTERN = /\s(href|src|srcset|poster|action|data-src)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]+))\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+// Served by the app below every landing root
+const APP_PATHS = /^(_forms|_access)(\/|$)|^(robots\.txt|sitemap\.xml)$/;
+// Replaced in blanked-out EJS tags, so references built by them are skipped
+const EJS_MARK = '\u0000';
+
+/**
+ * Whether links of a landing type can be checked.
+ * @param {Object} landing
+ * @returns {boolean}
+ */
+function isLinkCheckable(landing) {
+  return Boolean(landing && CHECKED_TYPES.includes(landing.type));
+}
+
+// Replace every match of a pattern (or of its group 2 when it has three groups)
+// with a filler of the same length, keeping newlines so line numbers stay right.
+function blank(text, pattern, filler = ' ') {
+  const fill = value => value.replace(/[^\n]/g, filler);
+  return text.replace(pattern, (match, open, body, close) => (
+    typeof close === 'string' ? open + fill(body) + close : fill(match)
+  ));
+}
+
+// Offsets where the lines of a text start, for lineAt
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+// Line number (1-based) of an offset, by binary search of the line starts
+function lineAt(starts, index) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+/**
+ * References of a file, with their line numbers.
+ * @param {string} content
+ * @param {string} kind - 'html', 'ejs' or 'css'
+ * @returns {Array<{ ref: string, line: number }>}
+ */
+function extractReferences(content, kind) {
+  const refs = [];
+  const starts = lineStarts(content);
+  const add = (value, index) => refs.push({ ref: value.trim(), line: lineAt(starts, index) });
+
+  let text = content;
+  if (kind === 'css') {
+    text = blank(text, /\/\*[\s\S]*?\*\//g);
+  } else {
+    text = blank(text, /<!--[\s\S]*?-->/g);
+    if (kind === 'ejs') text = blank(text, /<%[\s\S]*?%>/g, EJS_MARK);
+    text = blank(text, /(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi);
+
+    for (const match of text.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = match[2] !== undefined ? match[2] : match[3];
+      const valueIndex = match.index + match[0].length - value.length - 1;
+      if (match[1].toLowerCase() !== 'srcset') {
+        add(value, valueIndex);
+        continue;
+      }
+      if (/^\s*data:/i.test(value)) continue;
+      for (const candidate of value.split(',')) {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) add(url, valueIndex);
+      }
+    }
+  }
+
+  for (const match of text.matchAll(CSS_URL_PATTERN)) {
+    add(match[1] ?? match[2] ?? match[3], match.index);
+  }
+  for (const match of text.matchAll(CSS_IMPORT_PATTERN)) {
+    add(match[1] ?? match[2], match.index);
+  }
+  return refs.filter(({ ref }) => isInternalReference(ref));
+}
+
+function isInternalReference(ref) {
+  if (!ref || ref.startsWith('#') || ref.startsWith('//')) return false;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) return false;
+  return !ref.includes(EJS_MARK) && !ref.includes('{{') && !ref.includes('${');
+}
+
+function scanFiles(dir, prefix, files) {
+  for (const item of fs.readdirSync(dir).sort()) {
+    if (item.startsWith('.') || item === 'node_modules') continue;
+    const fullPath = path.join(dir, item);
+    const relativePath = prefix ? `${prefix}/${item}` : item;
+    const stat = fs.statSync(fullPath);
+    if (stat.isDirectory()) {
+      scanFiles(fullPath, relativePath, files);
+    } else if (SCANNED_EXTENSIONS.includes(path.extname(item).toLowerCase()) && stat.size <= MAX_SCANNED_FILE_SIZE) {
+      if (files.length < MAX_SCANNED_FILES) files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+function isFile(landingDir, filePath) {
+  const fullPath = path.join(landingDir, filePath);
+  return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+}
+
+function isValidPage(page) {
+  return /^[a-z0-9][a-z0-9\-_]*$/i.test(page);
+}
+
+// Same resolution as renderEjsPage in routes/serve.js
+function isEjsTarget(ctx, target) {
+  if (!/\.(ejs|json)$/i.test(target) && isFile(ctx.landingDir, target)) return true;
+  const { rest } = splitLocalePrefix(target, ctx.locales());
+  const page = rest.replace(/\/+$/, '').replace(/\.ejs$/, '') || 'index';
+  if (!isValidPage(page)) return false;
+  if (isFile(ctx.landingDir, page + '.ejs')) return true;
+  const route = matchRoute(ctx.manifest(), page);
+  return Boolean(route && isValidPage(route.template) && isFile(ctx.landingDir, route.template + '.ejs'));
+}
+
+// Why a path below the landing root is not served, or null when it is
+function targetProblem(ctx, target) {
+  const { landing, landingDir } = ctx;
+  if (APP_PATHS.test(target)) return null;
+
+  const sharedPath = matchSharedAssetPath('/' + target);
+  if (sharedPath || target.startsWith('_shared/')) {
+    return sharedPath && resolveLibraryFile(landing.organizationId, sharedPath) ? null : 'Shared asset not found';
+  }
+  if (matchRedirect(landing.redirects || [], '/' + target)) return null;
+
+  const clean = target.replace(/\/+$/, '');
+  if (landing.type === 'ejs') return isEjsTarget(ctx, clean) ? null : 'Page not found';
+  if (!clean) return isFile(landingDir, 'index.html') ? null : 'Not found';
+  if (isFile(landingDir, clean) || shouldServeSpaFallback(landing, 'GET', clean)) return null;
+  return 'Not found';
+}
+
+// Problem of one reference found in `file`, or null when it resolves
+function referenceProblem(ctx, file, ref) {
+  let value = ref.split(/[?#]/)[0];
+  if (!value) return null;
+  try {
+    value = decodeURIComponent(value);
+  } catch (e) {
+    return 'Invalid URL encoding';
+  }
+
+  const { slug } = ctx.landing;
+  if (value.startsWith('/')) {
+    const target = path.posix.normalize(value).replace(/^\/+/, '');
+    if (target === slug || target.startsWith(slug + '/')) return targetProblem(ctx, target.slice(slug.length + 1));
+
+    const [first, ...rest] = target.split('/');
+    if (ctx.knownSlugs.has(first)) return null;
+    const problem = targetProblem(ctx, target);
+    // A prefix left over from a previous slug or another deployment
+    if (problem && rest.length && !targetProblem(ctx, rest.join('/'))) {
+      return `Points to /${first}/ instead of /${slug}/`;
+    }
+    return problem;
+  }
+
+  const baseDir = ctx.landing.type === 'ejs' && file.split('/').includes('partials') ? '.' : path.posix.dirname(file);
+  const target = path.posix.normalize(path.posix.join(baseDir, value));
+  if (target === '..' || target.startsWith('../')) return 'Points outside the landing';
+  return targetProblem(ctx, target === '.' ? '' : target.replace(/^\.\//, ''));
+}
+
+/**
+ * Check the internal links and asset references of a landing.
+ * @param {Object} landing - { slug, type, organizationId, redirects, spa }
+ * @param {string} landingDir - folder holding the landing files
+ * @param {Object} [options]
+ * @param {string[]} [options.knownSlugs] - slugs of the other landings, whose links are not checked
+ * @returns {{ checkedAt: string, files: number, references: number, broken: Array<{ file, line, ref, reason }>, truncated: boolean }}
+ */
+function checkLandingLinks(landing, landingDir, { knownSlugs = [] } = {}) {
+  let locales = null;
+  let manifest;
+  const ctx = {
+    landing,
+    landingDir,
+    knownSlugs: new Set(knownSlugs.filter(s => s !== landing.slug)),
+    locales: () => (locales = locales || getRoutingLocales(getLocaleConfig(landingDir))),
+    manifest: () => {
+      if (manifest === undefined) {
+        try {
+          manifest = loadDataManifest(landingDir);
+        } catch (e) {
+          manifest = null;
+        }
+      }
+      return manifest;
+    }
+  };
+
+  const files = fs.existsSync(landingDir) ? scanFiles(landingDir, '', []) : [];
+  const broken = [];
+  let references = 0;
+  for (const file of files) {
+    const ext = path.extname(file).toLowerCase();
+    const kind = ext === '.css' ? 'css' : ext === '.ejs' ? 'ejs' : 'html';
+    for (const { ref, line } of extractReferences(fs.readFileSync(path.join(landingDir, file), 'utf8'), kind)) {
+      references++;
+      const reason = referenceProblem(ctx, file, ref);
+      if (reason) broken.push({ file, line, ref, reason });
+    }
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    files: files.length,
+    references,
+    broken: broken.slice(0, MAX_REPORTED),
+    truncated: broken.length > MAX_REPORTED
+  };
+}
+
+module.exports = {
+  isLinkCheckable,
+  extractReferences,
+  checkLandingLinks
+};
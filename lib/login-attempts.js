@@ -0,0 +1,57 @@
+/**
+ * Failed logins on protected landings (lib/access.js), counted per IP and landing:
+ * login form posts (routes/access.js) and basic auth credentials
+ * (lib/access-control.js). Over the limit, credentials are refused without being
+ * checked, so guessing passwords cannot keep bcrypt busy.
+ */
+
+const MAX_ATTEMPTS_PER_MINUTE = 10;
+const WINDOW_MS = 60 * 1000;
+const MAX_TRACKED_KEYS = 10000;
+
+const attempts = new Map();
+
+/**
+ * Key of the attempts of a visitor on a landing.
+ * @param {string} ip
+ * @param {Object} landing
+ * @returns {string}
+ */
+function loginAttemptKey(ip, landing) {
+  return `${ip}:${landing.id}`;
+}
+
+/**
+ * Whether failed logins of a key reached the limit for the current minute.
+ * @param {string} key - see loginAttemptKey
+ * @returns {boolean}
+ */
+function isLoginRateLimited(key) {
+  const now = Date.now();
+  if (attempts.size > MAX_TRACKED_KEYS) {
+    for (const [k, bucket] of attempts) if (bucket.resetAt <= now) attempts.delete(k);
+  }
+  const bucket = attempts.get(key);
+  return Boolean(bucket && bucket.resetAt > now && bucket.count >= MAX_ATTEMPTS_PER_MINUTE);
+}
+
+/**
+ * Count a failed login.
+ * @param {string} key - see loginAttemptKey
+ */
+function recordLoginFailure(key) {
+  const now = Date.now();
+  let bucket = attempts.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + WINDOW_MS };
+    attempts.set(key, bucket);
+  }
+  bucket.count++;
+}
+
+module.exports = {
+  MAX_ATTEMPTS_PER_MINUTE,
+  loginAttemptKey,
+  isLoginRateLimited,
+  recordLoginFailure
+};
@@ -0,0 +1,158 @@
+/**
+ * Maintenance mode for one landing, all landings of an organization, or the
+ * whole instance, without touching Traefik routes or publish state.
+ *
+ * Each scope stores its settings as `maintenance` (on the landing, on the
+ * organization, and at the root of the database for the instance):
+ *   { enabled, title, message, retryAfter, allowIps, allowUsers, updatedAt }
+ * While a scope covering a landing is on, visitors get a 503 page with a
+ * `Retry-After` header, unless that scope lets them through: their IP is in
+ * `allowIps` (addresses or IPv4 CIDR ranges), or `allowUsers` is on and they are
+ * logged in as an admin or a member of the landing's organization.
+ *
+ * The page is the landing's `maintenance.html`/`maintenance.ejs`, else the same
+ * file in the instance error pages directory, else a built-in page showing the
+ * configured title and message.
+ */
+
+const net = require('net');
+
+const DEFAULT_RETRY_AFTER = 3600;
+const MAX_RETRY_AFTER = 7 * 24 * 3600;
+const MAX_TITLE_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_ALLOWED_IPS = 100;
+const DEFAULT_TITLE = 'Down for maintenance';
+const DEFAULT_MESSAGE = 'We are making some improvements. Please check back soon.';
+
+// Scopes from the widest to the narrowest
+const SCOPES = ['instance', 'organization', 'landing'];
+
+function isIpOrRange(value) {
+  if (net.isIP(value)) return true;
+  const [ip, bits] = value.split('/');
+  return net.isIPv4(ip) && /^\d+$/.test(bits || '') && Number(bits) <= 32;
+}
+
+/**
+ * Validate maintenance settings coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { enabled?, title?, message?, retryAfter?, allowIps?, allowUsers? }
+ * @returns {Object}
+ */
+function normalizeMaintenance(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Maintenance settings must be an object');
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') throw new Error('enabled must be a boolean');
+  if (input.allowUsers !== undefined && typeof input.allowUsers !== 'boolean') throw new Error('allowUsers must be a boolean');
+
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (title.length > MAX_TITLE_LENGTH) throw new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  const message = typeof input.message === 'string' ? input.message.trim() : '';
+  if (message.length > MAX_MESSAGE_LENGTH) throw new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+
+  const retryAfter = input.retryAfter === undefined || input.retryAfter === null || input.retryAfter === ''
+    ? DEFAULT_RETRY_AFTER
+    : Number(input.retryAfter);
+  if (!Number.isInteger(retryAfter) || retryAfter < 1 || retryAfter > MAX_RETRY_AFTER) {
+    throw new Error(`retryAfter must be between 1 and ${MAX_RETRY_AFTER} seconds`);
+  }
+
+  let allowIps = input.allowIps === undefined ? [] : input.allowIps;
+  if (typeof allowIps === 'string') allowIps = allowIps.split(/[\n,]/);
+  if (!Array.isArray(allowIps)) throw new Error('allowIps must be an array of IP addresses');
+  allowIps = allowIps.map(ip => String(ip).trim()).filter(Boolean);
+  if (allowIps.length > MAX_ALLOWED_IPS) throw new Error(`allowIps allows at most ${MAX_ALLOWED_IPS} entries`);
+  const invalid = allowIps.find(ip => !isIpOrRange(ip));
+  if (invalid) throw new Error(`"${invalid}" is not an IP address or IPv4 range`);
+
+  return { enabled: input.enabled === true, title, message, retryAfter, allowIps, allowUsers: input.allowUsers === true };
+}
+
+/**
+ * Effective maintenance settings of a landing, organization or instance record
+ * (off by default).
+ * @param {Object} [target]
+ */
+function resolveMaintenance(target) {
+  const maintenance = (target && target.maintenance) || {};
+  return {
+    enabled: maintenance.enabled === true,
+    title: maintenance.title || '',
+    message: maintenance.message || '',
+    retryAfter: maintenance.retryAfter || DEFAULT_RETRY_AFTER,
+    allowIps: Array.isArray(maintenance.allowIps) ? maintenance.allowIps : [],
+    allowUsers: maintenance.allowUsers === true
+  };
+}
+
+/**
+ * Scopes in maintenance for a landing, widest first.
+ * @param {{ instance?: Object, organization?: Object, landing?: Object }} targets
+ * @returns {Array<{ scope: string, settings: Object }>}
+ */
+function activeMaintenance(targets) {
+  return SCOPES
+    .map(scope => ({ scope, settings: resolveMaintenance(targets[scope]) }))
+    .filter(({ settings }) => settings.enabled);
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => (n << 8) + Number(part), 0) >>> 0;
+}
+
+/**
+ * Whether a client IP matches an allowlist of addresses and IPv4 CIDR ranges.
+ * IPv4-mapped IPv6 addresses (`::ffff:1.2.3.4`) match their IPv4 form.
+ * @param {string} ip
+ * @param {string[]} allowIps
+ * @returns {boolean}
+ */
+function isIpAllowed(ip, allowIps) {
+  const client = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').toLowerCase();
+  if (!client) return false;
+  return allowIps.some(entry => {
+    if (!entry.includes('/')) return entry.toLowerCase() === client;
+    if (!net.isIPv4(client)) return false;
+    const [range, bits] = entry.split('/');
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return (ipv4ToInt(client) & mask) === (ipv4ToInt(range) & mask);
+  });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Built-in maintenance page.
+ * @param {{ title?: string, message?: string }} settings
+ * @returns {string}
+ */
+function renderMaintenancePage({ title, message }) {
+  const heading = escapeHtml(title || DEFAULT_TITLE);
+  const text = escapeHtml(message || DEFAULT_MESSAGE).replace(/\n/g, '<br>');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${heading}</title></head>`
+    + `<body style="font-family:sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;color:#333">`
+    + `<h1>${heading}</h1><p>${text}</p></body></html>`;
+}
+
+/**
+ * Audit log details for a maintenance change.
+ * @param {Object} settings - normalized settings
+ * @param {string} scopeLabel - e.g. "organization Acme"
+ * @returns {string}
+ */
+function describeMaintenance(settings, scopeLabel) {
+  return `Maintenance mode ${settings.enabled ? 'on' : 'off'} for ${scopeLabel}`;
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_RETRY_AFTER,
+  normalizeMaintenance,
+  resolveMaintenance,
+  activeMaintenance,
+  isIpAllowed,
+  renderMaintenancePage,
+  describeMaintenance
+};
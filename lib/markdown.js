@@ -0,0 +1,713 @@
+/**
+ * Markdown landings: one or more `.md` files with front-matter, rendered on the
+ * server through a layout, with syntax highlighted code blocks and a table of
+ * contents built from the page headings.
+ *
+ * Files map to clean URLs: `index.md` → `/`, `about.md` → `/about`,
+ * `docs/index.md` → `/docs`, `docs/setup.md` → `/docs/setup`. Links to other
+ * `.md` files are rewritten to those URLs. A page's front-matter may set `title`,
+ * `description`, `layout`, `toc` (false hides the table of contents) and `order`
+ * (position in the navigation).
+ *
+ * The landing's `markdown` settings pick the default layout (`docs`, `article`,
+ * `plain`, or `custom` for an `_layout.ejs` shipped with the files) and turn
+ * the table of contents and highlighting on or off. The renderer covers the
+ * CommonMark blocks in common use plus GitHub tables, task lists and
+ * strikethrough; raw HTML is passed through, as in HTML landings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUTS = ['docs', 'article', 'plain', 'custom'];
+const CUSTOM_LAYOUT_FILE = '_layout.ejs';
+const MAX_FILES = 200;
+const MAX_FILE_LENGTH = 1000000;
+const PAGE_FILE_RE = /^([a-z0-9][a-z0-9\-_]*\/)*[a-z0-9][a-z0-9\-_]*\.md$/i;
+const SEGMENT_RE = /^[a-z0-9][a-z0-9\-_]*$/i;
+
+const DEFAULT_CONTENT = '---\ntitle: New page\n---\n\n# New page\n\nWrite your content in **Markdown**.\n';
+
+// --- settings -------------------------------------------------------------------
+
+/**
+ * Validate markdown settings coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { layout?, toc?, highlight? }
+ * @returns {{ layout: string, toc: boolean, highlight: boolean }}
+ */
+function normalizeMarkdownSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Markdown settings must be an object');
+  const layout = input.layout === undefined || input.layout === '' ? 'docs' : input.layout;
+  if (!LAYOUTS.includes(layout)) throw new Error(`layout must be one of: ${LAYOUTS.join(', ')}`);
+  for (const key of ['toc', 'highlight']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') throw new Error(`${key} must be a boolean`);
+  }
+  return { layout, toc: input.toc !== false, highlight: input.highlight !== false };
+}
+
+/**
+ * Effective markdown settings of a landing.
+ * @param {Object} landing
+ */
+function resolveMarkdownSettings(landing) {
+  const settings = (landing && landing.markdown) || {};
+  return {
+    layout: LAYOUTS.includes(settings.layout) ? settings.layout : 'docs',
+    toc: settings.toc !== false,
+    highlight: settings.highlight !== false
+  };
+}
+
+/**
+ * Validate the files of a markdown landing coming from the admin editor:
+ * `.md` pages (folders allowed) and an optional `_layout.ejs`. `index.md` is required.
+ * Throws an Error describing the first problem.
+ * @param {Array<{ path: string, content: string }>} input
+ * @returns {Array<{ path: string, content: string }>}
+ */
+function normalizeMarkdownFiles(input) {
+  if (!Array.isArray(input)) throw new Error('Files must be an array');
+  if (input.length > MAX_FILES) throw new Error(`At most ${MAX_FILES} files are allowed`);
+  const seen = new Set();
+  const files = input.map((file, i) => {
+    if (!file || typeof file !== 'object') throw new Error(`File ${i + 1} must be an object`);
+    const filePath = typeof file.path === 'string' ? file.path.trim().replace(/^\/+/, '') : '';
+    if (filePath !== CUSTOM_LAYOUT_FILE && !PAGE_FILE_RE.test(filePath)) {
+      throw new Error(`"${filePath}" must be a .md file (letters, numbers, - and _) or ${CUSTOM_LAYOUT_FILE}`);
+    }
+    if (seen.has(filePath.toLowerCase())) throw new Error(`"${filePath}" is listed twice`);
+    seen.add(filePath.toLowerCase());
+    if (typeof file.content !== 'string') throw new Error(`"${filePath}": content must be a string`);
+    if (file.content.length > MAX_FILE_LENGTH) throw new Error(`"${filePath}" exceeds ${MAX_FILE_LENGTH} characters`);
+    return { path: filePath, content: file.content };
+  });
+  if (!seen.has('index.md')) throw new Error('A markdown landing needs an index.md page');
+  return files;
+}
+
+// --- front-matter ---------------------------------------------------------------
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^"(.*)"$/.test(value)) return value.slice(1, -1).replace(/\\"/g, '"');
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~' || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(v => parseScalar(v)).filter(v => v !== null);
+  return value;
+}
+
+/**
+ * Split a `---` delimited front-matter block (flat `key: value` pairs, with
+ * strings, numbers, booleans and `[a, b]` lists) from the markdown body.
+ * @param {string} source
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(source) {
+  const text = String(source || '').replace(/^﻿/, '');
+  const m = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+  if (!m) return { data: {}, body: text };
+  const data = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const pair = /^([A-Za-z0-9_-]+)\s*:(.*)$/.exec(line);
+    if (pair) data[pair[1]] = parseScalar(pair[2]);
+  }
+  return { data, body: text.slice(m[0].length) };
+}
+
+// --- syntax highlighting --------------------------------------------------------
+
+const STRINGS = `"(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'`;
+const NUMBER = '\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+const HASH_COMMENT = '(?<=^|\\s)#[^\\n]*';
+const words = list => `\\b(?:${list.split(' ').join('|')})\\b`;
+
+// Token rules per language: [class, regex source without capturing groups]
+const GRAMMARS = {
+  javascript: {
+    rules: [
+      ['comment', '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'],
+      ['string', '`(?:\\\\[\\s\\S]|[^\\\\`])*`|' + STRINGS],
+      ['keyword', words('const let var function return if else for while do switch case break continue new class extends import from export default async await try catch finally throw typeof instanceof in of this super null undefined true false yield delete void interface type enum implements public private protected readonly static get set')],
+      ['number', NUMBER]
+    ]
+  },
+  json: {
+    rules: [
+      ['attr', '"(?:\\\\.|[^"\\\\\\n])*"(?=\\s*:)'],
+      ['string', STRINGS],
+      ['keyword', words('true false null')],
+      ['number', '-?' + NUMBER]
+    ]
+  },
+  css: {
+    rules: [
+      ['comment', '\\/\\*[\\s\\S]*?\\*\\/'],
+      ['string', STRINGS],
+      ['keyword', '@[\\w-]+|!important'],
+      ['attr', '[\\w-]+(?=\\s*:[^:{}]*[;}])'],
+      ['number', '#[\\da-fA-F]{3,8}\\b|-?\\b\\d+(?:\\.\\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\\b']
+    ]
+  },
+  html: {
+    rules: [
+      ['comment', '<!--[\\s\\S]*?-->'],
+      ['tag', '<\\/?[\\w:-]+|\\/?>'],
+      ['attr', '[\\w:-]+(?==)'],
+      ['string', STRINGS]
+    ]
+  },
+  bash: {
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['string', STRINGS],
+      ['variable', '\\$\\{[^}\\n]*\\}|\\$[\\w@#?*!$-]+'],
+      ['keyword', words('if then else elif fi for in do done while until case esac function return export local echo cd sudo exit source')],
+      ['number', NUMBER]
+    ]
+  },
+  python: {
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['string', '"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|' + STRINGS],
+      ['meta', '@[\\w.]+'],
+      ['keyword', words('def class return if elif else for while in not and or is import from as with try except finally raise pass break continue lambda yield global nonlocal async await None True False self')],
+      ['number', NUMBER]
+    ]
+  },
+  yaml: {
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['attr', '^[ \\t-]*[\\w.\\/-]+(?=[ \\t]*:(?:\\s|$))'],
+      ['string', STRINGS],
+      ['keyword', words('true false null yes no on off')],
+      ['number', NUMBER]
+    ]
+  },
+  sql: {
+    flags: 'i',
+    rules: [
+      ['comment', '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'],
+      ['string', STRINGS],
+      ['keyword', words('select from where and or not insert into values update set delete create table drop alter add index join left right inner outer on group by order having limit offset as distinct null is in like between union all primary key references default')],
+      ['number', NUMBER]
+    ]
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  xml: 'html', svg: 'html', vue: 'html', ejs: 'html',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  py: 'python', yml: 'yaml', scss: 'css', less: 'css', postgres: 'sql', mysql: 'sql'
+};
+
+const compiledGrammars = {};
+
+function getGrammar(lang) {
+  const name = LANGUAGE_ALIASES[lang] || lang;
+  const grammar = GRAMMARS[name];
+  if (!grammar) return null;
+  if (!compiledGrammars[name]) {
+    compiledGrammars[name] = {
+      classes: grammar.rules.map(([cls]) => cls),
+      regex: new RegExp(grammar.rules.map(([, src]) => `(${src})`).join('|'), 'gm' + (grammar.flags || ''))
+    };
+  }
+  return compiledGrammars[name];
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight source code as HTML with `hl-<class>` spans (comment, string,
+ * keyword, number, tag, attr, variable, meta). Unknown languages are only escaped.
+ * @param {string} code
+ * @param {string} [lang]
+ * @returns {string}
+ */
+function highlightCode(code, lang) {
+  const grammar = getGrammar(String(lang || '').toLowerCase());
+  if (!grammar) return escapeHtml(code);
+  let out = '';
+  let last = 0;
+  for (const match of code.matchAll(grammar.regex)) {
+    if (!match[0]) continue;
+    const cls = grammar.classes[match.slice(1).findIndex(group => group !== undefined)];
+    out += escapeHtml(code.slice(last, match.index)) + `<span class="hl-${cls}">${escapeHtml(match[0])}</span>`;
+    last = match.index + match[0].length;
+  }
+  return out + escapeHtml(code.slice(last));
+}
+
+// --- inline elements ------------------------------------------------------------
+
+const PLACEHOLDER_RE = /\u0000(\d+)\u0000/g;
+
+// Link targets: `.md` pages become clean URLs, script URLs are dropped. With a
+// baseUrl (the URL of the page's folder), relative targets become absolute, since
+// clean URLs have no trailing slash for the browser to resolve them against.
+function linkHref(url, baseUrl) {
+  let href = url.trim();
+  if (/^(javascript|vbscript|data):/i.test(href.replace(/\s/g, '')) && !/^data:image\//i.test(href)) return '#';
+  if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(href)) return href;
+  if (baseUrl && href && !/^[/#?]/.test(href)) href = resolveRelative(baseUrl, href);
+  return href.replace(/^((?:[^?#]*\/)?)([^/?#]+)\.md(?=[?#]|$)/i, (all, dir, name) => dir + (name.toLowerCase() === 'index' ? '' : name) || './');
+}
+
+function resolveRelative(baseUrl, href) {
+  const [, target, suffix] = /^([^?#]*)(.*)$/.exec(href);
+  const segments = baseUrl.split('/').slice(1, -1);
+  for (const segment of target.split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.') segments.push(segment);
+  }
+  return '/' + segments.join('/') + suffix;
+}
+
+function attr(value) {
+  return escapeHtml(value).replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline markdown: code spans, links, images, emphasis, strikethrough,
+ * autolinks, hard line breaks and inline HTML.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.baseUrl] - URL of the page's folder, ending in '/'
+ * @returns {string}
+ */
+function renderInline(text, { baseUrl } = {}) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let out = String(text)
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (all, ticks, code) => keep(`<code>${escapeHtml(code.replace(/^ (.*) $/s, '$1'))}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (all, ch) => keep(escapeHtml(ch)))
+    .replace(/<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/gi, (all, url) => keep(`<a href="${attr(url)}">${escapeHtml(url.replace(/^mailto:/i, ''))}</a>`))
+    .replace(/<!--[\s\S]*?-->|<\/?[a-zA-Z][\w-]*(?:\s+[\w:@.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g, tag => keep(tag));
+
+  out = out.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (all, alt, src, title) =>
+    keep(`<img src="${attr(linkHref(src, baseUrl))}" alt="${attr(alt)}"${title ? ` title="${attr(title)}"` : ''}>`));
+  out = out.replace(/\[((?:[^\]\\]|\\.)*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (all, label, href, title) =>
+    keep(`<a href="${attr(linkHref(href, baseUrl))}"${title ? ` title="${attr(title)}"` : ''}>${renderEmphasis(label)}</a>`));
+  out = out.replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g, (all, before, url) =>
+    before + keep(`<a href="${attr(url)}">${escapeHtml(url)}</a>`));
+
+  out = renderEmphasis(out);
+  while (PLACEHOLDER_RE.test(out)) out = out.replace(PLACEHOLDER_RE, (all, i) => stash[i]);
+  return out;
+}
+
+// Escapes text (keeping entity references) and applies emphasis and line breaks.
+function renderEmphasis(text) {
+  return text
+    .replace(/&(?![a-z][a-z0-9]*;|#\d+;|#x[\da-f]+;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+}
+
+// --- blocks ---------------------------------------------------------------------
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DELIMITER_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const HTML_BLOCK_RE = /^ {0,3}(?:<!--|<\/?(?:address|article|aside|blockquote|details|dialog|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|main|nav|ol|p|pre|section|script|style|summary|table|tbody|td|tfoot|th|thead|tr|ul|video|audio|picture|svg)(?=[\s>/]|$))/i;
+
+function isBlank(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+function slugify(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z0-9#]+;/gi, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-') || 'section';
+}
+
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') { cell += '|'; i++; continue; }
+    if (row[i] === '|') { cells.push(cell.trim()); cell = ''; continue; }
+    cell += row[i];
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Does this line end a paragraph by starting another block?
+function startsBlock(line) {
+  if (FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || HTML_BLOCK_RE.test(line)) return true;
+  const list = LIST_RE.exec(line);
+  return Boolean(list && list[3] && (!/\d/.test(list[2]) || /^1[.)]$/.test(list[2])));
+}
+
+function renderBlocks(lines, ctx, { tight = false } = {}) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) { i++; continue; }
+
+    // Fenced code
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      const indent = line.match(/^ */)[0].length;
+      const close = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !close.test(lines[i])) {
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+        i++;
+      }
+      i++;
+      const lang = fence[2].toLowerCase();
+      const body = code.join('\n');
+      const html = ctx.highlight ? highlightCode(body, lang) : escapeHtml(body);
+      out.push(`<pre><code${lang ? ` class="language-${attr(lang)}"` : ''}>${html}${body ? '\n' : ''}</code></pre>`);
+      continue;
+    }
+
+    // ATX heading
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      out.push(renderHeading(heading[1].length, heading[2] || '', ctx));
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) { out.push('<hr>'); i++; continue; }
+
+    // Blockquote
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE_RE.test(lines[i]) || quoted.length)) {
+        if (!QUOTE_RE.test(lines[i]) && startsBlock(lines[i])) break;
+        quoted.push(lines[i].replace(QUOTE_RE, ''));
+        i++;
+        while (i < lines.length && isBlank(lines[i]) && QUOTE_RE.test(lines[i + 1] || '')) { quoted.push(''); i++; }
+      }
+      out.push(`<blockquote>\n${renderBlocks(quoted, ctx)}\n</blockquote>`);
+      continue;
+    }
+
+    // List
+    const list = LIST_RE.exec(line);
+    if (list) {
+      const parsed = parseList(lines, i);
+      out.push(renderList(parsed, ctx));
+      i = parsed.end;
+      continue;
+    }
+
+    // Table (header row, delimiter row, body rows)
+    if (line.includes('|') && TABLE_DELIMITER_RE.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        return right ? 'right' : left ? 'left' : '';
+      });
+      const cellHtml = (tag, value, col) => `<${tag}${aligns[col] ? ` style="text-align:${aligns[col]}"` : ''}>${renderInline(value || '', ctx)}</${tag}>`;
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|') && !startsBlock(lines[i])) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(`<tr>${header.map((h, col) => cellHtml('td', cells[col], col)).join('')}</tr>`);
+        i++;
+      }
+      out.push(`<table>\n<thead><tr>${header.map((h, col) => cellHtml('th', h, col)).join('')}</tr></thead>\n`
+        + (rows.length ? `<tbody>\n${rows.join('\n')}\n</tbody>\n` : '') + '</table>');
+      continue;
+    }
+
+    // Raw HTML block, up to the next blank line
+    if (HTML_BLOCK_RE.test(line)) {
+      const html = [];
+      while (i < lines.length && !isBlank(lines[i])) html.push(lines[i++]);
+      out.push(html.join('\n'));
+      continue;
+    }
+
+    // Paragraph, or setext heading when underlined with = or -
+    const para = [line.trim()];
+    i++;
+    let setext = 0;
+    while (i < lines.length && !isBlank(lines[i])) {
+      if (/^ {0,3}=+[ \t]*$/.test(lines[i])) { setext = 1; i++; break; }
+      if (/^ {0,3}-+[ \t]*$/.test(lines[i])) { setext = 2; i++; break; }
+      if (startsBlock(lines[i])) break;
+      para.push(lines[i].replace(/^[ \t]+/, ''));
+      i++;
+    }
+    const text = para.join('\n');
+    if (setext) out.push(renderHeading(setext, text, ctx));
+    else out.push(tight ? renderInline(text.replace(/[ \t]+$/, ''), ctx) : `<p>${renderInline(text.replace(/[ \t]+$/, ''), ctx)}</p>`);
+  }
+
+  return out.join('\n');
+}
+
+function renderHeading(level, text, ctx) {
+  const html = renderInline(text.trim(), ctx);
+  let id = slugify(html);
+  if (ctx.ids.has(id)) {
+    let n = 1;
+    while (ctx.ids.has(`${id}-${n}`)) n++;
+    id = `${id}-${n}`;
+  }
+  ctx.ids.add(id);
+  ctx.headings.push({ level, id, text: html.replace(/<[^>]+>/g, '') });
+  return `<h${level} id="${id}">${html}</h${level}>`;
+}
+
+// Collect the items of a list starting at lines[start]. Item bodies are the
+// lines indented past the list marker (a blank line in between makes the list loose).
+function parseList(lines, start) {
+  const first = LIST_RE.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  const sibling = line => {
+    const m = LIST_RE.exec(line || '');
+    return m && /\d/.test(m[2]) === ordered && m[2].slice(-1) === delimiter ? m : null;
+  };
+
+  while (i < lines.length) {
+    const m = sibling(lines[i]);
+    if (!m) break;
+    const contentIndent = m[1].length + m[2].length + 1;
+    const body = [m[3] || ''];
+    i++;
+    let pendingBlank = false;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) { pendingBlank = true; body.push(''); i++; continue; }
+      const indent = line.match(/^ */)[0].length;
+      const marker = LIST_RE.test(line);
+      // Indented past the marker, or a list nested with less indentation
+      if (indent >= contentIndent || (marker && indent > m[1].length)) {
+        if (pendingBlank) loose = true;
+        pendingBlank = false;
+        body.push(line.slice(Math.min(indent, contentIndent)));
+        i++;
+        continue;
+      }
+      // Lazy continuation of the item's paragraph
+      if (!pendingBlank && !marker && !startsBlock(line)) {
+        body.push(line.trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+    while (body.length && isBlank(body[body.length - 1])) body.pop();
+    items.push(body);
+    // A blank line between two items makes the list loose
+    if (pendingBlank && sibling(lines[i])) loose = true;
+  }
+
+  return { ordered, start: ordered ? parseInt(first[2], 10) : 1, items, loose, end: i };
+}
+
+function renderList({ ordered, start, items, loose }, ctx) {
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+  const html = items.map(body => {
+    const task = /^\[([ xX])\][ \t]+/.exec(body[0]);
+    const lines = task ? [body[0].slice(task[0].length), ...body.slice(1)] : body;
+    const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+    return `<li${task ? ' class="task"' : ''}>${checkbox}${renderBlocks(lines, ctx, { tight: !loose })}</li>`;
+  });
+  return `<${tag}${startAttr}>\n${html.join('\n')}\n</${tag}>`;
+}
+
+/**
+ * Render a markdown document (without front-matter) to HTML.
+ * @param {string} source
+ * @param {Object} [opts]
+ * @param {boolean} [opts.highlight=true] - highlight fenced code blocks
+ * @param {string} [opts.baseUrl] - URL of the page's folder, to resolve relative links
+ * @returns {{ html: string, headings: Array<{ level: number, id: string, text: string }> }}
+ */
+function renderMarkdown(source, { highlight = true, baseUrl } = {}) {
+  const ctx = { highlight, baseUrl, headings: [], ids: new Set() };
+  const lines = String(source || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return { html: renderBlocks(lines, ctx), headings: ctx.headings };
+}
+
+/**
+ * Nested table of contents of the headings between two levels, or '' when the
+ * page has fewer than two of them.
+ * @param {Array<{ level: number, id: string, text: string }>} headings
+ * @param {Object} [opts]
+ * @param {number} [opts.minLevel=2]
+ * @param {number} [opts.maxLevel=3]
+ * @returns {string}
+ */
+function renderToc(headings, { minLevel = 2, maxLevel = 3 } = {}) {
+  const entries = headings.filter(h => h.level >= minLevel && h.level <= maxLevel);
+  if (entries.length < 2) return '';
+  let html = '';
+  const stack = [];
+  for (const { level, id, text } of entries) {
+    if (!stack.length || level > stack[stack.length - 1]) {
+      html += '<ul>';
+      stack.push(level);
+    } else {
+      html += '</li>';
+      while (stack.length > 1 && level < stack[stack.length - 1]) {
+        html += '</ul></li>';
+        stack.pop();
+      }
+    }
+    html += `<li><a href="#${id}">${escapeHtml(text)}</a>`;
+  }
+  html += '</li>' + '</ul></li>'.repeat(stack.length - 1) + '</ul>';
+  return `<nav class="toc">${html}</nav>`;
+}
+
+// --- pages ----------------------------------------------------------------------
+
+/**
+ * URL path of a page file (`docs/index.md` → `/docs`).
+ * @param {string} file - relative path
+ * @returns {string}
+ */
+function pagePathForFile(file) {
+  const urlPath = '/' + file.replace(/\.md$/i, '').replace(/(^|\/)index$/i, '');
+  return urlPath.length > 1 ? urlPath.replace(/\/$/, '') : '/';
+}
+
+/**
+ * The `.md` file serving a URL path below the landing root (`/docs/setup` →
+ * `docs/setup.md`, `/docs` → `docs/index.md`), or null.
+ * @param {string} landingDir
+ * @param {string} urlPath
+ * @returns {string|null} relative path
+ */
+function findMarkdownFile(landingDir, urlPath) {
+  const clean = String(urlPath || '').split('?')[0].replace(/^\/+|\/+$/g, '').replace(/\.(md|html?)$/i, '');
+  const segments = clean ? clean.split('/') : [];
+  if (!segments.every(s => SEGMENT_RE.test(s))) return null;
+  const candidates = segments.length ? [`${clean}.md`, `${clean}/index.md`] : ['index.md'];
+  return candidates.find(file => {
+    const fullPath = path.join(landingDir, file);
+    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+  }) || null;
+}
+
+function firstHeading(body) {
+  const m = /^ {0,3}#[ \t]+(.+?)[ \t#]*$/m.exec(body);
+  return m ? m[1].replace(/[*_`]/g, '') : '';
+}
+
+/**
+ * Pages of a markdown landing, ordered by their `order` front-matter, then path.
+ * Hidden and `_`-prefixed files and folders are skipped.
+ * @param {string} landingDir
+ * @returns {Array<{ file: string, path: string, title: string, lastmod: string|null }>}
+ */
+function listMarkdownPages(landingDir) {
+  const pages = [];
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+      const file = prefix + entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), file + '/');
+        continue;
+      }
+      if (!PAGE_FILE_RE.test(file)) continue;
+      const fullPath = path.join(dir, entry.name);
+      const { data, body } = parseFrontMatter(fs.readFileSync(fullPath, 'utf8'));
+      pages.push({
+        file,
+        path: pagePathForFile(file),
+        title: String(data.title || firstHeading(body) || entry.name.replace(/\.md$/i, '')),
+        order: typeof data.order === 'number' ? data.order : Infinity,
+        lastmod: fs.statSync(fullPath).mtime.toISOString()
+      });
+    }
+  };
+  walk(landingDir, '');
+  return pages
+    .sort((a, b) => (a.order - b.order) || (a.path === '/' ? -1 : b.path === '/' ? 1 : a.path.localeCompare(b.path)))
+    .map(({ order, ...page }) => page);
+}
+
+/**
+ * Everything a layout needs to render one page.
+ * @param {string} landingDir
+ * @param {string} file - relative path of the page (see findMarkdownFile)
+ * @param {Object} settings - resolved markdown settings
+ * @param {string} [basePath=''] - URL prefix of the landing ('' on its domains, '/<slug>' elsewhere)
+ * @returns {{ meta: Object, title: string, description: string, layout: string, content: string, toc: string, headings: Array }}
+ */
+function renderMarkdownFile(landingDir, file, settings, basePath = '') {
+  const { data, body } = parseFrontMatter(fs.readFileSync(path.join(landingDir, file), 'utf8'));
+  const folder = path.posix.dirname(file);
+  const baseUrl = `${basePath}/${folder === '.' ? '' : folder + '/'}`;
+  const { html, headings } = renderMarkdown(body, { highlight: settings.highlight, baseUrl });
+  const showToc = data.toc === undefined ? settings.toc : data.toc !== false;
+  const h1 = headings.find(h => h.level === 1);
+  let layout = LAYOUTS.includes(data.layout) ? data.layout : settings.layout;
+  if (layout === 'custom' && !fs.existsSync(path.join(landingDir, CUSTOM_LAYOUT_FILE))) layout = 'docs';
+  return {
+    meta: data,
+    title: String(data.title || (h1 && h1.text) || ''),
+    description: String(data.description || ''),
+    layout,
+    content: html,
+    toc: showToc ? renderToc(headings) : '',
+    headings
+  };
+}
+
+module.exports = {
+  LAYOUTS,
+  CUSTOM_LAYOUT_FILE,
+  DEFAULT_CONTENT,
+  normalizeMarkdownSettings,
+  resolveMarkdownSettings,
+  normalizeMarkdownFiles,
+  parseFrontMatter,
+  highlightCode,
+  renderInline,
+  renderMarkdown,
+  renderToc,
+  pagePathForFile,
+  findMarkdownFile,
+  listMarkdownPages,
+  renderMarkdownFile
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE } = require('./landing-manifest');
+const { normalizeManifest } = require('./data-providers');
+
+const BLOG_SLUG = 'blog-intrane-fr';
+const BLOG_CLIENT = 'intrane';
+// Collection of the saasbackend `BlogPost` model (mongoose default name)
+const BLOG_COLLECTION = 'blogposts';
+
+/**
+ * Manifest reproducing the blog server-side rendering that routes/serve.js used to
+ * hardcode for `blog-intrane-fr`, with the same template locals: `posts`,
+ * `pagination`, `tags`, `categories`, `filterTag` and `filterCat` on the index,
+ * `post` and `postSlug` on posts.
+ * @param {Object} [options]
+ * @param {string} [options.client]
+ * @param {string} [options.collection]
+ * @returns {Object}
+ */
+function buildBlogManifest({ client = BLOG_CLIENT, collection = BLOG_COLLECTION } = {}) {
+  const filter = { client, status: 'published' };
+  return {
+    routes: [{ path: ':slug', template: 'post', as: 'postSlug' }],
+    dataSources: [
+      {
+        name: 'posts', type: 'collection', templates: ['index'], collection, filter,
+        sort: { publishedAt: -1, createdAt: -1 },
+        fields: ['title', 'slug', 'excerpt', 'category', 'tags', 'publishedAt'],
+        query: { tag: { field: 'tags', as: 'filterTag' }, category: { field: 'category', as: 'filterCat' } },
+        paginate: { limit: 10, maxLimit: 50 }
+      },
+      { name: 'tags', type: 'facets', templates: ['index'], collection, filter, field: 'tags', limit: 30 },
+      { name: 'categories', type: 'facets', templates: ['index'], collection, filter, field: 'category', limit: 100 },
+      { name: 'post', type: 'item', templates: ['post'], collection, filter, match: { slug: ':slug' }, required: true }
+    ]
+  };
+}
+
+// One-off migration: write the blog manifest into the landing (keeping the
+// locales of an existing landing.json) and snapshot it as a new version
+async function migrateBlogLanding(slug = BLOG_SLUG, options = {}) {
+  // Loaded here so the manifest can be built without the storage layer
+  const { readDB, writeDB } = require('./store');
+  const { createVersion, getLandingFsDir } = require('./versions');
+  console.log(`🔄 Migrating "${slug}" to a data-provider manifest...`);
+
+  const db = await readDB();
+  const landing = (db.landings || []).find(l => l.slug === slug);
+  if (!landing || landing.type !== 'ejs') {
+    console.log(`⏭️  No EJS landing "${slug}", nothing to migrate`);
+    return false;
+  }
+
+  const landingDir = getLandingFsDir(landing);
+  const manifestPath = path.join(landingDir, MANIFEST_FILE);
+  const existing = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+  if ((existing.routes || []).length || (existing.dataSources || []).length) {
+    console.log(`⏭️  "${slug}" already declares routes or data sources in ${MANIFEST_FILE}`);
+    return false;
+  }
+
+  const manifest = { ...existing, ...buildBlogManifest(options) };
+  normalizeManifest(manifest);
+  fs.mkdirSync(landingDir, { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  const version = await createVersion(landing, 'Blog data sources moved to landing.json');
+  if (version) {
+    landing.currentVersionId = version.id;
+    landing.currentVersionNumber = version.versionNumber;
+    await writeDB(db);
+  }
+
+  const collection = options.collection || BLOG_COLLECTION;
+  console.log(`✅ Wrote ${MANIFEST_FILE} for "${slug}"`);
+  console.log(`ℹ️  Add "${collection}" to DATA_PROVIDER_COLLECTIONS so the blog can read its posts`);
+  return true;
+}
+
+// Run migration if this file is executed directly:
+//   node lib/migrate-blog-manifest.js [slug] [collection]
+if (require.main === module) {
+  const [slug, collection] = process.argv.slice(2);
+  migrateBlogLanding(slug || BLOG_SLUG, collection ? { collection } : {})
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('❌ Blog manifest migration failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildBlogManifest, migrateBlogLanding };
@@ -0,0 +1,556 @@
+/**
+ * Publish-time optimization of html, static and virtual landings.
+ *
+ * With `landing.optimize.enabled`, the served version of a landing gets an
+ * optimized copy of its files, built on first use (lib/versions.js) while the
+ * version keeps the original sources. Steps, each toggleable:
+ *   - minify: HTML, CSS and JS lose comments and insignificant whitespace. JS is
+ *     minified conservatively: line breaks are kept, names are never changed.
+ *   - inlineCss: stylesheets linked with a relative URL and small enough for the
+ *     first round trip (INLINE_CSS_LIMIT) are inlined into the page, their url()
+ *     references rebased, so the first render needs no extra request.
+ *   - fingerprint: CSS, JS, images, fonts and media get a content-hashed copy
+ *     (`app.3f2a1b9c0d.js`) and HTML/CSS references point to it, so browsers cache
+ *     them as immutable (lib/cache-policy.js). Originals stay for scripts that
+ *     build URLs at runtime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isHashedAsset } = require('./cache-policy');
+
+const OPTIMIZED_TYPES = ['html', 'static', 'virtual'];
+const DEFAULT_OPTIMIZE_SETTINGS = { enabled: false, minify: true, inlineCss: true, fingerprint: true };
+const INLINE_CSS_LIMIT = 14 * 1024;
+const MAX_OPTIMIZED_FILE_SIZE = 5 * 1024 * 1024;
+// Bump when the output of optimizeBundle changes, so existing builds are not reused
+const OPTIMIZER_REVISION = 1;
+const FINGERPRINTED_EXTENSIONS = [
+  '.css', '.js', '.mjs', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot', '.mp4', '.webm'
+];
+
+/**
+ * Validate optimization settings coming from the admin API.
+ * @param {Object} input - { enabled, minify, inlineCss, fingerprint }
+ * @returns {{ enabled: boolean, minify: boolean, inlineCss: boolean, fingerprint: boolean }}
+ */
+function normalizeOptimizeSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Optimization settings must be an object');
+  const settings = { ...DEFAULT_OPTIMIZE_SETTINGS };
+  for (const field of Object.keys(DEFAULT_OPTIMIZE_SETTINGS)) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'boolean') throw new Error(`${field} must be a boolean`);
+    settings[field] = input[field];
+  }
+  return settings;
+}
+
+/**
+ * Effective optimization settings of a landing (disabled by default).
+ * @param {Object} landing
+ * @returns {{ enabled: boolean, minify: boolean, inlineCss: boolean, fingerprint: boolean }}
+ */
+function resolveOptimizeSettings(landing) {
+  const settings = { ...DEFAULT_OPTIMIZE_SETTINGS, ...((landing && landing.optimize) || {}) };
+  settings.enabled = Boolean(landing && OPTIMIZED_TYPES.includes(landing.type) && settings.enabled);
+  return settings;
+}
+
+// --- minifiers ----------------------------------------------------------------------
+
+// End (exclusive) of the quoted string starting at `start`; unterminated strings end at the line.
+function stringEnd(src, start) {
+  const quote = src[start];
+  let i = start + 1;
+  while (i < src.length && src[i] !== quote && src[i] !== '\n') i += src[i] === '\\' ? 2 : 1;
+  return Math.min(i + 1, src.length);
+}
+
+/**
+ * Minify a stylesheet: comments (except `/*!` notices) and insignificant
+ * whitespace are dropped, strings are kept as-is.
+ * @param {string} css
+ * @returns {string}
+ */
+function minifyCss(css) {
+  let out = '';
+  let pendingSpace = false;
+  let i = 0;
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      if (css[i + 2] === '!') out += css.slice(i, stop);
+      else pendingSpace = true;
+      i = stop;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      pendingSpace = true;
+      i++;
+      continue;
+    }
+    if (pendingSpace && out && !'{};,>(:'.includes(out[out.length - 1]) && !'{};,>)!'.includes(ch)) out += ' ';
+    pendingSpace = false;
+    if (ch === '"' || ch === "'") {
+      const end = stringEnd(css, i);
+      out += css.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (ch === '}' && out.endsWith(';')) out = out.slice(0, -1);
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'];
+// Whitespace next to these is never significant (`+`, `-`, `.`, `/`, `<` and `!` are left alone)
+const JS_TIGHT = '{}()[];,:=>*&|?';
+
+// End (exclusive) of the template literal starting at `start`, `${...}` included
+function templateEnd(src, start) {
+  let i = start + 1;
+  while (i < src.length) {
+    if (src[i] === '\\') { i += 2; continue; }
+    if (src[i] === '`') return i + 1;
+    if (src[i] === '$' && src[i + 1] === '{') {
+      let depth = 1;
+      i += 2;
+      while (i < src.length && depth > 0) {
+        const ch = src[i];
+        if (ch === '"' || ch === "'") i = stringEnd(src, i);
+        else if (ch === '`') i = templateEnd(src, i);
+        else {
+          if (ch === '{') depth++;
+          else if (ch === '}') depth--;
+          i++;
+        }
+      }
+      continue;
+    }
+    i++;
+  }
+  return src.length;
+}
+
+// End (exclusive) of the regex literal starting at `start`, flags included
+function regexEnd(src, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < src.length && src[i] !== '\n') {
+    const ch = src[i];
+    if (ch === '\\') { i += 2; continue; }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) {
+      i++;
+      while (i < src.length && /[a-z]/i.test(src[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Minify a script conservatively: comments (except `/*!` notices), indentation
+ * and blank lines are dropped and runs of spaces collapsed. Line breaks stay, so
+ * automatic semicolon insertion is unaffected; identifiers are never renamed.
+ * @param {string} js
+ * @returns {string}
+ */
+function minifyJs(js) {
+  let out = '';
+  let pending = '';
+  let lastWord = '';
+  let i = 0;
+
+  const emit = text => {
+    if (pending && out) {
+      const prev = out[out.length - 1];
+      if (pending === '\n') out += '\n';
+      else if (!JS_TIGHT.includes(prev) && !JS_TIGHT.includes(text[0])) out += ' ';
+    }
+    pending = '';
+    out += text;
+  };
+
+  while (i < js.length) {
+    const ch = js[i];
+    if (ch === '\n' || ch === '\r') { pending = '\n'; i++; continue; }
+    if (/\s/.test(ch)) { if (!pending) pending = ' '; i++; continue; }
+
+    if (ch === '/' && js[i + 1] === '/') {
+      while (i < js.length && js[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && js[i + 1] === '*') {
+      const end = js.indexOf('*/', i + 2);
+      const stop = end === -1 ? js.length : end + 2;
+      const comment = js.slice(i, stop);
+      if (js[i + 2] === '!') emit(comment);
+      else if (comment.includes('\n')) pending = '\n';
+      else if (!pending) pending = ' ';
+      i = stop;
+      continue;
+    }
+
+    let end;
+    if (ch === '"' || ch === "'") end = stringEnd(js, i);
+    else if (ch === '`') end = templateEnd(js, i);
+    else if (ch === '/') {
+      const prev = out.trimEnd().slice(-1);
+      const regexAllowed = !prev || '(,=:[!&|?{};+-*%<>~^'.includes(prev) || REGEX_KEYWORDS.includes(lastWord);
+      end = regexAllowed ? regexEnd(js, i) : i + 1;
+    } else if (/[A-Za-z0-9_$]/.test(ch)) {
+      end = i;
+      while (end < js.length && /[A-Za-z0-9_$]/.test(js[end])) end++;
+      emit(js.slice(i, end));
+      lastWord = js.slice(i, end);
+      i = end;
+      continue;
+    } else {
+      end = i + 1;
+    }
+    emit(js.slice(i, end));
+    lastWord = '';
+    i = end;
+  }
+  return out;
+}
+
+const PRESERVED_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+const JS_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+function attributeValue(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// End (exclusive) of the tag starting at `start`, quoted attribute values may hold `>`
+function tagEnd(html, start) {
+  let i = start + 1;
+  let prev = '';
+  while (i < html.length && html[i] !== '>') {
+    const ch = html[i];
+    if ((ch === '"' || ch === "'") && prev === '=') {
+      const close = html.indexOf(ch, i + 1);
+      if (close === -1) return html.length;
+      i = close + 1;
+      prev = ch;
+      continue;
+    }
+    if (!/\s/.test(ch)) prev = ch;
+    i++;
+  }
+  return Math.min(i + 1, html.length);
+}
+
+// Collapse whitespace outside quoted values of a tag
+function minifyTag(tag) {
+  return tag
+    .replace(/("[^"]*"|'[^']*')|\s+/g, (match, quoted) => quoted || ' ')
+    .replace(/\s+(\/?>)$/, '$1');
+}
+
+function minifyElementContent(name, openTag, content) {
+  if (name === 'style') return minifyCss(content);
+  if (name !== 'script' || attributeValue(openTag, 'src') !== null) return content;
+  const type = (attributeValue(openTag, 'type') || '').trim().toLowerCase();
+  if (JS_SCRIPT_TYPES.includes(type)) return minifyJs(content);
+  if (type === 'application/ld+json') {
+    try {
+      return JSON.stringify(JSON.parse(content));
+    } catch (e) {
+      return content;
+    }
+  }
+  return content;
+}
+
+/**
+ * Minify an HTML document: comments (except conditional ones) go, whitespace
+ * runs become one space, inline styles and scripts are minified. `pre`,
+ * `textarea` and unknown script types are kept as-is.
+ * @param {string} html
+ * @returns {string}
+ */
+function minifyHtml(html) {
+  let out = '';
+  let i = 0;
+  while (i < html.length) {
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      const stop = end === -1 ? html.length : end + 3;
+      if (html.startsWith('<!--[if', i)) out += html.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if (html[i] === '<' && /[A-Za-z/!]/.test(html[i + 1] || '')) {
+      const end = tagEnd(html, i);
+      const tag = minifyTag(html.slice(i, end));
+      out += tag;
+      i = end;
+
+      const name = (tag.match(/^<([A-Za-z][A-Za-z0-9-]*)/) || [])[1];
+      if (name && PRESERVED_ELEMENTS.includes(name.toLowerCase()) && !tag.endsWith('/>')) {
+        const closeIndex = html.toLowerCase().indexOf(`</${name.toLowerCase()}`, i);
+        const stop = closeIndex === -1 ? html.length : closeIndex;
+        out += minifyElementContent(name.toLowerCase(), tag, html.slice(i, stop));
+        i = stop;
+      }
+      continue;
+    }
+    const next = html.indexOf('<', i + 1);
+    const stop = next === -1 ? html.length : next;
+    const text = html.slice(i, stop).replace(/\s+/g, ' ');
+    out += out.endsWith(' ') && text.startsWith(' ') ? text.slice(1) : text;
+    i = stop;
+  }
+  return out.trim();
+}
+
+// --- bundle build -------------------------------------------------------------------
+
+// lib/cache-policy.js treats hex segments of 8+ chars holding a digit and a letter as a hash
+function fingerprint(content) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+  if (!/\d/.test(hash)) return hash.slice(0, 9) + '0';
+  return /[a-f]/.test(hash) ? hash : hash.slice(0, 9) + 'a';
+}
+
+// Bundle paths of the files under `dir`, sorted
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const names = (await fs.promises.readdir(dir)).sort();
+  for (const item of names) {
+    const fullPath = path.join(dir, item);
+    const relativePath = prefix ? `${prefix}/${item}` : item;
+    if ((await fs.promises.stat(fullPath)).isDirectory()) files.push(...await listFiles(fullPath, relativePath));
+    else files.push(relativePath);
+  }
+  return files;
+}
+
+// Let pending requests run between two files of a build
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function isLocalRef(ref) {
+  return Boolean(ref) && !ref.startsWith('#') && !ref.startsWith('//') && !/^[a-z][a-z0-9+.-]*:/i.test(ref);
+}
+
+// Bundle path a reference found in `fromDir` points to, or null
+function resolveRef(ref, fromDir, slug) {
+  if (!isLocalRef(ref)) return null;
+  let value = ref.split(/[?#]/)[0];
+  try {
+    value = decodeURIComponent(value);
+  } catch (e) {
+    return null;
+  }
+  if (!value) return null;
+  let target;
+  if (value.startsWith('/')) {
+    target = path.posix.normalize(value).replace(/^\/+/, '');
+    if (slug && target.startsWith(slug + '/')) target = target.slice(slug.length + 1);
+  } else {
+    target = path.posix.normalize(path.posix.join(fromDir, value));
+  }
+  return target.startsWith('..') ? null : target;
+}
+
+// Replace references in HTML attributes and CSS url()/@import through `map(ref)`
+function rewriteCssRefs(css, map) {
+  return css
+    .replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, ref) => `url(${quote}${map(ref.trim())}${quote})`)
+    .replace(/@import\s+(["'])([^"']+)\1/gi, (match, quote, ref) => `@import ${quote}${map(ref)}${quote}`);
+}
+
+function rewriteHtmlRefs(html, map) {
+  return html
+    .replace(/(\s(?:href|src|poster|data-src)\s*=\s*)(["'])([^"']*)\2/gi, (match, attr, quote, ref) => attr + quote + map(ref) + quote)
+    .replace(/(\ssrcset\s*=\s*)(["'])([^"']*)\2/gi, (match, attr, quote, value) => attr + quote + value
+      .split(',')
+      .map(candidate => candidate.replace(/^(\s*)(\S+)/, (m, space, ref) => space + map(ref)))
+      .join(',') + quote)
+    .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => open + rewriteCssRefs(css, map) + close)
+    .replace(/(\sstyle\s*=\s*)(["'])([^"']*)\2/gi, (match, attr, quote, css) => attr + quote + rewriteCssRefs(css, map) + quote);
+}
+
+function withHash(ref, hash) {
+  const [pathPart, suffix = ''] = ref.split(/(?=[?#])/);
+  return pathPart.replace(/(\.[^./]+)$/, `.${hash}$1`) + suffix;
+}
+
+// <style> element replacing a stylesheet link, or null when it should stay a link
+async function inlineStylesheet(tag, fileDir, outDir) {
+  if (!/\srel\s*=\s*["']?stylesheet["']?/i.test(tag)) return null;
+  const href = attributeValue(tag, 'href');
+  if (!href || !isLocalRef(href) || href.startsWith('/')) return null;
+  const target = resolveRef(href, fileDir, null);
+  if (!target) return null;
+  const fullPath = path.join(outDir, target);
+  const stat = await fs.promises.stat(fullPath).catch(() => null);
+  if (!stat || !stat.isFile() || stat.size > INLINE_CSS_LIMIT) return null;
+
+  const cssDir = path.posix.dirname(target);
+  const css = rewriteCssRefs(await fs.promises.readFile(fullPath, 'utf8'), ref => {
+    if (!isLocalRef(ref) || ref.startsWith('/')) return ref;
+    const rebased = path.posix.relative(fileDir, path.posix.join(cssDir, ref));
+    return rebased || ref;
+  }).replace(/<\/style/gi, '<\\/style');
+  const media = attributeValue(tag, 'media');
+  return `<style${media && media !== 'all' ? ` media="${media}"` : ''}>${css}</style>`;
+}
+
+// Inline small stylesheets linked by a page, with url() references rebased to the page
+async function inlineStylesheets(html, fileDir, outDir, stats) {
+  const inlined = new Map();
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    if (!inlined.has(tag)) inlined.set(tag, await inlineStylesheet(tag, fileDir, outDir));
+  }
+  return html.replace(/<link\b[^>]*>/gi, tag => {
+    if (!inlined.get(tag)) return tag;
+    stats.inlinedStylesheets++;
+    return inlined.get(tag);
+  });
+}
+
+/**
+ * Key of the optimized build of a landing: a hash of its files, the settings and
+ * OPTIMIZER_REVISION. Versions whose content did not change share the same key.
+ * @param {string} sourceDir - landing files
+ * @param {Object} settings - see resolveOptimizeSettings
+ * @returns {Promise<string>}
+ */
+async function bundleKey(sourceDir, settings) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${OPTIMIZER_REVISION}\0`);
+  hash.update(Object.keys(DEFAULT_OPTIMIZE_SETTINGS).map(field => `${field}=${Boolean(settings[field])}`).join('&'));
+  for (const file of await listFiles(sourceDir)) {
+    const content = await fs.promises.readFile(path.join(sourceDir, file));
+    hash.update(`\0${file}\0${content.length}\0`);
+    hash.update(content);
+  }
+  return hash.digest('hex').slice(0, 20);
+}
+
+/**
+ * Build the optimized copy of a landing. Files are processed one at a time, the
+ * event loop running in between.
+ * @param {string} sourceDir - landing files (left untouched)
+ * @param {string} outDir - created; must not exist yet
+ * @param {Object} settings - see resolveOptimizeSettings
+ * @param {Object} [options]
+ * @param {string} [options.slug] - `/<slug>/` references resolve against the landing root
+ * @returns {Promise<{ builtAt, files, bytesBefore, bytesAfter, minified, inlinedStylesheets, fingerprinted }>}
+ */
+async function optimizeBundle(sourceDir, outDir, settings, { slug = null } = {}) {
+  await fs.promises.cp(sourceDir, outDir, { recursive: true });
+  const files = await listFiles(outDir);
+  const stats = {
+    builtAt: new Date().toISOString(),
+    files: files.length,
+    bytesBefore: 0,
+    bytesAfter: 0,
+    minified: 0,
+    inlinedStylesheets: 0,
+    fingerprinted: 0
+  };
+  const read = file => fs.promises.readFile(path.join(outDir, file), 'utf8');
+  const write = (file, content) => fs.promises.writeFile(path.join(outDir, file), content);
+  const extOf = file => path.extname(file).toLowerCase();
+  const sized = [];
+  for (const file of files) {
+    const { size } = await fs.promises.stat(path.join(outDir, file));
+    stats.bytesBefore += size;
+    if (size <= MAX_OPTIMIZED_FILE_SIZE) sized.push(file);
+  }
+
+  if (settings.minify) {
+    for (const file of sized) {
+      const ext = extOf(file);
+      if (ext === '.css') await write(file, minifyCss(await read(file)));
+      else if (ext === '.js' || ext === '.mjs') await write(file, minifyJs(await read(file)));
+      else continue;
+      stats.minified++;
+      await yieldToEventLoop();
+    }
+  }
+
+  // Hashes of fingerprinted files by bundle path
+  const hashes = new Map();
+  const mapFrom = fromDir => ref => {
+    const target = resolveRef(ref, fromDir, slug);
+    return target && hashes.has(target) ? withHash(ref, hashes.get(target)) : ref;
+  };
+  const addFingerprint = async file => {
+    const content = await fs.promises.readFile(path.join(outDir, file));
+    const hash = fingerprint(content);
+    await fs.promises.writeFile(path.join(outDir, withHash(file, hash)), content);
+    hashes.set(file, hash);
+    stats.fingerprinted++;
+    await yieldToEventLoop();
+  };
+
+  if (settings.fingerprint) {
+    const assets = sized.filter(file => FINGERPRINTED_EXTENSIONS.includes(extOf(file)) && !isHashedAsset(file));
+    for (const file of assets.filter(f => extOf(f) !== '.css')) await addFingerprint(file);
+
+    // Stylesheets once the stylesheets they import carry their hash
+    let pending = assets.filter(file => extOf(file) === '.css');
+    while (pending.length) {
+      const ready = [];
+      for (const file of pending) {
+        const imports = [...(await read(file)).matchAll(/@import\s+(?:url\(\s*)?["']?([^"')\s]+)/gi)]
+          .map(match => resolveRef(match[1], path.posix.dirname(file), slug))
+          .filter(target => pending.includes(target) && target !== file);
+        if (imports.length === 0) ready.push(file);
+      }
+      const batch = ready.length ? ready : pending;
+      for (const file of batch) {
+        await write(file, rewriteCssRefs(await read(file), mapFrom(path.posix.dirname(file))));
+        await addFingerprint(file);
+      }
+      pending = pending.filter(file => !batch.includes(file));
+    }
+  }
+
+  for (const file of sized.filter(f => ['.html', '.htm'].includes(extOf(f)))) {
+    const fileDir = path.posix.dirname(file);
+    let html = await read(file);
+    if (settings.inlineCss) html = await inlineStylesheets(html, fileDir, outDir, stats);
+    if (settings.fingerprint) html = rewriteHtmlRefs(html, mapFrom(fileDir));
+    if (settings.minify) {
+      html = minifyHtml(html);
+      stats.minified++;
+    }
+    await write(file, html);
+    await yieldToEventLoop();
+  }
+
+  for (const file of await listFiles(outDir)) {
+    if (!hashes.has(file)) stats.bytesAfter += (await fs.promises.stat(path.join(outDir, file))).size;
+  }
+  return stats;
+}
+
+module.exports = {
+  OPTIMIZED_TYPES,
+  DEFAULT_OPTIMIZE_SETTINGS,
+  INLINE_CSS_LIMIT,
+  normalizeOptimizeSettings,
+  resolveOptimizeSettings,
+  minifyCss,
+  minifyJs,
+  minifyHtml,
+  bundleKey,
+  optimizeBundle
+};
@@ -0,0 +1,298 @@
+/**
+ * Query-string personalization, e.g. for ad campaigns sending `utm_campaign`,
+ * `utm_term` and similar parameters.
+ *
+ * A landing's `personalization` is a list of rules, versioned with the landing:
+ *   { id, name, match: 'all'|'any', conditions: [{ param, operator, value }],
+ *     changes: [{ slot, attribute, value }], enabled }
+ *   - conditions: `equals` and `contains` compare case-insensitively, `matches`
+ *     tests a case-insensitive regular expression (checked for catastrophic
+ *     backtracking, see lib/safe-regex.js), `exists`/`missing` check that the
+ *     parameter has a value or not.
+ *   - changes: pages mark elements with `data-personalize="<slot>"`. A change
+ *     replaces the content of the slot (HTML), or one of its attributes when
+ *     `attribute` is set. `{{param}}` in a value inserts a query parameter:
+ *     HTML-escaped in content, URL-encoded in attributes.
+ *
+ * Every matching rule applies, in order; for the same slot and attribute the first
+ * matching rule wins. HTML pages are rewritten when served, and EJS pages and
+ * markdown layouts also get the result as `personalization` and `utm` locals.
+ */
+
+const crypto = require('crypto');
+const { findUnsafeConstruct, testSafePattern } = require('./safe-regex');
+
+const OPERATORS = ['equals', 'contains', 'matches', 'exists', 'missing'];
+const MATCH_MODES = ['all', 'any'];
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_RULES = 50;
+const MAX_CONDITIONS = 10;
+const MAX_CHANGES = 20;
+const MAX_VALUE_LENGTH = 10000;
+const MAX_PATTERN_LENGTH = 200;
+const SLOT_ATTRIBUTE = 'data-personalize';
+// Elements without content; only their attributes can change
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const PARAM_PATTERN = /^[A-Za-z0-9_.[\]-]{1,100}$/;
+const SLOT_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const ATTRIBUTE_PATTERN = /^[A-Za-z_:][A-Za-z0-9_:.-]{0,99}$/;
+
+function normalizeCondition(condition, i) {
+  if (!condition || typeof condition !== 'object') throw new Error(`condition ${i + 1} must be an object`);
+  const param = typeof condition.param === 'string' ? condition.param.trim() : '';
+  if (!PARAM_PATTERN.test(param)) throw new Error(`condition ${i + 1}: param must be a query parameter name (e.g. utm_term)`);
+  const operator = condition.operator || 'equals';
+  if (!OPERATORS.includes(operator)) throw new Error(`condition ${i + 1}: operator must be one of ${OPERATORS.join(', ')}`);
+  if (operator === 'exists' || operator === 'missing') return { param, operator, value: '' };
+
+  const value = typeof condition.value === 'string' ? condition.value.trim() : '';
+  if (!value) throw new Error(`condition ${i + 1}: value is required`);
+  if (operator === 'matches') {
+    if (value.length > MAX_PATTERN_LENGTH) throw new Error(`condition ${i + 1}: pattern exceeds ${MAX_PATTERN_LENGTH} characters`);
+    try {
+      new RegExp(value, 'i');
+    } catch (err) {
+      throw new Error(`condition ${i + 1}: invalid pattern (${err.message})`);
+    }
+    const problem = findUnsafeConstruct(value);
+    if (problem) throw new Error(`condition ${i + 1}: unsafe pattern (${problem})`);
+  } else if (value.length > MAX_VALUE_LENGTH) {
+    throw new Error(`condition ${i + 1}: value exceeds ${MAX_VALUE_LENGTH} characters`);
+  }
+  return { param, operator, value };
+}
+
+function normalizeChange(change, i) {
+  if (!change || typeof change !== 'object') throw new Error(`change ${i + 1} must be an object`);
+  const slot = typeof change.slot === 'string' ? change.slot.trim() : '';
+  if (!SLOT_PATTERN.test(slot)) throw new Error(`change ${i + 1}: slot may contain letters, digits, - and _`);
+  const attribute = typeof change.attribute === 'string' ? change.attribute.trim().toLowerCase() : '';
+  if (attribute && (!ATTRIBUTE_PATTERN.test(attribute) || attribute === SLOT_ATTRIBUTE)) {
+    throw new Error(`change ${i + 1}: invalid attribute name "${attribute}"`);
+  }
+  if (typeof change.value !== 'string') throw new Error(`change ${i + 1}: value must be a string`);
+  if (change.value.length > MAX_VALUE_LENGTH) throw new Error(`change ${i + 1}: value exceeds ${MAX_VALUE_LENGTH} characters`);
+  return { slot, attribute, value: change.value };
+}
+
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('must be an object');
+  const match = rule.match || 'all';
+  if (!MATCH_MODES.includes(match)) throw new Error('match must be "all" or "any"');
+
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+  if (!conditions.length) throw new Error('at least one condition is required');
+  if (conditions.length > MAX_CONDITIONS) throw new Error(`at most ${MAX_CONDITIONS} conditions are allowed`);
+  const changes = Array.isArray(rule.changes) ? rule.changes : [];
+  if (!changes.length) throw new Error('at least one change is required');
+  if (changes.length > MAX_CHANGES) throw new Error(`at most ${MAX_CHANGES} changes are allowed`);
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomBytes(6).toString('hex'),
+    name: typeof rule.name === 'string' ? rule.name.trim() : '',
+    match,
+    conditions: conditions.map(normalizeCondition),
+    changes: changes.map(normalizeChange),
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Validate personalization rules coming from the admin API.
+ * Throws an Error describing the first invalid rule.
+ * @param {Array} input
+ * @returns {Array<Object>}
+ */
+function normalizePersonalization(input) {
+  if (!Array.isArray(input)) throw new Error('Personalization rules must be an array');
+  if (input.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} personalization rules are allowed`);
+  return input.map((rule, i) => {
+    try {
+      return normalizeRule(rule);
+    } catch (err) {
+      throw new Error(`Rule ${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+// First string value of each query parameter (Express may parse repeated
+// parameters into arrays and bracketed ones into objects).
+function flattenQuery(query) {
+  const params = {};
+  for (const [key, value] of Object.entries(query || {})) {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (typeof first === 'string') params[key] = first;
+  }
+  return params;
+}
+
+function testCondition(condition, params) {
+  const actual = params[condition.param];
+  const present = typeof actual === 'string' && actual !== '';
+  if (condition.operator === 'exists') return present;
+  if (condition.operator === 'missing') return !present;
+  if (!present) return false;
+  if (condition.operator === 'matches') return testSafePattern(condition.value, actual, 'i');
+  const a = actual.toLowerCase();
+  const b = condition.value.toLowerCase();
+  return condition.operator === 'contains' ? a.includes(b) : a === b;
+}
+
+function ruleMatches(rule, params) {
+  const results = rule.conditions.map(condition => testCondition(condition, params));
+  return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Fill `{{param}}` placeholders; missing parameters become empty.
+function fillPlaceholders(value, params, encode) {
+  return value.replace(/\{\{\s*([A-Za-z0-9_.[\]-]+)\s*\}\}/g, (m, name) => encode(params[name] || ''));
+}
+
+/**
+ * Personalization of a request: the matching rules and the changes to apply, or
+ * null when no rule matches.
+ * @param {Array<Object>} rules - `landing.personalization`
+ * @param {Object} query - parsed query string (req.query)
+ * @returns {{ rules: Array<Object>, changes: Array<{ slot, attribute, value }> }|null}
+ */
+function resolvePersonalization(rules, query) {
+  if (!Array.isArray(rules) || !rules.length) return null;
+  const params = flattenQuery(query);
+  const matched = rules.filter(rule => rule.enabled !== false && ruleMatches(rule, params));
+  if (!matched.length) return null;
+
+  const changes = [];
+  const seen = new Set();
+  for (const rule of matched) {
+    for (const change of rule.changes) {
+      const key = `${change.slot}\n${change.attribute || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const value = change.attribute
+        ? fillPlaceholders(change.value, params, encodeURIComponent)
+        : fillPlaceholders(change.value, params, escapeHtml);
+      changes.push({ slot: change.slot, attribute: change.attribute || '', value });
+    }
+  }
+  return { rules: matched, changes };
+}
+
+/**
+ * Locals for EJS pages: `personalization` with the matching rule names, the slot
+ * contents and a `slot(name, fallback)` helper, and `utm` with the utm_* values.
+ * @param {{ rules, changes }|null} resolved - result of resolvePersonalization()
+ * @param {Object} query - parsed query string
+ * @returns {{ personalization: Object, utm: Object }}
+ */
+function buildPersonalizationLocals(resolved, query) {
+  const params = flattenQuery(query);
+  const slots = {};
+  for (const change of (resolved && resolved.changes) || []) {
+    if (!change.attribute) slots[change.slot] = change.value;
+  }
+  const utm = {};
+  for (const name of UTM_PARAMS) utm[name] = params[`utm_${name}`] || '';
+  return {
+    personalization: {
+      rules: ((resolved && resolved.rules) || []).map(rule => rule.name || rule.id),
+      slots,
+      slot: (name, fallback = '') => (Object.prototype.hasOwnProperty.call(slots, name) ? slots[name] : fallback)
+    },
+    utm
+  };
+}
+
+function readSlot(attrs) {
+  const m = attrs.match(/\sdata-personalize\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+  return m ? (m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[3]) : null;
+}
+
+function setAttribute(attrs, name, value) {
+  const escaped = escapeHtml(value);
+  const pattern = new RegExp(`(\\s${name.replace(/[.:]/g, '\\$&')})(\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s"'>]+))?(?=[\\s/>]|$)`, 'i');
+  if (pattern.test(attrs)) return attrs.replace(pattern, (m, attr) => `${attr}="${escaped}"`);
+  return `${attrs.replace(/\s+$/, '')} ${name}="${escaped}"`;
+}
+
+// Attributes of a tag; quoted values may contain `>`
+const TAG_ATTRIBUTES = `(?:[^<>"']|"[^"]*"|'[^']*')*?`;
+
+// Position of the closing tag of the element whose opening tag ends at `from`,
+// or null when it is never closed.
+function findClosingTag(html, tagName, from) {
+  const pattern = new RegExp(`<(/?)${tagName}(?=[\\s/>])${TAG_ATTRIBUTES}>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = pattern.exec(html))) {
+    if (m[1]) depth--;
+    else if (!m[0].endsWith('/>')) depth++;
+    if (depth === 0) return { start: m.index, end: pattern.lastIndex };
+  }
+  return null;
+}
+
+/**
+ * Rewrite the slots of an HTML document: contents and attributes of elements
+ * marked `data-personalize="<slot>"`. Elements inside a replaced slot are dropped
+ * with its old content.
+ * @param {string} html
+ * @param {Array<{ slot, attribute, value }>} changes
+ * @returns {string}
+ */
+function applyPersonalization(html, changes) {
+  if (typeof html !== 'string' || !changes || !changes.length) return html;
+  const bySlot = new Map();
+  for (const change of changes) {
+    if (!bySlot.has(change.slot)) bySlot.set(change.slot, []);
+    bySlot.get(change.slot).push(change);
+  }
+
+  const openTag = new RegExp(`<([a-zA-Z][a-zA-Z0-9-]*)(\\s${TAG_ATTRIBUTES})?(/?)>`, 'g');
+  let out = '';
+  let cursor = 0;
+  let m;
+  while ((m = openTag.exec(html))) {
+    const attrs = m[2] || '';
+    const slot = attrs ? readSlot(attrs) : null;
+    const slotChanges = slot !== null && bySlot.get(slot);
+    if (!slotChanges) continue;
+
+    const tagName = m[1].toLowerCase();
+    let newAttrs = attrs;
+    let content = null;
+    for (const change of slotChanges) {
+      if (change.attribute) newAttrs = setAttribute(newAttrs, change.attribute, change.value);
+      else content = change.value;
+    }
+    out += html.slice(cursor, m.index) + `<${m[1]}${newAttrs}${m[3]}>`;
+    cursor = openTag.lastIndex;
+
+    if (content === null || m[3] || VOID_ELEMENTS.includes(tagName)) continue;
+    const close = findClosingTag(html, tagName, cursor);
+    if (!close) continue;
+    out += content;
+    cursor = close.start;
+    openTag.lastIndex = close.start;
+  }
+  return out + html.slice(cursor);
+}
+
+module.exports = {
+  SLOT_ATTRIBUTE,
+  UTM_PARAMS,
+  normalizePersonalization,
+  resolvePersonalization,
+  buildPersonalizationLocals,
+  applyPersonalization
+};
@@ -0,0 +1,130 @@
+/**
+ * Shareable preview links for landing versions.
+ *
+ * `landing.previewLinks` holds `{ id, versionId, label, createdAt, createdBy,
+ * expiresAt }` entries. The public URL is `/_preview/<token>/` with a token of
+ * `<landingId>.<linkId>.<signature>`; the signature covers the link's version and
+ * expiry, so a token cannot be pointed at another version or kept alive longer.
+ * Revoking a link removes its entry, which invalidates the token.
+ */
+
+const crypto = require('crypto');
+
+const PREVIEW_PATH = '/_preview';
+const MIN_TTL_HOURS = 1;
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 30 * 24;
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Validate a preview link request from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { versionId, expiresInHours?, label? }
+ * @param {string[]} versionIds - versions of the landing
+ * @returns {{ versionId: string, expiresInHours: number, label: string }}
+ */
+function normalizePreviewLinkInput(input, versionIds) {
+  if (!input || typeof input !== 'object') throw new Error('Preview link must be an object');
+  if (!versionIds.includes(input.versionId)) throw new Error('Unknown version');
+
+  const expiresInHours = input.expiresInHours === undefined || input.expiresInHours === null || input.expiresInHours === ''
+    ? DEFAULT_TTL_HOURS
+    : Number(input.expiresInHours);
+  if (!Number.isFinite(expiresInHours) || expiresInHours < MIN_TTL_HOURS || expiresInHours > MAX_TTL_HOURS) {
+    throw new Error(`Expiry must be between ${MIN_TTL_HOURS} and ${MAX_TTL_HOURS} hours`);
+  }
+
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  if (label.length > MAX_LABEL_LENGTH) throw new Error(`Label must be at most ${MAX_LABEL_LENGTH} characters`);
+
+  return { versionId: input.versionId, expiresInHours, label };
+}
+
+/**
+ * New preview link entry.
+ * @param {Object} input - output of normalizePreviewLinkInput
+ * @param {{ createdBy?: string, now?: number }} [opts]
+ * @returns {Object}
+ */
+function createPreviewLink({ versionId, expiresInHours, label }, { createdBy = 'admin', now = Date.now() } = {}) {
+  return {
+    id: crypto.randomBytes(12).toString('base64url'),
+    versionId,
+    label,
+    createdAt: new Date(now).toISOString(),
+    createdBy,
+    expiresAt: new Date(now + expiresInHours * 60 * 60 * 1000).toISOString()
+  };
+}
+
+function isExpired(link, now = Date.now()) {
+  return !(new Date(link.expiresAt).getTime() > now);
+}
+
+// Links that can still be opened
+function activePreviewLinks(landing, now = Date.now()) {
+  return ((landing && landing.previewLinks) || []).filter(link => !isExpired(link, now));
+}
+
+function signature(landingId, link, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`preview|${landingId}|${link.id}|${link.versionId}|${link.expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Public token of a preview link.
+ * @param {string} landingId
+ * @param {Object} link
+ * @param {string} secret
+ * @returns {string}
+ */
+function signPreviewToken(landingId, link, secret) {
+  return `${landingId}.${link.id}.${signature(landingId, link, secret)}`;
+}
+
+/**
+ * Split a token into its parts, or null when it is malformed.
+ * @param {string} token
+ * @returns {{ landingId: string, linkId: string, sig: string }|null}
+ */
+function parsePreviewToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !parts.every(part => /^[A-Za-z0-9_-]+$/.test(part))) return null;
+  const [landingId, linkId, sig] = parts;
+  return { landingId, linkId, sig };
+}
+
+/**
+ * The unexpired link of a landing a token was signed for, or null.
+ * @param {Object} landing
+ * @param {string} token
+ * @param {{ secret: string, now?: number }} opts
+ * @returns {Object|null}
+ */
+function findPreviewLink(landing, token, { secret, now = Date.now() }) {
+  const parsed = parsePreviewToken(token);
+  if (!parsed || !landing || parsed.landingId !== landing.id) return null;
+  const link = activePreviewLinks(landing, now).find(l => l.id === parsed.linkId);
+  if (!link) return null;
+  const expected = signature(landing.id, link, secret);
+  if (parsed.sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(parsed.sig), Buffer.from(expected))) return null;
+  return link;
+}
+
+function getPreviewUrl(token) {
+  return `${PREVIEW_PATH}/${token}/`;
+}
+
+module.exports = {
+  PREVIEW_PATH,
+  DEFAULT_TTL_HOURS,
+  MAX_TTL_HOURS,
+  normalizePreviewLinkInput,
+  createPreviewLink,
+  activePreviewLinks,
+  signPreviewToken,
+  parsePreviewToken,
+  findPreviewLink,
+  getPreviewUrl
+};
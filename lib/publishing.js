@@ -0,0 +1,262 @@
+/**
+ * Publish, unpublish and version activation flows, shared by the admin API
+ * routes and scheduled jobs (lib/scheduled-jobs.js).
+ *
+ * Each flow loads the landing, applies the change, deploys or removes its
+ * Traefik config and writes an audit entry. Expected failures throw an Error
+ * with an HTTP `status` (404 unknown landing/domain/version, 400 invalid state).
+ *
+ * Redirect and proxy landings (lib/forwarding.js) are answered by the app on any
+ * host routed to it, so with the Traefik integration disabled they publish
+ * without a Traefik config.
+ */
+
+const { migrateDomains } = require('./db');
+const { readDB, writeDB, getEngine } = require('./store');
+const { deployTraefikConfig, removeTraefikConfig } = require('./traefik');
+const { getTraefikSetting } = require('./traefik-settings');
+const { isForwardingLanding } = require('./forwarding');
+const { logAudit, AUDIT_ACTIONS } = require('./audit');
+const { clearLandingCache, getVersion, rollbackToVersion } = require('./versions');
+
+function flowError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function servedWithoutTraefik(landing) {
+  if (!isForwardingLanding(landing)) return false;
+  const traefikEnabled = await getTraefikSetting('TRAEFIK_ENABLED');
+  return traefikEnabled !== true && traefikEnabled !== 'true';
+}
+
+// Deploy the landing's Traefik config; returns its file name ('' when not needed).
+async function deployConfig(landing, sshKey) {
+  if (await servedWithoutTraefik(landing)) {
+    console.log(`ℹ️  Traefik disabled: ${landing.slug} is served by the app on its domains`);
+    return '';
+  }
+  return deployTraefikConfig(landing, sshKey);
+}
+
+async function removeConfig(landing, sshKey) {
+  if (await servedWithoutTraefik(landing)) return;
+  await removeTraefikConfig(landing, sshKey);
+}
+
+async function loadLanding(id) {
+  const db = await readDB();
+  const landing = db.landings.find(l => l.id === id);
+  if (!landing) throw flowError(404, 'Landing not found');
+  return { db, landing };
+}
+
+// Audit entry for a flow; scheduled runs are marked as such and linked to their job.
+function audit(id, ctx, { action, details, metadata }) {
+  return logAudit(id, {
+    action,
+    actor: ctx.actor || 'admin',
+    isAdmin: ctx.isAdmin,
+    details: ctx.jobId ? `${details} (scheduled)` : details,
+    metadata: ctx.jobId ? { ...metadata, jobId: ctx.jobId } : metadata
+  });
+}
+
+/**
+ * Publish a landing on all its domains.
+ * @param {string} id - landing id
+ * @param {{ sshKey?: string, actor?: string, isAdmin?: boolean, jobId?: string }} [ctx]
+ * @returns {Promise<{ message: string, landing: Object }>}
+ */
+async function publishLanding(id, ctx = {}) {
+  const { db, landing } = await loadLanding(id);
+
+  landing.domains = migrateDomains(landing.domains || []);
+
+  if (landing.domains.length === 0) {
+    throw flowError(400, 'At least one domain is required before publishing');
+  }
+
+  landing.domains = landing.domains.map(d => ({ ...d, published: true }));
+
+  const domainStrings = landing.domains.map(d => d.domain);
+  console.log(`🚀 Publishing landing: ${landing.name} (${landing.slug}) to domains: ${domainStrings.join(', ')}`);
+
+  const configFileName = await deployConfig(landing, ctx.sshKey);
+
+  landing.published = true;
+  landing.traefikConfigFile = configFileName;
+  await writeDB(db);
+
+  if (getEngine() === 'mongo') {
+    clearLandingCache(landing.slug);
+  }
+
+  const domainUrls = landing.domains.map(d => `https://${d.domain}`).join(', ');
+  console.log(`✅ Landing published successfully: ${domainUrls}`);
+
+  await audit(id, ctx, {
+    action: AUDIT_ACTIONS.PUBLISH,
+    details: `Published to: ${domainUrls}`,
+    metadata: { domains: domainStrings }
+  });
+
+  return { message: `Landing published to: ${domainUrls}`, landing };
+}
+
+/**
+ * Unpublish a landing from all its domains.
+ * @param {string} id - landing id
+ * @param {Object} [ctx] - see publishLanding
+ * @returns {Promise<{ message: string, landing: Object }>}
+ */
+async function unpublishLanding(id, ctx = {}) {
+  const { db, landing } = await loadLanding(id);
+
+  if (!landing.published) {
+    throw flowError(400, 'Landing is not published');
+  }
+
+  console.log(`📤 Unpublishing landing: ${landing.name} (${landing.slug})`);
+
+  landing.domains = migrateDomains(landing.domains || []).map(d => ({ ...d, published: false }));
+
+  await removeConfig(landing, ctx.sshKey);
+
+  landing.published = false;
+  landing.traefikConfigFile = '';
+  await writeDB(db);
+
+  if (getEngine() === 'mongo') {
+    clearLandingCache(landing.slug);
+  }
+
+  console.log(`✅ Landing unpublished successfully`);
+
+  await audit(id, ctx, {
+    action: AUDIT_ACTIONS.UNPUBLISH,
+    details: 'Landing unpublished'
+  });
+
+  return { message: 'Landing unpublished successfully', landing };
+}
+
+async function loadDomain(id, domain) {
+  const { db, landing } = await loadLanding(id);
+  landing.domains = migrateDomains(landing.domains || []);
+  const domainObj = landing.domains.find(d => d.domain === domain);
+  if (!domainObj) throw flowError(404, 'Domain not found');
+  return { db, landing, domainObj };
+}
+
+/**
+ * Publish one domain of a landing.
+ * @param {string} id - landing id
+ * @param {string} domain
+ * @param {Object} [ctx] - see publishLanding
+ * @returns {Promise<{ message: string, landing: Object }>}
+ */
+async function publishDomain(id, domain, ctx = {}) {
+  const { db, landing, domainObj } = await loadDomain(id, domain);
+
+  if (domainObj.published) {
+    throw flowError(400, 'Domain is already published');
+  }
+
+  console.log(`🚀 Publishing domain ${domain} for landing: ${landing.name}`);
+
+  domainObj.published = true;
+
+  const configFileName = await deployConfig(landing, ctx.sshKey);
+  landing.traefikConfigFile = configFileName;
+  landing.published = landing.domains.some(d => d.published);
+
+  await writeDB(db);
+
+  console.log(`✅ Domain ${domain} published successfully`);
+
+  await audit(id, ctx, {
+    action: AUDIT_ACTIONS.DOMAIN_PUBLISH,
+    details: `Published domain: ${domain}`,
+    metadata: { domain }
+  });
+
+  return { message: `Domain ${domain} published successfully`, landing };
+}
+
+/**
+ * Unpublish one domain of a landing; removes the Traefik config with the last one.
+ * @param {string} id - landing id
+ * @param {string} domain
+ * @param {Object} [ctx] - see publishLanding
+ * @returns {Promise<{ message: string, landing: Object }>}
+ */
+async function unpublishDomain(id, domain, ctx = {}) {
+  const { db, landing, domainObj } = await loadDomain(id, domain);
+
+  if (!domainObj.published) {
+    throw flowError(400, 'Domain is not published');
+  }
+
+  console.log(`📤 Unpublishing domain ${domain} for landing: ${landing.name}`);
+
+  domainObj.published = false;
+
+  const hasPublishedDomains = landing.domains.some(d => d.published);
+
+  if (hasPublishedDomains) {
+    const configFileName = await deployConfig(landing, ctx.sshKey);
+    landing.traefikConfigFile = configFileName;
+  } else {
+    await removeConfig(landing, ctx.sshKey);
+    landing.traefikConfigFile = '';
+  }
+
+  landing.published = hasPublishedDomains;
+  await writeDB(db);
+
+  console.log(`✅ Domain ${domain} unpublished successfully`);
+
+  await audit(id, ctx, {
+    action: AUDIT_ACTIONS.DOMAIN_UNPUBLISH,
+    details: `Unpublished domain: ${domain}`,
+    metadata: { domain }
+  });
+
+  return { message: `Domain ${domain} unpublished successfully`, landing };
+}
+
+/**
+ * Make a version the current content of a landing (rollback).
+ * @param {string} id - landing id
+ * @param {string} versionId
+ * @param {Object} [ctx] - see publishLanding
+ * @returns {Promise<{ message: string }>}
+ */
+async function activateVersion(id, versionId, ctx = {}) {
+  const { landing } = await loadLanding(id);
+
+  const version = await getVersion(id, versionId);
+  if (!version) throw flowError(404, 'Version not found');
+
+  await rollbackToVersion(landing, versionId);
+
+  console.log(`🔄 Rolled back landing "${landing.name}" to version ${versionId}`);
+
+  await audit(id, ctx, {
+    action: AUDIT_ACTIONS.ROLLBACK,
+    details: `Rolled back to version ${version.versionNumber || versionId}`,
+    metadata: { versionId, versionNumber: version.versionNumber }
+  });
+
+  return { message: `Rolled back to version from ${new Date(version.createdAt).toLocaleString()}` };
+}
+
+module.exports = {
+  publishLanding,
+  unpublishLanding,
+  publishDomain,
+  unpublishDomain,
+  activateVersion
+};
@@ -0,0 +1,242 @@
+/**
+ * Per-landing redirect and rewrite rules (Netlify-style `_redirects`).
+ *
+ * A rule is `{ from, to, status, query: { key: value }, enabled }`:
+ *   - `from`: a path below the landing root. `:name` matches one segment and a
+ *     trailing `/*` matches the rest of the path (including nothing).
+ *   - `to`: a path on the landing or an absolute http(s) URL. `:name` and
+ *     `:splat` are replaced with the matched values.
+ *   - `status`: 301, 302, 303, 307 or 308 redirect, or 200 to rewrite (serve
+ *     `to`, which must then be a path, under the requested URL).
+ *   - `query`: conditions on query parameters. A value starting with `:` matches
+ *     any value and captures it; any other value must match exactly.
+ *
+ * Rules are evaluated in order before file lookup; the first match wins.
+ * A bundle can ship them as a `_redirects` file at its root, one rule per line:
+ *
+ *   /old-page          /new-page        301
+ *   /blog/*            /news/:splat
+ *   /store id=:id      /products/:id    302
+ *   /app/*             /index.html      200
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REDIRECTS_FILE = '_redirects';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const REWRITE_STATUS = 200;
+const MAX_RULES = 500;
+const MAX_LENGTH = 2000;
+
+function isUrl(value) {
+  return /^https?:\/\/[^\s/]+/i.test(value);
+}
+
+function isPath(value) {
+  return typeof value === 'string' && value.startsWith('/') && !/\s/.test(value);
+}
+
+/**
+ * Validate redirect rules coming from the admin API or a `_redirects` file.
+ * Accepts an array of rules or `{ text }` holding the content of a `_redirects`
+ * file. Throws an Error describing the first invalid rule.
+ * @param {Array|{ text: string }} input
+ * @returns {Array<Object>}
+ */
+function normalizeRedirects(input) {
+  if (input && typeof input === 'object' && !Array.isArray(input) && typeof input.text === 'string') {
+    const { rules, errors } = parseRedirectsFile(input.text);
+    if (errors.length) throw new Error(`Line ${errors[0].line}: ${errors[0].message}`);
+    return rules;
+  }
+  if (!Array.isArray(input)) throw new Error('Redirects must be an array');
+  if (input.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} redirect rules are allowed`);
+
+  return input.map((rule, i) => {
+    try {
+      return normalizeRule(rule);
+    } catch (err) {
+      throw new Error(`Redirect ${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('must be an object');
+
+  const from = typeof rule.from === 'string' ? rule.from.trim() : '';
+  if (!isPath(from) || from.includes('?')) throw new Error('from must be a path starting with /');
+  if (from.length > MAX_LENGTH) throw new Error(`from exceeds ${MAX_LENGTH} characters`);
+  if (from.slice(0, -1).includes('*') || (from.endsWith('*') && !from.endsWith('/*'))) {
+    throw new Error('* is only allowed as a final /* segment');
+  }
+
+  const to = typeof rule.to === 'string' ? rule.to.trim() : '';
+  if (!isPath(to) && !(isUrl(to) && !/\s/.test(to))) throw new Error('to must be a path starting with / or an http(s) URL');
+  if (to.length > MAX_LENGTH) throw new Error(`to exceeds ${MAX_LENGTH} characters`);
+
+  const status = rule.status === undefined || rule.status === null || rule.status === '' ? 301 : Number(rule.status);
+  if (status !== REWRITE_STATUS && !REDIRECT_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${[REWRITE_STATUS, ...REDIRECT_STATUSES].join(', ')}`);
+  }
+  if (status === REWRITE_STATUS && !isPath(to)) throw new Error('rewrites (200) must target a path on the landing');
+
+  const query = {};
+  if (rule.query !== undefined && rule.query !== null) {
+    if (typeof rule.query !== 'object' || Array.isArray(rule.query)) throw new Error('query must be an object');
+    for (const [key, value] of Object.entries(rule.query)) {
+      if (!key.trim() || typeof value !== 'string' || !value.trim()) throw new Error('query conditions need a name and a value');
+      query[key.trim()] = value.trim();
+    }
+  }
+
+  return { from, to, status, query, enabled: rule.enabled !== false };
+}
+
+/**
+ * Parse the content of a `_redirects` file. Blank lines and `#` comments are
+ * skipped; invalid lines are reported in `errors` and left out of `rules`.
+ * A trailing `!` on the status (Netlify's "force") is accepted and ignored,
+ * since rules always apply before file lookup.
+ * @param {string} text
+ * @returns {{ rules: Array<Object>, errors: Array<{ line: number, message: string }> }}
+ */
+function parseRedirectsFile(text) {
+  const rules = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+
+    const tokens = line.split(/\s+/);
+    const from = tokens.shift();
+    const query = {};
+    while (tokens.length && /^[^/=]+=/.test(tokens[0]) && !isUrl(tokens[0])) {
+      const [key, ...value] = tokens.shift().split('=');
+      query[key] = value.join('=');
+    }
+    const to = tokens.shift();
+    const status = tokens.length ? tokens.shift().replace(/!$/, '') : undefined;
+
+    try {
+      if (!to) throw new Error('missing destination');
+      if (tokens.length) throw new Error(`unsupported options: ${tokens.join(' ')}`);
+      if (status !== undefined && !/^\d+$/.test(status)) throw new Error(`invalid status "${status}"`);
+      if (rules.length >= MAX_RULES) throw new Error(`at most ${MAX_RULES} redirect rules are allowed`);
+      rules.push(normalizeRule({ from, to, status, query }));
+    } catch (err) {
+      errors.push({ line: i + 1, message: err.message });
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Rules from a bundle's `_redirects` file, or null when it has none.
+ * @param {string} landingDir
+ * @returns {{ rules: Array<Object>, errors: Array<Object> }|null}
+ */
+function readRedirectsFile(landingDir) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(landingDir, REDIRECTS_FILE), 'utf8');
+  } catch (err) {
+    return null;
+  }
+  return parseRedirectsFile(text);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiled `from` patterns, keyed by rule object. Rules live on landings held by
+// the routing index, so each one is compiled once per load or save rather than
+// on every request.
+const compiledPatterns = new WeakMap();
+
+function compilePattern(from) {
+  const splat = from.endsWith('/*');
+  const base = (splat ? from.slice(0, -2) : from).replace(/\/+$/, '');
+  const names = [];
+  const source = base.split('/').map(segment => {
+    if (segment.startsWith(':') && segment.length > 1) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return escapeRegex(segment);
+  }).join('/');
+
+  return { regex: new RegExp(`^${source}${splat ? '(?:/(.*))?' : '/?'}$`), names, splat };
+}
+
+function getCompiledPattern(rule) {
+  let pattern = compiledPatterns.get(rule);
+  if (!pattern || pattern.from !== rule.from) {
+    pattern = { ...compilePattern(rule.from), from: rule.from };
+    compiledPatterns.set(rule, pattern);
+  }
+  return pattern;
+}
+
+// Match a rule's `from` pattern against a path; returns the captured params or null.
+function matchPattern(rule, requestPath) {
+  const { regex, names, splat } = getCompiledPattern(rule);
+  const m = requestPath.match(regex);
+  if (!m) return null;
+
+  const params = {};
+  names.forEach((name, i) => { params[name] = m[i + 1]; });
+  if (splat) params.splat = m[names.length + 1] || '';
+  return params;
+}
+
+function matchQuery(conditions, query) {
+  const params = {};
+  for (const [key, expected] of Object.entries(conditions || {})) {
+    const actual = query[key];
+    if (typeof actual !== 'string') return null;
+    if (expected.startsWith(':')) params[expected.slice(1)] = actual;
+    else if (actual !== expected) return null;
+  }
+  return params;
+}
+
+/**
+ * First enabled rule matching a request, with its destination.
+ * Redirects without query conditions keep the request's query string.
+ * @param {Array<Object>} rules
+ * @param {string} requestPath - path below the landing root, starting with /
+ * @param {Object} [query] - parsed query parameters
+ * @param {string} [search] - raw query string, including the leading ?
+ * @returns {{ rule: Object, status: number, location: string }|null}
+ */
+function matchRedirect(rules, requestPath, query = {}, search = '') {
+  for (const rule of rules || []) {
+    if (rule.enabled === false) continue;
+    const pathParams = matchPattern(rule, requestPath);
+    if (!pathParams) continue;
+    const queryParams = matchQuery(rule.query, query);
+    if (!queryParams) continue;
+
+    const params = { ...queryParams, ...pathParams };
+    let location = rule.to.replace(/:([a-z_][a-z0-9_]*)/gi, (placeholder, name) => (
+      params[name] !== undefined ? params[name] : placeholder
+    ));
+    if (search && !location.includes('?') && !Object.keys(rule.query || {}).length) location += search;
+
+    return { rule, status: rule.status, location };
+  }
+  return null;
+}
+
+module.exports = {
+  REDIRECTS_FILE,
+  normalizeRedirects,
+  parseRedirectsFile,
+  readRedirectsFile,
+  matchRedirect
+};
@@ -0,0 +1,303 @@
+/**
+ * Per-landing response headers: Content-Security-Policy, HSTS, X-Frame-Options,
+ * X-Content-Type-Options, Referrer-Policy, Permissions-Policy and custom headers.
+ *
+ * Settings live in `landing.headers`:
+ *   {
+ *     csp: { enabled, reportOnly, directives: { 'default-src': ["'self'"], ... },
+ *            injectionSources, reportUri },
+ *     hsts: { enabled, maxAge, includeSubDomains, preload },
+ *     frameOptions: '' | 'DENY' | 'SAMEORIGIN',
+ *     noSniff, referrerPolicy, permissionsPolicy,
+ *     custom: [{ name, value }]
+ *   }
+ * The CSP only goes on HTML responses, where it applies; every other header goes
+ * on every response of the landing. With `injectionSources` on, the origins the
+ * request's injected snippets load from (lib/injections.js) are added to the
+ * policy, so enabling a CSP does not break analytics or chat widgets. In report-only
+ * mode the policy is sent as Content-Security-Policy-Report-Only: browsers report
+ * violations (to `reportUri`, and in the console) without blocking anything.
+ */
+
+const CSP_DIRECTIVES = [
+  'default-src', 'script-src', 'style-src', 'img-src', 'font-src', 'connect-src',
+  'media-src', 'frame-src', 'worker-src', 'manifest-src', 'object-src', 'base-uri',
+  'form-action', 'frame-ancestors', 'upgrade-insecure-requests'
+];
+// Directives taking no sources
+const CSP_FLAG_DIRECTIVES = ['upgrade-insecure-requests'];
+// Fetch directives that fall back to default-src when absent
+const CSP_FETCH_DIRECTIVES = ['script-src', 'style-src', 'img-src', 'font-src', 'connect-src', 'media-src', 'frame-src', 'worker-src', 'manifest-src', 'object-src'];
+
+const DEFAULT_CSP_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'img-src': ["'self'", 'data:'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"]
+};
+
+const FRAME_OPTIONS = ['', 'DENY', 'SAMEORIGIN'];
+const REFERRER_POLICIES = [
+  '', 'no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin',
+  'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url'
+];
+const DEFAULT_HSTS_MAX_AGE = 31536000;
+const MAX_CUSTOM_HEADERS = 20;
+const MAX_HEADER_VALUE_LENGTH = 4000;
+
+// Headers set by the server itself, or by one of the settings above
+const RESERVED_HEADERS = [
+  'cache-control', 'connection', 'content-encoding', 'content-language', 'content-length',
+  'content-type', 'etag', 'last-modified', 'location', 'retry-after', 'set-cookie',
+  'transfer-encoding', 'vary', 'www-authenticate', 'x-robots-tag',
+  'content-security-policy', 'content-security-policy-report-only', 'strict-transport-security',
+  'x-frame-options', 'x-content-type-options', 'referrer-policy', 'permissions-policy'
+];
+
+function isHeaderValue(value) {
+  return typeof value === 'string' && !/[\r\n]/.test(value) && value.length <= MAX_HEADER_VALUE_LENGTH;
+}
+
+/**
+ * Parse CSP directives from an object (`{ 'script-src': ["'self'"] }`, values as
+ * arrays or strings) or from policy text (`script-src 'self'; img-src *`, one
+ * directive per line or separated by `;`).
+ * Throws an Error describing the first problem.
+ * @param {Object|string} input
+ * @returns {Object<string, string[]>}
+ */
+function normalizeCspDirectives(input) {
+  let entries;
+  if (typeof input === 'string') {
+    entries = input.split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+      const [name, ...sources] = part.split(/\s+/);
+      return [name, sources];
+    });
+  } else if (input && typeof input === 'object' && !Array.isArray(input)) {
+    entries = Object.entries(input);
+  } else {
+    throw new Error('CSP directives must be an object or policy text');
+  }
+
+  const directives = {};
+  for (const [rawName, rawSources] of entries) {
+    const name = String(rawName).trim().toLowerCase();
+    if (!CSP_DIRECTIVES.includes(name)) throw new Error(`Unknown CSP directive "${rawName}"`);
+    let sources = rawSources === undefined || rawSources === null ? [] : rawSources;
+    if (typeof sources === 'string') sources = sources.split(/\s+/);
+    if (!Array.isArray(sources)) throw new Error(`CSP directive ${name} must list its sources`);
+    sources = sources.map(s => String(s).trim()).filter(Boolean);
+    const invalid = sources.find(s => /[;,\r\n]/.test(s));
+    if (invalid) throw new Error(`CSP directive ${name}: invalid source "${invalid}"`);
+    if (CSP_FLAG_DIRECTIVES.includes(name) && sources.length) throw new Error(`CSP directive ${name} takes no sources`);
+    directives[name] = [...new Set([...(directives[name] || []), ...sources])];
+  }
+  return directives;
+}
+
+/**
+ * Validate response header settings coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function normalizeResponseHeaders(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Response header settings must be an object');
+
+  const csp = input.csp || {};
+  if (typeof csp !== 'object' || Array.isArray(csp)) throw new Error('csp must be an object');
+  for (const key of ['enabled', 'reportOnly', 'injectionSources']) {
+    if (csp[key] !== undefined && typeof csp[key] !== 'boolean') throw new Error(`csp.${key} must be a boolean`);
+  }
+  const directives = csp.directives === undefined || csp.directives === '' ? {} : normalizeCspDirectives(csp.directives);
+  const reportUri = typeof csp.reportUri === 'string' ? csp.reportUri.trim() : '';
+  if (reportUri && !/^(https?:\/\/|\/)[^\s;,]*$/.test(reportUri)) throw new Error('csp.reportUri must be an http(s) URL or a path');
+
+  const hsts = input.hsts || {};
+  if (typeof hsts !== 'object' || Array.isArray(hsts)) throw new Error('hsts must be an object');
+  for (const key of ['enabled', 'includeSubDomains', 'preload']) {
+    if (hsts[key] !== undefined && typeof hsts[key] !== 'boolean') throw new Error(`hsts.${key} must be a boolean`);
+  }
+  const maxAge = hsts.maxAge === undefined || hsts.maxAge === null || hsts.maxAge === '' ? DEFAULT_HSTS_MAX_AGE : Number(hsts.maxAge);
+  if (!Number.isInteger(maxAge) || maxAge < 0) throw new Error('hsts.maxAge must be a number of seconds');
+
+  const frameOptions = input.frameOptions === undefined ? '' : String(input.frameOptions).toUpperCase();
+  if (!FRAME_OPTIONS.includes(frameOptions)) throw new Error('frameOptions must be DENY, SAMEORIGIN or empty');
+  if (input.noSniff !== undefined && typeof input.noSniff !== 'boolean') throw new Error('noSniff must be a boolean');
+  const referrerPolicy = input.referrerPolicy === undefined ? '' : String(input.referrerPolicy).trim().toLowerCase();
+  if (!REFERRER_POLICIES.includes(referrerPolicy)) throw new Error(`referrerPolicy must be one of: ${REFERRER_POLICIES.filter(Boolean).join(', ')}`);
+  const permissionsPolicy = typeof input.permissionsPolicy === 'string' ? input.permissionsPolicy.trim().replace(/\s*\n\s*/g, ', ') : '';
+  if (!isHeaderValue(permissionsPolicy)) throw new Error('permissionsPolicy is not a valid header value');
+
+  const customInput = input.custom === undefined ? [] : input.custom;
+  if (!Array.isArray(customInput)) throw new Error('custom must be an array of headers');
+  const custom = customInput.filter(h => h && (h.name || h.value));
+  if (custom.length > MAX_CUSTOM_HEADERS) throw new Error(`At most ${MAX_CUSTOM_HEADERS} custom headers are allowed`);
+  const seen = new Set();
+  const customHeaders = custom.map((header, i) => {
+    const name = typeof header.name === 'string' ? header.name.trim() : '';
+    if (!/^[A-Za-z0-9-]+$/.test(name)) throw new Error(`Custom header ${i + 1}: invalid name`);
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) throw new Error(`Custom header ${i + 1}: ${name} cannot be set here`);
+    if (seen.has(name.toLowerCase())) throw new Error(`Custom header ${i + 1}: ${name} is listed twice`);
+    seen.add(name.toLowerCase());
+    const value = typeof header.value === 'string' ? header.value.trim() : '';
+    if (!value || !isHeaderValue(value)) throw new Error(`Custom header ${i + 1}: invalid value`);
+    return { name, value };
+  });
+
+  return {
+    csp: {
+      enabled: csp.enabled === true,
+      reportOnly: csp.reportOnly !== false,
+      directives: Object.keys(directives).length ? directives : { ...DEFAULT_CSP_DIRECTIVES },
+      injectionSources: csp.injectionSources !== false,
+      reportUri
+    },
+    hsts: { enabled: hsts.enabled === true, maxAge, includeSubDomains: hsts.includeSubDomains === true, preload: hsts.preload === true },
+    frameOptions,
+    noSniff: input.noSniff === true,
+    referrerPolicy,
+    permissionsPolicy,
+    custom: customHeaders
+  };
+}
+
+/**
+ * Effective response header settings of a landing (nothing sent by default).
+ * @param {Object} landing
+ */
+function resolveResponseHeaders(landing) {
+  const headers = (landing && landing.headers) || {};
+  const csp = headers.csp || {};
+  const hsts = headers.hsts || {};
+  return {
+    csp: {
+      enabled: csp.enabled === true,
+      reportOnly: csp.reportOnly !== false,
+      directives: csp.directives && Object.keys(csp.directives).length ? csp.directives : { ...DEFAULT_CSP_DIRECTIVES },
+      injectionSources: csp.injectionSources !== false,
+      reportUri: csp.reportUri || ''
+    },
+    hsts: {
+      enabled: hsts.enabled === true,
+      maxAge: Number.isInteger(hsts.maxAge) ? hsts.maxAge : DEFAULT_HSTS_MAX_AGE,
+      includeSubDomains: hsts.includeSubDomains === true,
+      preload: hsts.preload === true
+    },
+    frameOptions: headers.frameOptions || '',
+    noSniff: headers.noSniff === true,
+    referrerPolicy: headers.referrerPolicy || '',
+    permissionsPolicy: headers.permissionsPolicy || '',
+    custom: Array.isArray(headers.custom) ? headers.custom : []
+  };
+}
+
+// Origin of an absolute or protocol-relative URL, or null for same-origin URLs.
+function sourceOrigin(url) {
+  const m = /^(https?:)?\/\/([^/?#\s]+)/i.exec(url.trim());
+  if (!m) return null;
+  return (m[1] ? m[1].toLowerCase() + '//' : 'https://') + m[2].toLowerCase();
+}
+
+function addSource(sources, directive, value) {
+  if (!sources[directive]) sources[directive] = [];
+  if (!sources[directive].includes(value)) sources[directive].push(value);
+}
+
+/**
+ * CSP sources needed by injected snippets: origins of their scripts (also allowed
+ * to connect, for tracking beacons), stylesheets, images and frames, plus
+ * 'unsafe-inline' for inline scripts and styles.
+ * @param {Array<Object>} rules - injection rules (see lib/injections.js)
+ * @returns {Object<string, string[]>}
+ */
+function collectInjectionSources(rules) {
+  const sources = {};
+  for (const rule of rules || []) {
+    const html = String(rule.html || '');
+    for (const [, tag, attrs, content] of html.matchAll(/<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi)) {
+      if (/\ssrc\s*=/i.test(attrs) || !content.trim()) continue;
+      addSource(sources, tag.toLowerCase() === 'script' ? 'script-src' : 'style-src', "'unsafe-inline'");
+    }
+    for (const [, tag, attrs] of html.matchAll(/<(script|img|iframe|link)\b([^>]*)>/gi)) {
+      const name = tag.toLowerCase();
+      const m = /\s(?:src|href)\s*=\s*["']([^"']+)["']/i.exec(attrs);
+      const origin = m && sourceOrigin(m[1]);
+      if (!origin) continue;
+      if (name === 'script') {
+        addSource(sources, 'script-src', origin);
+        addSource(sources, 'connect-src', origin);
+      } else if (name === 'img') {
+        addSource(sources, 'img-src', origin);
+      } else if (name === 'iframe') {
+        addSource(sources, 'frame-src', origin);
+      } else if (/\srel\s*=\s*["']?stylesheet/i.test(attrs)) {
+        addSource(sources, 'style-src', origin);
+      }
+    }
+  }
+  return sources;
+}
+
+/**
+ * Content-Security-Policy value: the configured directives plus `extraSources`.
+ * A fetch directive that is not configured starts from default-src, as browsers
+ * would fall back to it; without default-src it is left unrestricted.
+ * @param {Object} csp - resolved `csp` settings
+ * @param {Object<string, string[]>} [extraSources]
+ * @returns {string}
+ */
+function buildContentSecurityPolicy(csp, extraSources = {}) {
+  const directives = {};
+  for (const [name, sources] of Object.entries(csp.directives || {})) directives[name] = [...sources];
+  for (const [name, sources] of Object.entries(extraSources)) {
+    if (!directives[name]) {
+      if (!CSP_FETCH_DIRECTIVES.includes(name) || !directives['default-src']) continue;
+      directives[name] = [...directives['default-src']];
+    }
+    // 'none' cannot be combined with sources
+    if (directives[name].includes("'none'")) continue;
+    for (const source of sources) if (!directives[name].includes(source)) directives[name].push(source);
+  }
+  if (csp.reportUri) directives['report-uri'] = [csp.reportUri];
+  return Object.entries(directives).map(([name, sources]) => [name, ...sources].join(' ')).join('; ');
+}
+
+/**
+ * Headers to send for a landing response.
+ * @param {Object} landing
+ * @param {Object} [opts]
+ * @param {boolean} [opts.html] - an HTML document (gets the CSP)
+ * @param {Array<Object>} [opts.rules] - injection rules applied to it
+ * @returns {Object<string, string>}
+ */
+function getResponseHeaders(landing, { html = false, rules = [] } = {}) {
+  const settings = resolveResponseHeaders(landing);
+  const headers = {};
+  const { csp, hsts } = settings;
+
+  if (html && csp.enabled) {
+    const policy = buildContentSecurityPolicy(csp, csp.injectionSources ? collectInjectionSources(rules) : {});
+    if (policy) headers[csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy'] = policy;
+  }
+  if (hsts.enabled) {
+    headers['Strict-Transport-Security'] = `max-age=${hsts.maxAge}` + (hsts.includeSubDomains ? '; includeSubDomains' : '') + (hsts.preload ? '; preload' : '');
+  }
+  if (settings.frameOptions) headers['X-Frame-Options'] = settings.frameOptions;
+  if (settings.noSniff) headers['X-Content-Type-Options'] = 'nosniff';
+  if (settings.referrerPolicy) headers['Referrer-Policy'] = settings.referrerPolicy;
+  if (settings.permissionsPolicy) headers['Permissions-Policy'] = settings.permissionsPolicy;
+  for (const { name, value } of settings.custom) headers[name] = value;
+  return headers;
+}
+
+module.exports = {
+  CSP_DIRECTIVES,
+  DEFAULT_CSP_DIRECTIVES,
+  normalizeCspDirectives,
+  normalizeResponseHeaders,
+  resolveResponseHeaders,
+  collectInjectionSources,
+  buildContentSecurityPolicy,
+  getResponseHeaders
+};
@@ -0,0 +1,217 @@
+/**
+ * In-memory routing index for the public serving layer.
+ *
+ * The serve middlewares resolve a landing from the request host or slug on every
+ * hit (including every asset). Instead of reading the whole landings collection
+ * each time, they look landings up in this index, which is built once from the
+ * persistence layer and dropped whenever `lib/store.js` writes landings.
+ *
+ * A TTL acts as a safety net for writes made outside this process (the CLI
+ * editing db.json, another instance sharing the same MongoDB).
+ */
+
+const { migrateDomains } = require('./db');
+const { isWildcardDomain, wildcardBase, splitFirstLabel } = require('./hosts');
+const { isValidSlug } = require('./utils');
+
+// Heavy fields that the serving hot path never needs from the index.
+const HEAVY_FIELDS = ['content', 'files'];
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+let cachedIndex = null;
+let pendingBuild = null;
+let pendingGeneration = -1;
+let generation = 0;
+
+function getTtlMs() {
+  const raw = parseInt(process.env.ROUTING_INDEX_TTL_MS, 10);
+  return Number.isFinite(raw) && raw >= 0 ? raw : DEFAULT_TTL_MS;
+}
+
+function normalizeHost(host) {
+  return typeof host === 'string' ? host.trim().toLowerCase() : '';
+}
+
+function stripPort(host) {
+  return host.replace(/:\d+$/, '');
+}
+
+// Organizations are indexed for their serving settings only; member lists stay out.
+function toOrganizationEntry(org) {
+  const { users, ...entry } = org;
+  return entry;
+}
+
+function toIndexEntry(landing) {
+  const entry = { ...landing };
+  for (const field of HEAVY_FIELDS) delete entry[field];
+  entry.domains = migrateDomains(landing.domains || []);
+  return entry;
+}
+
+/**
+ * Build a routing index from a list of landings.
+ *
+ * Host entries only cover published landings, mirroring the previous
+ * `l.published && domains.some(...)` lookup. When two landings claim the same
+ * host (or the same wildcard), the first one in collection order wins, as
+ * `Array#find` did before. Wildcard domains are indexed by their base.
+ *
+ * @param {Object[]} landings
+ * @param {Object[]} [organizations]
+ * @param {Object} [instance] - instance-wide serving settings ({ maintenance, slugDomains, adminDomains })
+ * @returns {{ bySlug: Map<string, Object>, byHost: Map<string, Object>, byWildcard: Map<string, Object>, byOrgId: Map<string, Object>, instance: Object, builtAt: number }}
+ */
+function buildRoutingIndex(landings, organizations = [], instance = {}) {
+  const bySlug = new Map();
+  const byHost = new Map();
+  const byWildcard = new Map();
+  const byOrgId = new Map();
+
+  for (const org of organizations || []) {
+    if (org && org.id) byOrgId.set(org.id, toOrganizationEntry(org));
+  }
+
+  for (const landing of landings || []) {
+    if (!landing || !landing.slug) continue;
+    const entry = toIndexEntry(landing);
+
+    if (!bySlug.has(entry.slug)) bySlug.set(entry.slug, entry);
+
+    if (!entry.published) continue;
+    for (const d of entry.domains) {
+      const host = normalizeHost(d && d.domain);
+      if (!host) continue;
+      const [map, key] = isWildcardDomain(host) ? [byWildcard, wildcardBase(host)] : [byHost, host];
+      if (!map.has(key)) map.set(key, entry);
+    }
+  }
+
+  return { bySlug, byHost, byWildcard, byOrgId, instance: instance || {}, builtAt: Date.now() };
+}
+
+/**
+ * Resolve a Host header value (with or without port) to the landing it serves.
+ * Precedence is fixed: an exact domain, then a wildcard domain, then a slug
+ * domain of the instance (`<slug>.<base>`, any landing, like slug URLs;
+ * never for the admin domains).
+ * @param {Object} index
+ * @param {string} host
+ * @returns {{ landing: Object, via: 'domain'|'wildcard'|'subdomain' }|null}
+ */
+function resolveHost(index, host) {
+  const normalized = normalizeHost(host);
+  if (!index || !normalized) return null;
+
+  const exact = index.byHost.get(normalized) || index.byHost.get(stripPort(normalized));
+  if (exact) return { landing: exact, via: 'domain' };
+
+  const parts = splitFirstLabel(stripPort(normalized));
+  if (!parts) return null;
+
+  const wildcard = index.byWildcard && index.byWildcard.get(parts.base);
+  if (wildcard) return { landing: wildcard, via: 'wildcard' };
+
+  const { slugDomains = [], adminDomains = [] } = index.instance || {};
+  if (slugDomains.includes(parts.base) && isValidSlug(parts.label) && !adminDomains.includes(stripPort(normalized))) {
+    const landing = index.bySlug.get(parts.label);
+    if (landing) return { landing, via: 'subdomain' };
+  }
+  return null;
+}
+
+/**
+ * Find the landing serving a Host header value (see resolveHost).
+ * @param {Object} index
+ * @param {string} host
+ * @returns {Object|null}
+ */
+function findLandingByHost(index, host) {
+  const resolved = resolveHost(index, host);
+  return resolved ? resolved.landing : null;
+}
+
+/**
+ * @param {Object} index
+ * @param {string} slug
+ * @returns {Object|null}
+ */
+function findLandingBySlug(index, slug) {
+  if (!index || typeof slug !== 'string') return null;
+  return index.bySlug.get(slug) || null;
+}
+
+/**
+ * URL prefix of a landing for a request: empty on the landing's own domain
+ * (Traefik, or serveSlugDomains for slug domains, adds the /<slug> prefix
+ * upstream), `/<slug>` everywhere else.
+ * @param {Object} index
+ * @param {string} host - request Host header
+ * @param {Object} landing
+ * @returns {string}
+ */
+function getLandingBasePath(index, host, landing) {
+  const hostLanding = findLandingByHost(index, host || '');
+  return hostLanding && hostLanding.id === landing.id ? '' : '/' + landing.slug;
+}
+
+/**
+ * Organization owning a landing (without its member list), if any.
+ * @param {Object} index
+ * @param {Object} landing
+ * @returns {Object|null}
+ */
+function findOrganization(index, landing) {
+  if (!index || !landing || !landing.organizationId) return null;
+  return index.byOrgId.get(landing.organizationId) || null;
+}
+
+/**
+ * Return the current index, building it with `loadData` when it is missing
+ * or stale. Concurrent callers share a single in-flight build.
+ *
+ * @param {() => Promise<{ landings: Object[], organizations?: Object[], instance?: Object }>} loadData
+ * @returns {Promise<Object>}
+ */
+async function getRoutingIndex(loadData) {
+  if (cachedIndex && Date.now() - cachedIndex.builtAt < getTtlMs()) {
+    return cachedIndex;
+  }
+
+  // A build started before the last invalidation may have read stale data.
+  if (!pendingBuild || pendingGeneration !== generation) {
+    const buildGeneration = generation;
+    const build = (async () => {
+      try {
+        const { landings, organizations, instance } = await loadData();
+        const index = buildRoutingIndex(landings, organizations, instance);
+        if (buildGeneration === generation) cachedIndex = index;
+        return index;
+      } finally {
+        if (pendingBuild === build) pendingBuild = null;
+      }
+    })();
+    pendingBuild = build;
+    pendingGeneration = buildGeneration;
+  }
+
+  return pendingBuild;
+}
+
+// Drop the cached index; the next lookup rebuilds it.
+function invalidateRoutingIndex() {
+  generation++;
+  cachedIndex = null;
+}
+
+module.exports = {
+  buildRoutingIndex,
+  resolveHost,
+  findLandingByHost,
+  findLandingBySlug,
+  getLandingBasePath,
+  findOrganization,
+  getRoutingIndex,
+  invalidateRoutingIndex
+};
@@ -0,0 +1,156 @@
+/**
+ * Regular expressions written in the admin and run against visitor input
+ * (personalization `matches` conditions, the cache policy's hashed asset
+ * pattern).
+ *
+ * The app is a single process, so one pattern with catastrophic backtracking
+ * would freeze every landing. Patterns are checked when saved, in the spirit of
+ * safe-regex: repeated groups may not contain another quantifier (`(a+)+`) or
+ * an alternation (`(a|ab)*`), backreferences are refused, and at most three
+ * unbounded quantifiers keep chains like `.*.*.*.*` out. Compiled patterns are
+ * cached by source, and the values tested are capped in length.
+ */
+
+const MAX_TESTED_LENGTH = 200;
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+const MAX_CACHED_PATTERNS = 500;
+
+const compiled = new Map();
+
+// Length of a quantifier starting at `i`, whether it repeats (more than once) and
+// whether it has no upper bound
+function readQuantifier(source, i) {
+  const char = source[i];
+  let length = 0;
+  let repeats = false;
+  let unbounded = false;
+  if (char === '*' || char === '+') {
+    length = 1;
+    repeats = true;
+    unbounded = true;
+  } else if (char === '?') {
+    length = 1;
+  } else if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!match) return { length: 0, repeats: false, unbounded: false };
+    length = match[0].length;
+    unbounded = Boolean(match[2]) && match[3] === '';
+    repeats = unbounded || Number(match[match[2] ? 3 : 1]) > 1;
+  }
+  // Lazy suffix
+  if (length && source[i + length] === '?') length++;
+  return { length, repeats, unbounded };
+}
+
+/**
+ * Why a pattern may backtrack catastrophically, or null when it looks safe.
+ * @param {string} source
+ * @returns {string|null}
+ */
+function findUnsafeConstruct(source) {
+  // One entry per open group: whether it contains a quantifier or an alternation
+  const stack = [{ repeats: false, alternates: false }];
+  let unbounded = 0;
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    let atomEnd = i + 1;
+    let group = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not allowed';
+      atomEnd = i + 2;
+    } else if (char === '[') {
+      let j = i + 1;
+      if (source[j] === '^') j++;
+      if (source[j] === ']') j++;
+      while (j < source.length && source[j] !== ']') j += source[j] === '\\' ? 2 : 1;
+      atomEnd = j + 1;
+    } else if (char === '(') {
+      stack.push({ repeats: false, alternates: false });
+      i++;
+      continue;
+    } else if (char === ')') {
+      if (stack.length > 1) group = stack.pop();
+    } else if (char === '|') {
+      stack[stack.length - 1].alternates = true;
+      i++;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, atomEnd);
+    if (quantifier.unbounded && ++unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+      return `at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, + or {n,}) are allowed`;
+    }
+    if (group && quantifier.repeats) {
+      if (group.repeats) return 'nested quantifiers such as (a+)+ are not allowed';
+      if (group.alternates) return 'repeated alternations such as (a|ab)* are not allowed';
+    }
+    const current = stack[stack.length - 1];
+    if (quantifier.length || (group && group.repeats)) current.repeats = true;
+    i = atomEnd + quantifier.length;
+  }
+  return null;
+}
+
+/**
+ * Validate a pattern written in the admin. Throws an Error starting with
+ * `label` when it does not compile or may backtrack catastrophically.
+ * @param {string} source
+ * @param {string} label - e.g. 'hashedAssetPattern'
+ * @param {string} [flags]
+ */
+function assertSafePattern(source, label, flags = '') {
+  try {
+    new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`${label} is not a valid regular expression: ${err.message}`);
+  }
+  const problem = findUnsafeConstruct(source);
+  if (problem) throw new Error(`${label} is not allowed: ${problem}`);
+}
+
+/**
+ * Compiled pattern, cached by source and flags. Null when the pattern does not
+ * compile or is unsafe (patterns saved before validation existed).
+ * @param {string} source
+ * @param {string} [flags]
+ * @returns {RegExp|null}
+ */
+function compileSafePattern(source, flags = '') {
+  const key = `${flags}/${source}`;
+  if (compiled.has(key)) return compiled.get(key);
+  let regex = null;
+  if (!findUnsafeConstruct(source)) {
+    try {
+      regex = new RegExp(source, flags);
+    } catch (e) {
+      regex = null;
+    }
+  }
+  if (compiled.size >= MAX_CACHED_PATTERNS) compiled.delete(compiled.keys().next().value);
+  compiled.set(key, regex);
+  return regex;
+}
+
+/**
+ * Test a visitor-controlled value against a saved pattern. Values longer than
+ * MAX_TESTED_LENGTH never match.
+ * @param {string} source
+ * @param {string} value
+ * @param {string} [flags] - without 'g' or 'y', which would make the test stateful
+ * @returns {boolean}
+ */
+function testSafePattern(source, value, flags = '') {
+  if (typeof value !== 'string' || value.length > MAX_TESTED_LENGTH) return false;
+  const regex = compileSafePattern(source, flags);
+  return Boolean(regex) && regex.test(value);
+}
+
+module.exports = {
+  MAX_TESTED_LENGTH,
+  findUnsafeConstruct,
+  assertSafePattern,
+  compileSafePattern,
+  testSafePattern
+};
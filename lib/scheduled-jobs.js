@@ -0,0 +1,84 @@
+/**
+ * Runs scheduled jobs (lib/scheduler.js) through the same flows as the admin
+ * API (lib/publishing.js), so every run writes the usual audit entries.
+ */
+
+const { listScheduledJobs, updateScheduledJob, deleteScheduledJob } = require('./store');
+const { logAudit, AUDIT_ACTIONS } = require('./audit');
+const { getVersion } = require('./versions');
+const { publishLanding, unpublishLanding, publishDomain, unpublishDomain, activateVersion } = require('./publishing');
+const { describeJob, createScheduler } = require('./scheduler');
+
+function getIntervalMs() {
+  const raw = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10);
+  return Number.isFinite(raw) && raw >= 1000 ? raw : undefined;
+}
+
+// Jobs run with the configured Traefik SSH key; keys sent with API requests are never stored.
+function runScheduledJob(job) {
+  const ctx = { actor: job.createdBy, isAdmin: job.isAdmin, jobId: job.id };
+  switch (job.type) {
+    case 'publish':
+      return job.domain ? publishDomain(job.landingId, job.domain, ctx) : publishLanding(job.landingId, ctx);
+    case 'unpublish':
+      return job.domain ? unpublishDomain(job.landingId, job.domain, ctx) : unpublishLanding(job.landingId, ctx);
+    case 'activate_version':
+      return activateVersion(job.landingId, job.versionId, ctx);
+    default:
+      throw new Error(`Unknown job type "${job.type}"`);
+  }
+}
+
+async function auditFailure(job, error) {
+  console.error(`❌ Scheduled job ${job.id} failed: ${error.message}`);
+  const version = job.versionId ? await getVersion(job.landingId, job.versionId) : null;
+  await logAudit(job.landingId, {
+    action: AUDIT_ACTIONS.SCHEDULE_FAIL,
+    actor: job.createdBy,
+    isAdmin: job.isAdmin,
+    details: `Scheduled job failed: ${describeJob(job, version)}: ${error.message}`,
+    metadata: { jobId: job.id, type: job.type, domain: job.domain, versionId: job.versionId }
+  });
+}
+
+const scheduler = createScheduler({
+  intervalMs: getIntervalMs(),
+  listDue: nowIso => listScheduledJobs({ statuses: ['pending'], dueBefore: nowIso }),
+  claim: job => updateScheduledJob(job.id, {
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    attempts: (job.attempts || 0) + 1
+  }, ['pending']),
+  run: async job => {
+    console.log(`⏰ Running scheduled job ${job.id} (${job.type}) for landing ${job.landingId}`);
+    await runScheduledJob(job);
+  },
+  complete: job => deleteScheduledJob(job.id),
+  fail: async (job, error) => {
+    await updateScheduledJob(job.id, { status: 'failed', error: error.message });
+    await auditFailure(job, error);
+  },
+  recoverStale: async olderThanIso => {
+    const running = await listScheduledJobs({ statuses: ['running'] });
+    for (const job of running.filter(j => !j.startedAt || j.startedAt <= olderThanIso)) {
+      const error = new Error('Interrupted before completion');
+      const interrupted = await updateScheduledJob(job.id, { status: 'failed', error: error.message }, ['running']);
+      if (interrupted) await auditFailure(interrupted, error);
+    }
+  }
+});
+
+function startScheduler() {
+  scheduler.start();
+  console.log('⏰ Job scheduler started');
+}
+
+function stopScheduler() {
+  scheduler.stop();
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runScheduledJobsNow: scheduler.tick
+};
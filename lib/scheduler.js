@@ -0,0 +1,166 @@
+/**
+ * Scheduled landing operations: publish or unpublish a landing or one of its
+ * domains, and activate a version, at a given time.
+ *
+ * Jobs are persisted through lib/store.js and survive restarts:
+ *
+ *   { id, landingId, type: 'publish'|'unpublish'|'activate_version',
+ *     domain: string|null, versionId: string|null, runAt,
+ *     status: 'pending'|'running'|'failed', createdAt, createdBy, isAdmin,
+ *     attempts, startedAt, error }
+ *
+ * A polling loop runs due jobs, including those missed while the server was
+ * down. Successful jobs are removed (their run is in the landing's audit log);
+ * failed jobs stay until they are retried or dismissed.
+ */
+
+const crypto = require('crypto');
+
+const JOB_TYPES = ['publish', 'unpublish', 'activate_version'];
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+// A job still `running` after this long was interrupted (crash or restart).
+const STALE_RUNNING_MS = 10 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a job request coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { type, domain?, versionId?, runAt }
+ * @param {Object} landing
+ * @param {string[]} versionIds - existing versions of the landing
+ * @param {number} [now]
+ * @returns {{ type: string, domain: string|null, versionId: string|null, runAt: string }}
+ */
+function normalizeJob(input, landing, versionIds, now = Date.now()) {
+  if (!input || typeof input !== 'object') throw new Error('Job must be an object');
+  if (!JOB_TYPES.includes(input.type)) throw new Error(`Job type must be one of: ${JOB_TYPES.join(', ')}`);
+
+  const runAt = new Date(input.runAt);
+  if (!input.runAt || Number.isNaN(runAt.getTime())) throw new Error('runAt must be a valid date');
+  if (runAt.getTime() <= now) throw new Error('runAt must be in the future');
+  if (runAt.getTime() - now > MAX_SCHEDULE_AHEAD_MS) throw new Error('runAt must be within a year');
+
+  let domain = null;
+  let versionId = null;
+  if (input.type === 'activate_version') {
+    versionId = String(input.versionId || '');
+    if (!versionIds.includes(versionId)) throw new Error('Unknown version');
+  } else if (input.domain) {
+    domain = String(input.domain).trim().toLowerCase();
+    const domains = (landing.domains || []).map(d => (typeof d === 'string' ? d : d.domain));
+    if (!domains.includes(domain)) throw new Error(`Unknown domain "${domain}"`);
+  } else if (input.type === 'publish' && !(landing.domains || []).length) {
+    throw new Error('At least one domain is required before publishing');
+  }
+
+  return { type: input.type, domain, versionId, runAt: runAt.toISOString() };
+}
+
+/**
+ * A new pending job record.
+ * @param {Object} definition - output of normalizeJob
+ * @param {{ landingId: string, createdBy: string, isAdmin: boolean }} owner
+ * @returns {Object}
+ */
+function createJob(definition, { landingId, createdBy, isAdmin }) {
+  return {
+    id: `job-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    landingId,
+    ...definition,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    createdBy,
+    isAdmin: !!isAdmin,
+    attempts: 0,
+    startedAt: null,
+    error: null
+  };
+}
+
+/**
+ * Human-readable summary of a job, for audit entries and the admin.
+ * @param {Object} job
+ * @param {Object} [version] - the job's version, for activation jobs
+ * @returns {string}
+ */
+function describeJob(job, version) {
+  if (job.type === 'activate_version') {
+    return `Activate version ${(version && version.versionNumber) || job.versionId}`;
+  }
+  const verb = job.type === 'publish' ? 'Publish' : 'Unpublish';
+  return job.domain ? `${verb} domain ${job.domain}` : `${verb} landing`;
+}
+
+/**
+ * Polling loop running due jobs one at a time.
+ * @param {Object} opts
+ * @param {(nowIso: string) => Promise<Object[]>} opts.listDue - pending jobs with runAt <= now
+ * @param {(job: Object) => Promise<Object|null>} opts.claim - mark running; null if taken
+ * @param {(job: Object) => Promise<void>} opts.run - perform the job; throws on failure
+ * @param {(job: Object) => Promise<void>} opts.complete
+ * @param {(job: Object, error: Error) => Promise<void>} opts.fail
+ * @param {(olderThanIso: string) => Promise<void>} [opts.recoverStale] - fail jobs stuck running
+ * @param {number} [opts.intervalMs]
+ * @returns {{ start: Function, stop: Function, tick: Function }}
+ */
+function createScheduler({ listDue, claim, run, complete, fail, recoverStale, intervalMs = DEFAULT_INTERVAL_MS }) {
+  let timer = null;
+  let ticking = null;
+
+  async function runOne(job) {
+    const claimed = await claim(job);
+    if (!claimed) return;
+    try {
+      await run(claimed);
+      await complete(claimed);
+    } catch (err) {
+      await fail(claimed, err);
+    }
+  }
+
+  async function doTick() {
+    const now = Date.now();
+    if (recoverStale) await recoverStale(new Date(now - STALE_RUNNING_MS).toISOString());
+    const due = await listDue(new Date(now).toISOString());
+    for (const job of due) await runOne(job);
+  }
+
+  // Overlapping ticks share the run in progress.
+  function tick() {
+    if (!ticking) {
+      ticking = doTick()
+        .catch(err => console.error('[scheduler] Tick failed:', err.message))
+        .finally(() => { ticking = null; });
+    }
+    return ticking;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await tick();
+      if (timer) schedule();
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      schedule();
+      tick();
+    },
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    tick
+  };
+}
+
+module.exports = {
+  JOB_TYPES,
+  normalizeJob,
+  createJob,
+  describeJob,
+  createScheduler
+};
@@ -0,0 +1,262 @@
+/**
+ * Generated robots.txt and sitemap.xml for landings served on their domains.
+ *
+ * Only a landing's primary domain is indexable: the domain chosen in its SEO
+ * settings, else its first published domain. Every other host (secondary
+ * domains, slug URLs on the instance host) answers `Disallow: /`, as does a
+ * landing with `noindex` on. Per landing, `landing.seo` holds:
+ *   - noindex: keep the landing out of search engines (also sent as X-Robots-Tag)
+ *   - primaryDomain: the indexable domain ('' for the first published one)
+ *   - robotsTxt: robots.txt content replacing the generated one
+ *   - sitemapExclude: path patterns (`*` wildcard) left out of the sitemap
+ * robots.txt and sitemap.xml files shipped in the landing's bundle take
+ * precedence over generated ones on the primary domain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildAlternateLinks } = require('./i18n');
+const { isWildcardDomain } = require('./hosts');
+
+const MAX_ROBOTS_LENGTH = 10000;
+const MAX_EXCLUDE_PATTERNS = 100;
+const MAX_SITEMAP_URLS = 50000;
+const DISALLOW_ALL = 'User-agent: *\nDisallow: /\n';
+
+// Files that are part of a bundle but never pages of their own
+const ERROR_PAGE_NAMES = ['404', '500'];
+const SKIPPED_DIRS = ['node_modules'];
+
+/**
+ * Validate SEO settings coming from the admin API.
+ * Throws an Error describing the first problem.
+ * @param {Object} input - { noindex?, primaryDomain?, robotsTxt?, sitemapExclude? }
+ * @returns {{ noindex: boolean, primaryDomain: string, robotsTxt: string, sitemapExclude: string[] }}
+ */
+function normalizeSeoSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('SEO settings must be an object');
+  if (input.noindex !== undefined && typeof input.noindex !== 'boolean') throw new Error('noindex must be a boolean');
+
+  const primaryDomain = typeof input.primaryDomain === 'string' ? input.primaryDomain.trim().toLowerCase() : '';
+  if (primaryDomain && !/^[a-z0-9.-]+$/.test(primaryDomain)) throw new Error('primaryDomain must be a domain name');
+
+  const robotsTxt = typeof input.robotsTxt === 'string' ? input.robotsTxt.trim() : '';
+  if (robotsTxt.length > MAX_ROBOTS_LENGTH) throw new Error(`robotsTxt must be at most ${MAX_ROBOTS_LENGTH} characters`);
+
+  let sitemapExclude = input.sitemapExclude === undefined ? [] : input.sitemapExclude;
+  if (typeof sitemapExclude === 'string') sitemapExclude = sitemapExclude.split('\n');
+  if (!Array.isArray(sitemapExclude)) throw new Error('sitemapExclude must be an array of paths');
+  sitemapExclude = sitemapExclude.map(p => String(p).trim()).filter(Boolean);
+  if (sitemapExclude.length > MAX_EXCLUDE_PATTERNS) throw new Error(`sitemapExclude allows at most ${MAX_EXCLUDE_PATTERNS} patterns`);
+  const invalid = sitemapExclude.find(p => !p.startsWith('/'));
+  if (invalid) throw new Error(`Exclude pattern "${invalid}" must start with /`);
+
+  return { noindex: input.noindex === true, primaryDomain, robotsTxt, sitemapExclude };
+}
+
+/**
+ * Effective SEO settings of a landing (indexable, generated files by default).
+ * @param {Object} landing
+ */
+function resolveSeoSettings(landing) {
+  const seo = (landing && landing.seo) || {};
+  return {
+    noindex: seo.noindex === true,
+    primaryDomain: seo.primaryDomain || '',
+    robotsTxt: seo.robotsTxt || '',
+    sitemapExclude: Array.isArray(seo.sitemapExclude) ? seo.sitemapExclude : []
+  };
+}
+
+function hostname(host) {
+  return String(host || '').toLowerCase().replace(/:\d+$/, '');
+}
+
+/**
+ * The landing's indexable domain, or null when it has no published domain.
+ * A configured primary domain is used only while it is published. Wildcard
+ * domains (lib/hosts.js) are never primary.
+ * @param {Object} landing
+ * @returns {string|null}
+ */
+function getPrimaryDomain(landing) {
+  const published = ((landing && landing.domains) || [])
+    .filter(d => d && typeof d === 'object' && d.published && !isWildcardDomain(d.domain))
+    .map(d => hostname(d.domain));
+  const { primaryDomain } = resolveSeoSettings(landing);
+  if (primaryDomain && published.includes(primaryDomain)) return primaryDomain;
+  return published[0] || null;
+}
+
+/**
+ * Whether search engines may index a landing on a host.
+ * @param {Object} landing
+ * @param {string} host - request Host header
+ * @returns {boolean}
+ */
+function isIndexable(landing, host) {
+  if (resolveSeoSettings(landing).noindex) return false;
+  const primary = getPrimaryDomain(landing);
+  return Boolean(primary) && hostname(host) === primary;
+}
+
+/**
+ * Generated robots.txt: everything allowed, with the sitemap location.
+ * @param {string} sitemapUrl
+ * @returns {string}
+ */
+function renderRobotsTxt(sitemapUrl) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${sitemapUrl}\n`;
+}
+
+// A page name the serving routes accept (see isValidPage in routes/serve.js)
+function isPageName(value) {
+  return typeof value === 'string' && /^[a-z0-9][a-z0-9\-_]*$/i.test(value);
+}
+
+function toLastmod(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * HTML pages of a static, virtual or HTML bundle with their URL paths.
+ * Hidden and `_`-prefixed files and folders and the 404/500 error pages are skipped.
+ * @param {string} landingDir
+ * @returns {Array<{ path: string, lastmod: string|null }>}
+ */
+function listHtmlPages(landingDir) {
+  const pages = [];
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.includes(entry.name)) walk(fullPath, `${prefix}${entry.name}/`);
+        continue;
+      }
+      if (!/\.html?$/i.test(entry.name)) continue;
+      const base = entry.name.replace(/\.html?$/i, '');
+      if (!prefix && ERROR_PAGE_NAMES.includes(base)) continue;
+      pages.push({
+        path: '/' + prefix + (base === 'index' ? '' : entry.name),
+        lastmod: toLastmod(fs.statSync(fullPath).mtime)
+      });
+    }
+  };
+  walk(landingDir, '');
+  return pages.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Pages of an EJS landing: its root templates (except error pages and templates
+ * only rendered through `:param` routes) and the pages of its manifest routes
+ * (see listRoutePages in lib/data-providers.js).
+ * @param {string} landingDir
+ * @param {Object|null} manifest - from loadDataManifest
+ * @param {Array<{ page: string, lastmod: *|null }>} [routePages]
+ * @returns {Array<{ page: string, lastmod: string|null }>}
+ */
+function listEjsPages(landingDir, manifest, routePages = []) {
+  const routeTemplates = new Set(((manifest && manifest.routes) || []).filter(r => r.path.startsWith(':')).map(r => r.template));
+  let files;
+  try {
+    files = fs.readdirSync(landingDir);
+  } catch (e) {
+    return [];
+  }
+  const pages = files
+    .filter(f => f.endsWith('.ejs'))
+    .map(f => f.slice(0, -4))
+    .filter(page => isPageName(page) && !ERROR_PAGE_NAMES.includes(page) && !routeTemplates.has(page))
+    .sort()
+    .map(page => ({ page, lastmod: toLastmod(fs.statSync(path.join(landingDir, page + '.ejs')).mtime) }));
+
+  const seen = new Set(pages.map(p => p.page));
+  for (const { page, lastmod } of routePages) {
+    if (!isPageName(page) || seen.has(page)) continue;
+    seen.add(page);
+    pages.push({ page, lastmod: toLastmod(lastmod) });
+  }
+  return pages;
+}
+
+/**
+ * URL paths of EJS pages. Localized landings list every page once per locale,
+ * with hreflang alternates.
+ * @param {Array<{ page: string, lastmod: string|null }>} pages
+ * @param {string[]} locales
+ * @param {string} origin
+ * @returns {Array<{ path: string, lastmod: string|null, alternates: Array }>}
+ */
+function localizePages(pages, locales, origin) {
+  const suffix = page => (page === 'index' ? '' : '/' + page);
+  if (!locales || locales.length < 2) {
+    return pages.map(p => ({ path: suffix(p.page) || '/', lastmod: p.lastmod, alternates: [] }));
+  }
+  return pages.flatMap(p => {
+    const alternates = buildAlternateLinks({ origin, basePath: '', page: p.page, locales });
+    return locales.map(locale => ({ path: `/${locale}${suffix(p.page)}`, lastmod: p.lastmod, alternates }));
+  });
+}
+
+// `*` matches any characters; everything else is literal
+function matchesPattern(pattern, urlPath) {
+  const re = new RegExp('^' + pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return re.test(urlPath);
+}
+
+function isExcluded(urlPath, patterns) {
+  return patterns.some(pattern => matchesPattern(pattern, urlPath));
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml for a list of pages. Pages with `alternates` get hreflang links.
+ * @param {string} origin - e.g. "https://example.com"
+ * @param {Array<{ path: string, lastmod?: string|null, alternates?: Array<{ hreflang: string, href: string }> }>} pages
+ * @param {string[]} [exclude] - path patterns to leave out
+ * @returns {string}
+ */
+function renderSitemap(origin, pages, exclude = []) {
+  const seen = new Set();
+  const entries = [];
+  for (const page of pages) {
+    if (entries.length >= MAX_SITEMAP_URLS) break;
+    if (seen.has(page.path) || isExcluded(page.path, exclude)) continue;
+    seen.add(page.path);
+    const links = (page.alternates || [])
+      .map(l => `<xhtml:link rel="alternate" hreflang="${escapeXml(l.hreflang)}" href="${escapeXml(l.href)}"/>`)
+      .join('');
+    entries.push(`<url><loc>${escapeXml(origin + page.path)}</loc>${page.lastmod ? `<lastmod>${page.lastmod}</lastmod>` : ''}${links}</url>`);
+  }
+  const xhtml = entries.some(e => e.includes('<xhtml:link')) ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : '';
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${xhtml}>\n`
+    + entries.map(e => e + '\n').join('')
+    + '</urlset>\n';
+}
+
+module.exports = {
+  DISALLOW_ALL,
+  MAX_SITEMAP_URLS,
+  normalizeSeoSettings,
+  resolveSeoSettings,
+  getPrimaryDomain,
+  isIndexable,
+  renderRobotsTxt,
+  listHtmlPages,
+  listEjsPages,
+  localizePages,
+  isExcluded,
+  renderSitemap
+};
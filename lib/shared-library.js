@@ -0,0 +1,382 @@
+/**
+ * Shared library of an organization: partials and assets used by all of its
+ * landings, stored once and versioned on their own.
+ *
+ * Files live in SHARED_LIBRARY_DIR/<orgId>/files (default data/shared). `.ejs`
+ * files are partials, which EJS pages and custom markdown layouts include through
+ * the `@shared/` namespace:
+ *   <%- include('@shared/footer') %>
+ * Other files are assets, served below every landing of the organization at
+ * `<landing URL>/_shared/<path>` (`/_shared/logo.svg` on its domains).
+ *
+ * Every change records a new version in SHARED_LIBRARY_DIR/<orgId>/versions: a
+ * manifest mapping each path to the SHA-256 of its content. Contents are stored
+ * once in SHARED_LIBRARY_DIR/<orgId>/blobs, so a version only adds the files that
+ * changed. The newest SHARED_LIBRARY_MAX_VERSIONS versions (default 100) are kept;
+ * older ones are pruned with the contents no kept version uses. Restoring copies
+ * a version back and records it as a new version, so the latest version is
+ * always the live one.
+ * Landings read the library at request time, so a change reaches all of them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./db');
+const { safeSlugPath } = require('./utils');
+
+const SHARED_NAMESPACE = '@shared/';
+const SHARED_URL_SEGMENT = '_shared';
+const MAX_LIBRARY_FILES = 500;
+const MAX_LIBRARY_FILE_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_VERSIONS = 100;
+// Files the admin edits as text; everything else is uploaded
+const TEXT_EXTENSIONS = ['.ejs', '.html', '.htm', '.css', '.js', '.mjs', '.json', '.svg', '.txt', '.md', '.xml'];
+
+function libraryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getSharedLibraryDir() {
+  return process.env.SHARED_LIBRARY_DIR || path.join(DATA_DIR, 'shared');
+}
+
+function getLibraryRoot(orgId) {
+  return safeSlugPath(getSharedLibraryDir(), String(orgId));
+}
+
+function getLibraryFilesDir(orgId) {
+  return path.join(getLibraryRoot(orgId), 'files');
+}
+
+function getLibraryVersionsDir(orgId) {
+  return path.join(getLibraryRoot(orgId), 'versions');
+}
+
+function getLibraryBlobsDir(orgId) {
+  return path.join(getLibraryRoot(orgId), 'blobs');
+}
+
+function getMaxVersions() {
+  const raw = parseInt(process.env.SHARED_LIBRARY_MAX_VERSIONS, 10);
+  return Number.isFinite(raw) && raw >= 1 ? raw : DEFAULT_MAX_VERSIONS;
+}
+
+/**
+ * Validate a library file path ("partials/footer.ejs"). Segments may not start
+ * with a dot, so hidden files and `..` are rejected.
+ * @param {string} input
+ * @returns {string} the path without leading slashes
+ */
+function normalizeLibraryPath(input) {
+  const filePath = typeof input === 'string' ? input.trim().replace(/^\/+/, '') : '';
+  const segments = filePath.split('/');
+  if (!filePath || filePath.length > 200 || !segments.every(s => /^[A-Za-z0-9_][A-Za-z0-9._-]*$/.test(s))) {
+    throw libraryError(400, `Invalid file path: ${input}`);
+  }
+  return filePath;
+}
+
+function isPartial(filePath) {
+  return filePath.endsWith('.ejs');
+}
+
+function isTextFile(filePath) {
+  return TEXT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function walkFiles(dir, prefix, files) {
+  if (!fs.existsSync(dir)) return files;
+  for (const item of fs.readdirSync(dir).sort()) {
+    const fullPath = path.join(dir, item);
+    const relativePath = prefix ? `${prefix}/${item}` : item;
+    const stat = fs.statSync(fullPath);
+    if (stat.isDirectory()) walkFiles(fullPath, relativePath, files);
+    else files.push({ path: relativePath, size: stat.size, updatedAt: stat.mtime.toISOString() });
+  }
+  return files;
+}
+
+/**
+ * Files of a library, sorted by path.
+ * @param {string} orgId
+ * @returns {Array<{ path: string, size: number, updatedAt: string, kind: 'partial'|'asset', text: boolean }>}
+ */
+function listLibraryFiles(orgId) {
+  return walkFiles(getLibraryFilesDir(orgId), '', [])
+    .map(file => ({ ...file, kind: isPartial(file.path) ? 'partial' : 'asset', text: isTextFile(file.path) }));
+}
+
+/**
+ * Absolute path of an existing library file, or null (invalid path, missing file).
+ * @param {string} orgId
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function resolveLibraryFile(orgId, filePath) {
+  if (!orgId) return null;
+  let normalized;
+  try {
+    normalized = normalizeLibraryPath(filePath);
+  } catch (e) {
+    return null;
+  }
+  const fullPath = path.join(getLibraryFilesDir(orgId), normalized);
+  return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fullPath : null;
+}
+
+function readLibraryFile(orgId, filePath) {
+  const normalized = normalizeLibraryPath(filePath);
+  if (!isTextFile(normalized)) throw libraryError(400, `${normalized} is not a text file`);
+  const fullPath = resolveLibraryFile(orgId, normalized);
+  if (!fullPath) throw libraryError(404, `File not found: ${normalized}`);
+  return fs.readFileSync(fullPath, 'utf8');
+}
+
+/**
+ * Create or replace a library file.
+ * @param {string} orgId
+ * @param {string} filePath
+ * @param {string|Buffer} content
+ * @returns {string} the normalized path
+ */
+function writeLibraryFile(orgId, filePath, content) {
+  const normalized = normalizeLibraryPath(filePath);
+  if (typeof content !== 'string' && !Buffer.isBuffer(content)) throw libraryError(400, 'File content is required');
+  if (Buffer.byteLength(content) > MAX_LIBRARY_FILE_SIZE) {
+    throw libraryError(400, `${normalized} is larger than ${MAX_LIBRARY_FILE_SIZE / 1024 / 1024} MB`);
+  }
+  const fullPath = path.join(getLibraryFilesDir(orgId), normalized);
+  const exists = fs.existsSync(fullPath);
+  if (exists && fs.statSync(fullPath).isDirectory()) throw libraryError(400, `${normalized} is a folder`);
+  if (!exists && listLibraryFiles(orgId).length >= MAX_LIBRARY_FILES) {
+    throw libraryError(400, `A library holds at most ${MAX_LIBRARY_FILES} files`);
+  }
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+  return normalized;
+}
+
+function deleteLibraryFile(orgId, filePath) {
+  const fullPath = resolveLibraryFile(orgId, filePath);
+  if (!fullPath) throw libraryError(404, `File not found: ${filePath}`);
+  fs.unlinkSync(fullPath);
+
+  // Drop folders left empty
+  const filesDir = getLibraryFilesDir(orgId);
+  let dir = path.dirname(fullPath);
+  while (dir !== filesDir && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+  return normalizeLibraryPath(filePath);
+}
+
+function deleteLibrary(orgId) {
+  const root = getLibraryRoot(orgId);
+  if (!fs.existsSync(root)) return false;
+  fs.rmSync(root, { recursive: true, force: true });
+  return true;
+}
+
+// --- versions ---------------------------------------------------------------------
+
+/**
+ * Versions of a library, newest first.
+ * @param {string} orgId
+ * @returns {Array<{ id, versionNumber, description, actor, createdAt, fileCount, size }>}
+ */
+function listLibraryVersions(orgId) {
+  const versionsDir = getLibraryVersionsDir(orgId);
+  if (!fs.existsSync(versionsDir)) return [];
+  const versions = [];
+  for (const versionId of fs.readdirSync(versionsDir)) {
+    const metadataPath = path.join(versionsDir, versionId, 'metadata.json');
+    if (!fs.existsSync(metadataPath)) continue;
+    try {
+      versions.push(JSON.parse(fs.readFileSync(metadataPath, 'utf8')));
+    } catch (e) {
+      console.error(`Error reading shared library version metadata: ${metadataPath}`, e);
+    }
+  }
+  return versions.sort((a, b) => b.versionNumber - a.versionNumber);
+}
+
+// `{ path: { hash, size } }` of a version, or null for versions that
+// hold a full copy of the files (created before contents were shared)
+function readVersionManifest(orgId, versionId) {
+  const manifestPath = path.join(getLibraryVersionsDir(orgId), versionId, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function hashFile(fullPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex');
+}
+
+// Drop the oldest versions beyond the retention limit, then the contents that no
+// remaining version uses
+function pruneLibraryVersions(orgId) {
+  const versionsDir = getLibraryVersionsDir(orgId);
+  const versions = listLibraryVersions(orgId);
+  for (const version of versions.slice(getMaxVersions())) {
+    fs.rmSync(path.join(versionsDir, version.id), { recursive: true, force: true });
+  }
+
+  const blobsDir = getLibraryBlobsDir(orgId);
+  if (!fs.existsSync(blobsDir)) return;
+  const used = new Set();
+  for (const version of versions.slice(0, getMaxVersions())) {
+    const manifest = readVersionManifest(orgId, version.id);
+    for (const entry of Object.values(manifest || {})) used.add(entry.hash);
+  }
+  for (const hash of fs.readdirSync(blobsDir)) {
+    if (!used.has(hash)) fs.rmSync(path.join(blobsDir, hash), { force: true });
+  }
+}
+
+/**
+ * Record the current files of a library as a new version. Only contents that no
+ * stored version has yet are written; the oldest versions beyond
+ * SHARED_LIBRARY_MAX_VERSIONS are then pruned.
+ * @param {string} orgId
+ * @param {Object} [options]
+ * @param {string} [options.description]
+ * @param {string} [options.actor]
+ * @returns {Object} the version metadata
+ */
+function createLibraryVersion(orgId, { description = '', actor = null } = {}) {
+  const versionsDir = getLibraryVersionsDir(orgId);
+  const latest = listLibraryVersions(orgId)[0];
+  let versionId = Date.now();
+  while (fs.existsSync(path.join(versionsDir, String(versionId)))) versionId++;
+  const versionDir = path.join(versionsDir, String(versionId));
+  fs.mkdirSync(versionDir, { recursive: true });
+
+  const filesDir = getLibraryFilesDir(orgId);
+  const blobsDir = getLibraryBlobsDir(orgId);
+  const files = listLibraryFiles(orgId);
+  const manifest = {};
+  for (const file of files) {
+    const fullPath = path.join(filesDir, file.path);
+    const hash = hashFile(fullPath);
+    const blobPath = path.join(blobsDir, hash);
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(blobsDir, { recursive: true });
+      fs.copyFileSync(fullPath, blobPath);
+    }
+    manifest[file.path] = { hash, size: file.size };
+  }
+  fs.writeFileSync(path.join(versionDir, 'manifest.json'), JSON.stringify(manifest));
+
+  const metadata = {
+    id: String(versionId),
+    organizationId: String(orgId),
+    versionNumber: latest ? latest.versionNumber + 1 : 1,
+    description,
+    actor,
+    createdAt: new Date().toISOString(),
+    fileCount: files.length,
+    size: files.reduce((sum, f) => sum + f.size, 0)
+  };
+  fs.writeFileSync(path.join(versionDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  pruneLibraryVersions(orgId);
+  return metadata;
+}
+
+/**
+ * Replace the library files with those of a version, recorded as a new version.
+ * @param {string} orgId
+ * @param {string} versionId
+ * @param {Object} [options]
+ * @param {string} [options.actor]
+ * @returns {Object} the new version metadata
+ */
+function restoreLibraryVersion(orgId, versionId, { actor = null } = {}) {
+  if (!/^[0-9]+$/.test(String(versionId))) throw libraryError(404, 'Version not found');
+  const version = listLibraryVersions(orgId).find(v => v.id === String(versionId));
+  if (!version) throw libraryError(404, 'Version not found');
+
+  const filesDir = getLibraryFilesDir(orgId);
+  const manifest = readVersionManifest(orgId, version.id);
+  const snapshotDir = path.join(getLibraryVersionsDir(orgId), version.id, 'files');
+  fs.rmSync(filesDir, { recursive: true, force: true });
+  fs.mkdirSync(filesDir, { recursive: true });
+  if (manifest) {
+    for (const [filePath, entry] of Object.entries(manifest)) {
+      const fullPath = path.join(filesDir, normalizeLibraryPath(filePath));
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.copyFileSync(path.join(getLibraryBlobsDir(orgId), entry.hash), fullPath);
+    }
+  } else if (fs.existsSync(snapshotDir)) {
+    fs.cpSync(snapshotDir, filesDir, { recursive: true });
+  }
+
+  return createLibraryVersion(orgId, { description: `Restored version ${version.versionNumber}`, actor });
+}
+
+// --- serving ----------------------------------------------------------------------
+
+/**
+ * EJS `includer` resolving `@shared/<name>` includes to the organization's library
+ * (`.ejs` is added when the name has no extension). Other includes resolve as usual.
+ * @param {string|null} orgId - organization of the rendered landing
+ * @returns {Function} includer(originalPath, parsedPath)
+ */
+function createSharedIncluder(orgId) {
+  return (originalPath, parsedPath) => {
+    if (!originalPath.startsWith(SHARED_NAMESPACE)) {
+      // EJS leaves unresolved includes to the includer
+      if (!parsedPath) throw new Error(`Could not find the include file "${originalPath}"`);
+      return undefined;
+    }
+    if (!orgId) throw new Error(`Cannot include ${originalPath}: the landing has no organization`);
+    let name = originalPath.slice(SHARED_NAMESPACE.length);
+    if (!path.extname(name)) name += '.ejs';
+    const filename = resolveLibraryFile(orgId, name);
+    if (!filename) throw new Error(`Shared partial not found: ${name}`);
+    return { filename };
+  };
+}
+
+/**
+ * Path of a shared asset in a request path below a landing root, or null.
+ * Partials are rendered, never sent.
+ * @param {string} requestPath - e.g. "/_shared/img/logo.svg"
+ * @returns {string|null} e.g. "img/logo.svg"
+ */
+function matchSharedAssetPath(requestPath) {
+  const prefix = `/${SHARED_URL_SEGMENT}/`;
+  if (!requestPath || !requestPath.startsWith(prefix)) return null;
+  let filePath;
+  try {
+    filePath = normalizeLibraryPath(decodeURIComponent(requestPath.slice(prefix.length)));
+  } catch (e) {
+    return null;
+  }
+  return isPartial(filePath) ? null : filePath;
+}
+
+module.exports = {
+  getSharedLibraryDir,
+  SHARED_NAMESPACE,
+  SHARED_URL_SEGMENT,
+  MAX_LIBRARY_FILES,
+  MAX_LIBRARY_FILE_SIZE,
+  normalizeLibraryPath,
+  isPartial,
+  isTextFile,
+  listLibraryFiles,
+  resolveLibraryFile,
+  readLibraryFile,
+  writeLibraryFile,
+  deleteLibraryFile,
+  deleteLibrary,
+  listLibraryVersions,
+  createLibraryVersion,
+  restoreLibraryVersion,
+  createSharedIncluder,
+  matchSharedAssetPath
+};
@@ -0,0 +1,61 @@
+/**
+ * Single-page app fallback for static and virtual landings.
+ *
+ * With `landing.spa.enabled`, GET/HEAD requests that match no file and look like
+ * client-side routes (`/pricing`, `/users/42`: no file extension in the last
+ * segment) are answered with the landing's `index.html` and a 200, so React/Vue
+ * routers can take over. Missing assets (`/app.js`, `/logo.png`) still 404.
+ */
+
+/**
+ * Validate SPA settings coming from the admin API.
+ * @param {Object} input - { enabled }
+ * @returns {{ enabled: boolean }}
+ */
+function normalizeSpaSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('SPA settings must be an object');
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') throw new Error('enabled must be a boolean');
+  return { enabled: input.enabled === true };
+}
+
+/**
+ * Effective SPA settings of a landing (disabled by default).
+ * @param {Object} landing
+ * @returns {{ enabled: boolean }}
+ */
+function resolveSpaSettings(landing) {
+  return { enabled: Boolean(landing && landing.spa && landing.spa.enabled) };
+}
+
+/**
+ * Whether a path (below the landing root) is a client-side route rather than a
+ * file: no extension in its last segment and no dot-segment (`.well-known`).
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isClientRoute(filePath) {
+  const segments = String(filePath || '').split('/').filter(Boolean);
+  if (segments.some(segment => segment.startsWith('.'))) return false;
+  const last = segments[segments.length - 1] || '';
+  return !/\.[a-z0-9]+$/i.test(last);
+}
+
+/**
+ * Whether a request that matched no file gets the landing's index.html.
+ * @param {Object} landing
+ * @param {string} method
+ * @param {string} filePath - path below the landing root
+ * @returns {boolean}
+ */
+function shouldServeSpaFallback(landing, method, filePath) {
+  if (!landing || (landing.type !== 'static' && landing.type !== 'virtual')) return false;
+  if (method !== 'GET' && method !== 'HEAD') return false;
+  return resolveSpaSettings(landing).enabled && isClientRoute(filePath);
+}
+
+module.exports = {
+  normalizeSpaSettings,
+  resolveSpaSettings,
+  isClientRoute,
+  shouldServeSpaFallback
+};
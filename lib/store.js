@@ -2,9 +2,11 @@ const fs = require('fs');
 const path = require('path');
 const { MongoClient } = require('mongodb');
 
-const { readDB: readJsonDB, writeDB: writeJsonDB, DATA_DIR, readDirectoryFilesSync } = require('./db');
+const { readDB: readJsonDB, writeDB: writeJsonDB, DATA_DIR, readDirectoryFilesSync, migrateDomains } = require('./db');
 const { LANDINGS_DIR } = require('./db');
 const { safeSlugPath } = require('./utils');
+const { invalidateRoutingIndex } = require('./routing-index');
+const { mergeCounts } = require('./analytics');
 
 let mongoClient = null;
 let mongoDb = null;
@@ -26,11 +28,53 @@ async function getLandings() {
     .toArray();
 }
 
+// Instance-wide settings the serving layer needs: maintenance mode, slug
+// domains and the admin domains they must leave alone
+function toRoutingInstance(data) {
+  const adminConfig = data.adminConfig || {};
+  return {
+    maintenance: data.maintenance || null,
+    slugDomains: adminConfig.slugDomains || [],
+    adminDomains: migrateDomains(adminConfig.domains || []).map(d => String(d.domain).toLowerCase())
+  };
+}
+
+// Landings (without their heavy `content`/`files` payloads), organizations and
+// instance-wide serving settings, for the routing index.
+async function getRoutingData() {
+  if (getEngine() !== 'mongo') {
+    const db = readJsonDB();
+    return { landings: db.landings || [], organizations: db.organizations || [], instance: toRoutingInstance(db) };
+  }
+
+  await connectMongo();
+  const [landings, state] = await Promise.all([
+    mongoDb
+      .collection('landings')
+      .find({}, { projection: { _id: 0, content: 0, files: 0 } })
+      .toArray(),
+    mongoDb.collection('app_state').findOne({ _id: 'db' }, { projection: { 'data.organizations': 1, 'data.maintenance': 1, 'data.adminConfig.slugDomains': 1, 'data.adminConfig.domains': 1 } })
+  ]);
+  const data = (state && state.data) || {};
+  return { landings, organizations: data.organizations || [], instance: toRoutingInstance(data) };
+}
+
+async function getLandingById(id) {
+  if (getEngine() !== 'mongo') {
+    const db = readJsonDB();
+    return (db.landings || []).find(l => l.id === id) || null;
+  }
+
+  await connectMongo();
+  return mongoDb.collection('landings').findOne({ _id: id }, { projection: { _id: 0 } });
+}
+
 async function replaceLandings(landings) {
   if (getEngine() !== 'mongo') {
     const db = readJsonDB();
     db.landings = landings || [];
     writeJsonDB(db);
+    invalidateRoutingIndex();
     return;
   }
 
@@ -40,6 +84,7 @@ async function replaceLandings(landings) {
   if (Array.isArray(landings) && landings.length > 0) {
     await col.insertMany(landings.map(l => ({ ...l, _id: l.id })));
   }
+  invalidateRoutingIndex();
 }
 
 async function upsertVersionMetadata(metadata) {
@@ -143,7 +188,7 @@ async function syncLandingsToMongo(landings, { forceSync } = {}) {
         console.warn(`[store] Could not read index.html for slug ${l.slug}: ${e.message}`);
       }
     }
-    if (l && l.type === 'virtual' && (!l.files || l.files.length === 0)) {
+    if (l && (l.type === 'virtual' || l.type === 'markdown') && (!l.files || l.files.length === 0)) {
       try {
         const landingDir = safeSlugPath(LANDINGS_DIR, l.slug);
         if (fs.existsSync(landingDir)) {
@@ -168,6 +213,7 @@ async function syncLandingsToMongo(landings, { forceSync } = {}) {
 
   if (ops.length > 0) {
     await col.bulkWrite(ops, { ordered: false });
+    invalidateRoutingIndex();
   }
 
   return { synced: enriched.length, mode: existingCount > 0 ? 'upsert' : 'insert' };
@@ -215,7 +261,7 @@ async function syncVersionMetadataToMongo({ forceSync } = {}) {
         } catch (e) {
           console.warn(`[store] Could not read HTML content for slug ${metadata.landingSlug}: ${e.message}`);
         }
-      } else if (metadata.landingType === 'virtual' && metadata.landingSlug) {
+      } else if ((metadata.landingType === 'virtual' || metadata.landingType === 'markdown') && metadata.landingSlug) {
         try {
           const landingDir = path.join(LANDINGS_DIR, metadata.landingSlug);
           if (fs.existsSync(landingDir)) {
@@ -322,6 +368,7 @@ async function writeDB(data) {
   const engine = getEngine();
   if (engine !== 'mongo') {
     writeJsonDB(data);
+    invalidateRoutingIndex();
     return;
   }
 
@@ -360,7 +407,393 @@ async function writeDB(data) {
   if (ops.length > 0) {
     await col.bulkWrite(ops, { ordered: false });
   }
+  invalidateRoutingIndex();
+}
+
+// --- Form submissions (lib/forms.js) ---------------------------------------------
+// JSON engine: one file per landing under data/submissions/, newest first.
+// Mongo engine: one document per submission in the `submissions` collection.
+
+const MAX_SUBMISSIONS_PER_LANDING = 5000;
+
+function getSubmissionsDir() {
+  return path.join(DATA_DIR, 'submissions');
+}
+
+function getSubmissionsFile(landingId) {
+  return path.join(getSubmissionsDir(), `${landingId}.json`);
+}
+
+function readSubmissionsFile(landingId) {
+  return safeReadJson(getSubmissionsFile(landingId)) || [];
+}
+
+async function insertSubmission(submission) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('submissions').insertOne({ ...submission, _id: submission.id });
+    return submission;
+  }
+
+  fs.mkdirSync(getSubmissionsDir(), { recursive: true });
+  const entries = readSubmissionsFile(submission.landingId);
+  entries.unshift(submission);
+  fs.writeFileSync(getSubmissionsFile(submission.landingId), JSON.stringify(entries.slice(0, MAX_SUBMISSIONS_PER_LANDING), null, 2));
+  return submission;
+}
+
+/**
+ * Submissions for a set of landings, newest first.
+ * @param {Object} opts
+ * @param {string[]} opts.landingIds - landings the caller may see
+ * @param {string} [opts.form] - only this form name
+ * @param {number} [opts.limit] - omit for no limit (CSV export)
+ * @param {number} [opts.offset]
+ * @returns {Promise<{ entries: Object[], total: number }>}
+ */
+async function listSubmissions({ landingIds, form, limit, offset = 0 }) {
+  if (!landingIds.length) return { entries: [], total: 0 };
+
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const col = mongoDb.collection('submissions');
+    const filter = { landingId: { $in: landingIds }, ...(form ? { form } : {}) };
+    let cursor = col.find(filter, { projection: { _id: 0 } }).sort({ createdAt: -1 }).skip(offset);
+    if (limit) cursor = cursor.limit(limit);
+    const [entries, total] = await Promise.all([cursor.toArray(), col.countDocuments(filter)]);
+    return { entries, total };
+  }
+
+  let entries = [];
+  for (const landingId of landingIds) entries.push(...readSubmissionsFile(landingId));
+  if (form) entries = entries.filter(e => e.form === form);
+  entries.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+  return { entries: entries.slice(offset, limit ? offset + limit : undefined), total: entries.length };
+}
+
+// Delete one submission if it belongs to one of `landingIds`. Returns whether it existed.
+async function deleteSubmission(id, landingIds) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const result = await mongoDb.collection('submissions').deleteOne({ _id: id, landingId: { $in: landingIds } });
+    return result.deletedCount > 0;
+  }
+
+  for (const landingId of landingIds) {
+    const entries = readSubmissionsFile(landingId);
+    const next = entries.filter(e => e.id !== id);
+    if (next.length !== entries.length) {
+      fs.writeFileSync(getSubmissionsFile(landingId), JSON.stringify(next, null, 2));
+      return true;
+    }
+  }
+  return false;
+}
+
+async function deleteLandingSubmissions(landingId) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('submissions').deleteMany({ landingId });
+    return;
+  }
+
+  const filePath = getSubmissionsFile(landingId);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+// -------------------------------------------------------------------------------
+
+// --- Pageview analytics (lib/analytics.js) ---------------------------------------
+// Daily aggregates per landing. JSON engine: data/analytics/<landingId>.json, keyed
+// by day. Mongo engine: one `pageviews` document per landing and day, updated with
+// $inc so concurrent instances do not overwrite each other.
+
+const COUNT_DIMENSIONS = ['domains', 'paths', 'referrers'];
+
+function getAnalyticsFile(landingId) {
+  return path.join(DATA_DIR, 'analytics', `${landingId}.json`);
+}
+
+// Mongo field names cannot contain "." or start with "$" (domains and paths do).
+function encodeCountKey(key) {
+  return key.replace(/%/g, '%25').replace(/\./g, '%2E').replace(/^\$/, '%24');
+}
+
+function decodeCountKey(key) {
+  return key.replace(/%2E/g, '.').replace(/%24/g, '$').replace(/%25/g, '%');
+}
+
+function decodeCounts(doc) {
+  const out = { landingId: doc.landingId, day: doc.day, total: doc.total || 0 };
+  for (const dim of COUNT_DIMENSIONS) {
+    out[dim] = {};
+    for (const [key, count] of Object.entries(doc[dim] || {})) out[dim][decodeCountKey(key)] = count;
+  }
+  return out;
+}
+
+async function incrementPageviews(deltas) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const ops = deltas.map(delta => {
+      const inc = { total: delta.total };
+      for (const dim of COUNT_DIMENSIONS) {
+        for (const [key, count] of Object.entries(delta[dim] || {})) inc[`${dim}.${encodeCountKey(key)}`] = count;
+      }
+      return {
+        updateOne: {
+          filter: { _id: `${delta.landingId}:${delta.day}` },
+          update: { $inc: inc, $setOnInsert: { landingId: delta.landingId, day: delta.day } },
+          upsert: true
+        }
+      };
+    });
+    if (ops.length > 0) await mongoDb.collection('pageviews').bulkWrite(ops, { ordered: false });
+    return;
+  }
+
+  const byLanding = new Map();
+  for (const delta of deltas) {
+    if (!byLanding.has(delta.landingId)) byLanding.set(delta.landingId, []);
+    byLanding.get(delta.landingId).push(delta);
+  }
+  fs.mkdirSync(path.join(DATA_DIR, 'analytics'), { recursive: true });
+  for (const [landingId, landingDeltas] of byLanding) {
+    const days = safeReadJson(getAnalyticsFile(landingId)) || {};
+    for (const delta of landingDeltas) {
+      days[delta.day] = mergeCounts(days[delta.day] || {}, delta);
+    }
+    fs.writeFileSync(getAnalyticsFile(landingId), JSON.stringify(days));
+  }
+}
+
+/**
+ * Daily aggregates for some landings since a given day (inclusive).
+ * @param {string[]} landingIds
+ * @param {string} sinceDay - "YYYY-MM-DD"
+ * @returns {Promise<Array<{ landingId, day, total, domains, paths, referrers }>>}
+ */
+async function getPageviews(landingIds, sinceDay) {
+  if (!landingIds.length) return [];
+
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const docs = await mongoDb
+      .collection('pageviews')
+      .find({ landingId: { $in: landingIds }, day: { $gte: sinceDay } }, { projection: { _id: 0 } })
+      .toArray();
+    return docs.map(decodeCounts);
+  }
+
+  const out = [];
+  for (const landingId of landingIds) {
+    const days = safeReadJson(getAnalyticsFile(landingId)) || {};
+    for (const [day, counts] of Object.entries(days)) {
+      if (day >= sinceDay) out.push({ landingId, day, ...counts });
+    }
+  }
+  return out;
+}
+
+async function deleteLandingPageviews(landingId) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('pageviews').deleteMany({ landingId });
+    return;
+  }
+
+  const filePath = getAnalyticsFile(landingId);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+// -------------------------------------------------------------------------------
+
+// --- Experiment stats (lib/experiments.js) ---------------------------------------
+// Visitor and conversion counts per experiment variant. JSON engine:
+// data/experiments/<landingId>.json as { <experimentId>: { <variantId>: counts } }.
+// Mongo engine: one `experiment_stats` document per variant, updated with $inc.
+
+function getExperimentStatsFile(landingId) {
+  return path.join(DATA_DIR, 'experiments', `${landingId}.json`);
+}
+
+async function incrementExperimentStats(deltas) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const ops = deltas.map(d => ({
+      updateOne: {
+        filter: { _id: `${d.landingId}:${d.experimentId}:${d.variantId}` },
+        update: {
+          $inc: { visitors: d.visitors, conversions: d.conversions },
+          $setOnInsert: { landingId: d.landingId, experimentId: d.experimentId, variantId: d.variantId }
+        },
+        upsert: true
+      }
+    }));
+    if (ops.length > 0) await mongoDb.collection('experiment_stats').bulkWrite(ops, { ordered: false });
+    return;
+  }
+
+  fs.mkdirSync(path.join(DATA_DIR, 'experiments'), { recursive: true });
+  const landingIds = [...new Set(deltas.map(d => d.landingId))];
+  for (const landingId of landingIds) {
+    const stats = safeReadJson(getExperimentStatsFile(landingId)) || {};
+    for (const d of deltas.filter(x => x.landingId === landingId)) {
+      const experiment = stats[d.experimentId] = stats[d.experimentId] || {};
+      const counts = experiment[d.variantId] = experiment[d.variantId] || { visitors: 0, conversions: 0 };
+      counts.visitors += d.visitors;
+      counts.conversions += d.conversions;
+    }
+    fs.writeFileSync(getExperimentStatsFile(landingId), JSON.stringify(stats, null, 2));
+  }
+}
+
+// Counts of one experiment, keyed by variant id.
+async function getExperimentStats(landingId, experimentId) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const docs = await mongoDb.collection('experiment_stats').find({ landingId, experimentId }).toArray();
+    const stats = {};
+    for (const doc of docs) stats[doc.variantId] = { visitors: doc.visitors || 0, conversions: doc.conversions || 0 };
+    return stats;
+  }
+
+  const stats = safeReadJson(getExperimentStatsFile(landingId)) || {};
+  return stats[experimentId] || {};
+}
+
+async function deleteLandingExperimentStats(landingId) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('experiment_stats').deleteMany({ landingId });
+    return;
+  }
+
+  const filePath = getExperimentStatsFile(landingId);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+// -------------------------------------------------------------------------------
+
+// --- Scheduled jobs (lib/scheduler.js) --------------------------------------------
+// JSON engine: all jobs in data/scheduled-jobs.json. Mongo engine: one document
+// per job in `scheduled_jobs`; jobs are claimed atomically so that only one
+// instance runs each of them.
+
+function getScheduledJobsFile() {
+  return path.join(DATA_DIR, 'scheduled-jobs.json');
+}
+
+function readScheduledJobsFile() {
+  return safeReadJson(getScheduledJobsFile()) || [];
+}
+
+function writeScheduledJobsFile(jobs) {
+  fs.writeFileSync(getScheduledJobsFile(), JSON.stringify(jobs, null, 2));
+}
+
+async function insertScheduledJob(job) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('scheduled_jobs').insertOne({ ...job, _id: job.id });
+    return job;
+  }
+
+  const jobs = readScheduledJobsFile();
+  jobs.push(job);
+  writeScheduledJobsFile(jobs);
+  return job;
+}
+
+/**
+ * Scheduled jobs, soonest first.
+ * @param {Object} [filter]
+ * @param {string[]} [filter.landingIds] - only jobs of these landings
+ * @param {string[]} [filter.statuses] - only jobs in these statuses
+ * @param {string} [filter.dueBefore] - only jobs with runAt <= this ISO date
+ * @returns {Promise<Object[]>}
+ */
+async function listScheduledJobs({ landingIds, statuses, dueBefore } = {}) {
+  if (landingIds && !landingIds.length) return [];
+
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const query = {
+      ...(landingIds ? { landingId: { $in: landingIds } } : {}),
+      ...(statuses ? { status: { $in: statuses } } : {}),
+      ...(dueBefore ? { runAt: { $lte: dueBefore } } : {})
+    };
+    return mongoDb.collection('scheduled_jobs').find(query, { projection: { _id: 0 } }).sort({ runAt: 1 }).toArray();
+  }
+
+  return readScheduledJobsFile()
+    .filter(j => (!landingIds || landingIds.includes(j.landingId))
+      && (!statuses || statuses.includes(j.status))
+      && (!dueBefore || j.runAt <= dueBefore))
+    .sort((a, b) => (a.runAt < b.runAt ? -1 : a.runAt > b.runAt ? 1 : 0));
+}
+
+async function getScheduledJob(id) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    return mongoDb.collection('scheduled_jobs').findOne({ _id: id }, { projection: { _id: 0 } });
+  }
+
+  return readScheduledJobsFile().find(j => j.id === id) || null;
+}
+
+/**
+ * Update a job if it is in one of `fromStatuses` (any status when omitted).
+ * Returns the updated job, or null when it does not exist or was in another
+ * status, which makes `{ status: 'running' }` from `['pending']` a claim.
+ * @param {string} id
+ * @param {Object} fields
+ * @param {string[]} [fromStatuses]
+ * @returns {Promise<Object|null>}
+ */
+async function updateScheduledJob(id, fields, fromStatuses) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const filter = { _id: id, ...(fromStatuses ? { status: { $in: fromStatuses } } : {}) };
+    const result = await mongoDb.collection('scheduled_jobs').findOneAndUpdate(
+      filter,
+      { $set: fields },
+      { returnDocument: 'after', projection: { _id: 0 }, includeResultMetadata: false }
+    );
+    return result || null;
+  }
+
+  const jobs = readScheduledJobsFile();
+  const job = jobs.find(j => j.id === id);
+  if (!job || (fromStatuses && !fromStatuses.includes(job.status))) return null;
+  Object.assign(job, fields);
+  writeScheduledJobsFile(jobs);
+  return job;
+}
+
+async function deleteScheduledJob(id) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    const result = await mongoDb.collection('scheduled_jobs').deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  const jobs = readScheduledJobsFile();
+  const next = jobs.filter(j => j.id !== id);
+  if (next.length === jobs.length) return false;
+  writeScheduledJobsFile(next);
+  return true;
+}
+
+async function deleteLandingScheduledJobs(landingId) {
+  if (getEngine() === 'mongo') {
+    await connectMongo();
+    await mongoDb.collection('scheduled_jobs').deleteMany({ landingId });
+    return;
+  }
+
+  const jobs = readScheduledJobsFile();
+  const next = jobs.filter(j => j.landingId !== landingId);
+  if (next.length !== jobs.length) writeScheduledJobsFile(next);
 }
+// -------------------------------------------------------------------------------
 
 async function closeMongo() {
   if (mongoClient) {
@@ -376,10 +809,28 @@ module.exports = {
   readDB,
   writeDB,
   getLandings,
+  getRoutingData,
+  getLandingById,
   replaceLandings,
   upsertVersionMetadata,
   getVersionsByLandingId,
   getMongoDb,
   getCollection,
+  insertSubmission,
+  listSubmissions,
+  deleteSubmission,
+  deleteLandingSubmissions,
+  incrementPageviews,
+  getPageviews,
+  deleteLandingPageviews,
+  incrementExperimentStats,
+  getExperimentStats,
+  deleteLandingExperimentStats,
+  insertScheduledJob,
+  listScheduledJobs,
+  getScheduledJob,
+  updateScheduledJob,
+  deleteScheduledJob,
+  deleteLandingScheduledJobs,
   closeMongo
 };
@@ -44,6 +44,7 @@ async function getAllTraefikSettings() {
     'TRAEFIK_REMOTE_PATH',
     'SERVER_IP',
     'TRAEFIK_SSH_KEY',
+    'TRAEFIK_RULE_SYNTAX',
     'LLM_OPENROUTER_API_KEY',
     'LLM_MODEL',
     'LLM_TEMPERATURE',
@@ -69,6 +70,7 @@ function getTraefikFallbacks() {
     'TRAEFIK_REMOTE_PATH',
     'SERVER_IP',
     'TRAEFIK_SSH_KEY',
+    'TRAEFIK_RULE_SYNTAX',
     'LLM_OPENROUTER_API_KEY',
     'LLM_MODEL',
     'LLM_TEMPERATURE',
@@ -4,6 +4,11 @@ const os = require('os');
 const { execCommand } = require('./utils');
 const { DATA_DIR, getPublishedDomains } = require('./db');
 const { getTraefikSetting } = require('./traefik-settings');
+const { RULE_SYNTAXES, isWildcardDomain, buildHostRule } = require('./hosts');
+const { getPrimaryDomain } = require('./seo');
+const { resolveCanonicalSettings, trailingSlashRedirectRegex, hostRedirectRegex } = require('./canonical');
+
+const SLUG_DOMAINS_CONFIG_FILE = 'superlandings-slug-domains.yml';
 
 // Helper to extract first and last chars of the key for debugging
 function getKeyHint(sshKey) {
@@ -90,6 +95,54 @@ async function validateTraefikEnv() {
   }
 }
 
+// Traefik rule syntax for HostRegexp (TRAEFIK_RULE_SYNTAX, "v3" by default)
+async function getRuleSyntax() {
+  const syntax = await getTraefikSetting('TRAEFIK_RULE_SYNTAX');
+  return RULE_SYNTAXES.includes(syntax) ? syntax : 'v3';
+}
+
+// Router priorities mirroring the app's host precedence (see resolveHost in
+// lib/routing-index.js). Routers without one default to their rule length, so
+// exact Host() routers always outrank these.
+const WILDCARD_ROUTER_PRIORITY = 2;
+const SLUG_DOMAINS_ROUTER_PRIORITY = 1;
+
+// YAML for one router. Wildcard hosts are unknown to Traefik from a HostRegexp
+// rule, so their certificates are requested explicitly through tls.domains;
+// this needs a certificate resolver using the DNS-01 challenge.
+function routerConfig(name, { service, domains, syntax, middlewares = [], priority, entryPoint = 'https' }) {
+  const wildcards = domains.filter(isWildcardDomain);
+  let config = `    ${name}:
+      entryPoints:
+        - ${entryPoint}
+      service: ${service}
+      rule: ${buildHostRule(domains, syntax)}
+`;
+  if (priority) config += `      priority: ${priority}\n`;
+  if (middlewares.length > 0) {
+    config += `      middlewares:
+${middlewares.map(m => `        - ${m}\n`).join('')}`;
+  }
+  if (entryPoint !== 'https') return config;
+  config += `      tls:
+        certresolver: letsencrypt
+`;
+  if (wildcards.length > 0) {
+    config += `        domains:
+${wildcards.map(d => `          - main: '${d}'\n`).join('')}`;
+  }
+  return config;
+}
+
+function redirectRegexConfig(name, { regex, replacement }) {
+  return `    ${name}:
+      redirectRegex:
+        regex: '${regex}'
+        replacement: '${replacement}'
+        permanent: true
+`;
+}
+
 // Generate Traefik YAML config for a landing
 async function generateTraefikConfig(landing) {
   if (landing.type === 'traefik-config') {
@@ -103,22 +156,55 @@ async function generateTraefikConfig(landing) {
     throw new Error('At least one published domain is required');
   }
   
-  const hostRules = publishedDomains.map(d => `Host(\`${d}\`)`).join(' || ');
+  // Host() rules for exact domains; wildcards get their own low-priority
+  // HostRegexp() router so another landing's exact domain always wins.
+  const syntax = await getRuleSyntax();
+  const exactDomains = publishedDomains.filter(d => !isWildcardDomain(d));
+  const wildcardDomains = publishedDomains.filter(isWildcardDomain);
   const serverIp = await getTraefikSetting('SERVER_IP');
+
+  // Canonical redirects (lib/canonical.js): secondary domains redirect to the
+  // primary one, pages get the trailing slash policy, plain HTTP goes to HTTPS.
+  const canonical = resolveCanonicalSettings(landing);
+  const primary = getPrimaryDomain(landing);
+  const secondaryDomains = canonical.redirectToPrimary && primary
+    ? exactDomains.filter(d => d.toLowerCase() !== primary)
+    : [];
+  const servedDomains = exactDomains.filter(d => !secondaryDomains.includes(d));
+  const trailingSlash = trailingSlashRedirectRegex(canonical.trailingSlash);
+
+  let middlewareDefs = '';
+  const middlewares = [];
+  if (trailingSlash) {
+    middlewares.push(`${serviceName}-trailing-slash`);
+    middlewareDefs += redirectRegexConfig(`${serviceName}-trailing-slash`, trailingSlash);
+  }
+  middlewares.push(`${serviceName}-addprefix`);
+
+  let routers = '';
+  if (servedDomains.length > 0) {
+    routers += routerConfig(serviceName, { service: serviceName, domains: servedDomains, syntax, middlewares });
+  }
+  if (wildcardDomains.length > 0) {
+    routers += routerConfig(`${serviceName}-wildcard`, { service: serviceName, domains: wildcardDomains, syntax, middlewares, priority: WILDCARD_ROUTER_PRIORITY });
+  }
+  if (secondaryDomains.length > 0) {
+    routers += routerConfig(`${serviceName}-secondary`, { service: serviceName, domains: secondaryDomains, syntax, middlewares: [`${serviceName}-primary`] });
+    middlewareDefs += redirectRegexConfig(`${serviceName}-primary`, hostRedirectRegex(primary));
+  }
+  if (canonical.forceHttps) {
+    routers += routerConfig(`${serviceName}-http`, { service: serviceName, domains: publishedDomains, syntax, middlewares: [`${serviceName}-https`], entryPoint: 'http' });
+    middlewareDefs += `    ${serviceName}-https:
+      redirectScheme:
+        scheme: https
+        permanent: true
+`;
+  }
   
   const config = `http:
   routers:
-    ${serviceName}:
-      entryPoints:
-        - https
-      service: ${serviceName}
-      rule: ${hostRules}
-      middlewares:
-        - ${serviceName}-addprefix
-      tls:
-        certresolver: letsencrypt
-  middlewares:
-    ${serviceName}-addprefix:
+${routers}  middlewares:
+${middlewareDefs}    ${serviceName}-addprefix:
       addPrefix:
         prefix: /${landing.slug}
   services:
@@ -130,6 +216,25 @@ async function generateTraefikConfig(landing) {
   return config;
 }
 
+// Generate Traefik YAML config for the slug domains (<slug>.<base>). There is
+// no addPrefix middleware: the app derives the /<slug> prefix from the host.
+async function generateSlugDomainsTraefikConfig(bases) {
+  const serviceName = 'superlandings-slug-domains';
+  const domains = bases.map(base => `*.${base}`);
+  const syntax = await getRuleSyntax();
+  const serverIp = await getTraefikSetting('SERVER_IP');
+
+  const config = `http:
+  routers:
+${routerConfig(serviceName, { service: serviceName, domains, syntax, priority: SLUG_DOMAINS_ROUTER_PRIORITY })}  services:
+    ${serviceName}:
+      loadBalancer:
+        servers:
+          - url: '${serverIp}'
+`;
+  return config;
+}
+
 // Generate Traefik YAML config for admin
 async function generateAdminTraefikConfig(domains) {
   const serviceName = 'superlandings-admin';
@@ -267,16 +372,11 @@ async function removeTraefikConfig(landing, sshKey = null) {
   });
 }
 
-// Deploy admin Traefik config
-async function deployAdminTraefikConfig(domains, sshKey = null) {
-  const traefikEnabled = await getTraefikSetting('TRAEFIK_ENABLED');
-  if (traefikEnabled !== true && traefikEnabled !== 'true') {
-    return 'superlandings-admin.yml';
-  }
-
+// Write a generated config under DATA_DIR/traefik and copy it to the remote
+// Traefik dynamic configuration directory. `what` names it in errors.
+async function uploadTraefikConfig(configFileName, config, sshKey, what) {
   await validateTraefikEnv();
 
-  const configFileName = 'superlandings-admin.yml';
   const localConfigPath = path.join(DATA_DIR, 'traefik', configFileName);
   
   const traefikDir = path.join(DATA_DIR, 'traefik');
@@ -284,7 +384,6 @@ async function deployAdminTraefikConfig(domains, sshKey = null) {
     fs.mkdirSync(traefikDir, { recursive: true });
   }
 
-  const config = await generateAdminTraefikConfig(domains);
   fs.writeFileSync(localConfigPath, config);
   console.log(`✅ Generated Traefik config: ${localConfigPath}`);
 
@@ -322,18 +421,13 @@ async function deployAdminTraefikConfig(domains, sshKey = null) {
     } catch (error) {
       const keyHint = getKeyHint(effectiveSshKey);
       console.error(`❌ SSH/SCP Error: ${error.message}`);
-      throw new Error(`SSH admin deployment failed: ${error.message} (Key hint: ${keyHint})`);
+      throw new Error(`SSH ${what} deployment failed: ${error.message} (Key hint: ${keyHint})`);
     }
   });
 }
 
-// Remove admin Traefik config
-async function removeAdminTraefikConfig(configFileName, sshKey = null) {
-  const traefikEnabled = await getTraefikSetting('TRAEFIK_ENABLED');
-  if (traefikEnabled !== true && traefikEnabled !== 'true') {
-    return;
-  }
-
+// Delete a config file locally and from the remote Traefik server
+async function deleteTraefikConfig(configFileName, sshKey, what) {
   await validateTraefikEnv();
 
   const localConfigPath = path.join(DATA_DIR, 'traefik', configFileName);
@@ -367,11 +461,50 @@ async function removeAdminTraefikConfig(configFileName, sshKey = null) {
     } catch (error) {
       const keyHint = getKeyHint(effectiveSshKey);
       console.error(`❌ SSH Error: ${error.message}`);
-      throw new Error(`SSH admin removal failed: ${error.message} (Key hint: ${keyHint})`);
+      throw new Error(`SSH ${what} removal failed: ${error.message} (Key hint: ${keyHint})`);
     }
   });
 }
 
+async function isTraefikEnabled() {
+  const traefikEnabled = await getTraefikSetting('TRAEFIK_ENABLED');
+  return traefikEnabled === true || traefikEnabled === 'true';
+}
+
+// Deploy admin Traefik config
+async function deployAdminTraefikConfig(domains, sshKey = null) {
+  if (!(await isTraefikEnabled())) {
+    return 'superlandings-admin.yml';
+  }
+
+  const config = await generateAdminTraefikConfig(domains);
+  return uploadTraefikConfig('superlandings-admin.yml', config, sshKey, 'admin');
+}
+
+// Remove admin Traefik config
+async function removeAdminTraefikConfig(configFileName, sshKey = null) {
+  if (!(await isTraefikEnabled())) {
+    return;
+  }
+
+  return deleteTraefikConfig(configFileName, sshKey, 'admin');
+}
+
+// Deploy the slug domains router, or remove it when no slug domain is left
+async function deploySlugDomainsTraefikConfig(bases, sshKey = null) {
+  if (!(await isTraefikEnabled())) {
+    return null;
+  }
+
+  if (bases.length === 0) {
+    await deleteTraefikConfig(SLUG_DOMAINS_CONFIG_FILE, sshKey, 'slug domains');
+    return null;
+  }
+
+  const config = await generateSlugDomainsTraefikConfig(bases);
+  return uploadTraefikConfig(SLUG_DOMAINS_CONFIG_FILE, config, sshKey, 'slug domains');
+}
+
 // Test SSH connectivity
 async function testSshConnectivity(sshKey = null) {
   await ensureSshClient();
@@ -401,9 +534,11 @@ module.exports = {
   validateTraefikEnv,
   generateTraefikConfig,
   generateAdminTraefikConfig,
+  generateSlugDomainsTraefikConfig,
   deployTraefikConfig,
   removeTraefikConfig,
   deployAdminTraefikConfig,
   removeAdminTraefikConfig,
+  deploySlugDomainsTraefikConfig,
   testSshConnectivity
 };
@@ -0,0 +1,46 @@
+/**
+ * Landing settings that travel with version snapshots.
+ *
+ * createVersion() stores these fields in the version metadata (`config`) and a
+ * rollback restores them, so serving settings such as injection rules roll back
+ * together with the content they were written for (as do redirect and
+ * personalization rules, the single-page app mode and optimization settings of
+ * a build and the layout of markdown pages). For redirect and proxy landings, the
+ * target is the content itself.
+ */
+
+const VERSIONED_FIELDS = ['injections', 'redirects', 'personalization', 'spa', 'optimize', 'markdown', 'redirectTarget', 'proxy'];
+
+/**
+ * Copy of the versioned fields currently set on a landing.
+ * @param {Object} landing
+ * @returns {Object}
+ */
+function pickVersionedConfig(landing) {
+  const config = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (landing && landing[field] !== undefined) config[field] = JSON.parse(JSON.stringify(landing[field]));
+  }
+  return config;
+}
+
+/**
+ * Restore versioned fields from a snapshot onto a landing record. Fields missing
+ * from the snapshot are cleared. Snapshots taken before a field was versioned
+ * (no `config` at all) leave the landing untouched.
+ * @param {Object} landing
+ * @param {Object|undefined} config
+ */
+function applyVersionedConfig(landing, config) {
+  if (!landing || !config) return;
+  for (const field of VERSIONED_FIELDS) {
+    if (config[field] === undefined) delete landing[field];
+    else landing[field] = config[field];
+  }
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  pickVersionedConfig,
+  applyVersionedConfig
+};
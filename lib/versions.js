@@ -4,10 +4,17 @@ const AdmZip = require('adm-zip');
 const { DATA_DIR, LANDINGS_DIR, readDirectoryFilesSync } = require('./db');
 const { readDB, writeDB, getEngine, getCollection } = require('./store');
 const { safeSlugPath } = require('./utils');
+const { pickVersionedConfig, applyVersionedConfig } = require('./versioned-config');
+const { resolveOptimizeSettings, bundleKey, optimizeBundle } = require('./optimize');
 
 // Versions directory
 const VERSIONS_DIR = path.join(DATA_DIR, 'versions');
 const CACHE_LANDINGS_DIR = path.join(DATA_DIR, 'landing-cache');
+const VERSION_CACHE_DIR = path.join(DATA_DIR, 'version-cache');
+// Optimized builds (lib/optimize.js) by landing and content key
+const OPTIMIZED_CACHE_DIR = path.join(DATA_DIR, 'optimized-cache');
+// A failed build serves the sources for this long before being retried
+const OPTIMIZE_RETRY_DELAY = 5 * 60 * 1000;
 
 // Ensure versions directory exists
 function ensureVersionsDir() {
@@ -70,8 +77,9 @@ async function createVersion(landing, description = '', auditId = null) {
     }
   }
 
+  // Virtual and markdown landings keep their files in the version (mongo engine)
   let filesContent = null;
-  if (landing.type === 'virtual') {
+  if (landing.type === 'virtual' || landing.type === 'markdown') {
     const landingDir = getLandingFsDir(landing);
     if (fs.existsSync(landingDir)) {
       filesContent = [];
@@ -104,9 +112,10 @@ async function createVersion(landing, description = '', auditId = null) {
     tag: null, // Initialize tag as null
     createdAt: new Date().toISOString(),
     size: fs.statSync(zipPath).size,
-    auditId: auditId || null // Link to audit record if provided
+    auditId: auditId || null, // Link to audit record if provided
+    config: pickVersionedConfig(landing)
   };
-  
+
   if (getEngine() === 'mongo') {
     const col = await getCollection('versions');
     await col.updateOne(
@@ -124,6 +133,9 @@ async function createVersion(landing, description = '', auditId = null) {
   // Cleanup old versions (keep last 10)
   cleanupOldVersions(landing.id, 10);
 
+  // Warm the optimized build in the background so the first visitor does not wait
+  if (resolveOptimizeSettings(landing).enabled) getOptimizedFsDir(landing, versionId);
+
   return metadata;
 }
 
@@ -217,12 +229,13 @@ async function rollbackToVersion(landing, versionId) {
         if (landingIndex !== -1) {
           db.landings[landingIndex].currentVersionId = version.id;
           db.landings[landingIndex].currentVersionNumber = version.versionNumber;
+          applyVersionedConfig(db.landings[landingIndex], version.config);
           db.landings[landingIndex].content = version.content;
           await writeDB(db);
         }
 
         return true;
-      } else if (version && landing.type === 'virtual' && Array.isArray(version.files)) {
+      } else if (version && (landing.type === 'virtual' || landing.type === 'markdown') && Array.isArray(version.files)) {
         const landingDir = safeSlugPath(LANDINGS_DIR, landing.slug);
         fs.mkdirSync(landingDir, { recursive: true });
         
@@ -243,6 +256,7 @@ async function rollbackToVersion(landing, versionId) {
         if (landingIndex !== -1) {
           db.landings[landingIndex].currentVersionId = version.id;
           db.landings[landingIndex].currentVersionNumber = version.versionNumber;
+          applyVersionedConfig(db.landings[landingIndex], version.config);
           db.landings[landingIndex].files = version.files;
           await writeDB(db);
         }
@@ -286,6 +300,7 @@ async function rollbackToVersion(landing, versionId) {
     if (landingIndex !== -1) {
       db.landings[landingIndex].currentVersionId = version.id;
       db.landings[landingIndex].currentVersionNumber = version.versionNumber;
+      applyVersionedConfig(db.landings[landingIndex], version.config);
       await writeDB(db);
     }
   }
@@ -306,7 +321,7 @@ async function restoreVersionToDisk(landing, versionId) {
         fs.mkdirSync(landingDir, { recursive: true });
         fs.writeFileSync(path.join(landingDir, 'index.html'), version.content);
         return true;
-      } else if (version && landing.type === 'virtual' && Array.isArray(version.files)) {
+      } else if (version && (landing.type === 'virtual' || landing.type === 'markdown') && Array.isArray(version.files)) {
         const landingDir = safeSlugPath(LANDINGS_DIR, landing.slug);
         fs.mkdirSync(landingDir, { recursive: true });
         // Clear landing dir first
@@ -341,6 +356,116 @@ async function restoreVersionToDisk(landing, versionId) {
   return true;
 }
 
+// Read-only extracted copy of a version, used to serve experiment variants that
+// are not the current version. Versions never change once created, so the copy
+// is extracted once and reused; concurrent callers share one extraction.
+const pendingVersionExtractions = new Map();
+
+async function getVersionFsDir(landing, versionId) {
+  if (!/^[a-z0-9_-]+$/i.test(String(versionId))) throw new Error('Invalid version id');
+  const dir = path.join(VERSION_CACHE_DIR, landing.id, versionId);
+  if (fs.existsSync(dir)) return dir;
+
+  const key = `${landing.id}:${versionId}`;
+  if (!pendingVersionExtractions.has(key)) {
+    const extraction = (async () => {
+      const tmpDir = `${dir}.tmp-${process.pid}-${Date.now()}`;
+      fs.mkdirSync(tmpDir, { recursive: true });
+      try {
+        const zipPath = path.join(VERSIONS_DIR, landing.id, versionId, 'content.zip');
+        if (fs.existsSync(zipPath)) {
+          new AdmZip(zipPath).extractAllTo(tmpDir, true);
+        } else {
+          const version = getEngine() === 'mongo' ? await getVersion(landing.id, versionId) : null;
+          if (version && typeof version.content === 'string') {
+            fs.writeFileSync(path.join(tmpDir, 'index.html'), version.content);
+          } else if (version && Array.isArray(version.files)) {
+            for (const file of version.files) {
+              const filePath = path.resolve(tmpDir, file.path);
+              if (!filePath.startsWith(path.resolve(tmpDir) + path.sep)) continue;
+              fs.mkdirSync(path.dirname(filePath), { recursive: true });
+              fs.writeFileSync(filePath, file.content);
+            }
+          } else {
+            throw new Error('Version content not found');
+          }
+        }
+        fs.renameSync(tmpDir, dir);
+      } catch (e) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        if (!fs.existsSync(dir)) throw e;
+      }
+      return dir;
+    })();
+    pendingVersionExtractions.set(key, extraction);
+    extraction.then(
+      () => pendingVersionExtractions.delete(key),
+      () => pendingVersionExtractions.delete(key)
+    );
+  }
+  return pendingVersionExtractions.get(key);
+}
+
+// Optimized copies of versions, built on first use from the version files
+// (getVersionFsDir) so every instance can serve them. Builds are stored by
+// bundleKey: a version whose files and settings did not change reuses the
+// existing build instead of optimizing again.
+const optimizedBuilds = new Map();
+
+async function buildOptimizedVersion(landing, versionId, settings) {
+  const sourceDir = await getVersionFsDir(landing, versionId);
+  const dir = path.join(OPTIMIZED_CACHE_DIR, landing.id, await bundleKey(sourceDir, settings));
+  if (fs.existsSync(dir)) return dir;
+
+  const tmpDir = `${dir}.tmp-${process.pid}-${Date.now()}`;
+  try {
+    const stats = await optimizeBundle(sourceDir, tmpDir, settings, { slug: landing.slug });
+    await fs.promises.rename(tmpDir, dir);
+    console.log(`⚡ Optimized ${landing.slug} version ${versionId}: ${stats.bytesBefore} → ${stats.bytesAfter} bytes, ${stats.fingerprinted} fingerprinted assets`);
+  } catch (e) {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    if (!fs.existsSync(dir)) throw e;
+  }
+  return dir;
+}
+
+/**
+ * Optimized build of a version, served instead of its sources. Built on first
+ * use; concurrent callers share one build. Null when the landing (with the
+ * versioned settings being served) has optimization off, or when the build
+ * failed, in which case the sources are served and the error is logged.
+ * @param {Object} landing
+ * @param {string} versionId
+ * @returns {Promise<string|null>}
+ */
+async function getOptimizedFsDir(landing, versionId) {
+  if (!versionId || !/^[a-z0-9_-]+$/i.test(String(versionId))) return null;
+  const settings = resolveOptimizeSettings(landing);
+  if (!settings.enabled) return null;
+
+  const key = `${landing.id}:${versionId}:${JSON.stringify(settings)}`;
+  if (!optimizedBuilds.has(key)) {
+    const build = buildOptimizedVersion(landing, String(versionId), settings).catch(error => {
+      console.error(`❌ Error optimizing ${landing.slug} version ${versionId}, serving its sources:`, error.message);
+      setTimeout(() => optimizedBuilds.delete(key), OPTIMIZE_RETRY_DELAY).unref();
+      return null;
+    });
+    optimizedBuilds.set(key, build);
+  }
+  const dir = await optimizedBuilds.get(key);
+  if (dir && !fs.existsSync(dir)) {
+    // Removed with the landing's versions
+    optimizedBuilds.delete(key);
+    return null;
+  }
+  return dir;
+}
+
+function removeVersionFsDir(landingId, versionId) {
+  const dir = versionId ? path.join(VERSION_CACHE_DIR, landingId, versionId) : path.join(VERSION_CACHE_DIR, landingId);
+  if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+}
+
 // Delete a specific version
 async function deleteVersion(landingId, versionId) {
   const version = await getVersion(landingId, versionId);
@@ -352,6 +477,7 @@ async function deleteVersion(landingId, versionId) {
   
   const versionDir = path.join(VERSIONS_DIR, landingId, versionId);
   let deleted = false;
+  removeVersionFsDir(landingId, versionId);
 
   if (fs.existsSync(versionDir)) {
     fs.rmSync(versionDir, { recursive: true });
@@ -428,6 +554,8 @@ function cleanupOldVersions(landingId, keepCount = Infinity) {
 // Delete all versions for a landing (when landing is deleted)
 function deleteAllVersions(landingId) {
   const versionsDir = path.join(VERSIONS_DIR, landingId);
+  removeVersionFsDir(landingId);
+  fs.rmSync(path.join(OPTIMIZED_CACHE_DIR, landingId), { recursive: true, force: true });
   
   if (fs.existsSync(versionsDir)) {
     fs.rmSync(versionsDir, { recursive: true });
@@ -531,7 +659,7 @@ function getCacheRoot() {
 }
 
 function getLandingFsDir(landing) {
-  if (getEngine() === 'mongo' && landing && (landing.type === 'html' || landing.type === 'virtual')) {
+  if (getEngine() === 'mongo' && landing && (landing.type === 'html' || landing.type === 'virtual' || landing.type === 'markdown')) {
     return safeSlugPath(CACHE_LANDINGS_DIR, landing.slug);
   }
   return safeSlugPath(LANDINGS_DIR, landing.slug);
@@ -545,6 +673,7 @@ module.exports = {
   getVersion,
   rollbackToVersion,
   restoreVersionToDisk,
+  getVersionFsDir,
   clearLandingCache,
   deleteVersion,
   deleteAllVersions,
@@ -553,5 +682,6 @@ module.exports = {
   getVersionFilesContent,
   getCurrentLandingFilesContent,
   getLandingFsDir,
+  getOptimizedFsDir,
   getCacheRoot
 };
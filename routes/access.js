@@ -0,0 +1,73 @@
+const express = require('express');
+const { getRoutingData } = require('../lib/store');
+const { getRoutingIndex, findLandingByHost, findLandingBySlug, getLandingBasePath } = require('../lib/routing-index');
+const { LOGIN_PATH, LOGOUT_PATH, resolveAccess, safeReturnPath, renderLoginPage } = require('../lib/access');
+const { authenticateVisitor, setAccessCookie, clearAccessCookie } = require('../lib/access-control');
+const { loginAttemptKey, isLoginRateLimited, recordLoginFailure } = require('../lib/login-attempts');
+const { isValidSlug } = require('../lib/utils');
+
+// Login and logout of protected landings (see lib/access.js). Mounted before the
+// serve middlewares, like the form endpoint:
+//   POST /<slug>/_access/login   (slug URLs, and domains behind Traefik addPrefix)
+//   POST /_access/login          (a landing's own domain)
+//   GET|POST .../_access/logout
+const router = express.Router();
+
+const LOGIN_MODES = ['password', 'organization'];
+async function handleLogin(req, res, landing) {
+  const mode = landing ? resolveAccess(landing).mode : null;
+  if (!LOGIN_MODES.includes(mode)) {
+    return res.status(404).json({ error: 'Landing not found' });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  const basePath = getLandingBasePath(await getRoutingIndex(getRoutingData), req.get('host'), landing);
+  const body = req.body || {};
+  const returnTo = safeReturnPath(body.return, basePath + '/');
+  const loginPage = error => renderLoginPage({ title: landing.name || landing.slug, mode, action: basePath + LOGIN_PATH, returnTo, error });
+
+  const key = loginAttemptKey(req.ip, landing);
+  if (isLoginRateLimited(key)) {
+    return res.status(429).type('html').send(loginPage('Too many attempts, try again in a minute.'));
+  }
+
+  const subject = await authenticateVisitor(landing, { email: body.email, password: body.password });
+  if (!subject) {
+    recordLoginFailure(key);
+    console.log(`🔒 Failed login on protected landing ${landing.slug}`);
+    return res.status(401).type('html').send(loginPage(mode === 'organization' ? 'Invalid email or password.' : 'Incorrect password.'));
+  }
+
+  setAccessCookie(req, res, landing, subject);
+  res.redirect(303, returnTo);
+}
+
+async function handleLogout(req, res, landing) {
+  if (!landing) return res.status(404).json({ error: 'Landing not found' });
+  const basePath = getLandingBasePath(await getRoutingIndex(getRoutingData), req.get('host'), landing);
+  clearAccessCookie(res, landing);
+  res.set('Cache-Control', 'no-store');
+  res.redirect(303, basePath + '/');
+}
+
+// Resolve the landing from the host or the :slug param, then run the handler
+function withLanding(handler, bySlug) {
+  return async (req, res) => {
+    try {
+      if (bySlug && !isValidSlug(req.params.slug)) return res.status(400).json({ error: 'Invalid slug' });
+      const index = await getRoutingIndex(getRoutingData);
+      const landing = bySlug ? findLandingBySlug(index, req.params.slug) : findLandingByHost(index, req.get('host'));
+      await handler(req, res, landing);
+    } catch (error) {
+      console.error('Error handling landing access:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+router.post(LOGIN_PATH, withLanding(handleLogin, false));
+router.post('/:slug' + LOGIN_PATH, withLanding(handleLogin, true));
+router.route(LOGOUT_PATH).get(withLanding(handleLogout, false)).post(withLanding(handleLogout, false));
+router.route('/:slug' + LOGOUT_PATH).get(withLanding(handleLogout, true)).post(withLanding(handleLogout, true));
+
+module.exports = router;
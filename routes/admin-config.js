@@ -1,9 +1,12 @@
 const express = require('express');
 const { migrateDomains, getAllDomainStrings } = require('../lib/db');
 const { readDB, writeDB } = require('../lib/store');
-const { deployAdminTraefikConfig, removeAdminTraefikConfig, validateTraefikEnv } = require('../lib/traefik');
+const { deployAdminTraefikConfig, removeAdminTraefikConfig, deploySlugDomainsTraefikConfig, validateTraefikEnv } = require('../lib/traefik');
 const { getTraefikSetting, getTraefikFallbacks } = require('../lib/traefik-settings');
 const { clearTemplateCache } = require('../lib/templates');
+const { normalizeMaintenance, resolveMaintenance, describeMaintenance } = require('../lib/maintenance');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { normalizeSlugDomains } = require('../lib/hosts');
 
 const router = express.Router();
 
@@ -25,6 +28,55 @@ router.get('/', async (req, res) => {
   res.json(adminConfig);
 });
 
+// Get instance-wide maintenance mode
+router.get('/maintenance', async (req, res) => {
+  if (!req.adminAuth) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const db = await readDB();
+  res.json(resolveMaintenance(db));
+});
+
+// Turn instance-wide maintenance mode on or off (every landing of the instance)
+router.put('/maintenance', async (req, res) => {
+  if (!req.adminAuth) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  let maintenance;
+  try {
+    maintenance = normalizeMaintenance(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const db = await readDB();
+    db.maintenance = { ...maintenance, updatedAt: new Date().toISOString() };
+    await writeDB(db);
+
+    const landings = db.landings || [];
+    console.log(`🚧 Instance maintenance ${maintenance.enabled ? 'on' : 'off'} (${landings.length} landings)`);
+
+    // Recorded in the audit log of every landing it affects
+    for (const landing of landings) {
+      await logAudit(landing.id, {
+        action: maintenance.enabled ? AUDIT_ACTIONS.MAINTENANCE_ON : AUDIT_ACTIONS.MAINTENANCE_OFF,
+        actor: req.currentUser?.email || 'admin',
+        isAdmin: req.adminAuth,
+        details: describeMaintenance(maintenance, 'the whole instance'),
+        metadata: { scope: 'instance' }
+      });
+    }
+
+    res.json({ success: true, maintenance: resolveMaintenance(db) });
+  } catch (error) {
+    console.error('❌ Error updating instance maintenance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Update admin domains
 router.put('/domains', async (req, res) => {
   try {
@@ -62,6 +114,47 @@ router.put('/domains', async (req, res) => {
   }
 });
 
+// Update the slug domains: <slug>.<domain> serves the landing with that slug.
+// Their Traefik router is deployed (or removed when the list is empty) right away.
+router.put('/slug-domains', async (req, res) => {
+  if (!req.adminAuth) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  let slugDomains;
+  try {
+    slugDomains = normalizeSlugDomains(req.body.domains);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { sshKey } = req.body;
+    const db = await readDB();
+
+    if (!db.adminConfig) {
+      db.adminConfig = { domains: [], published: false, traefikConfigFile: '' };
+    }
+
+    const previous = db.adminConfig.slugDomains || [];
+    console.log(`🌐 Updating slug domains: [${previous.join(', ')}] -> [${slugDomains.join(', ')}]`);
+
+    if (slugDomains.length > 0 || previous.length > 0) {
+      await deploySlugDomainsTraefikConfig(slugDomains, sshKey);
+    }
+
+    db.adminConfig.slugDomains = slugDomains;
+    await writeDB(db);
+
+    console.log(`✅ Slug domains updated successfully`);
+
+    res.json({ success: true, adminConfig: db.adminConfig });
+  } catch (error) {
+    console.error('❌ Error updating slug domains:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Publish admin
 router.post('/publish', async (req, res) => {
   try {
@@ -0,0 +1,140 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getRoutingData, insertSubmission } = require('../lib/store');
+const { getRoutingIndex, findLandingByHost, findLandingBySlug } = require('../lib/routing-index');
+const { findForm, isSpam, validateSubmission } = require('../lib/forms');
+const { isValidSlug } = require('../lib/utils');
+const { recordFormConversion } = require('../lib/experiment-tracking');
+const { hasAccess } = require('../lib/access-control');
+
+// Public lead-capture endpoint (see lib/forms.js). Mounted before the serve
+// middlewares so landing pages can post to:
+//   POST /<slug>/_forms/<name>   (slug URLs, and domains behind Traefik addPrefix)
+//   POST /_forms/<name>          (a landing's own domain)
+const router = express.Router();
+
+// --- per-IP rate limit ------------------------------------------------------------
+const RATE_WINDOW_MS = 60 * 1000;
+const rateBuckets = new Map();
+
+function getRateLimit() {
+  const raw = parseInt(process.env.FORM_RATE_LIMIT_PER_MINUTE, 10);
+  return Number.isFinite(raw) && raw >= 0 ? raw : 10;
+}
+
+function isRateLimited(key) {
+  const limit = getRateLimit();
+  if (limit === 0) return false;
+  const now = Date.now();
+  if (rateBuckets.size > 10000) {
+    for (const [k, bucket] of rateBuckets) if (bucket.resetAt <= now) rateBuckets.delete(k);
+  }
+  let bucket = rateBuckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + RATE_WINDOW_MS };
+    rateBuckets.set(key, bucket);
+  }
+  bucket.count++;
+  return bucket.count > limit;
+}
+// -------------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function wantsJson(req) {
+  return req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+}
+
+function renderMessage(title, lines) {
+  const items = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>`
+    + `<body style="font-family:sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem"><h1>${escapeHtml(title)}</h1>`
+    + (items ? `<ul>${items}</ul>` : '')
+    + '<p><a href="javascript:history.back()">Go back</a></p></body></html>';
+}
+
+function respondSuccess(req, res, form) {
+  if (wantsJson(req)) return res.json({ success: true });
+  if (form.redirect) return res.redirect(303, form.redirect);
+  res.type('html').send(renderMessage('Thank you!', ['Your submission has been received.']));
+}
+
+async function handleSubmission(req, res, landing) {
+  const form = landing && findForm(landing, req.params.form);
+  if (!form) {
+    return wantsJson(req)
+      ? res.status(404).json({ error: 'Form not found' })
+      : res.status(404).send('Form not found');
+  }
+
+  res.set('Cache-Control', 'no-store');
+
+  // Protected landings only take submissions from visitors who were let in
+  if (!(await hasAccess(req, landing))) {
+    return wantsJson(req)
+      ? res.status(401).json({ error: 'Authentication required' })
+      : res.status(401).send('Authentication required');
+  }
+
+  if (isRateLimited(`${req.ip}:${landing.id}`)) {
+    return wantsJson(req)
+      ? res.status(429).json({ error: 'Too many submissions, try again later' })
+      : res.status(429).send('Too many submissions, try again later');
+  }
+
+  // Bots get the same answer as a real submission, but nothing is stored.
+  if (isSpam(form, req.body)) {
+    console.log(`🍯 Honeypot triggered on ${landing.slug}/${form.name}`);
+    return respondSuccess(req, res, form);
+  }
+
+  const { data, errors } = validateSubmission(form, req.body);
+  if (errors.length) {
+    return wantsJson(req)
+      ? res.status(400).json({ error: 'Validation failed', errors })
+      : res.status(400).type('html').send(renderMessage('Please check your submission', errors.map(e => e.message)));
+  }
+
+  await insertSubmission({
+    id: `sub-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    landingId: landing.id,
+    landingSlug: landing.slug,
+    form: form.name,
+    data,
+    createdAt: new Date().toISOString(),
+    meta: {
+      host: req.get('host') || null,
+      referer: req.get('referer') || null,
+      userAgent: req.get('user-agent') || null
+    }
+  });
+  console.log(`📨 New submission for ${landing.slug}/${form.name}`);
+  recordFormConversion(req, res, landing, form.name);
+
+  respondSuccess(req, res, form);
+}
+
+router.post('/_forms/:form', async (req, res) => {
+  try {
+    const index = await getRoutingIndex(getRoutingData);
+    await handleSubmission(req, res, findLandingByHost(index, req.get('host')));
+  } catch (error) {
+    console.error('Error handling form submission:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:slug/_forms/:form', async (req, res) => {
+  try {
+    if (!isValidSlug(req.params.slug)) return res.status(400).json({ error: 'Invalid slug' });
+    const index = await getRoutingIndex(getRoutingData);
+    await handleSubmission(req, res, findLandingBySlug(index, req.params.slug));
+  } catch (error) {
+    console.error('Error handling form submission:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
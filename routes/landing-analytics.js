@@ -0,0 +1,28 @@
+const express = require('express');
+const { readDB, getPageviews } = require('../lib/store');
+const { filterVisibleLandings } = require('../lib/auth');
+const { buildReport, toDay } = require('../lib/analytics');
+
+const router = express.Router({ mergeParams: true });
+
+// Pageview report for a landing: daily series plus top domains, paths and referrers
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+
+    const db = await readDB();
+    const landing = filterVisibleLandings(req, db.landings || []).find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const docs = await getPageviews([id], toDay(Date.now() - (days - 1) * 86400000));
+    res.json({ days, ...buildReport(docs, { days }) });
+  } catch (error) {
+    console.error('Error getting landing analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
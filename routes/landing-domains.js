@@ -1,9 +1,7 @@
 const express = require('express');
-const { migrateDomains } = require('../lib/db');
-const { readDB, writeDB } = require('../lib/store');
-const { deployTraefikConfig, removeTraefikConfig } = require('../lib/traefik');
 const { hasRight } = require('../lib/auth');
-const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { publishDomain, unpublishDomain } = require('../lib/publishing');
+const { toAdminLanding } = require('../lib/access');
 
 const router = express.Router({ mergeParams: true });
 
@@ -17,52 +15,17 @@ router.post('/:domain/publish', async (req, res) => {
   try {
     const { id, domain } = req.params;
     const { sshKey } = req.body;
-    const db = await readDB();
-    
-    const landing = db.landings.find(l => l.id === id);
-    if (!landing) {
-      return res.status(404).json({ error: 'Landing not found' });
-    }
 
-    landing.domains = migrateDomains(landing.domains || []);
-    const domainObj = landing.domains.find(d => d.domain === domain);
-    if (!domainObj) {
-      return res.status(404).json({ error: 'Domain not found' });
-    }
-
-    if (domainObj.published) {
-      return res.status(400).json({ error: 'Domain is already published' });
-    }
-
-    console.log(`🚀 Publishing domain ${domain} for landing: ${landing.name}`);
-
-    domainObj.published = true;
-    
-    const configFileName = await deployTraefikConfig(landing, sshKey);
-    landing.traefikConfigFile = configFileName;
-    landing.published = landing.domains.some(d => d.published);
-    
-    await writeDB(db);
-
-    console.log(`✅ Domain ${domain} published successfully`);
-
-    // Log audit event
-    await logAudit(id, {
-      action: AUDIT_ACTIONS.DOMAIN_PUBLISH,
+    const { message, landing } = await publishDomain(id, domain, {
+      sshKey,
       actor: req.currentUser?.email || 'admin',
-      isAdmin: req.adminAuth,
-      details: `Published domain: ${domain}`,
-      metadata: { domain }
+      isAdmin: req.adminAuth
     });
 
-    res.json({ 
-      success: true, 
-      message: `Domain ${domain} published successfully`,
-      landing 
-    });
+    res.json({ success: true, message, landing: toAdminLanding(landing) });
   } catch (error) {
-    console.error('❌ Error publishing domain:', error);
-    res.status(500).json({ error: error.message });
+    if (!error.status) console.error('❌ Error publishing domain:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -76,59 +39,17 @@ router.post('/:domain/unpublish', async (req, res) => {
   try {
     const { id, domain } = req.params;
     const { sshKey } = req.body;
-    const db = await readDB();
-    
-    const landing = db.landings.find(l => l.id === id);
-    if (!landing) {
-      return res.status(404).json({ error: 'Landing not found' });
-    }
 
-    landing.domains = migrateDomains(landing.domains || []);
-    const domainObj = landing.domains.find(d => d.domain === domain);
-    if (!domainObj) {
-      return res.status(404).json({ error: 'Domain not found' });
-    }
-
-    if (!domainObj.published) {
-      return res.status(400).json({ error: 'Domain is not published' });
-    }
-
-    console.log(`📤 Unpublishing domain ${domain} for landing: ${landing.name}`);
-
-    domainObj.published = false;
-    
-    const hasPublishedDomains = landing.domains.some(d => d.published);
-    
-    if (hasPublishedDomains) {
-      const configFileName = await deployTraefikConfig(landing, sshKey);
-      landing.traefikConfigFile = configFileName;
-    } else {
-      await removeTraefikConfig(landing, sshKey);
-      landing.traefikConfigFile = '';
-    }
-    
-    landing.published = hasPublishedDomains;
-    await writeDB(db);
-
-    console.log(`✅ Domain ${domain} unpublished successfully`);
-
-    // Log audit event
-    await logAudit(id, {
-      action: AUDIT_ACTIONS.DOMAIN_UNPUBLISH,
+    const { message, landing } = await unpublishDomain(id, domain, {
+      sshKey,
       actor: req.currentUser?.email || 'admin',
-      isAdmin: req.adminAuth,
-      details: `Unpublished domain: ${domain}`,
-      metadata: { domain }
+      isAdmin: req.adminAuth
     });
 
-    res.json({ 
-      success: true, 
-      message: `Domain ${domain} unpublished successfully`,
-      landing 
-    });
+    res.json({ success: true, message, landing: toAdminLanding(landing) });
   } catch (error) {
-    console.error('❌ Error unpublishing domain:', error);
-    res.status(500).json({ error: error.message });
+    if (!error.status) console.error('❌ Error unpublishing domain:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
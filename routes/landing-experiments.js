@@ -0,0 +1,212 @@
+const express = require('express');
+const { readDB, writeDB, deleteLandingExperimentStats } = require('../lib/store');
+const { hasRight, filterVisibleLandings } = require('../lib/auth');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { getVersions, rollbackToVersion } = require('../lib/versions');
+const { normalizeExperiment, createExperiment, isRunning } = require('../lib/experiments');
+const { getExperimentResults } = require('../lib/experiment-tracking');
+
+const router = express.Router({ mergeParams: true });
+
+function canManageExperiments(req) {
+  return req.adminAuth || hasRight(req.currentUser, 'landings:update');
+}
+
+async function updateExperiment(id, experiment) {
+  const db = await readDB();
+  const landing = db.landings.find(l => l.id === id);
+  if (!landing) return null;
+  landing.experiment = experiment;
+  landing.updatedAt = new Date().toISOString();
+  await writeDB(db);
+  return landing;
+}
+
+async function respondWithExperiment(res, landing) {
+  if (!landing.experiment) return res.json({ experiment: null, results: [] });
+  res.json({ experiment: landing.experiment, results: await getExperimentResults(landing) });
+}
+
+// Get the landing's experiment (running or last finished) with its results
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = filterVisibleLandings(req, db.landings || []).find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    await respondWithExperiment(res, landing);
+  } catch (error) {
+    console.error('Error getting experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a new experiment, replacing a finished one
+router.put('/', async (req, res) => {
+  if (!canManageExperiments(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+    if (isRunning(landing.experiment)) {
+      return res.status(409).json({ error: 'An experiment is already running, stop it first' });
+    }
+
+    const versions = await getVersions(id);
+    let definition;
+    try {
+      definition = normalizeExperiment(req.body, versions.map(v => v.id));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (definition.goal.type === 'form' && definition.goal.form
+      && !(landing.forms || []).some(f => f.name === definition.goal.form)) {
+      return res.status(400).json({ error: `Unknown form "${definition.goal.form}"` });
+    }
+
+    // Only one experiment is kept per landing, so the previous counts go too
+    await deleteLandingExperimentStats(id);
+    const updated = await updateExperiment(id, createExperiment(definition));
+
+    console.log(`🧪 Started experiment on ${landing.slug} with ${definition.variants.length} variants`);
+
+    await logAudit(id, {
+      action: AUDIT_ACTIONS.EXPERIMENT_START,
+      actor: req.currentUser?.email || 'admin',
+      isAdmin: req.adminAuth,
+      details: `Started experiment${definition.name ? ` "${definition.name}"` : ''} with ${definition.variants.length} variants`,
+      metadata: { experimentId: updated.experiment.id, variants: definition.variants, goal: definition.goal }
+    });
+
+    await respondWithExperiment(res, updated);
+  } catch (error) {
+    console.error('Error starting experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop the running experiment; everyone gets the current version again
+router.post('/stop', async (req, res) => {
+  if (!canManageExperiments(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+    if (!isRunning(landing.experiment)) {
+      return res.status(400).json({ error: 'No experiment is running' });
+    }
+
+    const updated = await updateExperiment(id, {
+      ...landing.experiment,
+      status: 'stopped',
+      stoppedAt: new Date().toISOString()
+    });
+
+    await logAudit(id, {
+      action: AUDIT_ACTIONS.EXPERIMENT_STOP,
+      actor: req.currentUser?.email || 'admin',
+      isAdmin: req.adminAuth,
+      details: 'Stopped experiment',
+      metadata: { experimentId: landing.experiment.id }
+    });
+
+    await respondWithExperiment(res, updated);
+  } catch (error) {
+    console.error('Error stopping experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make a variant's version the current one and end the experiment
+router.post('/promote', async (req, res) => {
+  if (!canManageExperiments(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const { variantId } = req.body || {};
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const experiment = landing.experiment;
+    const variant = experiment && experiment.status !== 'completed' && experiment.variants.find(v => v.id === variantId);
+    if (!variant) {
+      return res.status(400).json({ error: 'Unknown variant' });
+    }
+
+    if (variant.versionId !== landing.currentVersionId) {
+      await rollbackToVersion(landing, variant.versionId);
+    }
+
+    const now = new Date().toISOString();
+    const updated = await updateExperiment(id, {
+      ...experiment,
+      status: 'completed',
+      stoppedAt: experiment.stoppedAt || now,
+      winner: variant.id
+    });
+
+    console.log(`🏆 Promoted variant ${variant.id} of ${landing.slug} to current`);
+
+    await logAudit(id, {
+      action: AUDIT_ACTIONS.EXPERIMENT_PROMOTE,
+      actor: req.currentUser?.email || 'admin',
+      isAdmin: req.adminAuth,
+      details: `Promoted variant ${variant.id.toUpperCase()} to current`,
+      metadata: { experimentId: experiment.id, variantId: variant.id, versionId: variant.versionId }
+    });
+
+    await respondWithExperiment(res, updated);
+  } catch (error) {
+    console.error('Error promoting experiment variant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a finished experiment and its results
+router.delete('/', async (req, res) => {
+  if (!canManageExperiments(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+    if (isRunning(landing.experiment)) {
+      return res.status(409).json({ error: 'Stop the experiment before discarding it' });
+    }
+
+    await updateExperiment(id, null);
+    await deleteLandingExperimentStats(id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error discarding experiment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
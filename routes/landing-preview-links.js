@@ -0,0 +1,125 @@
+const express = require('express');
+const { readDB, writeDB } = require('../lib/store');
+const { hasRight, filterVisibleLandings } = require('../lib/auth');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { getVersions } = require('../lib/versions');
+const { getAccessSecret } = require('../lib/access-control');
+const {
+  normalizePreviewLinkInput,
+  createPreviewLink,
+  activePreviewLinks,
+  signPreviewToken,
+  getPreviewUrl
+} = require('../lib/preview-links');
+
+const router = express.Router({ mergeParams: true });
+
+function canManagePreviewLinks(req) {
+  return req.adminAuth || hasRight(req.currentUser, 'landings:update');
+}
+
+// Link as listed in the admin, with its public URL
+function toListedLink(landing, link) {
+  return { ...link, url: getPreviewUrl(signPreviewToken(landing.id, link, getAccessSecret())) };
+}
+
+// List the landing's unexpired preview links
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = filterVisibleLandings(req, db.landings || []).find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    res.json(activePreviewLinks(landing).map(link => toListedLink(landing, link)));
+  } catch (error) {
+    console.error('Error listing preview links:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a preview link for a version
+router.post('/', async (req, res) => {
+  if (!canManagePreviewLinks(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const versions = await getVersions(id);
+    let input;
+    try {
+      input = normalizePreviewLinkInput(req.body, versions.map(v => v.id));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const actor = req.currentUser?.email || 'admin';
+    const link = createPreviewLink(input, { createdBy: actor });
+    // Expired links are dropped whenever a new one is added
+    landing.previewLinks = [...activePreviewLinks(landing), link];
+    await writeDB(db);
+
+    const version = versions.find(v => v.id === input.versionId);
+    console.log(`🔗 Created preview link for version ${version.versionNumber || version.id} of ${landing.slug}`);
+
+    await logAudit(id, {
+      action: AUDIT_ACTIONS.PREVIEW_LINK_CREATE,
+      actor,
+      isAdmin: req.adminAuth,
+      details: `Created preview link for version ${version.versionNumber || version.id}${input.label ? ` "${input.label}"` : ''}, expires ${link.expiresAt}`,
+      metadata: { linkId: link.id, versionId: link.versionId, expiresAt: link.expiresAt }
+    });
+
+    res.json(toListedLink(landing, link));
+  } catch (error) {
+    console.error('Error creating preview link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a preview link
+router.delete('/:linkId', async (req, res) => {
+  if (!canManagePreviewLinks(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id, linkId } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const link = (landing.previewLinks || []).find(l => l.id === linkId);
+    if (!link) {
+      return res.status(404).json({ error: 'Preview link not found' });
+    }
+    landing.previewLinks = landing.previewLinks.filter(l => l.id !== linkId);
+    await writeDB(db);
+
+    await logAudit(id, {
+      action: AUDIT_ACTIONS.PREVIEW_LINK_REVOKE,
+      actor: req.currentUser?.email || 'admin',
+      isAdmin: req.adminAuth,
+      details: `Revoked preview link${link.label ? ` "${link.label}"` : ''}`,
+      metadata: { linkId, versionId: link.versionId }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking preview link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,65 +1,68 @@
 const express = require('express');
-const { migrateDomains } = require('../lib/db');
-const { readDB, writeDB, getEngine } = require('../lib/store');
-const { deployTraefikConfig, removeTraefikConfig } = require('../lib/traefik');
-const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
-const { clearLandingCache } = require('../lib/versions');
+const { publishLanding, unpublishLanding } = require('../lib/publishing');
+const { toAdminLanding } = require('../lib/access');
+const { readDB } = require('../lib/store');
+const { filterVisibleLandings } = require('../lib/auth');
+const { getLandingFsDir, getVersionFsDir } = require('../lib/versions');
+const { isLinkCheckable, checkLandingLinks } = require('../lib/link-check');
 
 const router = express.Router({ mergeParams: true });
 
+// Link check (lib/link-check.js) of the live content of a visible landing: its
+// current version, or its directory before the first version exists. Null for
+// unknown landings and types without files to check.
+async function checkLiveLinks(req, id) {
+  const db = await readDB();
+  const landing = filterVisibleLandings(req, db.landings || []).find(l => l.id === id);
+  if (!landing || !isLinkCheckable(landing)) return { landing, report: null };
+  const landingDir = landing.currentVersionId
+    ? await getVersionFsDir(landing, landing.currentVersionId)
+    : getLandingFsDir(landing);
+  const report = checkLandingLinks(landing, landingDir, { knownSlugs: db.landings.map(l => l.slug) });
+  return { landing, report };
+}
+
+// Broken links and missing assets of the live content
+router.get('/link-check', async (req, res) => {
+  try {
+    const { landing, report } = await checkLiveLinks(req, req.params.id);
+    if (!landing) return res.status(404).json({ error: 'Landing not found' });
+    if (!report) return res.status(400).json({ error: `Links of ${landing.type} landings are not checked` });
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error checking landing links:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Publish landing
 router.post('/publish', async (req, res) => {
   try {
     const { id } = req.params;
-    const { sshKey } = req.body;
-    const db = await readDB();
-    
-    const landing = db.landings.find(l => l.id === id);
-    if (!landing) {
-      return res.status(404).json({ error: 'Landing not found' });
-    }
-
-    landing.domains = migrateDomains(landing.domains || []);
-
-    if (landing.domains.length === 0) {
-      return res.status(400).json({ error: 'At least one domain is required before publishing' });
-    }
-
-    landing.domains = landing.domains.map(d => ({ ...d, published: true }));
-    
-    const domainStrings = landing.domains.map(d => d.domain);
-    console.log(`🚀 Publishing landing: ${landing.name} (${landing.slug}) to domains: ${domainStrings.join(', ')}`);
-
-    const configFileName = await deployTraefikConfig(landing, sshKey);
-    
-    landing.published = true;
-    landing.traefikConfigFile = configFileName;
-    await writeDB(db);
-
-    if (getEngine() === 'mongo') {
-      clearLandingCache(landing.slug);
+    const { sshKey, checkLinks } = req.body;
+
+    // Optional gate: with `checkLinks`, broken references answer 409 with the
+    // report instead of publishing, so the caller can confirm and retry without it.
+    if (checkLinks) {
+      const { report } = await checkLiveLinks(req, id);
+      if (report && report.broken.length) {
+        return res.status(409).json({
+          error: `${report.broken.length}${report.truncated ? '+' : ''} broken links or missing assets`,
+          linkCheck: report
+        });
+      }
     }
 
-    const domainUrls = landing.domains.map(d => `https://${d.domain}`).join(', ');
-    console.log(`✅ Landing published successfully: ${domainUrls}`);
-
-    // Log audit event
-    await logAudit(id, {
-      action: AUDIT_ACTIONS.PUBLISH,
+    const { message, landing } = await publishLanding(id, {
+      sshKey,
       actor: req.currentUser?.email || 'admin',
-      isAdmin: req.adminAuth,
-      details: `Published to: ${domainUrls}`,
-      metadata: { domains: domainStrings }
+      isAdmin: req.adminAuth
     });
 
-    res.json({ 
-      success: true, 
-      message: `Landing published to: ${domainUrls}`,
-      landing 
-    });
+    res.json({ success: true, message, landing: toAdminLanding(landing) });
   } catch (error) {
-    console.error('❌ Error publishing landing:', error);
-    res.status(500).json({ error: error.message });
+    if (!error.status) console.error('❌ Error publishing landing:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -68,49 +71,17 @@ router.post('/unpublish', async (req, res) => {
   try {
     const { id } = req.params;
     const { sshKey } = req.body;
-    const db = await readDB();
-    
-    const landing = db.landings.find(l => l.id === id);
-    if (!landing) {
-      return res.status(404).json({ error: 'Landing not found' });
-    }
-
-    if (!landing.published) {
-      return res.status(400).json({ error: 'Landing is not published' });
-    }
-
-    console.log(`📤 Unpublishing landing: ${landing.name} (${landing.slug})`);
 
-    landing.domains = migrateDomains(landing.domains || []).map(d => ({ ...d, published: false }));
-
-    await removeTraefikConfig(landing, sshKey);
-    
-    landing.published = false;
-    landing.traefikConfigFile = '';
-    await writeDB(db);
-
-    if (getEngine() === 'mongo') {
-      clearLandingCache(landing.slug);
-    }
-
-    console.log(`✅ Landing unpublished successfully`);
-
-    // Log audit event
-    await logAudit(id, {
-      action: AUDIT_ACTIONS.UNPUBLISH,
+    const { message, landing } = await unpublishLanding(id, {
+      sshKey,
       actor: req.currentUser?.email || 'admin',
-      isAdmin: req.adminAuth,
-      details: 'Landing unpublished'
+      isAdmin: req.adminAuth
     });
 
-    res.json({ 
-      success: true, 
-      message: 'Landing unpublished successfully',
-      landing 
-    });
+    res.json({ success: true, message, landing: toAdminLanding(landing) });
   } catch (error) {
-    console.error('❌ Error unpublishing landing:', error);
-    res.status(500).json({ error: error.message });
+    if (!error.status) console.error('❌ Error unpublishing landing:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,306 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { readDB, writeDB } = require('../lib/store');
+const { hasRight } = require('../lib/auth');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { createVersion, getLandingFsDir } = require('../lib/versions');
+const { normalizeCachePolicy, resolveCachePolicy } = require('../lib/cache-policy');
+const { normalizeInjections, listInjections } = require('../lib/injections');
+const { normalizeForms } = require('../lib/forms');
+const { normalizeRedirects } = require('../lib/redirects');
+const { normalizePersonalization, resolvePersonalization, buildPersonalizationLocals, applyPersonalization } = require('../lib/personalization');
+const { normalizeSpaSettings, resolveSpaSettings } = require('../lib/spa');
+const { normalizeOptimizeSettings, resolveOptimizeSettings } = require('../lib/optimize');
+const { normalizeMarkdownSettings, resolveMarkdownSettings } = require('../lib/markdown');
+const { normalizeSeoSettings, resolveSeoSettings } = require('../lib/seo');
+const { normalizeCanonicalSettings, resolveCanonicalSettings } = require('../lib/canonical');
+const { normalizeResponseHeaders, resolveResponseHeaders, collectInjectionSources, buildContentSecurityPolicy } = require('../lib/response-headers');
+const { normalizeAccess, resolveAccess } = require('../lib/access');
+const { prepareAccess } = require('../lib/access-control');
+const { normalizeMaintenance, resolveMaintenance, describeMaintenance } = require('../lib/maintenance');
+
+const router = express.Router({ mergeParams: true });
+
+// Per-landing settings sections. Each maps to a field on the landing record,
+// a validator that throws on bad input, and a resolver returning the effective
+// value (stored settings merged over defaults). Versioned sections (see
+// lib/versioned-config.js) snapshot a new version on every change. An optional
+// `prepare(value, current)` turns the validated value into the stored one, and an
+// optional `audit(value)` returns the audit `{ action, details }` of a change.
+const SETTINGS_SECTIONS = {
+  cache: {
+    field: 'cachePolicy',
+    label: 'cache policy',
+    normalize: normalizeCachePolicy,
+    resolve: resolveCachePolicy
+  },
+  injections: {
+    field: 'injections',
+    label: 'injection rules',
+    versioned: true,
+    normalize: normalizeInjections,
+    resolve: landing => landing.injections || []
+  },
+  redirects: {
+    field: 'redirects',
+    label: 'redirect rules',
+    versioned: true,
+    normalize: normalizeRedirects,
+    resolve: landing => landing.redirects || []
+  },
+  personalization: {
+    field: 'personalization',
+    label: 'personalization rules',
+    versioned: true,
+    normalize: normalizePersonalization,
+    resolve: landing => landing.personalization || []
+  },
+  spa: {
+    field: 'spa',
+    label: 'single-page app mode',
+    versioned: true,
+    normalize: normalizeSpaSettings,
+    resolve: resolveSpaSettings
+  },
+  optimize: {
+    field: 'optimize',
+    label: 'optimization settings',
+    versioned: true,
+    normalize: normalizeOptimizeSettings,
+    resolve: resolveOptimizeSettings
+  },
+  markdown: {
+    field: 'markdown',
+    label: 'markdown layout',
+    versioned: true,
+    normalize: normalizeMarkdownSettings,
+    resolve: resolveMarkdownSettings
+  },
+  seo: {
+    field: 'seo',
+    label: 'SEO settings',
+    normalize: normalizeSeoSettings,
+    resolve: resolveSeoSettings
+  },
+  canonical: {
+    field: 'canonical',
+    label: 'canonical redirects',
+    normalize: normalizeCanonicalSettings,
+    resolve: resolveCanonicalSettings
+  },
+  headers: {
+    field: 'headers',
+    label: 'response headers',
+    normalize: normalizeResponseHeaders,
+    resolve: resolveResponseHeaders
+  },
+  access: {
+    field: 'access',
+    label: 'access protection',
+    normalize: normalizeAccess,
+    prepare: prepareAccess,
+    resolve: resolveAccess
+  },
+  maintenance: {
+    field: 'maintenance',
+    label: 'maintenance mode',
+    normalize: normalizeMaintenance,
+    resolve: resolveMaintenance,
+    prepare: value => ({ ...value, updatedAt: new Date().toISOString() }),
+    audit: value => ({
+      action: value.enabled ? AUDIT_ACTIONS.MAINTENANCE_ON : AUDIT_ACTIONS.MAINTENANCE_OFF,
+      details: describeMaintenance(value, 'this landing')
+    })
+  },
+  forms: {
+    field: 'forms',
+    label: 'lead-capture forms',
+    normalize: normalizeForms,
+    resolve: landing => landing.forms || []
+  }
+};
+
+function canManageSettings(req) {
+  return req.adminAuth || hasRight(req.currentUser, 'landings:update');
+}
+
+// Get all settings sections for a landing
+router.get('/', async (req, res) => {
+  if (!canManageSettings(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const settings = {};
+    for (const [name, section] of Object.entries(SETTINGS_SECTIONS)) {
+      settings[name] = section.resolve(landing);
+    }
+    res.json(settings);
+  } catch (error) {
+    console.error('Error getting landing settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CSP sources the landing's injected snippets need (instance, organization and
+// landing rules, on any host), and the resulting policy. Used by the CSP builder.
+router.get('/headers/csp', async (req, res) => {
+  if (!canManageSettings(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const organization = (db.organizations || []).find(o => o.id === landing.organizationId);
+    const sources = collectInjectionSources(listInjections({ landing, organization }));
+    const { csp } = resolveResponseHeaders(landing);
+    res.json({ sources, policy: buildContentSecurityPolicy(csp, csp.injectionSources ? sources : {}) });
+  } catch (error) {
+    console.error('Error building CSP:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Simulate a query string against personalization rules (the posted, unsaved ones
+// or the stored ones). HTML landings also get their root page rewritten, with a
+// <base> so the preview loads the landing's assets.
+router.post('/personalization/preview', async (req, res) => {
+  if (!canManageSettings(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    let rules;
+    try {
+      rules = req.body.rules === undefined ? landing.personalization || [] : normalizePersonalization(req.body.rules);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const query = Object.fromEntries(new URLSearchParams(String(req.body.query || '').replace(/^\?/, '')));
+    const resolved = resolvePersonalization(rules, query);
+    const { personalization, utm } = buildPersonalizationLocals(resolved, query);
+
+    let html = null;
+    const indexPath = path.join(getLandingFsDir(landing), 'index.html');
+    if (['html', 'static', 'virtual'].includes(landing.type) && fs.existsSync(indexPath)) {
+      const page = fs.readFileSync(indexPath, 'utf8');
+      const base = `<base href="/${landing.slug}/">`;
+      html = applyPersonalization(/<head[^>]*>/i.test(page) ? page.replace(/<head[^>]*>/i, m => m + base) : base + page, resolved ? resolved.changes : []);
+    }
+
+    res.json({
+      matched: ((resolved && resolved.rules) || []).map(rule => ({ id: rule.id, name: rule.name })),
+      changes: resolved ? resolved.changes : [],
+      locals: { personalization: { rules: personalization.rules, slots: personalization.slots }, utm },
+      html
+    });
+  } catch (error) {
+    console.error('Error previewing personalization:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply a change to one section, snapshotting a version for versioned sections.
+async function saveSection(req, res, section, apply, { action = AUDIT_ACTIONS.SETTINGS_UPDATE, details }) {
+  const { id } = req.params;
+  const db = await readDB();
+  const landing = db.landings.find(l => l.id === id);
+  if (!landing) {
+    return res.status(404).json({ error: 'Landing not found' });
+  }
+
+  apply(landing);
+
+  let version = null;
+  if (section.versioned) {
+    version = await createVersion(landing, details);
+    if (version) {
+      landing.currentVersionId = version.id;
+      landing.currentVersionNumber = version.versionNumber;
+    }
+  }
+
+  await writeDB(db);
+
+  await logAudit(id, {
+    action,
+    actor: req.currentUser?.email || 'admin',
+    isAdmin: req.adminAuth,
+    details,
+    metadata: { section: req.params.section, ...(version ? { versionNumber: version.versionNumber } : {}) },
+    versionIds: version ? [version.id] : []
+  });
+
+  res.json({ success: true, [req.params.section]: section.resolve(landing) });
+}
+
+// Update one settings section
+router.put('/:section', async (req, res) => {
+  if (!canManageSettings(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  const section = SETTINGS_SECTIONS[req.params.section];
+  if (!section) {
+    return res.status(404).json({ error: 'Unknown settings section' });
+  }
+
+  let value;
+  try {
+    value = section.normalize(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await saveSection(req, res, section, landing => {
+      landing[section.field] = section.prepare ? section.prepare(value, landing[section.field]) : value;
+    }, section.audit ? section.audit(value) : { details: `Updated ${section.label}` });
+  } catch (error) {
+    if (!error.status) console.error('Error updating landing settings:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reset one settings section to its defaults
+router.delete('/:section', async (req, res) => {
+  if (!canManageSettings(req)) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  const section = SETTINGS_SECTIONS[req.params.section];
+  if (!section) {
+    return res.status(404).json({ error: 'Unknown settings section' });
+  }
+
+  try {
+    const audit = section.audit ? section.audit(section.resolve({})) : { details: `Reset ${section.label} to defaults` };
+    await saveSection(req, res, section, landing => { delete landing[section.field]; }, audit);
+  } catch (error) {
+    console.error('Error resetting landing settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
-const { readDB } = require('../lib/store');
+const { readDB, writeDB } = require('../lib/store');
 const { hasRight } = require('../lib/auth');
 const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { isRunning } = require('../lib/experiments');
+const { activateVersion } = require('../lib/publishing');
 const { 
   createVersion, 
   getVersions, 
   getVersion, 
-  rollbackToVersion, 
   deleteVersion,
   updateVersionMetadata,
   getVersionContentPreview,
@@ -116,38 +117,16 @@ router.post('/:versionId/rollback', async (req, res) => {
 
   try {
     const { id, versionId } = req.params;
-    const db = await readDB();
-    
-    const landing = db.landings.find(l => l.id === id);
-    if (!landing) {
-      return res.status(404).json({ error: 'Landing not found' });
-    }
-
-    const version = await getVersion(id, versionId);
-    if (!version) {
-      return res.status(404).json({ error: 'Version not found' });
-    }
-
-    await rollbackToVersion(landing, versionId);
-    
-    console.log(`🔄 Rolled back landing "${landing.name}" to version ${versionId}`);
 
-    // Log audit event
-    await logAudit(id, {
-      action: AUDIT_ACTIONS.ROLLBACK,
+    const { message } = await activateVersion(id, versionId, {
       actor: req.currentUser?.email || 'admin',
-      isAdmin: req.adminAuth,
-      details: `Rolled back to version ${version.versionNumber || versionId}`,
-      metadata: { versionId, versionNumber: version.versionNumber }
+      isAdmin: req.adminAuth
     });
 
-    res.json({ 
-      success: true, 
-      message: `Rolled back to version from ${new Date(version.createdAt).toLocaleString()}`
-    });
+    res.json({ success: true, message });
   } catch (error) {
-    console.error('Error rolling back version:', error);
-    res.status(500).json({ error: error.message });
+    if (!error.status) console.error('Error rolling back version:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -375,12 +354,24 @@ router.delete('/:versionId', async (req, res) => {
 
   try {
     const { id, versionId } = req.params;
+
+    const db = await readDB();
+    const landing = db.landings.find(l => l.id === id);
+    if (landing && isRunning(landing.experiment) && landing.experiment.variants.some(v => v.versionId === versionId)) {
+      return res.status(409).json({ error: 'Version is served by a running experiment' });
+    }
     
     const deleted = await deleteVersion(id, versionId);
     if (!deleted) {
       return res.status(404).json({ error: 'Version not found' });
     }
 
+    // Preview links of the version stop working, so they are dropped too
+    if (landing && (landing.previewLinks || []).some(l => l.versionId === versionId)) {
+      landing.previewLinks = landing.previewLinks.filter(l => l.versionId !== versionId);
+      await writeDB(db);
+    }
+
     // Log audit event
     await logAudit(id, {
       action: AUDIT_ACTIONS.VERSION_DELETE,
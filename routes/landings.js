@@ -2,8 +2,8 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const AdmZip = require('adm-zip');
-const { LANDINGS_DIR, migrateDomains, readDirectoryFilesSync } = require('../lib/db');
-const { readDB, writeDB, getEngine } = require('../lib/store');
+const { LANDINGS_DIR, migrateDomains, readDirectoryFilesSync, writeDirectoryFilesSync } = require('../lib/db');
+const { readDB, writeDB, getEngine, deleteLandingSubmissions, deleteLandingPageviews, getPageviews, deleteLandingExperimentStats, deleteLandingScheduledJobs } = require('../lib/store');
 const { deployTraefikConfig, removeTraefikConfig } = require('../lib/traefik');
 const { generateTraefikYaml, editLandingContent } = require('../lib/llm');
 const { 
@@ -21,16 +21,76 @@ const {
   clearLandingCache,
   getLandingFsDir
 } = require('../lib/versions');
-const { hasRight } = require('../lib/auth');
+const { hasRight, filterVisibleLandings } = require('../lib/auth');
 const { logAudit, deleteAuditLog, AUDIT_ACTIONS } = require('../lib/audit');
 const { safeSlugPath } = require('../lib/utils');
+const { normalizeDomain } = require('../lib/hosts');
+const { buildSparkline, toDay } = require('../lib/analytics');
+const { readRedirectsFile } = require('../lib/redirects');
+const { isLinkCheckable, checkLandingLinks } = require('../lib/link-check');
+const { toAdminLanding } = require('../lib/access');
+const { DEFAULT_CONTENT: DEFAULT_MARKDOWN, CUSTOM_LAYOUT_FILE, normalizeMarkdownFiles } = require('../lib/markdown');
+const { normalizeRedirectTarget, normalizeProxySettings } = require('../lib/forwarding');
 const landingDomainsRouter = require('./landing-domains');
 const landingPublishRouter = require('./landing-publish');
 const landingVersionsRouter = require('./landing-versions');
 const landingAuditRouter = require('./landing-audit');
+const landingSettingsRouter = require('./landing-settings');
+const landingAnalyticsRouter = require('./landing-analytics');
+const landingExperimentsRouter = require('./landing-experiments');
+const landingPreviewLinksRouter = require('./landing-preview-links');
 
 const router = express.Router();
 
+// Settings of redirect and proxy landings, keyed by type: the landing field
+// holding them, their validator and the label used in versions and audit logs.
+const FORWARDING_FIELDS = {
+  redirect: { field: 'redirectTarget', normalize: normalizeRedirectTarget, label: 'redirect target' },
+  proxy: { field: 'proxy', normalize: normalizeProxySettings, label: 'proxy settings' }
+};
+
+// Validated forwarding settings from a JSON body or a multipart field (JSON text).
+// Throws an Error describing the first problem.
+function parseForwardingSettings(type, value) {
+  let input = value;
+  if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (e) {
+      throw new Error(`Invalid ${FORWARDING_FIELDS[type].label}`);
+    }
+  }
+  return FORWARDING_FIELDS[type].normalize(input);
+}
+
+// A `_redirects` file shipped in a static or virtual bundle replaces the landing's
+// redirect rules (see lib/redirects.js). Invalid lines are skipped with a warning.
+function importBundleRedirects(landing, landingDir) {
+  const parsed = readRedirectsFile(landingDir);
+  if (!parsed) return;
+  for (const { line, message } of parsed.errors) {
+    console.warn(`⚠️ Skipped _redirects line ${line} of ${landing.slug}: ${message}`);
+  }
+  landing.redirects = parsed.rules;
+  console.log(`↪️ Imported ${parsed.rules.length} redirect rules for ${landing.slug}`);
+}
+
+// Broken links and missing assets of freshly uploaded files (see lib/link-check.js),
+// returned with the response. A failing check never fails the upload.
+function checkUploadedLinks(landing, landingDir, db) {
+  if (!isLinkCheckable(landing)) return null;
+  try {
+    const report = checkLandingLinks(landing, landingDir, { knownSlugs: db.landings.map(l => l.slug) });
+    if (report.broken.length) {
+      console.warn(`⚠️ ${report.broken.length} broken references in ${landing.slug} (${report.broken[0].file}:${report.broken[0].line} ${report.broken[0].ref})`);
+    }
+    return report;
+  } catch (error) {
+    console.error(`❌ Error checking links of ${landing.slug}:`, error);
+    return null;
+  }
+}
+
 // Generate Traefik config using AI
 router.post('/generate-traefik-config', async (req, res) => {
   if (!req.adminAuth && !hasRight(req.currentUser, 'landings:create')) {
@@ -55,19 +115,12 @@ router.post('/generate-traefik-config', async (req, res) => {
 router.get('/', async (req, res) => {
   try {
     const db = await readDB();
-    let landings = db.landings || [];
-
-    // Filter by organization if current organization is set
-    if (req.currentOrganization) {
-      landings = landings.filter(l => l.organizationId === req.currentOrganization.id);
-    } else if (!req.adminAuth && req.userOrganizations) {
-      // Fallback: show all user's organizations if no specific organization is selected
-      const orgIds = req.userOrganizations.map(o => o.id);
-      landings = landings.filter(l => orgIds.includes(l.organizationId));
-    }
+    // Scoped to the current organization (or all of the user's organizations)
+    let landings = filterVisibleLandings(req, db.landings || []);
 
+    // Access password hashes stay on the server
     landings = landings.map(landing => ({
-      ...landing,
+      ...toAdminLanding(landing),
       domains: migrateDomains(landing.domains || [])
     }));
     res.json(landings);
@@ -77,6 +130,26 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Daily pageview counts of the visible landings, for the list sparklines
+router.get('/analytics/sparklines', async (req, res) => {
+  try {
+    const days = Math.min(90, Math.max(2, parseInt(req.query.days, 10) || 14));
+    const db = await readDB();
+    const landingIds = filterVisibleLandings(req, db.landings || []).map(l => l.id);
+    const since = toDay(Date.now() - (days - 1) * 86400000);
+    const docs = await getPageviews(landingIds, since);
+
+    const sparklines = {};
+    for (const id of landingIds) {
+      sparklines[id] = buildSparkline(docs.filter(d => d.landingId === id), { days });
+    }
+    res.json({ days, sparklines });
+  } catch (error) {
+    console.error('Error getting analytics sparklines:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create landing
 router.post('/', async (req, res) => {
   // Check permission
@@ -147,6 +220,7 @@ router.post('/', async (req, res) => {
           fs.renameSync(file.path, dest);
         });
       }
+      importBundleRedirects(landing, landingDir);
     } else if (type === 'ejs' && req.files && req.files.length > 0) {
       const zipFile = req.files.find(f => f.originalname.endsWith('.zip'));
       if (zipFile) {
@@ -177,11 +251,24 @@ router.post('/', async (req, res) => {
         fs.renameSync(file.path, dest);
       });
 
+      importBundleRedirects(landing, landingDir);
+
       // Populate landing.files for initial persistence if mongo
       if (getEngine() === 'mongo') {
         landing.files = [];
         readDirectoryFilesSync(landingDir, '', landing.files);
       }
+    } else if (type === 'markdown') {
+      const content = req.body.content || DEFAULT_MARKDOWN;
+      fs.writeFileSync(path.join(landingDir, 'index.md'), content);
+      if (getEngine() === 'mongo') landing.files = [{ path: 'index.md', content, size: Buffer.byteLength(content) }];
+    } else if (FORWARDING_FIELDS[type]) {
+      const { field } = FORWARDING_FIELDS[type];
+      try {
+        landing[field] = parseForwardingSettings(type, req.body[field]);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     } else if (type === 'traefik-config') {
       const content = req.body.content || '# Traefik custom config\nhttp:\n  routers:\n  services:';
       landing.content = content;
@@ -205,7 +292,7 @@ router.post('/', async (req, res) => {
       metadata: { slug, type, organizationId: orgId }
     });
 
-    res.json(landing);
+    res.json({ ...landing, linkCheck: checkUploadedLinks(landing, landingDir, db) });
   } catch (error) {
     console.error('Error creating landing:', error);
     res.status(500).json({ error: error.message });
@@ -315,7 +402,7 @@ router.put('/:id', async (req, res) => {
         versionIds: [afterVersion.id]
       });
 
-      res.json({ success: true, versionId: afterVersion.id });
+      res.json({ success: true, versionId: afterVersion.id, linkCheck: checkUploadedLinks(landing, landingDir, db) });
     } else if (landing.type === 'ejs' && req.files && req.files.length > 0) {
       // Clear all existing files in the landing directory first
       const files = fs.readdirSync(landingDir);
@@ -359,7 +446,7 @@ router.put('/:id', async (req, res) => {
         versionIds: [afterVersion.id]
       });
 
-      res.json({ success: true });
+      res.json({ success: true, linkCheck: checkUploadedLinks(landing, landingDir, db) });
     } else if (landing.type === 'virtual' && req.files && req.files.length > 0) {
       // Validate index.html exists in the uploaded files (at the root)
       const hasIndex = req.files.some(f => f.originalname === 'index.html');
@@ -382,6 +469,8 @@ router.put('/:id', async (req, res) => {
         fs.renameSync(file.path, dest);
       });
 
+      importBundleRedirects(landing, landingDir);
+
       // Update files in memory for persistence
       if (getEngine() === 'mongo') {
         landing.files = [];
@@ -407,7 +496,42 @@ router.put('/:id', async (req, res) => {
         versionIds: [afterVersion.id]
       });
 
-      res.json({ success: true });
+      res.json({ success: true, linkCheck: checkUploadedLinks(landing, landingDir, db) });
+    } else if (landing.type === 'markdown') {
+      let files;
+      try {
+        files = normalizeMarkdownFiles(req.body.files);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // The editor sends every page, so files left out are deleted
+      writeDirectoryFilesSync(landingDir, files);
+      if (getEngine() === 'mongo') {
+        landing.files = [];
+        readDirectoryFilesSync(landingDir, '', landing.files);
+      }
+
+      const afterVersion = await createVersion(landing, 'Updated Markdown pages');
+      if (!afterVersion) {
+        throw new Error('Failed to create version snapshot after update');
+      }
+
+      landing.currentVersionId = afterVersion.id;
+      landing.currentVersionNumber = afterVersion.versionNumber;
+
+      await writeDB(db);
+
+      await logAudit(id, {
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.currentUser?.email || 'admin',
+        isAdmin: req.adminAuth,
+        details: `Updated Markdown pages (${files.length} files)`,
+        metadata: { versionNumber: afterVersion.versionNumber },
+        versionIds: [afterVersion.id]
+      });
+
+      res.json({ success: true, versionId: afterVersion.id });
     } else if (landing.type === 'traefik-config') {
       const content = typeof req.body.content === 'string' ? req.body.content : '';
       landing.content = content;
@@ -434,8 +558,37 @@ router.put('/:id', async (req, res) => {
       });
 
       res.json({ success: true });
+    } else if (FORWARDING_FIELDS[landing.type]) {
+      const { field, label } = FORWARDING_FIELDS[landing.type];
+      try {
+        landing[field] = parseForwardingSettings(landing.type, req.body[field]);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // The settings travel with the version (lib/versioned-config.js)
+      const afterVersion = await createVersion(landing, `Updated ${label}`);
+      if (!afterVersion) {
+        throw new Error('Failed to create version snapshot after update');
+      }
+
+      landing.currentVersionId = afterVersion.id;
+      landing.currentVersionNumber = afterVersion.versionNumber;
+
+      await writeDB(db);
+
+      await logAudit(id, {
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.currentUser?.email || 'admin',
+        isAdmin: req.adminAuth,
+        details: `Updated ${label}`,
+        metadata: { versionNumber: afterVersion.versionNumber },
+        versionIds: [afterVersion.id]
+      });
+
+      res.json({ success: true, versionId: afterVersion.id, [field]: landing[field] });
     } else {
-      res.status(400).json({ error: 'Only HTML, EJS, and Virtual landings can be edited this way' });
+      res.status(400).json({ error: 'Only HTML, EJS, Markdown, Virtual, redirect and proxy landings can be edited this way' });
     }
   } catch (error) {
     console.error('Error updating landing:', error);
@@ -460,8 +613,10 @@ router.get('/:id/content', async (req, res) => {
       }
       const content = await ensureLandingContentAndRead(landing);
       res.json({ content });
+    } else if (landing.type === 'markdown') {
+      res.json({ files: await readMarkdownFiles(landing) });
     } else {
-      res.status(400).json({ error: 'Only HTML and Traefik config landings can be retrieved this way' });
+      res.status(400).json({ error: 'Only HTML, Markdown and Traefik config landings can be retrieved this way' });
     }
   } catch (error) {
     console.error('Error reading landing content:', error);
@@ -491,13 +646,20 @@ router.put('/:id/domains', async (req, res) => {
     }
 
     const oldDomains = migrateDomains(landing.domains || []);
-    const newDomains = domains.map(d => {
-      if (typeof d === 'string') {
-        const existing = oldDomains.find(od => od.domain === d);
-        return { domain: d, published: existing ? existing.published : false };
-      }
-      return d;
-    });
+    let newDomains;
+    try {
+      // Exact hosts or wildcards such as *.campaigns.example.com (lib/hosts.js)
+      newDomains = domains.map(d => {
+        if (typeof d === 'string') {
+          const domain = normalizeDomain(d);
+          const existing = oldDomains.find(od => od.domain === domain);
+          return { domain, published: existing ? existing.published : false };
+        }
+        return { ...d, domain: normalizeDomain(d && d.domain) };
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
     const oldDomainStrings = oldDomains.map(d => d.domain);
     const newDomainStrings = newDomains.map(d => d.domain);
@@ -531,7 +693,7 @@ router.put('/:id/domains', async (req, res) => {
 
     console.log(`✅ Domains updated successfully`);
 
-    res.json({ success: true, landing });
+    res.json({ success: true, landing: toAdminLanding(landing) });
   } catch (error) {
     console.error('❌ Error updating domains:', error);
     res.status(500).json({ error: error.message });
@@ -604,6 +766,22 @@ router.delete('/:id', async (req, res) => {
     await deleteAuditLog(landing.id);
     console.log(`✅ Landing audit log removed`);
 
+    // Delete form submissions for this landing
+    await deleteLandingSubmissions(landing.id);
+    console.log(`✅ Landing form submissions removed`);
+
+    // Delete pageview analytics for this landing
+    await deleteLandingPageviews(landing.id);
+    console.log(`✅ Landing analytics removed`);
+
+    // Delete A/B experiment counts for this landing
+    await deleteLandingExperimentStats(landing.id);
+    console.log(`✅ Landing experiment results removed`);
+
+    // Cancel scheduled jobs for this landing
+    await deleteLandingScheduledJobs(landing.id);
+    console.log(`✅ Landing scheduled jobs removed`);
+
     db.landings.splice(landingIndex, 1);
     await writeDB(db);
     
@@ -619,6 +797,10 @@ router.delete('/:id', async (req, res) => {
 router.use('/:id/domains', landingDomainsRouter);
 router.use('/:id/versions', landingVersionsRouter);
 router.use('/:id/audit', landingAuditRouter);
+router.use('/:id/settings', landingSettingsRouter);
+router.use('/:id/analytics', landingAnalyticsRouter);
+router.use('/:id/experiment', landingExperimentsRouter);
+router.use('/:id/preview-links', landingPreviewLinksRouter);
 router.use('/:id', landingPublishRouter);
 
 async function ensureLandingContentAndRead(landing) {
@@ -654,4 +836,25 @@ async function ensureLandingContentAndRead(landing) {
   return fs.readFileSync(indexPath, 'utf-8');
 }
 
+// Pages (and custom layout) of a markdown landing, restored from the database or
+// the current version when the landing directory is missing.
+async function readMarkdownFiles(landing) {
+  const landingDir = getLandingFsDir(landing);
+  if (!fs.existsSync(path.join(landingDir, 'index.md'))) {
+    if (getEngine() === 'mongo' && Array.isArray(landing.files) && landing.files.length) {
+      writeDirectoryFilesSync(landingDir, landing.files, { clearExisting: false });
+    } else if (landing.currentVersionId) {
+      await restoreVersionToDisk(landing, landing.currentVersionId);
+    }
+  }
+  if (!fs.existsSync(landingDir)) return [];
+
+  const files = [];
+  readDirectoryFilesSync(landingDir, '', files);
+  return files
+    .filter(f => f.path.endsWith('.md') || f.path === CUSTOM_LAYOUT_FILE)
+    .map(({ path: filePath, content }) => ({ path: filePath, content }))
+    .sort((a, b) => (a.path === 'index.md' ? -1 : b.path === 'index.md' ? 1 : a.path.localeCompare(b.path)));
+}
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { readDB, writeDB } = require('../lib/store');
 const { migrateExistingLandings } = require('../lib/migrate-versions');
+const { clearTemplateCache } = require('../lib/templates');
 
 const router = express.Router();
 
@@ -102,6 +103,8 @@ router.post('/move-landing', async (req, res) => {
     const oldOrgId = landing.organizationId;
     landing.organizationId = targetOrganizationId;
     await writeDB(db);
+    // Compiled templates resolve @shared/ includes to the previous organization's library
+    clearTemplateCache(req.app);
 
     console.log(`✅ Landing "${landing.name}" moved from org ${oldOrgId} to ${targetOrganizationId}`);
     
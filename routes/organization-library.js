@@ -0,0 +1,157 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { readDB } = require('../lib/store');
+const { clearTemplateCache } = require('../lib/templates');
+const {
+  normalizeLibraryPath,
+  listLibraryFiles,
+  readLibraryFile,
+  writeLibraryFile,
+  deleteLibraryFile,
+  listLibraryVersions,
+  createLibraryVersion,
+  restoreLibraryVersion
+} = require('../lib/shared-library');
+
+const router = express.Router({ mergeParams: true });
+
+// The organization of the request, or null after answering 403/404. Admins and
+// members may read the library; changing it takes the landings:update right.
+async function loadOrganization(req, res, { write = false } = {}) {
+  const db = await readDB();
+  const org = (db.organizations || []).find(o => o.id === req.params.id);
+  if (!org) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  if (req.adminAuth) return org;
+
+  const member = (org.users || []).find(u => u.email === req.currentUser?.email);
+  if (!member) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  if (write && !(member.rights || []).includes('landings:update')) {
+    res.status(403).json({ error: 'Missing permission: landings:update' });
+    return null;
+  }
+  return org;
+}
+
+function removeUploads(req) {
+  (req.files || []).forEach(f => { if (fs.existsSync(f.path)) fs.unlinkSync(f.path); });
+}
+
+// Snapshot the change and drop compiled templates, so every landing renders the
+// new partials on its next request.
+function commitChange(req, org, description) {
+  const version = createLibraryVersion(org.id, { description, actor: req.currentUser?.email || 'admin' });
+  clearTemplateCache(req.app);
+  console.log(`📚 Shared library of ${org.name}: ${description} (v${version.versionNumber})`);
+  return version;
+}
+
+function sendLibraryError(res, error, context) {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// List the library files and its current version
+router.get('/', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res);
+    if (!org) return;
+    const [current] = listLibraryVersions(org.id);
+    res.json({ files: listLibraryFiles(org.id), version: current || null });
+  } catch (error) {
+    sendLibraryError(res, error, 'listing shared library');
+  }
+});
+
+// Content of a text file (partials, styles, scripts, SVG)
+router.get('/files/*', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res);
+    if (!org) return;
+    const filePath = req.params[0];
+    res.json({ path: filePath, content: readLibraryFile(org.id, filePath) });
+  } catch (error) {
+    sendLibraryError(res, error, 'reading shared library file');
+  }
+});
+
+// Create or replace a text file
+router.put('/files/*', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res, { write: true });
+    if (!org) return;
+    const filePath = writeLibraryFile(org.id, req.params[0], req.body.content);
+    const version = commitChange(req, org, `Updated ${filePath}`);
+    res.json({ success: true, path: filePath, version });
+  } catch (error) {
+    sendLibraryError(res, error, 'saving shared library file');
+  }
+});
+
+// Upload files (multipart `files`), optionally into a `folder`
+router.post('/upload', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res, { write: true });
+    if (!org) return;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    const folder = typeof req.body.folder === 'string' ? req.body.folder.trim().replace(/^\/+|\/+$/g, '') : '';
+    // Validate every path before writing any file
+    const targets = req.files.map(file => normalizeLibraryPath(`${folder ? folder + '/' : ''}${path.basename(file.originalname)}`));
+    const written = req.files.map((file, i) => writeLibraryFile(org.id, targets[i], fs.readFileSync(file.path)));
+    const version = commitChange(req, org, `Uploaded ${written.join(', ')}`);
+    res.json({ success: true, files: written, version });
+  } catch (error) {
+    sendLibraryError(res, error, 'uploading shared library files');
+  } finally {
+    removeUploads(req);
+  }
+});
+
+// Delete a file
+router.delete('/files/*', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res, { write: true });
+    if (!org) return;
+    const filePath = deleteLibraryFile(org.id, req.params[0]);
+    const version = commitChange(req, org, `Deleted ${filePath}`);
+    res.json({ success: true, version });
+  } catch (error) {
+    sendLibraryError(res, error, 'deleting shared library file');
+  }
+});
+
+// Version history, newest first
+router.get('/versions', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res);
+    if (!org) return;
+    res.json(listLibraryVersions(org.id));
+  } catch (error) {
+    sendLibraryError(res, error, 'listing shared library versions');
+  }
+});
+
+// Restore the files of a version (recorded as a new version)
+router.post('/versions/:versionId/restore', async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res, { write: true });
+    if (!org) return;
+    const version = restoreLibraryVersion(org.id, req.params.versionId, { actor: req.currentUser?.email || 'admin' });
+    clearTemplateCache(req.app);
+    console.log(`📚 Shared library of ${org.name}: ${version.description} (v${version.versionNumber})`);
+    res.json({ success: true, version });
+  } catch (error) {
+    sendLibraryError(res, error, 'restoring shared library version');
+  }
+});
+
+module.exports = router;
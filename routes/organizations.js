@@ -1,5 +1,9 @@
 const express = require('express');
 const { readDB, writeDB } = require('../lib/store');
+const { normalizeInjections } = require('../lib/injections');
+const { normalizeMaintenance, describeMaintenance } = require('../lib/maintenance');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { deleteLibrary } = require('../lib/shared-library');
 
 const router = express.Router();
 
@@ -103,6 +107,87 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Replace organization-level injection rules (admin only)
+router.put('/:id/injections', async (req, res) => {
+  if (!req.adminAuth) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  let injections;
+  try {
+    injections = normalizeInjections(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const orgs = db.organizations || [];
+    const org = orgs.find(o => o.id === id);
+
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    org.injections = injections;
+    await writeDB(db);
+
+    console.log(`✅ Organization injections updated: ${org.name} (${injections.length} rules)`);
+    res.json(org);
+  } catch (error) {
+    console.error('❌ Error updating organization injections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn maintenance mode on or off for every landing of an organization (admin only)
+router.put('/:id/maintenance', async (req, res) => {
+  if (!req.adminAuth) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  let maintenance;
+  try {
+    maintenance = normalizeMaintenance(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { id } = req.params;
+    const db = await readDB();
+    const orgs = db.organizations || [];
+    const org = orgs.find(o => o.id === id);
+
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    org.maintenance = { ...maintenance, updatedAt: new Date().toISOString() };
+    await writeDB(db);
+
+    const landings = (db.landings || []).filter(l => l.organizationId === id);
+    console.log(`🚧 Organization maintenance ${maintenance.enabled ? 'on' : 'off'}: ${org.name} (${landings.length} landings)`);
+
+    // Recorded in the audit log of every landing it affects
+    for (const landing of landings) {
+      await logAudit(landing.id, {
+        action: maintenance.enabled ? AUDIT_ACTIONS.MAINTENANCE_ON : AUDIT_ACTIONS.MAINTENANCE_OFF,
+        actor: req.currentUser?.email || 'admin',
+        isAdmin: req.adminAuth,
+        details: describeMaintenance(maintenance, `organization ${org.name}`),
+        metadata: { scope: 'organization', organizationId: id }
+      });
+    }
+
+    res.json(org);
+  } catch (error) {
+    console.error('❌ Error updating organization maintenance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete organization (admin only)
 router.delete('/:id', async (req, res) => {
   if (!req.adminAuth) {
@@ -132,6 +217,7 @@ router.delete('/:id', async (req, res) => {
 
     const deleted = orgs.splice(index, 1)[0];
     await writeDB(db);
+    deleteLibrary(deleted.id);
 
     console.log(`✅ Organization deleted: ${deleted.name}`);
     res.json({ success: true });
@@ -0,0 +1,176 @@
+const express = require('express');
+const { readDB, insertScheduledJob, listScheduledJobs, getScheduledJob, updateScheduledJob, deleteScheduledJob } = require('../lib/store');
+const { hasRight, filterVisibleLandings } = require('../lib/auth');
+const { logAudit, AUDIT_ACTIONS } = require('../lib/audit');
+const { getVersions } = require('../lib/versions');
+const { JOB_TYPES, normalizeJob, createJob, describeJob } = require('../lib/scheduler');
+const { runScheduledJobsNow } = require('../lib/scheduled-jobs');
+
+// Scheduled publish/unpublish/version activation jobs (see lib/scheduler.js).
+// Jobs are scoped through their landing, with the same organization filtering
+// as GET /api/landings.
+const router = express.Router();
+
+// Right needed to schedule, cancel or retry a job: the one of the action itself.
+function requiredRight(type) {
+  return type === 'activate_version' ? 'landings:update' : 'landings:domains';
+}
+
+function canManageJob(req, type) {
+  return req.adminAuth || hasRight(req.currentUser, requiredRight(type));
+}
+
+async function getVisibleLandings(req) {
+  const db = await readDB();
+  return filterVisibleLandings(req, db.landings || []);
+}
+
+// A job the request may see, with its landing
+async function findVisibleJob(req, id) {
+  const job = await getScheduledJob(id);
+  if (!job) return null;
+  const landing = (await getVisibleLandings(req)).find(l => l.id === job.landingId);
+  return landing ? { job, landing } : null;
+}
+
+// Version numbers make activation jobs readable in the admin
+async function withVersionNumbers(jobs) {
+  const versionsByLanding = {};
+  for (const landingId of new Set(jobs.filter(j => j.versionId).map(j => j.landingId))) {
+    versionsByLanding[landingId] = await getVersions(landingId);
+  }
+  return jobs.map(job => {
+    if (!job.versionId) return job;
+    const version = (versionsByLanding[job.landingId] || []).find(v => v.id === job.versionId);
+    return { ...job, versionNumber: version ? version.versionNumber : null };
+  });
+}
+
+// List jobs, soonest first (default: upcoming and failed)
+router.get('/', async (req, res) => {
+  try {
+    const landings = await getVisibleLandings(req);
+    let landingIds = landings.map(l => l.id);
+    if (req.query.landingId) landingIds = landingIds.filter(id => id === req.query.landingId);
+
+    const statuses = req.query.status ? String(req.query.status).split(',') : ['pending', 'running', 'failed'];
+    const jobs = await listScheduledJobs({ landingIds, statuses });
+
+    const names = Object.fromEntries(landings.map(l => [l.id, { name: l.name, slug: l.slug }]));
+    const entries = (await withVersionNumbers(jobs)).map(job => ({
+      ...job,
+      landingName: names[job.landingId]?.name || null,
+      landingSlug: names[job.landingId]?.slug || null
+    }));
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error listing scheduled jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a job
+router.post('/', async (req, res) => {
+  const { landingId, ...input } = req.body || {};
+  if (!JOB_TYPES.includes(input.type)) {
+    return res.status(400).json({ error: `Job type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+  if (!canManageJob(req, input.type)) {
+    return res.status(403).json({ error: `Missing permission: ${requiredRight(input.type)}` });
+  }
+
+  try {
+    const landing = (await getVisibleLandings(req)).find(l => l.id === landingId);
+    if (!landing) {
+      return res.status(404).json({ error: 'Landing not found' });
+    }
+
+    const versions = input.type === 'activate_version' ? await getVersions(landing.id) : [];
+    let definition;
+    try {
+      definition = normalizeJob(input, landing, versions.map(v => v.id));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const actor = req.currentUser?.email || 'admin';
+    const job = await insertScheduledJob(createJob(definition, { landingId: landing.id, createdBy: actor, isAdmin: req.adminAuth }));
+    const version = versions.find(v => v.id === job.versionId);
+
+    console.log(`⏰ Scheduled ${job.type} of ${landing.slug} at ${job.runAt}`);
+
+    await logAudit(landing.id, {
+      action: AUDIT_ACTIONS.SCHEDULE_CREATE,
+      actor,
+      isAdmin: req.adminAuth,
+      details: `Scheduled: ${describeJob(job, version)} at ${job.runAt}`,
+      metadata: { jobId: job.id, type: job.type, domain: job.domain, versionId: job.versionId, runAt: job.runAt }
+    });
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error scheduling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry a failed job now
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const found = await findVisibleJob(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!canManageJob(req, found.job.type)) {
+      return res.status(403).json({ error: `Missing permission: ${requiredRight(found.job.type)}` });
+    }
+
+    const job = await updateScheduledJob(found.job.id, { status: 'pending', runAt: new Date().toISOString(), error: null }, ['failed']);
+    if (!job) {
+      return res.status(400).json({ error: 'Only failed jobs can be retried' });
+    }
+
+    runScheduledJobsNow();
+    res.json(job);
+  } catch (error) {
+    console.error('Error retrying scheduled job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a pending job or dismiss a failed one
+router.delete('/:id', async (req, res) => {
+  try {
+    const found = await findVisibleJob(req, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const { job } = found;
+    if (!canManageJob(req, job.type)) {
+      return res.status(403).json({ error: `Missing permission: ${requiredRight(job.type)}` });
+    }
+    if (job.status === 'running') {
+      return res.status(409).json({ error: 'Job is running' });
+    }
+
+    await deleteScheduledJob(job.id);
+
+    if (job.status === 'pending') {
+      await logAudit(job.landingId, {
+        action: AUDIT_ACTIONS.SCHEDULE_CANCEL,
+        actor: req.currentUser?.email || 'admin',
+        isAdmin: req.adminAuth,
+        details: `Cancelled scheduled job: ${describeJob(job)}`,
+        metadata: { jobId: job.id, type: job.type, domain: job.domain, versionId: job.versionId, runAt: job.runAt }
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting scheduled job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,43 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { LANDINGS_DIR, migrateDomains } = require('../lib/db');
-const { readDB, getEngine } = require('../lib/store');
-const { getVersions, restoreVersionToDisk, getLandingFsDir } = require('../lib/versions');
+const { LANDINGS_DIR } = require('../lib/db');
+const { readDB, getEngine, getRoutingData, getLandingById, getMongoDb, incrementPageviews } = require('../lib/store');
+const { getRoutingIndex, resolveHost, findLandingByHost, findLandingBySlug, getLandingBasePath, findOrganization } = require('../lib/routing-index');
+const { resolveInjections, applyInjections } = require('../lib/injections');
+const { getVersions, getVersion, getVersionFsDir, getOptimizedFsDir, restoreVersionToDisk, getLandingFsDir } = require('../lib/versions');
 const { writeDirectoryFilesSync } = require('../lib/db');
-const { i18nMiddleware, createTranslationHelper } = require('../lib/i18n');
+const { getLocaleConfig, getRoutingLocales, splitLocalePrefix, negotiateLocale, loadTranslations, createTranslationHelper, buildAlternateLinks, renderAlternateLinks } = require('../lib/i18n');
 const { isValidSlug } = require('../lib/utils');
-const mongoose = require('mongoose');
+const { resolveCachePolicy, classifyFile, getCacheHeaders, buildFileEtag } = require('../lib/cache-policy');
+const { loadDataManifest, matchRoute, resolveDataSources, listRoutePages } = require('../lib/data-providers');
+const { isAnalyticsEnabled, isTrackable, normalizePath, referrerKey, createPageviewRecorder } = require('../lib/analytics');
+const { resolveExperimentLanding } = require('../lib/experiment-tracking');
+const { getInstanceErrorPagesDir, findPageFile, findErrorPage, renderDefaultErrorPage } = require('../lib/error-pages');
+const { REDIRECTS_FILE, matchRedirect } = require('../lib/redirects');
+const { shouldServeSpaFallback } = require('../lib/spa');
+const { LOGIN_PATH, isProtected, resolveAccess, renderLoginPage } = require('../lib/access');
+const { getAccessSecret, hasSessionAccess, hasAccess } = require('../lib/access-control');
+const { activeMaintenance, isIpAllowed, renderMaintenancePage } = require('../lib/maintenance');
+const { PREVIEW_PATH, parsePreviewToken, findPreviewLink } = require('../lib/preview-links');
+const { applyVersionedConfig } = require('../lib/versioned-config');
+const { getCanonicalRedirect } = require('../lib/canonical');
+const { getResponseHeaders } = require('../lib/response-headers');
+const { isForwardingLanding, resolveRedirectTarget, getRedirectTargetLocation, resolveProxySettings, proxyRequest } = require('../lib/forwarding');
+const { resolvePersonalization, buildPersonalizationLocals, applyPersonalization } = require('../lib/personalization');
+const { createSharedIncluder, matchSharedAssetPath, resolveLibraryFile, SHARED_URL_SEGMENT } = require('../lib/shared-library');
+const { CUSTOM_LAYOUT_FILE, resolveMarkdownSettings, findMarkdownFile, listMarkdownPages, renderMarkdownFile, pagePathForFile } = require('../lib/markdown');
+const {
+  DISALLOW_ALL,
+  MAX_SITEMAP_URLS,
+  resolveSeoSettings,
+  isIndexable,
+  renderRobotsTxt,
+  listHtmlPages,
+  listEjsPages,
+  localizePages,
+  renderSitemap
+} = require('../lib/seo');
 
 const router = express.Router();
 
@@ -29,40 +59,719 @@ function safeResolvePath(baseDir, relPath) {
   if (resolved !== path.resolve(baseDir) && !resolved.startsWith(normalizedBase)) return null;
   return resolved;
 }
+
+// Directory a landing is served from: an experiment variant's extracted version
+// (see lib/experiment-tracking.js), the optimized build of its current version
+// (see resolveServedLanding) or the landing's own directory.
+function landingFsDir(landing) {
+  return landing.fsDir || getLandingFsDir(landing);
+}
+
+// The landing as served for a request: the visitor's experiment variant, served
+// from the optimized build of its version when optimization is on (lib/optimize.js).
+// Variants of other versions resolve their build in getVariantLanding.
+async function resolveServedLanding(req, res, landing, opts) {
+  const view = await resolveExperimentLanding(req, res, landing, opts);
+  if (!view || view.fsDir) return view;
+  const optimizedDir = await getOptimizedFsDir(view, view.currentVersionId);
+  return optimizedDir ? { ...view, fsDir: optimizedDir } : view;
+}
+
+// A file of the landing that may be sent as-is: inside its directory, and not
+// the `_redirects` rules file. Returns the absolute path or null.
+function servableFile(landingDir, filePath) {
+  const fullPath = safeResolvePath(landingDir, String(filePath || '').replace(/^\/+/, ''));
+  if (!fullPath || fullPath === path.join(path.resolve(landingDir), REDIRECTS_FILE)) return null;
+  return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fullPath : null;
+}
 // -------------------------------------------------------------------------------
 
-// --- serve-time head injection (INJECT_HEAD_HTML env) ---------------------------
-// Injects a snippet (e.g. an analytics <script>) before </head> of every served
-// landing page. The vigie snippet computes its site from location.hostname, so one
-// global value works for every domain. Dedupe: skipped when the snippet's src is
-// already in the page.
-const INJECT_HEAD_HTML = process.env.INJECT_HEAD_HTML || '';
+// --- pageview analytics (lib/analytics.js) --------------------------------------
+// Every HTML page response (not assets) counts once, when it finishes with 200/304.
+// Counts are buffered in memory and flushed as daily aggregates.
+const pageviews = createPageviewRecorder({ write: incrementPageviews });
+
+function trackPageview(res, landing) {
+  const req = res.req;
+  if (res.locals.pageviewTracked || !isAnalyticsEnabled()) return;
+  if (!isTrackable({ method: req.method, userAgent: req.get('user-agent'), purpose: req.get('sec-purpose') || req.get('purpose') })) return;
+  res.locals.pageviewTracked = true;
+  res.once('finish', () => {
+    if (res.statusCode !== 200 && res.statusCode !== 304) return;
+    pageviews.record({
+      landingId: landing.id,
+      host: req.get('host'),
+      path: normalizePath(req.originalUrl, landing.slug),
+      referrer: referrerKey(req.get('referer'), req.get('host'))
+    });
+  });
+}
+
+function flushPageviews() {
+  return pageviews.flush();
+}
+// -------------------------------------------------------------------------------
 
-function injectHead(html) {
-  if (!INJECT_HEAD_HTML || typeof html !== 'string') return html;
-  if (html.indexOf('</head>') === -1) return html;
-  const m = INJECT_HEAD_HTML.match(/src="([^"]+)"/);
-  if (m && html.indexOf(m[1]) !== -1) return html;
-  return html.replace('</head>', INJECT_HEAD_HTML + '</head>');
+// --- serve-time HTML injection (lib/injections.js) -----------------------------
+// Snippets (analytics, chat widgets, consent banners) from the instance
+// (INJECT_HEAD_HTML), the landing's organization and the landing itself, filtered
+// by request host. Pages without matching rules are sent untouched.
+async function getInjectionRules(req, landing) {
+  const index = await loadRoutingIndex();
+  return resolveInjections({ landing, organization: findOrganization(index, landing), host: req.get('host') });
 }
 
-function sendHtmlInjected(res, filePath) {
-  if (!INJECT_HEAD_HTML || !filePath.endsWith('.html')) return res.sendFile(filePath);
+async function sendHtmlInjected(res, landing, filePath, { inject = true } = {}) {
+  trackPageview(res, landing);
+  const isHtml = filePath.endsWith('.html');
+  const rules = isHtml && inject ? await getInjectionRules(res.req, landing) : [];
+  const personalized = isHtml ? getPersonalization(res.req, landing) : null;
+  if (!rules.length && !personalized) return sendLandingFile(res, landing, filePath);
   fs.readFile(filePath, 'utf8', (err, html) => {
-    if (err) return res.sendFile(filePath);
-    res.type('html').send(injectHead(html));
+    if (err) return sendLandingFile(res, landing, filePath);
+    setCacheHeaders(res, landing, 'html');
+    setResponseHeaders(res, landing, { html: true, rules });
+    res.type('html').send(transformHtml(html, rules, personalized));
   });
 }
 
-function renderInjected(res, view) {
-  if (!INJECT_HEAD_HTML) return res.render(view);
-  res.render(view, (err, html) => {
-    if (err) { console.error('[inject] render error:', err); return res.status(500).send('Error rendering page'); }
-    res.type('html').send(injectHead(html));
+async function renderInjected(res, landing, view) {
+  trackPageview(res, landing);
+  const rules = await getInjectionRules(res.req, landing);
+  const personalized = getPersonalization(res.req, landing);
+  Object.assign(res.locals, buildPersonalizationLocals(personalized, res.req.query));
+  res.render(view, sharedRenderOptions(res, landing), (err, html) => {
+    if (err) { console.error('[render] error:', err); return sendErrorPage(res, 500, landing); }
+    setResponseHeaders(res, landing, { html: true, rules });
+    res.type('html').send(transformHtml(html, rules, personalized));
   });
 }
+
+function transformHtml(html, rules, personalized) {
+  const out = personalized ? applyPersonalization(html, personalized.changes) : html;
+  return rules.length ? applyInjections(out, rules) : out;
+}
+// -------------------------------------------------------------------------------
+
+// --- query-string personalization (lib/personalization.js) -----------------------
+// Rules of the landing matched against the query string (utm_* and others). HTML
+// pages get their data-personalize slots rewritten; unmatched requests are sent
+// untouched. Personalized pages differ by URL only, so caches keep them apart.
+function getPersonalization(req, landing) {
+  return resolvePersonalization(landing.personalization, req.query);
+}
+// -------------------------------------------------------------------------------
+
+// --- shared library (lib/shared-library.js) ---------------------------------------
+// `@shared/` includes resolve to the library of the landing's organization. The
+// includer goes in with the view options of each render; compiled templates keep
+// it, so the template cache is cleared when a library or a landing's org changes.
+function sharedRenderOptions(res, landing) {
+  const viewOptions = { ...(res.app.get('view options') || {}), includer: createSharedIncluder(landing && landing.organizationId) };
+  return { settings: { ...res.app.settings, 'view options': viewOptions } };
+}
+
+// URL of a shared asset from a page: <%= sharedUrl('logo.svg') %>
+function sharedUrlHelper(basePath) {
+  return file => `${basePath}/${SHARED_URL_SEGMENT}/${String(file).replace(/^\/+/, '')}`;
+}
+
+// Shared assets are served below every landing of the organization, on its slug
+// and its domains: /<slug>/_shared/logo.svg, https://example.com/_shared/logo.svg.
+function sendSharedAsset(res, landing, filePath) {
+  const fullPath = resolveLibraryFile(landing.organizationId, filePath);
+  if (!fullPath) return sendErrorPage(res, 404, landing);
+  const policy = resolveCachePolicy(landing);
+  res.set(cacheHeadersFor(res, landing, policy, classifyFile(fullPath, policy)));
+  setResponseHeaders(res, landing);
+  return res.sendFile(fullPath);
+}
+
+async function serveSharedAssets(req, res, next) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || req.path.startsWith('/api/')) return next();
+  try {
+    const landing = await findRequestLanding(req);
+    if (!landing || !landing.organizationId || isForwardingLanding(landing)) return next();
+
+    const slugPrefix = '/' + landing.slug;
+    const requestPath = req.path.startsWith(slugPrefix + '/') ? req.path.slice(slugPrefix.length) : req.path;
+    const filePath = matchSharedAssetPath(requestPath);
+    if (!filePath) return next();
+    if (!(await guardAccess(req, res, landing))) return;
+    return sendSharedAsset(res, landing, filePath);
+  } catch (error) {
+    next(error);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- response headers (lib/response-headers.js) ---------------------------------
+// Security and custom headers configured per landing, set by every send path:
+// files, injected HTML, rendered EJS and error/maintenance pages. HTML responses
+// get the CSP, extended with the origins their injected snippets load from.
+function setResponseHeaders(res, landing, { html = false, rules = [] } = {}) {
+  res.set(getResponseHeaders(landing, { html, rules }));
+}
+// -------------------------------------------------------------------------------
+
+// --- HTTP caching (per-landing policy, lib/cache-policy.js) ---------------------
+// Responses that depend on an experiment cookie or on access protection must not
+// be stored by shared caches. Landings set to noindex (lib/seo.js) say so on every
+// response, so search engines drop pages they already know. Visitors let through
+// maintenance mode must not fill caches other visitors read.
+function cacheHeadersFor(res, landing, policy, kind) {
+  const headers = getCacheHeaders(policy, kind);
+  if ((landing.experimentVariant || isProtected(landing)) && headers['Cache-Control'].startsWith('public')) {
+    headers['Cache-Control'] = headers['Cache-Control'].replace('public', 'private');
+  }
+  if (res.locals.maintenanceBypass) headers['Cache-Control'] = 'private, no-store';
+  if (resolveSeoSettings(landing).noindex) headers['X-Robots-Tag'] = 'noindex';
+  return headers;
+}
+
+// Rendered/injected HTML goes through res.send, where Express derives a body ETag
+// and answers 304 itself. Files get a version-aware ETag plus Last-Modified, and
+// `send` answers 304 when the request validators match them.
+function setCacheHeaders(res, landing, kind) {
+  res.set(cacheHeadersFor(res, landing, resolveCachePolicy(landing), kind));
+}
+
+function sendLandingFile(res, landing, filePath) {
+  const policy = resolveCachePolicy(landing);
+  const kind = classifyFile(filePath, policy);
+  // Personalized pages below the landing root; the root page goes through sendHtmlInjected
+  if (kind === 'html' && !res.locals.personalizationChecked) {
+    res.locals.personalizationChecked = true;
+    if (getPersonalization(res.req, landing)) return sendHtmlInjected(res, landing, filePath, { inject: false });
+  }
+  if (kind === 'html') trackPageview(res, landing);
+  res.set(cacheHeadersFor(res, landing, policy, kind));
+  setResponseHeaders(res, landing, { html: kind === 'html' });
+  if (!policy.noStore) {
+    const stat = fs.statSync(filePath);
+    res.set('ETag', buildFileEtag(landing, stat));
+    res.set('Last-Modified', stat.mtime.toUTCString());
+  }
+  return res.sendFile(filePath);
+}
+// -------------------------------------------------------------------------------
+
+// --- error pages (lib/error-pages.js) --------------------------------------------
+// The landing's own 404/500 page, else the instance default, else a built-in page.
+// Error responses are never cached and never count as pageviews.
+async function sendErrorPage(res, status, landing) {
+  if (res.headersSent) return;
+  const page = (landing && findErrorPage(landingFsDir(landing), status)) || findErrorPage(getInstanceErrorPagesDir(), status);
+  return sendStatusPage(res, status, landing, page, { status }, renderDefaultErrorPage(status));
+}
+
+// Send an error or maintenance page file (EJS rendered with `locals` and `path`),
+// or `fallbackHtml` when there is none or it fails.
+async function sendStatusPage(res, status, landing, page, locals, fallbackHtml) {
+  const req = res.req;
+  res.status(status).set('Cache-Control', 'no-store');
+  res.removeHeader('ETag');
+  res.removeHeader('Last-Modified');
+  if (!page) {
+    if (landing) setResponseHeaders(res, landing, { html: true });
+    return res.type('html').send(fallbackHtml);
+  }
+
+  const rules = landing ? await getInjectionRules(req, landing) : [];
+  if (landing) setResponseHeaders(res, landing, { html: true, rules });
+  const send = html => res.type('html').send(rules.length ? applyInjections(html, rules) : html);
+  const fallback = err => {
+    console.error(`[error-page] ${page.path}: ${err.message}`);
+    res.type('html').send(fallbackHtml);
+  };
+
+  if (page.kind === 'ejs') {
+    return res.render(page.path, { ...locals, path: req.originalUrl, ...sharedRenderOptions(res, landing) }, (err, html) => (err ? fallback(err) : send(html)));
+  }
+  fs.readFile(page.path, 'utf8', (err, html) => (err ? fallback(err) : send(html)));
+}
+
+// The landing a request is meant for: by host, or by the leading /<slug> of its path.
+async function findRequestLanding(req) {
+  const index = await loadRoutingIndex();
+  const hostLanding = findLandingByHost(index, req.get('host') || '');
+  if (hostLanding) return hostLanding;
+  const slug = (req.path || '').split('/')[1];
+  return isValidSlug(slug) ? findLandingBySlug(index, slug) : null;
+}
+
+// Final handler for requests no route served (missing pages and assets, unknown
+// hosts and slugs). API paths keep Express's default response.
+async function serveNotFound(req, res, next) {
+  if (req.path.startsWith('/api/')) return next();
+  try {
+    const landing = await findRequestLanding(req);
+    if (landing && !(await guardAccess(req, res, landing))) return;
+    await sendErrorPage(res, 404, landing);
+  } catch (error) {
+    console.error('Error serving 404 page:', error);
+    sendErrorPage(res, 404, null);
+  }
+}
+
+// Express error handler for errors thrown while serving landings.
+async function serveError(err, req, res, next) {
+  console.error('Error serving request:', err);
+  if (res.headersSent || req.path.startsWith('/api/')) return next(err);
+  try {
+    await sendErrorPage(res, 500, await findRequestLanding(req));
+  } catch (error) {
+    sendErrorPage(res, 500, null);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- access protection (lib/access.js) --------------------------------------------
+// Every serving path checks protected landings before sending anything of them.
+// Visitors get the login page, or a basic auth challenge, with a 401.
+async function guardAccess(req, res, landing) {
+  try {
+    if (!isProtected(landing) || await hasAccess(req, landing)) return true;
+  } catch (err) {
+    console.error(`[access] check failed for ${landing.slug}: ${err.message}`);
+  }
+
+  const { mode } = resolveAccess(landing);
+  const title = landing.name || landing.slug;
+  res.status(401).set('Cache-Control', 'no-store');
+  if (mode === 'basic') {
+    res.set('WWW-Authenticate', `Basic realm="${title.replace(/["\\]/g, '')}", charset="UTF-8"`);
+    res.type('html').send(renderDefaultErrorPage(401));
+    return false;
+  }
+
+  const basePath = getLandingBasePath(await loadRoutingIndex(), req.get('host'), landing);
+  // Behind Traefik addPrefix the visitor's URL has no /<slug> prefix.
+  const slugPrefix = '/' + landing.slug;
+  let returnTo = req.originalUrl;
+  if (!basePath && (returnTo === slugPrefix || returnTo.startsWith(slugPrefix + '/') || returnTo.startsWith(slugPrefix + '?'))) {
+    returnTo = returnTo.slice(slugPrefix.length);
+  }
+  if (!returnTo.startsWith('/')) returnTo = '/' + returnTo;
+  res.type('html').send(renderLoginPage({ title, mode, action: basePath + LOGIN_PATH, returnTo }));
+  return false;
+}
+// -------------------------------------------------------------------------------
+
+// --- maintenance mode (lib/maintenance.js) -----------------------------------------
+// Runs before forms, access login and every serving route. Each enabled scope of the
+// request's landing (instance, organization, landing) must let the visitor through;
+// otherwise they get the maintenance page with a 503 and Retry-After. Preview links
+// and unknown hosts are not affected.
+async function isLetThrough(req, landing, settings) {
+  if (isIpAllowed(req.ip, settings.allowIps)) return true;
+  return settings.allowUsers && hasSessionAccess(req, landing);
+}
+
+// Sends the maintenance page when the landing is under maintenance for this
+// request; returns whether it did.
+async function sendMaintenanceIfActive(req, res, landing) {
+  const index = await loadRoutingIndex();
+  const scopes = activeMaintenance({ instance: index.instance, organization: findOrganization(index, landing), landing });
+  for (const { settings } of scopes) {
+    if (await isLetThrough(req, landing, settings)) continue;
+    const page = findPageFile(landingFsDir(landing), 'maintenance') || findPageFile(getInstanceErrorPagesDir(), 'maintenance');
+    res.set('Retry-After', String(settings.retryAfter));
+    await sendStatusPage(res, 503, landing, page, { status: 503, title: settings.title, message: settings.message, retryAfter: settings.retryAfter }, renderMaintenancePage(settings));
+    return true;
+  }
+  if (scopes.length) {
+    res.locals.maintenanceBypass = true;
+    res.locals.pageviewTracked = true;
+  }
+  return false;
+}
+
+async function serveMaintenance(req, res, next) {
+  if (req.path.startsWith('/api/')) return next();
+  try {
+    const landing = await findRequestLanding(req);
+    if (landing && await sendMaintenanceIfActive(req, res, landing)) return;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- redirect and proxy landings (lib/forwarding.js) -------------------------------
+// Mounted before the body parsers, so proxied request bodies reach the upstream as
+// sent. Serves the landing's hosts (with or without the /<slug> prefix Traefik adds)
+// and /<slug>/... on other hosts, which is why these landings need no Traefik.
+// Maintenance mode and access protection apply; the access login form is left to
+// routes/access.js. No injections, analytics or other page settings apply.
+const RESERVED_SLUG_PATHS = ['api', 'admin', 'login', 'saas'];
+
+async function serveForwardingLandings(req, res, next) {
+  let landing = null;
+  try {
+    const index = await loadRoutingIndex();
+    const resolved = resolveHost(index, req.get('host') || '');
+    const slug = (req.path || '').split('/')[1];
+    if (resolved) landing = resolved.landing;
+    else if (isValidSlug(slug) && !RESERVED_SLUG_PATHS.includes(slug)) landing = findLandingBySlug(index, slug);
+    if (!isForwardingLanding(landing)) return next();
+
+    const slugPrefix = '/' + landing.slug;
+    const hasPrefix = req.path === slugPrefix || req.path.startsWith(slugPrefix + '/');
+    const requestPath = (hasPrefix ? req.path.slice(slugPrefix.length) : req.path) || '/';
+    if (requestPath === LOGIN_PATH && req.method === 'POST') return next();
+
+    if (await sendMaintenanceIfActive(req, res, landing)) return;
+    if (!(await guardAccess(req, res, landing))) return;
+
+    const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    if (landing.type === 'redirect') {
+      const target = resolveRedirectTarget(landing);
+      const location = getRedirectTargetLocation(target, { path: requestPath, search });
+      if (!location) return sendErrorPage(res, 404, landing);
+      return res.redirect(target.status, location);
+    }
+
+    const settings = resolveProxySettings(landing);
+    if (!settings.upstream) return sendErrorPage(res, 404, landing);
+    await proxyRequest(req, res, settings, {
+      path: requestPath,
+      search,
+      headers: req.headers,
+      ip: req.ip,
+      protocol: visitorProtocol(req),
+      basePath: getLandingBasePath(index, req.get('host'), landing),
+      // Basic auth credentials of a protected landing are meant for this app
+      dropHeaders: resolveAccess(landing).mode === 'basic' ? ['authorization'] : []
+    });
+  } catch (error) {
+    console.error(`❌ Error forwarding ${req.method} ${req.originalUrl}: ${error.message}`);
+    if (!res.headersSent) sendErrorPage(res, error.status || 500, landing);
+  }
+}
 // -------------------------------------------------------------------------------
 
+// --- shareable preview links (lib/preview-links.js) -------------------------------
+// /_preview/<token>/<path> serves one version of a landing, published or not, the
+// way it renders live: files, EJS pages, SPA fallback and the version's redirect
+// rules. The signed link is the credential, so access protection does not apply.
+// Previews are never cached, indexed, counted or part of an experiment.
+async function getPreviewLanding(stored, versionId, basePath) {
+  const version = await getVersion(stored.id, versionId);
+  if (!version) return null;
+  const view = {
+    ...stored,
+    fsDir: await getVersionFsDir(stored, versionId),
+    currentVersionId: versionId,
+    basePath,
+    cachePolicy: { ...(stored.cachePolicy || {}), noStore: true }
+  };
+  applyVersionedConfig(view, version.config);
+  view.fsDir = (await getOptimizedFsDir(view, versionId)) || view.fsDir;
+  return view;
+}
+
+async function servePreview(req, res, next) {
+  let landing = null;
+  try {
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.locals.pageviewTracked = true;
+
+    const { token } = req.params;
+    const parsed = parsePreviewToken(token);
+    const stored = parsed && await getLandingById(parsed.landingId);
+    const link = stored && findPreviewLink(stored, token, { secret: getAccessSecret() });
+    if (!link) return sendErrorPage(res, 404, null);
+
+    const basePath = `${PREVIEW_PATH}/${token}`;
+    const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    // Relative asset URLs resolve against the preview root only with a trailing slash
+    if (req.params[0] === undefined && !req.path.endsWith('/')) return res.redirect(302, basePath + '/' + search);
+
+    landing = await getPreviewLanding(stored, link.versionId, basePath);
+    if (!landing) return sendErrorPage(res, 404, null);
+
+    let filePath = req.params[0] || '';
+    const sharedPath = matchSharedAssetPath('/' + filePath);
+    if (sharedPath) return sendSharedAsset(res, landing, sharedPath);
+    const match = matchRedirect(landing.redirects || [], '/' + filePath, req.query || {}, search);
+    if (match && match.status !== 200) {
+      return res.redirect(match.status, match.location.startsWith('/') ? basePath + match.location : match.location);
+    }
+    if (match) filePath = match.location.replace(/^\/+/, '');
+
+    if (landing.type === 'ejs') {
+      // Templates and data files are rendered, never sent; other files are assets
+      const fullPath = !/\.(ejs|json)$/i.test(filePath) && servableFile(landing.fsDir, filePath);
+      if (fullPath) return sendLandingFile(res, landing, fullPath);
+      return renderEjsPage(req, res, landing, filePath);
+    }
+
+    if (landing.type === 'markdown') return renderMarkdownPage(req, res, landing, filePath);
+
+    if (landing.type === 'html' || landing.type === 'static' || landing.type === 'virtual') {
+      const fullPath = servableFile(landing.fsDir, filePath);
+      if (fullPath) return sendLandingFile(res, landing, fullPath);
+      if (!filePath || shouldServeSpaFallback(landing, req.method, filePath)) {
+        return sendHtmlInjected(res, landing, path.join(landing.fsDir, 'index.html'));
+      }
+    }
+    sendErrorPage(res, 404, landing);
+  } catch (error) {
+    console.error('Error serving preview:', error);
+    sendErrorPage(res, 500, landing);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- robots.txt and sitemap.xml (lib/seo.js) ----------------------------------------
+// Answered on every host. Only a landing's primary domain may be indexed: it gets
+// the robots.txt/sitemap.xml of its bundle, or generated ones. The instance host
+// (slug URLs), secondary domains and noindex or protected landings get Disallow: /.
+async function listSitemapPages(landing, origin) {
+  const landingDir = landingFsDir(landing);
+  if (landing.type === 'markdown') return listMarkdownPages(landingDir).map(({ path: pagePath, lastmod }) => ({ path: pagePath, lastmod }));
+  if (landing.type !== 'ejs') return listHtmlPages(landingDir);
+
+  let manifest = null;
+  try {
+    manifest = loadDataManifest(landingDir);
+  } catch (err) {
+    console.error(`[Data] Invalid manifest for ${landing.slug}: ${err.message}`);
+  }
+  const routePages = await listRoutePages(manifest, { landingDir, getMongoDb, limit: MAX_SITEMAP_URLS });
+  return localizePages(listEjsPages(landingDir, manifest, routePages), getLocaleConfig(landingDir).locales, origin);
+}
+
+async function serveSeoFiles(req, res, next) {
+  let landing = null;
+  try {
+    const file = req.path.slice(req.path.lastIndexOf('/') + 1);
+    landing = findLandingByHost(await loadRoutingIndex(), req.get('host') || '');
+    if (!landing) {
+      if (req.path !== '/robots.txt') return next();
+      return res.type('text/plain').send(DISALLOW_ALL);
+    }
+    // Behind Traefik addPrefix the path starts with /<slug>
+    if (req.path !== '/' + file && req.path !== `/${landing.slug}/${file}`) return next();
+
+    const indexable = isIndexable(landing, req.get('host')) && !isProtected(landing);
+    setCacheHeaders(res, landing, 'html');
+    if (!indexable) {
+      return file === 'robots.txt' ? res.type('text/plain').send(DISALLOW_ALL) : sendErrorPage(res, 404, landing);
+    }
+
+    const { robotsTxt, sitemapExclude } = resolveSeoSettings(landing);
+    if (file === 'robots.txt' && robotsTxt) return res.type('text/plain').send(robotsTxt + '\n');
+
+    if (landing.type !== 'ejs') await ensureLandingContent(landing);
+    const shipped = servableFile(landingFsDir(landing), file);
+    if (shipped) return sendLandingFile(res, landing, shipped);
+
+    const origin = `${visitorProtocol(req)}://${req.get('host')}`;
+    if (file === 'robots.txt') return res.type('text/plain').send(renderRobotsTxt(origin + '/sitemap.xml'));
+    res.type('application/xml').send(renderSitemap(origin, await listSitemapPages(landing, origin), sitemapExclude));
+  } catch (error) {
+    console.error('Error serving robots.txt/sitemap.xml:', error);
+    sendErrorPage(res, 500, landing);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- canonical redirects (lib/canonical.js) ---------------------------------------
+// Scheme as seen by the visitor, for canonical redirects and absolute URLs
+// (sitemaps, hreflang links). Traefik terminates TLS and reports it in
+// X-Forwarded-Proto; the header is read even without TRUST_PROXY, since a forged
+// value can at most skip a redirect or change the scheme of those URLs.
+function visitorProtocol(req) {
+  const forwarded = String(req.get('x-forwarded-proto') || '').split(',')[0].trim().toLowerCase();
+  return forwarded === 'http' || forwarded === 'https' ? forwarded : req.protocol;
+}
+
+// Secondary domain → primary domain, HTTP → HTTPS and trailing slash redirects,
+// in one 301. Only GET/HEAD requests are redirected.
+async function serveCanonicalRedirects(req, res, next) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || req.path.startsWith('/api/') || req.path.startsWith(PREVIEW_PATH + '/')) return next();
+  try {
+    const index = await loadRoutingIndex();
+    const resolved = resolveHost(index, req.get('host') || '');
+    const slug = (req.path || '').split('/')[1];
+    const landing = resolved ? resolved.landing : (isValidSlug(slug) ? findLandingBySlug(index, slug) : null);
+    if (!landing || !landing.canonical) return next();
+
+    const slugPrefix = '/' + landing.slug;
+    const hasPrefix = req.path === slugPrefix || req.path.startsWith(slugPrefix + '/');
+    const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    const location = getCanonicalRedirect(landing, {
+      host: req.get('host'),
+      via: resolved ? resolved.via : null,
+      protocol: visitorProtocol(req),
+      basePath: resolved ? '' : slugPrefix,
+      path: (hasPrefix ? req.path.slice(slugPrefix.length) : req.path) || '/',
+      search
+    });
+    if (!location) return next();
+    res.redirect(301, location);
+  } catch (error) {
+    next(error);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// --- redirect rules (lib/redirects.js) --------------------------------------------
+// Evaluated before file lookup. Redirects answer right away; rewrites (200) point
+// req.url at the target path and let the serving middlewares below handle it.
+// Only GET/HEAD requests are affected, so form posts are never redirected.
+async function serveRedirects(req, res, next) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || req.path.startsWith('/api/')) return next();
+  try {
+    const landing = await findRequestLanding(req);
+    if (!landing || !landing.redirects || !landing.redirects.length) return next();
+    if (!(await guardAccess(req, res, landing))) return;
+
+    // On the landing's own domain URLs have no /<slug> prefix (Traefik adds it upstream).
+    const slugPrefix = '/' + landing.slug;
+    const hasPrefix = req.path === slugPrefix || req.path.startsWith(slugPrefix + '/');
+    const requestPath = (hasPrefix ? req.path.slice(slugPrefix.length) : req.path) || '/';
+    const basePath = getLandingBasePath(await loadRoutingIndex(), req.get('host'), landing);
+
+    const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    const match = matchRedirect(landing.redirects, requestPath, req.query || {}, search);
+    if (!match) return next();
+
+    if (match.status === 200) {
+      req.url = slugPrefix + (match.location === '/' ? '' : match.location);
+      return next();
+    }
+
+    const location = match.location.startsWith('/') ? basePath + match.location : match.location;
+    res.redirect(match.status, location || '/');
+  } catch (error) {
+    next(error);
+  }
+}
+// -------------------------------------------------------------------------------
+
+// Render an EJS landing page. `pagePath` is the path below the landing root and may
+// start with one of the landing's locales ("de/about"); unprefixed requests are
+// negotiated from Accept-Language (see lib/i18n). Pages without a template of their
+// own fall back to the routes declared in the landing manifest; data sources
+// declared there are resolved into res.locals before rendering (see lib/data-providers).
+async function renderEjsPage(req, res, landing, pagePath) {
+  const landingDir = landingFsDir(landing);
+  const localeConfig = getLocaleConfig(landingDir);
+  const { locale: urlLocale, rest } = splitLocalePrefix(pagePath, getRoutingLocales(localeConfig));
+  // Legacy /fr/ and /en/ prefixes of landings that are not localized only route
+  const prefixedLocale = localeConfig.locales.includes(urlLocale) ? urlLocale : null;
+
+  const page = rest.replace(/\/+$/, '').replace(/\.ejs$/, '') || 'index';
+  if (!isValidPage(page)) return sendErrorPage(res, 404, landing);
+
+  let manifest = null;
+  try {
+    manifest = loadDataManifest(landingDir);
+  } catch (err) {
+    console.error(`[Data] Invalid manifest for ${landing.slug}: ${err.message}`);
+  }
+
+  let template = page;
+  let params = {};
+  let routeLocals = {};
+  if (!fs.existsSync(path.join(landingDir, page + '.ejs'))) {
+    const route = matchRoute(manifest, page);
+    if (!route || !isValidPage(route.template) || !fs.existsSync(path.join(landingDir, route.template + '.ejs'))) {
+      return sendErrorPage(res, 404, landing);
+    }
+    template = route.template;
+    params = route.params;
+    routeLocals = route.locals || {};
+  }
+
+  const { locals, notFound } = await resolveDataSources(manifest, {
+    template,
+    params,
+    query: req.query || {},
+    landingDir,
+    getMongoDb
+  });
+  if (notFound) return sendErrorPage(res, 404, landing);
+
+  const locale = prefixedLocale || negotiateLocale(req.get('accept-language'), localeConfig);
+  if (!prefixedLocale && localeConfig.locales.length > 1) res.vary('Accept-Language');
+  if (locale) res.set('Content-Language', locale);
+
+  // On the landing's own domain URLs have no /<slug> prefix (Traefik adds it upstream).
+  // Previews carry their own prefix.
+  const basePath = landing.basePath !== undefined ? landing.basePath : getLandingBasePath(await loadRoutingIndex(), req.get('host'), landing);
+  const alternates = buildAlternateLinks({
+    origin: `${visitorProtocol(req)}://${req.get('host')}`,
+    basePath,
+    page,
+    locales: localeConfig.locales
+  });
+
+  Object.assign(res.locals, routeLocals, locals);
+  res.locals.params = params;
+  res.locals.lang = locale || urlLocale;
+  res.locals.locale = locale;
+  res.locals.locales = localeConfig.locales;
+  res.locals.defaultLocale = localeConfig.defaultLocale;
+  res.locals.alternates = alternates;
+  res.locals.sharedUrl = sharedUrlHelper(basePath);
+  res.locals.hreflangLinks = renderAlternateLinks(alternates);
+  res.locals.t = createTranslationHelper(loadTranslations(landingDir, locale, localeConfig.defaultLocale));
+  setCacheHeaders(res, landing, 'html');
+  return renderInjected(res, landing, landing.fsDir ? path.join(landing.fsDir, template) : path.join(landing.slug, template));
+}
+
+// Render a page of a markdown landing (lib/markdown.js) through its layout: a
+// built-in one from views/markdown, or the landing's own `_layout.ejs`. Layouts
+// get the rendered page, its table of contents and the page list for navigation.
+async function renderMarkdownPage(req, res, landing, pagePath) {
+  if (!landing.fsDir) await ensureLandingContent(landing);
+  const landingDir = landingFsDir(landing);
+  const file = findMarkdownFile(landingDir, pagePath);
+  if (!file) return sendErrorPage(res, 404, landing);
+
+  const basePath = landing.basePath !== undefined ? landing.basePath : getLandingBasePath(await loadRoutingIndex(), req.get('host'), landing);
+  const page = renderMarkdownFile(landingDir, file, resolveMarkdownSettings(landing), basePath);
+  Object.assign(res.locals, {
+    title: page.title,
+    description: page.description,
+    meta: page.meta,
+    content: page.content,
+    toc: page.toc,
+    headings: page.headings,
+    pages: listMarkdownPages(landingDir),
+    currentPath: pagePathForFile(file),
+    basePath,
+    sharedUrl: sharedUrlHelper(basePath),
+    siteName: landing.name || landing.slug,
+    lang: typeof page.meta.lang === 'string' ? page.meta.lang : ''
+  });
+  setCacheHeaders(res, landing, 'html');
+  return renderInjected(res, landing, page.layout === 'custom' ? path.join(landingDir, CUSTOM_LAYOUT_FILE) : path.join('markdown', page.layout));
+}
+
+// Host/slug lookups use the in-memory routing index, rebuilt only after writes.
+function loadRoutingIndex() {
+  return getRoutingIndex(getRoutingData);
+}
+
+// Slug domains (lib/hosts.js): `<slug>.<base>` is served as /<slug>/..., the
+// prefix Traefik's addPrefix middleware adds for landing domains. Their shared
+// Traefik router cannot derive the prefix from the host, so it is added here.
+async function serveSlugDomains(req, res, next) {
+  try {
+    const resolved = resolveHost(await loadRoutingIndex(), req.get('host') || '');
+    if (resolved && resolved.via === 'subdomain') req.url = '/' + resolved.landing.slug + req.url;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function attachDb(req, res, next) {
   try {
     req.db = await readDB();
@@ -72,23 +781,34 @@ async function attachDb(req, res, next) {
   }
 }
 
+// Single-page apps (lib/spa.js): client-side routes without a file get index.html.
+async function sendSpaIndex(res, landing, next) {
+  try {
+    return sendHtmlInjected(res, landing, await ensureLandingContent(landing));
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function domainStaticMiddleware(req, res, next) {
   const host = req.get('host');
   if (!host) return next();
 
-  const db = req.db || await readDB();
-  const landing = db.landings.find(l =>
-    l.published && (l.type === 'static' || l.type === 'virtual') && l.domains &&
-    migrateDomains(l.domains).some(d => d.domain === host || d.domain === host.replace(/:\d+$/, ''))
-  );
+  const index = await loadRoutingIndex();
+  let landing = findLandingByHost(index, host);
 
-  if (landing) {
-    const landingDir = getLandingFsDir(landing);
-    let filePath = req.url.split('?')[0];
+  if (landing && (landing.type === 'static' || landing.type === 'virtual')) {
+    if (!(await guardAccess(req, res, landing))) return;
+    // Mounted on "/*", which consumes the whole path: Express moves it to req.baseUrl.
+    let filePath = req.baseUrl || '/';
     if (filePath.startsWith(`/${landing.slug}/`)) filePath = filePath.slice(`/${landing.slug}`.length);
+    const spaRoute = shouldServeSpaFallback(landing, req.method, filePath);
+    landing = await resolveServedLanding(req, res, landing, { assign: spaRoute || /\.html?$/i.test(filePath) });
+    const landingDir = landingFsDir(landing);
 
-    const fullPath = safeResolvePath(landingDir, filePath);
-    if (fullPath && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) return res.sendFile(fullPath);
+    const fullPath = servableFile(landingDir, filePath);
+    if (fullPath) return sendLandingFile(res, landing, fullPath);
+    if (spaRoute) return sendSpaIndex(res, landing, next);
   }
 
   next();
@@ -98,321 +818,124 @@ async function slugStaticMiddleware(req, res, next) {
   const { slug } = req.params;
   const subPath = req.params[0] || '';
 
-  const db = req.db || await readDB();
-  const landing = db.landings.find(l => l.slug === slug);
+  const index = await loadRoutingIndex();
+  let landing = findLandingBySlug(index, slug);
 
   if (landing && (landing.type === 'static' || landing.type === 'virtual')) {
-    const landingDir = getLandingFsDir(landing);
+    if (!(await guardAccess(req, res, landing))) return;
     const filePath = subPath.replace(/^\//, '').replace(/\/$/, '');
-    const fullPath = safeResolvePath(landingDir, filePath);
+    const spaRoute = shouldServeSpaFallback(landing, req.method, filePath);
+    landing = await resolveServedLanding(req, res, landing, { assign: spaRoute || /\.html?$/i.test(filePath) });
+    const fullPath = servableFile(landingFsDir(landing), filePath);
 
-    if (fullPath && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) return res.sendFile(fullPath);
+    if (fullPath) return sendLandingFile(res, landing, fullPath);
+    if (spaRoute) return sendSpaIndex(res, landing, next);
   }
 
   next();
 }
 
 async function serveLandingByDomain(req, res, next) { console.log("[SLBD] path=" + req.path + " host=" + req.get("host"));
+  let landing = null;
   try {
     console.log('[SLBD] path=' + req.path + ' host=' + req.get('host') + ' url=' + req.url);
     const host = req.get('host');
     if (!host) return next();
 
-    const db = req.db || await readDB();
-    const landing = db.landings.find(l =>
-      l.published && l.domains &&
-      migrateDomains(l.domains).some(d => d.domain === host || d.domain === host.replace(/:\d+$/, ''))
-    );
+    const index = await loadRoutingIndex();
+    landing = findLandingByHost(index, host);
 
     if (!landing) return next();
-    if (!isValidSlug(landing.slug)) return res.status(400).send('Invalid slug');
+    if (!isValidSlug(landing.slug)) return sendErrorPage(res, 400, null);
+    if (!(await guardAccess(req, res, landing))) return;
+    landing = await resolveServedLanding(req, res, landing, { assign: true });
 
-    const landingDir = getLandingFsDir(landing);
-
-    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
+    setCacheHeaders(res, landing, 'html');
 
     if (landing.type === 'ejs') {
-      const middleware = i18nMiddleware(landingDir);
-      await new Promise((resolve, reject) => {
-        middleware(req, res, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-
-      // Determine page name from path.
       // With Traefik addPrefix, the path may include /<slug>/ prefix even for domain-based routing.
-      let page = 'index';
-      let rawPath = (req.originalUrl || req.url || req.path).split('?')[0];
-
-      // Strip leading /<slug> if present (added by Traefik addPrefix)
+      let pagePath = (req.originalUrl || req.url || req.path).split('?')[0];
       const slugPrefix = '/' + landing.slug;
-      if (rawPath.startsWith(slugPrefix + '/') || rawPath === slugPrefix) {
-        const rest = rawPath === slugPrefix ? '' : rawPath.slice(slugPrefix.length + 1);
-        if (rest) page = rest;
-      } else if (rawPath !== '/') {
-        page = rawPath.replace(/^\//, '').replace(/\.ejs$/, '');
-      }
+      if (pagePath === slugPrefix || pagePath.startsWith(slugPrefix + '/')) pagePath = pagePath.slice(slugPrefix.length);
 
-      // Strip language prefix if present
-      if (page === 'fr' || page === 'en') { page = 'index'; }
-      else if (page.startsWith('fr/') || page.startsWith('en/')) { page = page.slice(3); }
-
-      if (!isValidPage(page)) return res.status(400).send('Invalid page');
-      const templatePath = path.join(landingDir, page + '.ejs');
-
-      // For blog-intrane-fr: SSR — fetch from DB (runs BEFORE template check to pass data)
-      if (landing.slug === 'blog-intrane-fr') {
-        // Index page: fetch all published posts
-        if (page === 'index') {
-          try {
-            const BlogPost = mongoose.model('BlogPost');
-            const qs = (req.originalUrl || '').split('?')[1] || '';
-            const qp = Object.fromEntries(qs.split('&').filter(Boolean).map(p => { const [k,v] = p.split('='); return [k, decodeURIComponent(v||'')]; }));
-            const limit = Math.min(parseInt(qp.limit) || 10, 50);
-            const currentPage = Math.max(parseInt(qp.page) || 1, 1);
-            const skip = (currentPage - 1) * limit;
-            const filterTag = (qp.tag || '').trim();
-            const filterCat = (qp.category || '').trim();
-            const query = { client: 'intrane', status: 'published' };
-            if (filterTag) query.tags = filterTag;
-            if (filterCat) query.category = filterCat;
-            const [posts, total, tagsAgg, catsAgg] = await Promise.all([
-              BlogPost.find(query).sort({ publishedAt: -1, createdAt: -1 }).select('title slug excerpt category tags publishedAt').skip(skip).limit(limit).lean(),
-              BlogPost.countDocuments(query),
-              BlogPost.aggregate([{ $match: { client: 'intrane', status: 'published', tags: { $ne: '', $exists: true } } }, { $unwind: '$tags' }, { $group: { _id: '$tags', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }, { $limit: 30 }]),
-              BlogPost.aggregate([{ $match: { client: 'intrane', status: 'published', category: { $ne: '', $exists: true } } }, { $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }])
-            ]);
-            res.locals.posts = posts || [];
-            res.locals.pagination = { currentPage, total, limit, totalPages: Math.ceil(total / limit), hasPrev: currentPage > 1, hasNext: currentPage * limit < total };
-            res.locals.tags = (tagsAgg || []).map(t => ({ name: t._id, count: t.count }));
-            res.locals.categories = (catsAgg || []).map(c => ({ name: c._id, count: c.count }));
-            res.locals.filterTag = filterTag;
-            res.locals.filterCat = filterCat;
-          } catch (err) {
-            console.error('[Blog SSR] Error:', err.message);
-            res.locals.posts = [];
-            res.locals.pagination = { currentPage: 1, total: 0, limit: 10, totalPages: 0, hasPrev: false, hasNext: false };
-            res.locals.tags = [];
-            res.locals.categories = [];
-            res.locals.filterTag = '';
-            res.locals.filterCat = '';
-          }
-        }
-
-        // Post page: fetch single post by slug
-        if (page !== 'index') {
-          try {
-            const BlogPost = mongoose.model('BlogPost');
-            const preview = ((req.originalUrl || '').split('?')[1] || '').includes('preview=true');
-            const postFilter = { slug: page, client: 'intrane' };
-            if (!preview) postFilter.status = 'published';
-            const post = await BlogPost.findOne(postFilter).lean();
-            if (!post) return res.status(404).send('Post not found');
-            res.locals.post = post;
-          } catch (err) {
-            console.error('[Blog SSR] Error fetching post:', err);
-            res.locals.post = null;
-          }
-        }
-      }
-
-      // If the exact template exists, render it (now with SSR data in locals)
-      if (fs.existsSync(templatePath)) {
-        res.locals.t = createTranslationHelper(res.locals.t || {});
-        return renderInjected(res, path.join(landing.slug, page));
-      }
-
-      // Fallback: render post.ejs for blog posts when no direct template exists
-      if (landing.slug === 'blog-intrane-fr' && page !== 'index') {
-        const postTemplate = path.join(landingDir, 'post.ejs');
-        if (fs.existsSync(postTemplate)) {
-          res.locals.t = createTranslationHelper(res.locals.t || {});
-          return renderInjected(res, path.join(landing.slug, 'post'));
-        }
-      }
+      return renderEjsPage(req, res, landing, pagePath);
+    }
 
-      return res.status(404).send('Page not found');
+    if (landing.type === 'markdown') {
+      let pagePath = (req.originalUrl || req.url || req.path).split('?')[0];
+      const slugPrefix = '/' + landing.slug;
+      if (pagePath === slugPrefix || pagePath.startsWith(slugPrefix + '/')) pagePath = pagePath.slice(slugPrefix.length);
+      return renderMarkdownPage(req, res, landing, pagePath);
     }
 
     if (landing.type === 'html' || landing.type === 'static' || landing.type === 'virtual') {
       const indexPath = await ensureLandingContent(landing);
-      return sendHtmlInjected(res, indexPath);
+      return sendHtmlInjected(res, landing, indexPath);
     }
   } catch (error) {
     console.error('Error serving landing by domain:', error);
-    res.status(500).send('Error loading landing page');
+    sendErrorPage(res, 500, landing);
   }
 }
 
 async function serveLandingBySlug(req, res, next) {
+  let landing = null;
   try {
     const { slug } = req.params;
-    if (!isValidSlug(slug)) return res.status(400).send('Invalid slug');
-    const db = req.db || await readDB();
-
-    let actualSlug = slug;
-    let lang = null;
-    const slugParts = slug.split('/');
-
-    if (slugParts.length === 2) {
-      const potentialSlug = slugParts[0];
-      const potentialLang = slugParts[1];
-      if (potentialLang === 'fr' || potentialLang === 'en') {
-        const landing = db.landings.find(l => l.slug === potentialSlug);
-        if (landing) {
-          actualSlug = potentialSlug;
-          lang = potentialLang;
-          req.params.slug = actualSlug;
-          req.params.lang = lang;
-        }
-      }
-    }
+    if (!isValidSlug(slug)) return next();
+    const index = await loadRoutingIndex();
 
-    const landing = db.landings.find(l => l.slug === actualSlug);
-    if (!landing) return res.status(404).send('Landing not found');
-    if (!isValidSlug(landing.slug)) return res.status(400).send('Invalid slug');
+    landing = findLandingBySlug(index, slug);
+    if (!landing) return sendErrorPage(res, 404, null);
+    if (!isValidSlug(landing.slug)) return sendErrorPage(res, 400, null);
+    if (!(await guardAccess(req, res, landing))) return;
+    landing = await resolveServedLanding(req, res, landing, { assign: true });
 
-    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
+    setCacheHeaders(res, landing, 'html');
 
     if (landing.type === 'html' || landing.type === 'static' || landing.type === 'virtual') {
       const indexPath = await ensureLandingContent(landing);
-      return sendHtmlInjected(res, indexPath);
+      return sendHtmlInjected(res, landing, indexPath);
     } else if (landing.type === 'ejs') {
-      const landingDir = getLandingFsDir(landing);
-      if (lang && !req.params.lang) req.params.lang = lang;
-
-      const middleware = i18nMiddleware(landingDir);
-      await new Promise((resolve, reject) => {
-        middleware(req, res, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-
-      let page = req.path === '/' ? 'index' : req.path.replace(/^\//, '').replace(/\.ejs$/, '');
-
-      if (page.startsWith(actualSlug + '/')) {
-        page = page.slice(actualSlug.length + 1);
-      } else if (page === actualSlug) {
-        page = 'index';
-      }
-      if (page === 'fr' || page === 'en') page = 'index';
-      else if (page.startsWith('fr/') || page.startsWith('en/')) page = page.slice(3);
-      if (!page) page = 'index';
-
-      const landingDir2 = getLandingFsDir(landing);
-      if (!isValidPage(page)) return res.status(400).send('Invalid page');
-      const templatePath = path.join(landingDir2, page + '.ejs');
-
-      if (fs.existsSync(templatePath)) {
-        res.locals.t = createTranslationHelper(res.locals.t || {});
-        return renderInjected(res, path.join(actualSlug, page));
-      }
-
-      if (actualSlug === 'blog-intrane-fr' && page !== 'index') {
-        const postTemplate = path.join(landingDir2, 'post.ejs');
-        if (fs.existsSync(postTemplate)) {
-          res.locals.postSlug = page;
-          res.locals.t = createTranslationHelper(res.locals.t || {});
-          return renderInjected(res, path.join(actualSlug, 'post'));
-        }
-      }
-
-      res.status(404).send('Landing not found');
+      return renderEjsPage(req, res, landing, '');
+    } else if (landing.type === 'markdown') {
+      return renderMarkdownPage(req, res, landing, '');
     }
-    res.status(404).send('Landing not found');
+    sendErrorPage(res, 404, landing);
   } catch (error) {
     console.error('Error serving landing:', error);
-    res.status(500).send('Error loading landing page');
+    sendErrorPage(res, 500, landing);
   }
 }
 
 async function serveEjsSubPage(req, res, next) {
+  let landing = null;
   try {
     const { slug } = req.params;
-    if (!isValidSlug(slug)) return res.status(400).send('Invalid slug');
-    const page = (req.params[0] || '').replace(/^\//, '').replace(/\.ejs$/, '');
-    if (!page) return next();
-
-    const db = req.db || await readDB();
-    const pathParts = req.path.split('/').filter(Boolean);
-    let lang = null;
-    let actualSlug = slug;
-    let actualPage = page;
-
-    if (pathParts.length >= 2 && pathParts[0] === slug && (pathParts[1] === 'fr' || pathParts[1] === 'en')) {
-      lang = pathParts[1];
-      if (page === lang) {
-        const landing = db.landings.find(l => l.slug === slug);
-        if (!landing || landing.type !== 'ejs') return next();
-        const landingDir = getLandingFsDir(landing);
-        req.params.lang = lang;
-        const middleware = i18nMiddleware(landingDir);
-        await new Promise((resolve, reject) => {
-          middleware(req, res, (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-        res.set('Pragma', 'no-cache');
-        res.set('Expires', '0');
-        res.locals.t = createTranslationHelper(res.locals.t || {});
-        return renderInjected(res, path.join(slug, 'index'));
-      }
-      req.params.lang = lang;
-      if (page.startsWith(lang + '/')) actualPage = page.slice(lang.length + 1);
-    }
-
-    const landing = db.landings.find(l => l.slug === actualSlug);
-    if (!landing || landing.type !== 'ejs') return next();
-    if (!isValidSlug(landing.slug)) return res.status(400).send('Invalid slug');
-    const landingDir = getLandingFsDir(landing);
-
-    const middleware = i18nMiddleware(landingDir);
-    await new Promise((resolve, reject) => {
-      middleware(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    if (!isValidPage(actualPage)) return res.status(400).send('Invalid page');
-    const templatePath = path.join(landingDir, actualPage + '.ejs');
-    if (!fs.existsSync(templatePath)) {
-      if (actualSlug === 'blog-intrane-fr') {
-        const postTemplate = path.join(landingDir, 'post.ejs');
-        if (fs.existsSync(postTemplate)) {
-          res.locals.postSlug = actualPage;
-          res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-          res.set('Pragma', 'no-cache');
-          res.set('Expires', '0');
-          res.locals.t = createTranslationHelper(res.locals.t || {});
-          return renderInjected(res, path.join(actualSlug, 'post'));
-        }
-      }
-      return res.status(404).send('Page not found');
-    }
-
-    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
-    res.locals.t = createTranslationHelper(res.locals.t || {});
-    renderInjected(res, path.join(actualSlug, actualPage));
+    if (!isValidSlug(slug)) return next();
+    const pagePath = req.params[0] || '';
+    if (!pagePath) return next();
+
+    const index = await loadRoutingIndex();
+    landing = findLandingBySlug(index, slug);
+    if (!landing || (landing.type !== 'ejs' && landing.type !== 'markdown')) return next();
+    if (!(await guardAccess(req, res, landing))) return;
+
+    landing = await resolveServedLanding(req, res, landing, { assign: true });
+    if (landing.type === 'markdown') return renderMarkdownPage(req, res, landing, pagePath);
+    return renderEjsPage(req, res, landing, pagePath);
   } catch (error) {
     console.error('Error serving EJS sub-page:', error);
-    res.status(500).send('Error loading page');
+    sendErrorPage(res, 500, landing);
   }
 }
 
 async function ensureLandingContent(landing) {
+  // Experiment variants and optimized builds are complete copies of a version
+  if (landing.fsDir) return path.join(landing.fsDir, 'index.html');
+
   const landingDir = getLandingFsDir(landing);
-  const indexPath = path.join(landingDir, 'index.html');
+  const indexPath = path.join(landingDir, landing.type === 'markdown' ? 'index.md' : 'index.html');
 
   if (fs.existsSync(indexPath)) {
     if (getEngine() === 'mongo' && landing.updatedAt) {
@@ -441,20 +964,24 @@ async function ensureLandingContent(landing) {
   }
 
   if (getEngine() === 'mongo') {
-    if (landing.type === 'html' && typeof landing.content === 'string') {
+    // Routing index entries omit content/files, so load the full document here.
+    const stored = await getLandingById(landing.id) || landing;
+    if (landing.type === 'html' && typeof stored.content === 'string') {
       fs.mkdirSync(landingDir, { recursive: true });
-      fs.writeFileSync(indexPath, landing.content);
+      fs.writeFileSync(indexPath, stored.content);
       return indexPath;
     }
-    if (landing.type === 'virtual' && Array.isArray(landing.files)) {
-      writeDirectoryFilesSync(landingDir, landing.files, { clearExisting: false });
+    if ((landing.type === 'virtual' || landing.type === 'markdown') && Array.isArray(stored.files)) {
+      writeDirectoryFilesSync(landingDir, stored.files, { clearExisting: false });
       if (fs.existsSync(indexPath)) return indexPath;
     }
   }
 
   console.warn('Falling back to placeholder for ' + landing.slug);
   fs.mkdirSync(landingDir, { recursive: true });
-  fs.writeFileSync(indexPath, '<html><body><h1>Landing content missing</h1><p>The content for "' + landing.slug + '" could not be restored.</p></body></html>');
+  fs.writeFileSync(indexPath, landing.type === 'markdown'
+    ? '# Landing content missing\n\nThe content for "' + landing.slug + '" could not be restored.\n'
+    : '<html><body><h1>Landing content missing</h1><p>The content for "' + landing.slug + '" could not be restored.</p></body></html>');
   return indexPath;
 }
 
@@ -465,4 +992,15 @@ module.exports = {
   serveLandingByDomain,
   serveLandingBySlug,
   serveEjsSubPage,
+  serveRedirects,
+  serveCanonicalRedirects,
+  servePreview,
+  serveSeoFiles,
+  serveMaintenance,
+  serveSlugDomains,
+  serveForwardingLandings,
+  serveSharedAssets,
+  serveNotFound,
+  serveError,
+  flushPageviews,
 };
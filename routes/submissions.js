@@ -0,0 +1,76 @@
+const express = require('express');
+const { readDB, listSubmissions, deleteSubmission } = require('../lib/store');
+const { hasRight, filterVisibleLandings } = require('../lib/auth');
+const { submissionsToCsv } = require('../lib/forms');
+
+// Form submissions inbox. Submissions are scoped through their landing, with the
+// same organization filtering as GET /api/landings.
+const router = express.Router();
+
+// Landing ids the request may read, optionally narrowed to one landing.
+async function getScopedLandingIds(req) {
+  const db = await readDB();
+  const ids = filterVisibleLandings(req, db.landings || []).map(l => l.id);
+  if (req.query.landingId) return ids.filter(id => id === req.query.landingId);
+  return ids;
+}
+
+// List submissions (newest first)
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10);
+    const offset = parseInt(req.query.offset, 10);
+    const safeLimit = Number.isFinite(limit) && limit > 0 ? Math.min(limit, 200) : 50;
+    const safeOffset = Number.isFinite(offset) && offset >= 0 ? offset : 0;
+
+    const landingIds = await getScopedLandingIds(req);
+    const { entries, total } = await listSubmissions({
+      landingIds,
+      form: req.query.form || undefined,
+      limit: safeLimit,
+      offset: safeOffset
+    });
+
+    res.json({ entries, total, hasMore: safeOffset + safeLimit < total });
+  } catch (error) {
+    console.error('Error listing submissions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export submissions as CSV (same filters as the list, without pagination)
+router.get('/export.csv', async (req, res) => {
+  try {
+    const landingIds = await getScopedLandingIds(req);
+    const { entries } = await listSubmissions({ landingIds, form: req.query.form || undefined });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="submissions-${date}.csv"`);
+    res.send(submissionsToCsv(entries));
+  } catch (error) {
+    console.error('Error exporting submissions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a submission
+router.delete('/:id', async (req, res) => {
+  if (!req.adminAuth && !hasRight(req.currentUser, 'landings:update')) {
+    return res.status(403).json({ error: 'Missing permission: landings:update' });
+  }
+
+  try {
+    const landingIds = await getScopedLandingIds(req);
+    const deleted = await deleteSubmission(req.params.id, landingIds);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting submission:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -19,14 +19,33 @@ const {
 const landingsRouter = require("./routes/landings");
 const adminConfigRouter = require("./routes/admin-config");
 const organizationsRouter = require("./routes/organizations");
+const organizationLibraryRouter = require("./routes/organization-library");
 const usersRouter = require("./routes/users");
 const migrationRouter = require("./routes/migration");
 const cloudflareRouter = require("./routes/cloudflare");
+const submissionsRouter = require("./routes/submissions");
+const scheduledJobsRouter = require("./routes/scheduled-jobs");
+const formsRouter = require("./routes/forms");
+const accessRouter = require("./routes/access");
+const { flushExperimentStats } = require("./lib/experiment-tracking");
+const { startScheduler, stopScheduler } = require("./lib/scheduled-jobs");
 const {
   domainStaticMiddleware,
   slugStaticMiddleware,
   serveLandingByDomain,
   serveLandingBySlug,
+  serveEjsSubPage,
+  serveRedirects,
+  serveCanonicalRedirects,
+  servePreview,
+  serveSeoFiles,
+  serveMaintenance,
+  serveSlugDomains,
+  serveForwardingLandings,
+  serveSharedAssets,
+  serveNotFound,
+  serveError,
+  flushPageviews,
 } = require("./routes/serve");
 
 // SaaSBackend integration
@@ -46,18 +65,15 @@ app.locals.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 // Ensure data directories exist
 ensureDirectories();
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Behind Traefik, client IPs (rate limits, maintenance allowlists) come from
+// X-Forwarded-For only when the proxy is trusted: "true", a hop count or addresses.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
-// SaaSBackend Middleware
-app.use(
-  "/saas",
-  saasbackend.middleware({
-    mongodbUri: process.env.MONGO_URI,
-    skipBodyParser: true,
-  }),
-);
+// <slug>.<slug domain> requests are rewritten to /<slug>/... before any route
+app.use(serveSlugDomains);
 
 const sessionTtlSeconds = parseInt(
   process.env.SESSION_TTL_SECONDS || `${24 * 60 * 60}`,
@@ -96,23 +112,45 @@ function getSessionSecret() {
   return devSecret;
 }
 
-// Session middleware
+// Session middleware, loaded before the forwarding landings so organization
+// access mode recognises signed-in members. /saas keeps its own authentication.
+const sessionMiddleware = session({
+  store: sessionStore,
+  secret: getSessionSecret(),
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: false, //process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    sameSite: "strict",
+    maxAge: sessionCookieMaxAgeMs,
+  },
+});
+const isSaasPath = (req) => req.path === "/saas" || req.path.startsWith("/saas/");
+app.use((req, res, next) => (isSaasPath(req) ? next() : sessionMiddleware(req, res, next)));
+
+// Redirect and proxy landings, before the body parsers so request bodies stream
+// to the upstream untouched (see lib/forwarding.js)
+app.use(serveForwardingLandings);
+
+// Middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// SaaSBackend Middleware
 app.use(
-  session({
-    store: sessionStore,
-    secret: getSessionSecret(),
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      secure: false, //process.env.NODE_ENV === 'production',
-      httpOnly: true,
-      sameSite: "strict",
-      maxAge: sessionCookieMaxAgeMs,
-    },
+  "/saas",
+  saasbackend.middleware({
+    mongodbUri: process.env.MONGO_URI,
+    skipBodyParser: true,
   }),
 );
+// Requests /saas passes on (express-session skips requests that have one)
+app.use(sessionMiddleware);
 
-// EJS setup - views directory includes both admin views and landing views
+// EJS setup - views directory includes both admin views and landing views.
+// `@shared/` includes resolve per render to the organization's shared library
+// (see lib/shared-library.js and routes/serve.js).
 app.set("view engine", "ejs");
 app.set("views", [path.join(__dirname, "views"), LANDINGS_DIR]);
 
@@ -187,6 +225,12 @@ app.use(
   landingsRouter,
 );
 app.use("/api/admin-config", sessionAuth, adminConfigRouter);
+app.use(
+  "/api/organizations/:id/library",
+  sessionAuth,
+  upload.array("files"),
+  organizationLibraryRouter,
+);
 app.use("/api/organizations", sessionAuth, organizationsRouter);
 app.use("/api/users", sessionAuth, usersRouter);
 app.use("/api/migration", sessionAuth, migrationRouter);
@@ -196,6 +240,18 @@ app.use(
   setCurrentOrganization,
   cloudflareRouter,
 );
+app.use(
+  "/api/submissions",
+  sessionAuth,
+  setCurrentOrganization,
+  submissionsRouter,
+);
+app.use(
+  "/api/scheduled-jobs",
+  sessionAuth,
+  setCurrentOrganization,
+  scheduledJobsRouter,
+);
 
 // Auth info endpoint
 app.get("/api/auth/me", sessionAuth, setCurrentOrganization, (req, res) => {
@@ -210,15 +266,46 @@ app.get("/api/auth/me", sessionAuth, setCurrentOrganization, (req, res) => {
   });
 });
 
+// Primary domain, HTTPS and trailing slash redirects (see lib/canonical.js)
+app.use(serveCanonicalRedirects);
+
+// Maintenance mode of landings, organizations and the instance (see lib/maintenance.js)
+app.use(serveMaintenance);
+
+// Public lead-capture form endpoint (before the landing serve middlewares)
+app.use(formsRouter);
+
+// Login/logout of password-protected and private landings
+app.use(accessRouter);
+
+// Signed preview links of landing versions (see lib/preview-links.js)
+app.get(["/_preview/:token", "/_preview/:token/*"], servePreview);
+
+// robots.txt and sitemap.xml for every host (see lib/seo.js)
+app.get(["/robots.txt", "/sitemap.xml", "/:slug/robots.txt", "/:slug/sitemap.xml"], serveSeoFiles);
+
+// Organization shared assets below every landing: /<slug>/_shared/... (see lib/shared-library.js)
+app.use(serveSharedAssets);
+
+// Per-landing redirect and rewrite rules, before any file lookup
+app.use(serveRedirects);
+
 // Static asset middleware for domain-based routing
 app.use("/*", domainStaticMiddleware);
 
 // Static asset middleware for slug-based routing
 app.use("/:slug/*", slugStaticMiddleware);
 
+// EJS sub-pages (own templates or manifest routes) and markdown pages
+app.get("/:slug/*", serveEjsSubPage);
+
 // Slug-based landing serving
 app.get("/:slug", serveLandingBySlug);
 
+// Custom 404/500 pages for anything left (see lib/error-pages.js)
+app.use(serveNotFound);
+app.use(serveError);
+
 // Start server
 (async () => {
   try {
@@ -227,9 +314,20 @@ app.get("/:slug", serveLandingBySlug);
     console.error("❌ Persistence initialization failed:", e.message);
   }
 
+  startScheduler();
+
   app.listen(PORT, () => {
     console.log(`SuperLandings server running on http://localhost:${PORT}`);
     console.log(`Admin panel: http://localhost:${PORT}/admin`);
     console.log(`Username: ${process.env.ADMIN_USERNAME}`);
   });
 })();
+
+// Write buffered pageview and experiment counts before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    stopScheduler();
+    await Promise.all([flushPageviews(), flushExperimentStats()]);
+    process.exit(0);
+  });
+}
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeAccess,
+  resolveAccess,
+  toAdminLanding,
+  isProtected,
+  signAccessToken,
+  verifyAccessToken,
+  parseBasicAuth,
+  safeReturnPath,
+  renderLoginPage
+} = require('../lib/access');
+const { MAX_ATTEMPTS_PER_MINUTE, loginAttemptKey, isLoginRateLimited, recordLoginFailure } = require('../lib/login-attempts');
+
+const SECRET = 'test-secret';
+const landing = { id: 'l1', slug: 'promo', access: { mode: 'password', passwordHash: 'hash-1' } };
+
+test('normalizeAccess validates mode, username and password', () => {
+  assert.deepEqual(normalizeAccess({}), { mode: 'public', username: '', password: null });
+  assert.deepEqual(normalizeAccess({ mode: 'basic', username: ' ann ', password: 'secret' }), { mode: 'basic', username: 'ann', password: 'secret' });
+  assert.deepEqual(normalizeAccess({ mode: 'password', username: 'ignored', password: '' }), { mode: 'password', username: '', password: null });
+  assert.equal(normalizeAccess({ mode: 'organization', password: 'secret' }).password, null);
+
+  assert.throws(() => normalizeAccess({ mode: 'vip' }), /Access mode must be one of/);
+  assert.throws(() => normalizeAccess({ mode: 'basic', username: 'a:b' }), /cannot contain/);
+  assert.throws(() => normalizeAccess({ mode: 'password', password: 'abc' }), /at least 4 characters/);
+});
+
+test('resolveAccess never exposes the password hash', () => {
+  assert.deepEqual(resolveAccess(landing), { mode: 'password', username: '', hasPassword: true });
+  assert.deepEqual(resolveAccess({}), { mode: 'public', username: '', hasPassword: false });
+  assert.deepEqual(toAdminLanding(landing), { id: 'l1', slug: 'promo', access: { mode: 'password', username: '', hasPassword: true } });
+  assert.equal(isProtected(landing), true);
+  assert.equal(isProtected({ access: { mode: 'public' } }), false);
+});
+
+test('access tokens are signed, expire and are bound to the password', () => {
+  const token = signAccessToken(landing, 'ann@example.com', { secret: SECRET, now: 1000, maxAgeMs: 500 });
+  assert.equal(verifyAccessToken(landing, token, { secret: SECRET, now: 1200 }), 'ann@example.com');
+  assert.equal(verifyAccessToken(landing, token, { secret: SECRET, now: 1600 }), null);
+  assert.equal(verifyAccessToken(landing, token, { secret: 'other', now: 1200 }), null);
+  assert.equal(verifyAccessToken({ ...landing, id: 'l2' }, token, { secret: SECRET, now: 1200 }), null);
+
+  const rotated = { ...landing, access: { ...landing.access, passwordHash: 'hash-2' } };
+  assert.equal(verifyAccessToken(rotated, token, { secret: SECRET, now: 1200 }), null);
+
+  const [expires, subject, sig] = token.split('.');
+  assert.equal(verifyAccessToken(landing, `${Number(expires) + 1000}.${subject}.${sig}`, { secret: SECRET, now: 1200 }), null);
+  assert.equal(verifyAccessToken(landing, 'garbage', { secret: SECRET }), null);
+});
+
+test('parseBasicAuth reads the Authorization header', () => {
+  const header = 'Basic ' + Buffer.from('ann:p:w').toString('base64');
+  assert.deepEqual(parseBasicAuth(header), { username: 'ann', password: 'p:w' });
+  assert.equal(parseBasicAuth('Bearer abc'), null);
+  assert.equal(parseBasicAuth('Basic ' + Buffer.from('nocolon').toString('base64')), null);
+  assert.equal(parseBasicAuth(undefined), null);
+});
+
+test('safeReturnPath only allows same-site paths', () => {
+  assert.equal(safeReturnPath('/promo/pricing?x=1', '/'), '/promo/pricing?x=1');
+  assert.equal(safeReturnPath('//evil.com', '/'), '/');
+  assert.equal(safeReturnPath('https://evil.com', '/'), '/');
+  assert.equal(safeReturnPath('/\\evil.com', '/'), '/');
+});
+
+test('renderLoginPage escapes its inputs and asks for email in organization mode', () => {
+  const page = renderLoginPage({ title: '<Launch>', mode: 'organization', action: '/promo/_access/login', returnTo: '/promo/"x"', error: 'Nope' });
+  assert.match(page, /&lt;Launch&gt;/);
+  assert.match(page, /name="email"/);
+  assert.match(page, /value="\/promo\/&quot;x&quot;"/);
+  assert.match(page, /Nope/);
+  assert.doesNotMatch(renderLoginPage({ title: 'x', mode: 'password', action: '/a', returnTo: '/' }), /name="email"/);
+});
+
+test('failed logins are limited per IP and landing', () => {
+  const key = loginAttemptKey('203.0.113.9', landing);
+  assert.equal(key, '203.0.113.9:l1');
+  for (let i = 0; i < MAX_ATTEMPTS_PER_MINUTE - 1; i++) recordLoginFailure(key);
+  assert.equal(isLoginRateLimited(key), false);
+  recordLoginFailure(key);
+  assert.equal(isLoginRateLimited(key), true);
+  assert.equal(isLoginRateLimited(loginAttemptKey('203.0.113.10', landing)), false);
+  assert.equal(isLoginRateLimited(loginAttemptKey('203.0.113.9', { id: 'l2' })), false);
+});
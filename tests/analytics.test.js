@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isTrackable,
+  toDay,
+  normalizePath,
+  referrerKey,
+  mergeCounts,
+  createPageviewRecorder,
+  buildSparkline,
+  buildReport
+} = require('../lib/analytics');
+
+const BROWSER_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+test('isTrackable skips bots, prefetches and non-GET requests', () => {
+  assert.equal(isTrackable({ method: 'GET', userAgent: BROWSER_UA }), true);
+  assert.equal(isTrackable({ method: 'HEAD', userAgent: BROWSER_UA }), false);
+  assert.equal(isTrackable({ method: 'GET', userAgent: 'Googlebot/2.1' }), false);
+  assert.equal(isTrackable({ method: 'GET', userAgent: '' }), false);
+  assert.equal(isTrackable({ method: 'GET', userAgent: BROWSER_UA, purpose: 'prefetch' }), false);
+});
+
+test('normalizePath drops query strings and the slug prefix', () => {
+  assert.equal(normalizePath('/promo?email=a@b.co', 'promo'), '/');
+  assert.equal(normalizePath('/promo/about/?x=1', 'promo'), '/about');
+  assert.equal(normalizePath('/promotion', 'promo'), '/promotion');
+  assert.equal(normalizePath('//pricing#plans'), '/pricing');
+});
+
+test('referrerKey keeps the hostname only and ignores internal navigation', () => {
+  assert.equal(referrerKey('https://www.google.com/search?q=secret', 'promo.test'), 'www.google.com');
+  assert.equal(referrerKey('https://promo.test/about', 'promo.test:443'), null);
+  assert.equal(referrerKey('', 'promo.test'), '(direct)');
+  assert.equal(referrerKey('not a url', 'promo.test'), '(direct)');
+});
+
+test('mergeCounts adds dimensions', () => {
+  const merged = mergeCounts({ total: 1, paths: { '/': 1 } }, { total: 2, paths: { '/': 1, '/a': 1 }, referrers: { 'x.com': 2 } });
+  assert.deepEqual(merged, { total: 3, paths: { '/': 2, '/a': 1 }, domains: {}, referrers: { 'x.com': 2 } });
+});
+
+test('recorder aggregates per landing and day and flushes deltas', async () => {
+  const written = [];
+  const recorder = createPageviewRecorder({ write: async deltas => { written.push(...deltas); }, flushIntervalMs: 60000 });
+  const date = new Date('2024-05-01T10:00:00Z');
+  recorder.record({ landingId: 'l1', host: 'Promo.test:443', path: '/', referrer: '(direct)', date });
+  recorder.record({ landingId: 'l1', host: 'promo.test', path: '/about', referrer: null, date });
+  recorder.record({ landingId: 'l2', host: 'other.test', path: '/', referrer: 'x.com', date });
+  assert.equal(recorder.size(), 2);
+
+  await recorder.flush();
+  assert.equal(recorder.size(), 0);
+  const l1 = written.find(d => d.landingId === 'l1');
+  assert.deepEqual(l1, {
+    landingId: 'l1', day: '2024-05-01', total: 2,
+    domains: { 'promo.test': 2 }, paths: { '/': 1, '/about': 1 }, referrers: { '(direct)': 1 }
+  });
+});
+
+test('buildSparkline zero-fills missing days, oldest first', () => {
+  const today = new Date('2024-05-03T12:00:00Z');
+  assert.equal(toDay(today), '2024-05-03');
+  const docs = [{ day: '2024-05-01', total: 4 }, { day: '2024-05-03', total: 1 }, { day: '2024-04-01', total: 9 }];
+  assert.deepEqual(buildSparkline(docs, { days: 3, today }), [4, 0, 1]);
+});
+
+test('buildReport sums the range and ranks top entries', () => {
+  const today = new Date('2024-05-02T00:00:00Z');
+  const docs = [
+    { day: '2024-05-01', total: 3, domains: { 'a.test': 3 }, paths: { '/': 2, '/b': 1 }, referrers: { 'x.com': 1 } },
+    { day: '2024-05-02', total: 2, domains: { 'a.test': 2 }, paths: { '/b': 2 }, referrers: {} },
+    { day: '2024-04-01', total: 50, domains: {}, paths: { '/old': 50 }, referrers: {} }
+  ];
+  const report = buildReport(docs, { days: 7, today });
+  assert.equal(report.total, 5);
+  assert.equal(report.series.length, 7);
+  assert.deepEqual(report.series.slice(-2), [{ day: '2024-05-01', total: 3 }, { day: '2024-05-02', total: 2 }]);
+  assert.deepEqual(report.paths, [{ key: '/b', count: 3 }, { key: '/', count: 2 }]);
+  assert.deepEqual(report.domains, [{ key: 'a.test', count: 5 }]);
+});
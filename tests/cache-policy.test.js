@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CACHE_POLICY,
+  normalizeCachePolicy,
+  resolveCachePolicy,
+  isHashedAsset,
+  classifyFile,
+  getCacheHeaders,
+  buildFileEtag
+} = require('../lib/cache-policy');
+
+test('resolveCachePolicy merges stored fields over defaults', () => {
+  assert.deepEqual(resolveCachePolicy({}), DEFAULT_CACHE_POLICY);
+  const policy = resolveCachePolicy({ cachePolicy: { htmlMaxAge: 60 } });
+  assert.equal(policy.htmlMaxAge, 60);
+  assert.equal(policy.hashedAssetMaxAge, DEFAULT_CACHE_POLICY.hashedAssetMaxAge);
+});
+
+test('normalizeCachePolicy coerces numeric strings and rejects bad values', () => {
+  assert.equal(normalizeCachePolicy({ assetMaxAge: '300' }).assetMaxAge, 300);
+  assert.equal(normalizeCachePolicy({ noStore: 'true' }).noStore, true);
+  assert.throws(() => normalizeCachePolicy({ htmlMaxAge: -1 }), /htmlMaxAge/);
+  assert.throws(() => normalizeCachePolicy({ assetMaxAge: 1.5 }), /assetMaxAge/);
+  assert.throws(() => normalizeCachePolicy({ hashedAssetPattern: '([' }), /regular expression/);
+  assert.throws(() => normalizeCachePolicy({ hashedAssetPattern: '^(/[a-z]+)+\\.js$' }), /hashedAssetPattern is not allowed: nested quantifiers/);
+  assert.throws(() => normalizeCachePolicy(null), /object/);
+});
+
+test('isHashedAsset detects fingerprinted filenames', () => {
+  assert.equal(isHashedAsset('/assets/main.3f2a1b9c.js'), true);
+  assert.equal(isHashedAsset('/assets/index-B4x9Kq2a.css'), true);
+  assert.equal(isHashedAsset('/css/style.css'), false);
+  assert.equal(isHashedAsset('/img/background.png'), false);
+  assert.equal(isHashedAsset('/assets/app.3f2a1b9c0d4e5f6a7b8c.js'), true);
+  // Dates, versions and words are not content hashes
+  assert.equal(isHashedAsset('/img/hero-20240101.jpg'), false);
+  assert.equal(isHashedAsset('/img/logo-v2_final.png'), false);
+  assert.equal(isHashedAsset('/docs/q1-report_2024Q1.pdf'), false);
+  assert.equal(isHashedAsset('/img/IMG-Photo2024.jpg'), false);
+  assert.equal(isHashedAsset('/img/deadbeef.cafebabe.png'), false);
+  assert.equal(isHashedAsset('/img/logo.png', { hashedAssetPattern: '^/img/' }), true);
+  assert.equal(isHashedAsset('/img/' + 'a'.repeat(300) + '.png', { hashedAssetPattern: '^/img/' }), false);
+  // Patterns saved before they were checked never match
+  assert.equal(isHashedAsset('/' + 'a'.repeat(30) + '!', { hashedAssetPattern: '^(/?a+)+$' }), false);
+});
+
+test('classifyFile distinguishes html, immutable and plain assets', () => {
+  assert.equal(classifyFile('/index.html', DEFAULT_CACHE_POLICY), 'html');
+  assert.equal(classifyFile('/app.a1b2c3d4e5.js', DEFAULT_CACHE_POLICY), 'immutable');
+  assert.equal(classifyFile('/app.js', DEFAULT_CACHE_POLICY), 'asset');
+});
+
+test('getCacheHeaders honours noStore and max-age settings', () => {
+  assert.match(getCacheHeaders({ ...DEFAULT_CACHE_POLICY, noStore: true }, 'html')['Cache-Control'], /no-store/);
+  assert.equal(getCacheHeaders(DEFAULT_CACHE_POLICY, 'html')['Cache-Control'], 'public, max-age=0, must-revalidate');
+  assert.equal(getCacheHeaders(DEFAULT_CACHE_POLICY, 'immutable')['Cache-Control'], 'public, max-age=31536000, immutable');
+  assert.equal(getCacheHeaders({ ...DEFAULT_CACHE_POLICY, assetMaxAge: 600 }, 'asset')['Cache-Control'], 'public, max-age=600');
+});
+
+test('buildFileEtag changes with the active version', () => {
+  const stat = { size: 1024, mtimeMs: 1700000000000 };
+  const a = buildFileEtag({ currentVersionId: 'v1' }, stat);
+  const b = buildFileEtag({ currentVersionId: 'v2' }, stat);
+  assert.match(a, /^W\/"v1-/);
+  assert.notEqual(a, b);
+});
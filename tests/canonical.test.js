@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeCanonicalSettings,
+  applyTrailingSlash,
+  getCanonicalRedirect,
+  trailingSlashRedirectRegex
+} = require('../lib/canonical');
+
+const landing = {
+  slug: 'shop',
+  domains: [
+    { domain: 'example.com', published: true },
+    { domain: 'www.example.com', published: true },
+    { domain: '*.promo.example.com', published: true }
+  ],
+  canonical: { redirectToPrimary: true, forceHttps: true, trailingSlash: 'ignore' }
+};
+
+test('normalizeCanonicalSettings validates flags and the trailing slash mode', () => {
+  assert.deepEqual(normalizeCanonicalSettings({}), { redirectToPrimary: false, forceHttps: false, trailingSlash: 'ignore' });
+  assert.deepEqual(normalizeCanonicalSettings({ redirectToPrimary: true, trailingSlash: 'add' }), { redirectToPrimary: true, forceHttps: false, trailingSlash: 'add' });
+  assert.throws(() => normalizeCanonicalSettings({ forceHttps: 'yes' }), /forceHttps must be a boolean/);
+  assert.throws(() => normalizeCanonicalSettings({ trailingSlash: 'always' }), /trailingSlash must be one of/);
+});
+
+test('applyTrailingSlash leaves the root and files alone', () => {
+  assert.equal(applyTrailingSlash('/about', 'add'), '/about/');
+  assert.equal(applyTrailingSlash('/docs/intro/', 'remove'), '/docs/intro');
+  assert.equal(applyTrailingSlash('/', 'remove'), '/');
+  assert.equal(applyTrailingSlash('/logo.png', 'add'), '/logo.png');
+  assert.equal(applyTrailingSlash('/about', 'ignore'), '/about');
+});
+
+test('secondary domains and plain HTTP redirect to the primary domain in one hop', () => {
+  const request = { host: 'www.example.com', via: 'domain', protocol: 'https', basePath: '', path: '/pricing', search: '?utm=x' };
+  assert.equal(getCanonicalRedirect(landing, request), 'https://example.com/pricing?utm=x');
+  assert.equal(getCanonicalRedirect(landing, { ...request, host: 'example.com', protocol: 'http' }), 'https://example.com/pricing?utm=x');
+  assert.equal(getCanonicalRedirect(landing, { ...request, host: 'example.com' }), null);
+  // Wildcard hosts keep their host; slug URLs on the instance host are left alone
+  assert.equal(getCanonicalRedirect(landing, { ...request, host: 'a.promo.example.com', via: 'wildcard' }), null);
+  assert.equal(getCanonicalRedirect(landing, { ...request, host: 'admin.test', via: null, protocol: 'http', basePath: '/shop' }), null);
+});
+
+test('trailing slash policies redirect with a relative location', () => {
+  const add = { ...landing, canonical: { trailingSlash: 'add' } };
+  assert.equal(getCanonicalRedirect(add, { host: 'admin.test', via: null, protocol: 'http', basePath: '/shop', path: '/about', search: '?a=1' }), '/shop/about/?a=1');
+  assert.equal(getCanonicalRedirect(add, { host: 'example.com', via: 'domain', protocol: 'https', basePath: '', path: '/about/' }), null);
+});
+
+test('Traefik trailing slash regexes follow the same rules', () => {
+  const apply = (mode, url) => {
+    const { regex, replacement } = trailingSlashRedirectRegex(mode);
+    const re = new RegExp(regex);
+    return re.test(url) ? url.replace(re, replacement.replace(/\$\{(\d)\}/g, '$$$1')) : null;
+  };
+  assert.equal(apply('add', 'https://example.com/about?x=1'), 'https://example.com/about/?x=1');
+  assert.equal(apply('add', 'https://example.com/'), null);
+  assert.equal(apply('add', 'https://example.com/logo.png'), null);
+  assert.equal(apply('remove', 'https://example.com/docs/intro/'), 'https://example.com/docs/intro');
+  assert.equal(apply('remove', 'https://example.com/'), null);
+  assert.equal(trailingSlashRedirectRegex('ignore'), null);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeManifest,
+  loadDataManifest,
+  matchRoute,
+  matchesFilter,
+  createArrayCollection,
+  resolveDataSources
+} = require('../lib/data-providers');
+const { buildBlogManifest } = require('../lib/migrate-blog-manifest');
+
+const POSTS = [
+  { slug: 'a', title: 'A', status: 'published', tags: ['node', 'js'], publishedAt: '2024-01-03' },
+  { slug: 'b', title: 'B', status: 'published', tags: ['node'], publishedAt: '2024-01-02' },
+  { slug: 'c', title: 'C', status: 'draft', tags: ['go'], publishedAt: '2024-01-04' },
+  { slug: 'd', title: 'D', status: 'published', tags: [], publishedAt: '2024-01-01' }
+];
+
+function makeLanding(manifest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-data-'));
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.writeFileSync(path.join(dir, 'data', 'posts.json'), JSON.stringify(POSTS));
+  if (manifest) fs.writeFileSync(path.join(dir, 'landing.json'), JSON.stringify(manifest));
+  return dir;
+}
+
+const MANIFEST = {
+  routes: [{ path: ':slug', template: 'post' }],
+  dataSources: [
+    { name: 'posts', type: 'collection', templates: ['index'], file: 'data/posts.json', filter: { status: 'published' }, sort: { publishedAt: -1 }, fields: ['slug', 'title'], query: { tag: 'tags' }, paginate: { limit: 2 } },
+    { name: 'tags', type: 'facets', templates: ['index'], file: 'data/posts.json', filter: { status: 'published' }, field: 'tags' },
+    { name: 'post', type: 'item', templates: ['post'], file: 'data/posts.json', filter: { status: 'published' }, match: { slug: ':slug' }, required: true }
+  ]
+};
+
+test('normalizeManifest rejects unknown types, operators and duplicate names', () => {
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'sql', file: 'a.json' }] }), /type/);
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'collection', file: 'a.json', filter: { a: { $where: '1' } } }] }), /operator/);
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'collection', file: 'a.json', filter: { $or: [] } }] }), /filter key/);
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'collection', file: 'a' }, { name: 'x', type: 'collection', file: 'b' }] }), /duplicate/);
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'item', file: 'a.json' }] }), /match/);
+});
+
+test('matchRoute maps params and literal pages', () => {
+  const manifest = normalizeManifest({ routes: [{ path: 'about', template: 'page' }, { path: '/:slug', template: 'post' }] });
+  assert.deepEqual(matchRoute(manifest, 'about'), { template: 'page', params: {} });
+  assert.deepEqual(matchRoute(manifest, 'hello'), { template: 'post', params: { slug: 'hello' } });
+  assert.equal(matchRoute(null, 'hello'), null);
+});
+
+test('matchesFilter supports equality on arrays and comparison operators', () => {
+  assert.equal(matchesFilter(POSTS[0], { tags: 'js' }), true);
+  assert.equal(matchesFilter(POSTS[1], { tags: 'js' }), false);
+  assert.equal(matchesFilter(POSTS[0], { publishedAt: { $gte: '2024-01-03' }, status: { $in: ['published'] } }), true);
+  assert.equal(matchesFilter(POSTS[2], { status: { $ne: 'draft' } }), false);
+  assert.equal(matchesFilter(POSTS[0], { missing: { $exists: false } }), true);
+});
+
+test('array collections sort, page and count facets', async () => {
+  const posts = createArrayCollection(POSTS);
+  const rows = await posts.find({ status: 'published' }, { sort: { publishedAt: -1 }, skip: 1, limit: 1, fields: ['slug'] });
+  assert.deepEqual(rows, [{ slug: 'b' }]);
+  assert.equal(await posts.count({ tags: 'node' }), 2);
+  assert.deepEqual(await posts.facets({ status: 'published' }, 'tags', 10), [{ name: 'node', count: 2 }, { name: 'js', count: 1 }]);
+});
+
+test('resolveDataSources fills index locals with pagination and query filters', async () => {
+  const dir = makeLanding(MANIFEST);
+  const manifest = loadDataManifest(dir);
+  const { locals, notFound } = await resolveDataSources(manifest, { template: 'index', query: { page: '2' }, landingDir: dir });
+  assert.equal(notFound, false);
+  assert.deepEqual(locals.posts, [{ slug: 'd', title: 'D' }]);
+  assert.equal(locals.pagination.total, 3);
+  assert.equal(locals.pagination.hasPrev, true);
+  assert.equal(locals.pagination.hasNext, false);
+  assert.equal(locals.post, undefined);
+  assert.equal(locals.tags[0].name, 'node');
+
+  const filtered = await resolveDataSources(manifest, { template: 'index', query: { tag: 'js' }, landingDir: dir });
+  assert.deepEqual(filtered.locals.posts.map(p => p.slug), ['a']);
+  assert.deepEqual(filtered.locals.filters, { tag: 'js' });
+});
+
+test('resolveDataSources resolves items from route params and flags missing ones', async () => {
+  const dir = makeLanding(MANIFEST);
+  const manifest = loadDataManifest(dir);
+  const found = await resolveDataSources(manifest, { template: 'post', params: { slug: 'a' }, landingDir: dir });
+  assert.equal(found.locals.post.title, 'A');
+  const draft = await resolveDataSources(manifest, { template: 'post', params: { slug: 'c' }, landingDir: dir });
+  assert.equal(draft.notFound, true);
+});
+
+test('resolveDataSources refuses collections outside the allowlist and files outside the landing', async () => {
+  const dir = makeLanding();
+  const manifest = normalizeManifest({
+    dataSources: [
+      { name: 'users', type: 'collection', collection: 'users' },
+      { name: 'secrets', type: 'collection', file: '../../etc/passwd' }
+    ]
+  });
+  const { locals } = await resolveDataSources(manifest, { template: 'index', landingDir: dir, getMongoDb: async () => { throw new Error('should not connect'); } });
+  assert.deepEqual(locals.users, []);
+  assert.deepEqual(locals.secrets, []);
+});
+
+test('the blog manifest keeps the template locals of the former hardcoded blog', async () => {
+  const dir = makeLanding();
+  fs.writeFileSync(path.join(dir, 'data', 'blog.json'), JSON.stringify([
+    ...POSTS.map(post => ({ ...post, client: 'intrane', category: 'news' })),
+    { slug: 'other', title: 'Other', status: 'published', client: 'someone-else', tags: ['node'] }
+  ]));
+  const blog = buildBlogManifest();
+  assert.deepEqual(new Set(blog.dataSources.map(s => s.collection)), new Set(['blogposts']));
+  // Same sources read from a file, as the collection needs MongoDB
+  const manifest = normalizeManifest({
+    ...blog,
+    dataSources: blog.dataSources.map(({ collection, ...source }) => ({ ...source, file: 'data/blog.json' }))
+  });
+
+  const index = await resolveDataSources(manifest, { template: 'index', query: { tag: 'node' }, landingDir: dir });
+  assert.deepEqual(index.locals.posts.map(p => p.slug), ['a', 'b']);
+  assert.equal(index.locals.pagination.total, 2);
+  assert.deepEqual(index.locals.tags, [{ name: 'node', count: 2 }, { name: 'js', count: 1 }]);
+  assert.deepEqual(index.locals.categories, [{ name: 'news', count: 3 }]);
+  assert.equal(index.locals.filterTag, 'node');
+  assert.equal(index.locals.filterCat, '');
+
+  const route = matchRoute(manifest, 'a');
+  assert.deepEqual(route, { template: 'post', params: { slug: 'a' }, locals: { postSlug: 'a' } });
+  const post = await resolveDataSources(manifest, { template: 'post', params: route.params, landingDir: dir });
+  assert.equal(post.locals.post.title, 'A');
+  assert.equal((await resolveDataSources(manifest, { template: 'post', params: { slug: 'other' }, landingDir: dir })).notFound, true);
+  assert.throws(() => normalizeManifest({ dataSources: [{ name: 'x', type: 'collection', file: 'a.json', query: { tag: { as: 'y' } } }] }), /query.tag/);
+});
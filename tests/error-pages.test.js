@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getInstanceErrorPagesDir, findErrorPage, renderDefaultErrorPage } = require('../lib/error-pages');
+
+function makeDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-errors-'));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+test('findErrorPage prefers .html over .ejs and maps 4xx/5xx to 404/500', () => {
+  const dir = makeDir({ '404.html': 'a', '404.ejs': 'b', '500.ejs': 'c' });
+  assert.deepEqual(findErrorPage(dir, 404), { path: path.join(dir, '404.html'), kind: 'html' });
+  assert.deepEqual(findErrorPage(dir, 400), { path: path.join(dir, '404.html'), kind: 'html' });
+  assert.deepEqual(findErrorPage(dir, 503), { path: path.join(dir, '500.ejs'), kind: 'ejs' });
+});
+
+test('findErrorPage returns null for missing pages, directories and no dir', () => {
+  const dir = makeDir({});
+  fs.mkdirSync(path.join(dir, '500.html'));
+  assert.equal(findErrorPage(dir, 404), null);
+  assert.equal(findErrorPage(dir, 500), null);
+  assert.equal(findErrorPage(path.join(dir, 'missing'), 404), null);
+  assert.equal(findErrorPage(null, 404), null);
+});
+
+test('renderDefaultErrorPage is a full HTML page with the status', () => {
+  const notFound = renderDefaultErrorPage(404);
+  assert.match(notFound, /^<!DOCTYPE html>/);
+  assert.match(notFound, />404</);
+  assert.match(notFound, /Page not found/);
+  assert.match(renderDefaultErrorPage(502), /Something went wrong/);
+});
+
+test('getInstanceErrorPagesDir honours ERROR_PAGES_DIR', () => {
+  const previous = process.env.ERROR_PAGES_DIR;
+  try {
+    delete process.env.ERROR_PAGES_DIR;
+    assert.match(getInstanceErrorPagesDir(), /data[\\/]error-pages$/);
+    process.env.ERROR_PAGES_DIR = '/srv/errors';
+    assert.equal(getInstanceErrorPagesDir(), '/srv/errors');
+  } finally {
+    if (previous === undefined) delete process.env.ERROR_PAGES_DIR;
+    else process.env.ERROR_PAGES_DIR = previous;
+  }
+});
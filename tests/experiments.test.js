@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeExperiment,
+  createExperiment,
+  isRunning,
+  pickVariant,
+  readAssignment,
+  formatAssignment,
+  isFormGoal,
+  isUrlGoal,
+  createStatsRecorder,
+  buildResults
+} = require('../lib/experiments');
+
+const VERSION_IDS = ['v1', 'v2', 'v3'];
+
+test('normalizeExperiment assigns variant ids and defaults weights', () => {
+  const result = normalizeExperiment({
+    name: '  Hero test ',
+    variants: [{ versionId: 'v1' }, { versionId: 'v2', weight: '30' }],
+    goal: { type: 'url', path: '/thanks/?ref=x' }
+  }, VERSION_IDS);
+  assert.deepEqual(result, {
+    name: 'Hero test',
+    variants: [{ id: 'a', versionId: 'v1', weight: 1 }, { id: 'b', versionId: 'v2', weight: 30 }],
+    goal: { type: 'url', path: '/thanks' }
+  });
+});
+
+test('normalizeExperiment rejects bad variants and goals', () => {
+  const goal = { type: 'form' };
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }], goal }, VERSION_IDS), /between 2 and 5/);
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }, { versionId: 'nope' }], goal }, VERSION_IDS), /unknown version/);
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }, { versionId: 'v1' }], goal }, VERSION_IDS), /already used/);
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }, { versionId: 'v2', weight: 0 }], goal }, VERSION_IDS), /weight/);
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }, { versionId: 'v2' }], goal: { type: 'click' } }, VERSION_IDS), /Goal type/);
+  assert.throws(() => normalizeExperiment({ variants: [{ versionId: 'v1' }, { versionId: 'v2' }], goal: { type: 'url', path: 'thanks' } }, VERSION_IDS), /start with/);
+});
+
+test('createExperiment starts running', () => {
+  const experiment = createExperiment({ name: '', variants: [], goal: { type: 'form', form: '' } });
+  assert.match(experiment.id, /^[0-9a-f]{12}$/);
+  assert.equal(experiment.status, 'running');
+  assert.equal(isRunning(experiment), true);
+  assert.equal(isRunning({ ...experiment, status: 'stopped' }), false);
+  assert.equal(isRunning(null), false);
+});
+
+test('pickVariant follows the weights', () => {
+  const variants = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }];
+  assert.equal(pickVariant(variants, () => 0).id, 'a');
+  assert.equal(pickVariant(variants, () => 0.24).id, 'a');
+  assert.equal(pickVariant(variants, () => 0.25).id, 'b');
+  assert.equal(pickVariant(variants, () => 0.999).id, 'b');
+});
+
+test('assignments round-trip through the cookie and ignore unknown variants', () => {
+  const experiment = { id: 'abc', variants: [{ id: 'a' }, { id: 'b' }] };
+  assert.equal(readAssignment(experiment, ''), null);
+  assert.deepEqual(readAssignment(experiment, 'x=1; sl_exp_abc=b'), { variantId: 'b', converted: false });
+  assert.deepEqual(readAssignment(experiment, `sl_exp_abc=${formatAssignment({ variantId: 'a', converted: true })}`), { variantId: 'a', converted: true });
+  assert.equal(readAssignment(experiment, 'sl_exp_abc=z'), null);
+  assert.equal(readAssignment(experiment, 'sl_exp_other=a'), null);
+});
+
+test('goals match form names and page paths', () => {
+  assert.equal(isFormGoal({ type: 'form', form: '' }, 'contact'), true);
+  assert.equal(isFormGoal({ type: 'form', form: 'signup' }, 'contact'), false);
+  assert.equal(isFormGoal({ type: 'url', path: '/' }, 'contact'), false);
+  assert.equal(isUrlGoal({ type: 'url', path: '/thanks' }, '/thanks/'), true);
+  assert.equal(isUrlGoal({ type: 'url', path: '/thanks' }, '/'), false);
+});
+
+test('createStatsRecorder buffers counts per variant until flushed', async () => {
+  const writes = [];
+  const recorder = createStatsRecorder({ write: async deltas => writes.push(deltas), flushIntervalMs: 60000 });
+  recorder.record({ landingId: 'l1', experimentId: 'e1', variantId: 'a', field: 'visitors' });
+  recorder.record({ landingId: 'l1', experimentId: 'e1', variantId: 'a', field: 'visitors' });
+  recorder.record({ landingId: 'l1', experimentId: 'e1', variantId: 'a', field: 'conversions' });
+  recorder.record({ landingId: 'l1', experimentId: 'e1', variantId: 'b', field: 'visitors' });
+  await recorder.flush();
+  await recorder.flush();
+  assert.equal(writes.length, 1);
+  assert.deepEqual(writes[0], [
+    { landingId: 'l1', experimentId: 'e1', variantId: 'a', visitors: 2, conversions: 1 },
+    { landingId: 'l1', experimentId: 'e1', variantId: 'b', visitors: 1, conversions: 0 }
+  ]);
+});
+
+test('buildResults compares variants with the first one', () => {
+  const experiment = { variants: [{ id: 'a', versionId: 'v1', weight: 1 }, { id: 'b', versionId: 'v2', weight: 1 }, { id: 'c', versionId: 'v3', weight: 1 }] };
+  const [a, b, c] = buildResults(experiment, { a: { visitors: 1000, conversions: 100 }, b: { visitors: 1000, conversions: 150 } });
+  assert.equal(a.rate, 0.1);
+  assert.equal(a.lift, null);
+  assert.ok(Math.abs(b.lift - 0.5) < 1e-9);
+  assert.ok(b.confidence > 0.99);
+  assert.deepEqual([c.visitors, c.conversions, c.rate, c.confidence], [0, 0, 0, null]);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeForms, findForm, isSpam, validateSubmission, submissionsToCsv } = require('../lib/forms');
+
+const contact = normalizeForms([{
+  name: 'contact',
+  fields: [
+    { name: 'email', type: 'email', required: true, label: 'Email' },
+    { name: 'message', type: 'textarea', maxLength: 20 },
+    { name: 'plan', type: 'select', options: ['free', 'pro'] },
+    { name: 'optin', type: 'checkbox' }
+  ]
+}])[0];
+
+test('normalizeForms applies defaults', () => {
+  assert.equal(contact.honeypot, '_gotcha');
+  assert.equal(contact.redirect, '');
+  assert.equal(contact.fields[1].label, 'message');
+  assert.equal(contact.fields[1].required, false);
+});
+
+test('normalizeForms rejects invalid definitions', () => {
+  assert.throws(() => normalizeForms({}), /array/);
+  assert.throws(() => normalizeForms([{ name: '../x', fields: [{ name: 'a' }] }]), /name/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [] }]), /at least one field/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [{ name: 'b', type: 'file' }] }]), /unknown type/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [{ name: 'b', type: 'select' }] }]), /option/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [{ name: 'b' }, { name: 'b' }] }]), /duplicate field/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [{ name: 'b' }] }, { name: 'a', fields: [{ name: 'b' }] }]), /Duplicate form/);
+  assert.throws(() => normalizeForms([{ name: 'a', fields: [{ name: 'b' }], redirect: 'javascript:alert(1)' }]), /redirect/);
+});
+
+test('findForm looks up by name', () => {
+  assert.equal(findForm({ forms: [contact] }, 'contact'), contact);
+  assert.equal(findForm({ forms: [contact] }, 'other'), null);
+  assert.equal(findForm({}, 'contact'), null);
+});
+
+test('isSpam flags a filled honeypot', () => {
+  assert.equal(isSpam(contact, { email: 'a@b.co' }), false);
+  assert.equal(isSpam(contact, { email: 'a@b.co', _gotcha: '' }), false);
+  assert.equal(isSpam(contact, { email: 'a@b.co', _gotcha: 'http://spam' }), true);
+});
+
+test('validateSubmission keeps schema fields only', () => {
+  const { data, errors } = validateSubmission(contact, { email: ' a@b.co ', plan: 'pro', optin: 'on', admin: 'true' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { email: 'a@b.co', plan: 'pro', optin: true });
+});
+
+test('validateSubmission reports required, format, length and option errors', () => {
+  const { errors } = validateSubmission(contact, { message: 'x'.repeat(21), plan: 'enterprise' });
+  assert.deepEqual(errors.map(e => e.field), ['email', 'message', 'plan']);
+  assert.match(validateSubmission(contact, { email: 'nope' }).errors[0].message, /valid email/);
+});
+
+test('submissionsToCsv quotes values and neutralises formulas', () => {
+  const csv = submissionsToCsv([
+    { createdAt: '2024-01-02T00:00:00.000Z', landingSlug: 'promo', form: 'contact', data: { email: 'a@b.co', message: 'Hi, "there"' } },
+    { createdAt: '2024-01-01T00:00:00.000Z', landingSlug: 'promo', form: 'contact', data: { email: '=cmd()', plan: 'pro' }, meta: { referer: 'https://x.test/' } }
+  ]);
+  const lines = csv.trim().split('\r\n');
+  assert.equal(lines[0], 'createdAt,landing,form,email,message,plan,referer');
+  assert.equal(lines[1], '2024-01-02T00:00:00.000Z,promo,contact,a@b.co,"Hi, ""there""",,');
+  assert.equal(lines[2], "2024-01-01T00:00:00.000Z,promo,contact,'=cmd(),,pro,https://x.test/");
+});
@@ -0,0 +1,247 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  isForwardingLanding,
+  normalizeRedirectTarget,
+  resolveRedirectTarget,
+  getRedirectTargetLocation,
+  normalizeProxySettings,
+  resolveProxySettings,
+  buildProxyRequest,
+  rewriteProxyResponseHeaders,
+  proxyRequest
+} = require('../lib/forwarding');
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+function fetchText(port, path, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, ...options }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+test('normalizeRedirectTarget validates admin input', () => {
+  assert.deepEqual(normalizeRedirectTarget({ url: ' https://example.com/new ' }), {
+    url: 'https://example.com/new', status: 301, preservePath: true, preserveQuery: true
+  });
+  assert.equal(normalizeRedirectTarget({ url: 'http://example.com', status: '308', preservePath: false }).status, 308);
+  assert.throws(() => normalizeRedirectTarget({ url: 'ftp://example.com' }), /absolute http\(s\) URL/);
+  assert.throws(() => normalizeRedirectTarget({ url: 'https://example.com', status: 303 }), /status must be one of/);
+  assert.throws(() => normalizeRedirectTarget({ url: 'https://example.com', preserveQuery: 'yes' }), /preserveQuery must be a boolean/);
+  assert.equal(resolveRedirectTarget({}).url, '');
+  assert.equal(isForwardingLanding({ type: 'proxy' }), true);
+  assert.equal(isForwardingLanding({ type: 'html' }), false);
+});
+
+test('getRedirectTargetLocation keeps the path and merges the query string', () => {
+  const target = resolveRedirectTarget({ redirectTarget: { url: 'https://example.com/docs/?lang=en', status: 302 } });
+  assert.equal(getRedirectTargetLocation(target, { path: '/guide/setup', search: '?ref=ad' }), 'https://example.com/docs/guide/setup?lang=en&ref=ad');
+  assert.equal(getRedirectTargetLocation(target, { path: '/', search: '' }), 'https://example.com/docs/?lang=en');
+  const fixed = { ...target, preservePath: false, preserveQuery: false };
+  assert.equal(getRedirectTargetLocation(fixed, { path: '/guide', search: '?ref=ad' }), 'https://example.com/docs/?lang=en');
+  assert.equal(getRedirectTargetLocation(resolveRedirectTarget({}), { path: '/' }), null);
+});
+
+test('normalizeProxySettings validates the upstream, timeout and header lists', () => {
+  assert.deepEqual(normalizeProxySettings({ upstream: 'http://203.0.113.5:8080/app/' }), {
+    upstream: 'http://203.0.113.5:8080/app',
+    timeout: 30,
+    preserveHost: false,
+    rewriteLocation: true,
+    requestHeaders: [],
+    responseHeaders: []
+  });
+  const settings = normalizeProxySettings({
+    upstream: 'https://api.example.com',
+    timeout: 5,
+    requestHeaders: [{ name: 'X-Api-Key', value: 'secret' }, { name: '', value: '' }],
+    responseHeaders: [{ name: 'X-Powered-By', value: '' }]
+  });
+  assert.equal(settings.upstream, 'https://api.example.com');
+  assert.deepEqual(settings.requestHeaders, [{ name: 'X-Api-Key', value: 'secret' }]);
+  assert.throws(() => normalizeProxySettings({ upstream: 'http://u:p@example.com' }), /credentials/);
+  assert.throws(() => normalizeProxySettings({ upstream: 'http://example.com/?a=1' }), /query string/);
+  assert.throws(() => normalizeProxySettings({ upstream: 'http://example.com', timeout: 0 }), /timeout must be/);
+  assert.throws(() => normalizeProxySettings({ upstream: 'http://example.com', requestHeaders: [{ name: 'Host', value: 'x' }] }), /Host cannot be set here/);
+  assert.throws(() => normalizeProxySettings({ upstream: 'http://example.com', responseHeaders: [{ name: 'X-A', value: '1' }, { name: 'x-a', value: '2' }] }), /listed twice/);
+});
+
+test('proxies cannot reach loopback, private or link-local addresses unless allowed', async () => {
+  const blocked = [
+    'http://127.0.0.1:3000', 'http://localhost/app', 'http://api.localhost', 'http://10.0.0.5:8080',
+    'http://172.16.4.1', 'http://192.168.1.10', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080',
+    'http://[fd00::1]', 'http://[::ffff:127.0.0.1]', 'http://2130706433', 'http://0.0.0.0'
+  ];
+  for (const upstream of blocked) {
+    assert.throws(() => normalizeProxySettings({ upstream }), /upstream cannot point to .*PROXY_ALLOWED_HOSTS/, upstream);
+  }
+
+  process.env.PROXY_ALLOWED_HOSTS = 'localhost, 10.0.0.0/8, fd00::1';
+  try {
+    assert.equal(normalizeProxySettings({ upstream: 'http://localhost:3000' }).upstream, 'http://localhost:3000');
+    assert.equal(normalizeProxySettings({ upstream: 'http://10.20.0.5' }).upstream, 'http://10.20.0.5');
+    assert.equal(normalizeProxySettings({ upstream: 'http://[fd00::1]' }).upstream, 'http://[fd00::1]');
+    assert.throws(() => normalizeProxySettings({ upstream: 'http://192.168.1.10' }), /private address/);
+  } finally {
+    delete process.env.PROXY_ALLOWED_HOSTS;
+  }
+
+  // Checked again on every request, after resolving the hostname
+  const req = { method: 'GET', pipe: () => {} };
+  const res = { on: () => {} };
+  const literal = resolveProxySettings({ proxy: { upstream: 'http://169.254.169.254' } });
+  await assert.rejects(proxyRequest(req, res, literal, { path: '/', headers: {} }), error => {
+    assert.equal(error.status, 502);
+    assert.match(error.message, /169\.254\.169\.254 is not allowed: it is a private address/);
+    return true;
+  });
+
+  const upstream = await listen((request, response) => response.end('internal'));
+  const app = await listen((request, response) => {
+    const settings = resolveProxySettings({ proxy: { upstream: `http://localhost:${upstream.address().port}` } });
+    proxyRequest(request, response, settings, { path: '/', headers: request.headers }).catch(error => {
+      response.writeHead(error.status);
+      response.end(error.message);
+    });
+  });
+  try {
+    const answer = await fetchText(app.address().port, '/');
+    assert.equal(answer.status, 502);
+    assert.match(answer.body, /localhost resolves to a private address/);
+  } finally {
+    await close(app);
+    await close(upstream);
+  }
+});
+
+test('buildProxyRequest and rewriteProxyResponseHeaders rewrite headers both ways', () => {
+  const settings = resolveProxySettings({
+    proxy: {
+      upstream: 'http://10.0.0.5:8080/app',
+      requestHeaders: [{ name: 'X-Api-Key', value: 'secret' }, { name: 'Cookie', value: '' }],
+      responseHeaders: [{ name: 'X-Powered-By', value: '' }]
+    }
+  });
+  const { url, headers } = buildProxyRequest(settings, {
+    path: '/users',
+    search: '?page=2',
+    headers: { host: 'shop.example.com', connection: 'keep-alive, x-trace', 'x-trace': '1', cookie: 'a=1', authorization: 'Basic x', 'x-forwarded-for': '1.1.1.1' },
+    ip: '2.2.2.2',
+    protocol: 'https',
+    dropHeaders: ['authorization']
+  });
+  assert.equal(url.href, 'http://10.0.0.5:8080/app/users?page=2');
+  assert.deepEqual(headers, {
+    host: '10.0.0.5:8080',
+    'x-forwarded-for': '1.1.1.1, 2.2.2.2',
+    'x-forwarded-host': 'shop.example.com',
+    'x-forwarded-proto': 'https',
+    'x-api-key': 'secret'
+  });
+
+  const rewrite = location => rewriteProxyResponseHeaders(settings, { location, 'x-powered-by': 'PHP', 'transfer-encoding': 'chunked' }, '/shop');
+  assert.deepEqual(rewrite('http://10.0.0.5:8080/app/login?next=1'), { location: '/shop/login?next=1' });
+  assert.equal(rewrite('/app').location, '/shop/');
+  assert.equal(rewrite('https://accounts.example.com/').location, 'https://accounts.example.com/');
+  assert.equal(rewrite('/elsewhere').location, '/elsewhere');
+});
+
+test('cookies of the app never cross the proxy', () => {
+  const settings = resolveProxySettings({ proxy: { upstream: 'http://10.0.0.5:8080' } });
+  const forwarded = cookie => buildProxyRequest(settings, { path: '/', headers: { host: 'app.example.com', cookie } }).headers.cookie;
+  assert.equal(
+    forwarded('connect.sid=s%3Aabc; theme=dark; sl_access_l1=tok; sl_exp_e1=b; cart=42'),
+    'theme=dark; cart=42'
+  );
+  assert.equal(forwarded('connect.sid=s%3Aabc; sl_access_l1=tok'), undefined);
+
+  const response = rewriteProxyResponseHeaders(settings, {
+    'set-cookie': ['connect.sid=evil; Path=/; HttpOnly', 'upstream_session=1; Path=/', 'sl_access_l2=x', 'SL_EXP_e1=a']
+  }, '/px');
+  assert.deepEqual(response['set-cookie'], ['upstream_session=1; Path=/']);
+  assert.equal(rewriteProxyResponseHeaders(settings, { 'set-cookie': ['connect.sid=evil'] }, '/px')['set-cookie'], undefined);
+
+  // Headers set by the landing's own header list are filtered too
+  const custom = resolveProxySettings({
+    proxy: { upstream: 'http://10.0.0.5:8080', responseHeaders: [{ name: 'Set-Cookie', value: 'connect.sid=evil' }] }
+  });
+  assert.equal(rewriteProxyResponseHeaders(custom, {}, '/px')['set-cookie'], undefined);
+});
+
+test('proxyRequest streams requests to the upstream and times out slow ones', async () => {
+  const upstream = await listen((req, res) => {
+    if (req.url.startsWith('/app/slow')) return;
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(req.url === '/app/moved' ? 302 : 200, {
+        location: 'http://' + req.headers.host + '/app/done',
+        'content-type': 'application/json'
+      });
+      res.end(JSON.stringify({ method: req.method, url: req.url, body, host: req.headers.host }));
+    });
+  });
+  const { port } = upstream.address();
+  const settings = resolveProxySettings({ proxy: { upstream: `http://127.0.0.1:${port}/app`, timeout: 1 } });
+  process.env.PROXY_ALLOWED_HOSTS = '127.0.0.1';
+  const errors = [];
+  const app = await listen((req, res) => {
+    const [pathname, query] = req.url.split('?');
+    proxyRequest(req, res, settings, { path: pathname.replace(/^\/shop/, '') || '/', search: query ? '?' + query : '', headers: req.headers, basePath: '/shop' })
+      .catch(error => {
+        errors.push(error);
+        res.writeHead(error.status);
+        res.end();
+      });
+  });
+  const appPort = app.address().port;
+
+  try {
+    const posted = await fetchText(appPort, '/shop/orders?x=1', { method: 'POST', body: 'a=1', headers: { 'content-type': 'text/plain' } });
+    assert.equal(posted.status, 200);
+    assert.deepEqual(JSON.parse(posted.body), { method: 'POST', url: '/app/orders?x=1', body: 'a=1', host: `127.0.0.1:${port}` });
+
+    const moved = await fetchText(appPort, '/shop/moved');
+    assert.equal(moved.status, 302);
+    assert.equal(moved.headers.location, '/shop/done');
+
+    const slow = await fetchText(appPort, '/shop/slow');
+    assert.equal(slow.status, 504);
+    assert.match(errors[0].message, /did not answer within 1s/);
+  } finally {
+    delete process.env.PROXY_ALLOWED_HOSTS;
+    await close(app);
+    await close(upstream);
+  }
+});
+
+test('forwarding landings are served after the session and before the body parsers', () => {
+  // Organization access and the maintenance allowUsers bypass read req.session
+  const server = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  const session = server.indexOf('sessionMiddleware(req, res, next)');
+  const forwarding = server.indexOf('app.use(serveForwardingLandings)');
+  const bodyParser = server.indexOf('app.use(express.json())');
+  assert.ok(session !== -1 && forwarding !== -1 && bodyParser !== -1);
+  assert.ok(session < forwarding, 'the session is loaded before forwarding landings');
+  assert.ok(forwarding < bodyParser, 'forwarding landings get the raw request body');
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDomain, normalizeSlugDomains, splitFirstLabel, buildHostRule } = require('../lib/hosts');
+
+test('normalizeDomain accepts exact and wildcard domains', () => {
+  assert.equal(normalizeDomain(' Example.com '), 'example.com');
+  assert.equal(normalizeDomain('localhost:3000'), 'localhost:3000');
+  assert.equal(normalizeDomain('*.Campaigns.example.com'), '*.campaigns.example.com');
+
+  assert.throws(() => normalizeDomain(''), /non-empty/);
+  assert.throws(() => normalizeDomain('*.com'), /must look like \*\.example\.com/);
+  assert.throws(() => normalizeDomain('a.*.example.com'), /first label/);
+  assert.throws(() => normalizeDomain('**.example.com'), /first label/);
+  assert.throws(() => normalizeDomain('https://example.com'), /not a valid domain/);
+});
+
+test('normalizeSlugDomains validates and dedupes bases', () => {
+  assert.deepEqual(normalizeSlugDomains(undefined), []);
+  assert.deepEqual(normalizeSlugDomains('Pages.example.com\n\npages.example.com, sites.example.com'), ['pages.example.com', 'sites.example.com']);
+  assert.throws(() => normalizeSlugDomains(['*.pages.example.com']), /not a valid domain/);
+  assert.throws(() => normalizeSlugDomains(['localhost']), /not a valid domain/);
+  assert.throws(() => normalizeSlugDomains({}), /must be an array/);
+});
+
+test('splitFirstLabel separates the leftmost label', () => {
+  assert.deepEqual(splitFirstLabel('acme.pages.example.com'), { label: 'acme', base: 'pages.example.com' });
+  assert.equal(splitFirstLabel('localhost'), null);
+});
+
+test('buildHostRule emits Host and HostRegexp rules per Traefik version', () => {
+  const domains = ['example.com', '*.campaigns.example.com'];
+  assert.equal(buildHostRule(domains), 'Host(`example.com`) || HostRegexp(`^[a-z0-9-]+\\.campaigns\\.example\\.com$`)');
+  assert.equal(buildHostRule(domains, 'v2'), 'Host(`example.com`) || HostRegexp(`{subdomain:[a-z0-9-]+}.campaigns.example.com`)');
+});
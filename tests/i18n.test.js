@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeLocaleConfig,
+  getLocaleConfig,
+  getRoutingLocales,
+  splitLocalePrefix,
+  parseAcceptLanguage,
+  negotiateLocale,
+  loadTranslations,
+  createTranslationHelper,
+  buildAlternateLinks
+} = require('../lib/i18n');
+
+function makeLanding({ manifest, translations = {} }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-i18n-'));
+  fs.mkdirSync(path.join(dir, 'locales'));
+  for (const [locale, data] of Object.entries(translations)) {
+    fs.writeFileSync(path.join(dir, 'locales', locale + '.json'), JSON.stringify(data));
+  }
+  if (manifest) fs.writeFileSync(path.join(dir, 'landing.json'), JSON.stringify(manifest));
+  return dir;
+}
+
+test('normalizeLocaleConfig validates codes and the default locale', () => {
+  assert.equal(normalizeLocaleConfig({}), null);
+  assert.deepEqual(normalizeLocaleConfig({ locales: ['de', 'ES'] }), { locales: ['de', 'es'], defaultLocale: 'de' });
+  assert.throws(() => normalizeLocaleConfig({ locales: [] }), /non-empty/);
+  assert.throws(() => normalizeLocaleConfig({ locales: ['../x'] }), /Invalid locale/);
+  assert.throws(() => normalizeLocaleConfig({ locales: ['de'], defaultLocale: 'fr' }), /defaultLocale/);
+});
+
+test('getLocaleConfig prefers the manifest and falls back to translation files', () => {
+  const declared = makeLanding({ manifest: { locales: ['es', 'de'], defaultLocale: 'de' }, translations: { fr: {} } });
+  assert.deepEqual(getLocaleConfig(declared), { locales: ['es', 'de'], defaultLocale: 'de' });
+  const discovered = makeLanding({ translations: { fr: {}, en: {} } });
+  assert.deepEqual(getLocaleConfig(discovered), { locales: ['en', 'fr'], defaultLocale: 'en' });
+  const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-i18n-'));
+  assert.deepEqual(getLocaleConfig(plain), { locales: [], defaultLocale: null });
+});
+
+test('landings without manifest or translations only route the legacy fr and en prefixes', () => {
+  const bilingual = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-i18n-'));
+  fs.writeFileSync(path.join(bilingual, 'index.ejs'), '<html lang="<%= lang %>"></html>');
+  fs.writeFileSync(path.join(bilingual, 'about.ejs'), '');
+  const config = getLocaleConfig(bilingual);
+  const routing = getRoutingLocales(config);
+  assert.deepEqual(routing, ['fr', 'en']);
+  assert.deepEqual(splitLocalePrefix('fr/about', routing), { locale: 'fr', rest: 'about' });
+  assert.deepEqual(splitLocalePrefix('/en', routing), { locale: 'en', rest: '' });
+  assert.deepEqual(splitLocalePrefix('about', routing), { locale: null, rest: 'about' });
+
+  // Not localized: nothing negotiated, no alternates
+  assert.equal(negotiateLocale('en-GB,en;q=0.8', config), null);
+  assert.deepEqual(buildAlternateLinks({ origin: 'https://a.com', basePath: '', page: 'about', locales: config.locales }), []);
+
+  const localized = makeLanding({ translations: { de: {} } });
+  assert.deepEqual(getRoutingLocales(getLocaleConfig(localized)), ['de']);
+});
+
+test('splitLocalePrefix only strips supported locales', () => {
+  assert.deepEqual(splitLocalePrefix('/de/about', ['de', 'es']), { locale: 'de', rest: 'about' });
+  assert.deepEqual(splitLocalePrefix('es', ['de', 'es']), { locale: 'es', rest: '' });
+  assert.deepEqual(splitLocalePrefix('fr/about', ['de', 'es']), { locale: null, rest: 'fr/about' });
+  assert.deepEqual(splitLocalePrefix('dev', ['de']), { locale: null, rest: 'dev' });
+});
+
+test('Accept-Language negotiation honours q-values and primary subtags', () => {
+  assert.deepEqual(parseAcceptLanguage('en;q=0.5, de-CH, de;q=0.9, *;q=0.1'), ['de-ch', 'de', 'en']);
+  const config = { locales: ['fr', 'de', 'pt-br'], defaultLocale: 'fr' };
+  assert.equal(negotiateLocale('de-CH,de;q=0.9', config), 'de');
+  assert.equal(negotiateLocale('pt', config), 'pt-br');
+  assert.equal(negotiateLocale('es,it;q=0.8', config), 'fr');
+  assert.equal(negotiateLocale(undefined, config), 'fr');
+  assert.equal(negotiateLocale('en;q=0', { locales: ['en', 'fr'], defaultLocale: 'fr' }), 'fr');
+});
+
+test('loadTranslations fills missing keys from the default locale', () => {
+  const dir = makeLanding({ translations: { fr: { nav: { home: 'Accueil', blog: 'Blog' }, cta: 'Go' }, de: { nav: { home: 'Startseite' } } } });
+  assert.deepEqual(loadTranslations(dir, 'de', 'fr'), { nav: { home: 'Startseite', blog: 'Blog' }, cta: 'Go' });
+  assert.deepEqual(loadTranslations(dir, null, 'fr'), {});
+});
+
+test('createTranslationHelper resolves dotted keys, placeholders and property access', () => {
+  const t = createTranslationHelper({ nav: { home: 'Home' }, greet: 'Hi {name}', name: 'ignored' });
+  assert.equal(t('nav.home'), 'Home');
+  assert.equal(t('greet', { name: 'Ana' }), 'Hi Ana');
+  assert.equal(t('missing.key'), 'missing.key');
+  assert.equal(t.nav.home, 'Home');
+});
+
+test('buildAlternateLinks lists every locale plus x-default', () => {
+  assert.deepEqual(buildAlternateLinks({ origin: 'https://ex.com', basePath: '', page: 'index', locales: ['de', 'es'] }), [
+    { hreflang: 'de', href: 'https://ex.com/de' },
+    { hreflang: 'es', href: 'https://ex.com/es' },
+    { hreflang: 'x-default', href: 'https://ex.com/' }
+  ]);
+  const links = buildAlternateLinks({ origin: 'https://ex.com', basePath: '/shop', page: 'about', locales: ['de', 'es'] });
+  assert.equal(links[0].href, 'https://ex.com/shop/de/about');
+  assert.equal(links[2].href, 'https://ex.com/shop/about');
+  assert.deepEqual(buildAlternateLinks({ origin: 'https://ex.com', basePath: '', page: 'index', locales: ['de'] }), []);
+});
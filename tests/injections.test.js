@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInjections, resolveInjections, applyInjections } = require('../lib/injections');
+const { pickVersionedConfig, applyVersionedConfig } = require('../lib/versioned-config');
+
+const PAGE = '<html><head><title>x</title></head><body><h1>Hi</h1></body></html>';
+
+test('normalizeInjections validates rules and fills defaults', () => {
+  const [rule] = normalizeInjections([{ html: '<script></script>', domains: ['WWW.Example.com:443', ''] }]);
+  assert.equal(rule.position, 'head');
+  assert.equal(rule.enabled, true);
+  assert.deepEqual(rule.domains, ['www.example.com']);
+  assert.ok(rule.id);
+  assert.throws(() => normalizeInjections({}), /array/);
+  assert.throws(() => normalizeInjections([{ html: ' ' }]), /html is required/);
+  assert.throws(() => normalizeInjections([{ html: 'x', position: 'footer' }]), /position/);
+});
+
+test('resolveInjections orders instance, organization then landing rules and filters by host', () => {
+  const prev = process.env.INJECT_HEAD_HTML;
+  process.env.INJECT_HEAD_HTML = '<!--instance-->';
+  try {
+    const organization = { injections: [{ html: '<!--org-->', domains: [] }] };
+    const landing = {
+      injections: [
+        { html: '<!--landing-->', domains: [] },
+        { html: '<!--scoped-->', domains: ['promo.example.com'] },
+        { html: '<!--off-->', domains: [], enabled: false }
+      ]
+    };
+    const html = rules => rules.map(r => r.html);
+    assert.deepEqual(html(resolveInjections({ landing, organization, host: 'example.com' })), ['<!--instance-->', '<!--org-->', '<!--landing-->']);
+    assert.deepEqual(html(resolveInjections({ landing, host: 'PROMO.example.com:8080' })), ['<!--instance-->', '<!--landing-->', '<!--scoped-->']);
+  } finally {
+    if (prev === undefined) delete process.env.INJECT_HEAD_HTML;
+    else process.env.INJECT_HEAD_HTML = prev;
+  }
+});
+
+test('applyInjections places head and body snippets', () => {
+  const out = applyInjections(PAGE, [
+    { position: 'head', html: '<script src="/a.js"></script>' },
+    { position: 'body', html: '<div id="chat"></div>' }
+  ]);
+  assert.match(out, /<script src="\/a.js"><\/script><\/head>/);
+  assert.match(out, /<div id="chat"><\/div><\/body>/);
+  assert.equal(applyInjections('<p>frag</p>', [{ position: 'head', html: '<x>' }, { position: 'body', html: '<y>' }]), '<p>frag</p><y>');
+});
+
+test('applyInjections skips snippets whose src is already in the page', () => {
+  const page = PAGE.replace('</head>', '<script src="https://cdn.example/t.js"></script></head>');
+  assert.equal(applyInjections(page, [{ position: 'head', html: '<script src="https://cdn.example/t.js"></script>' }]), page);
+});
+
+test('versioned config snapshots and restores injection rules', () => {
+  const landing = { id: '1', injections: [{ html: '<a>' }], cachePolicy: { htmlMaxAge: 5 } };
+  const config = pickVersionedConfig(landing);
+  assert.deepEqual(config, { injections: [{ html: '<a>' }] });
+  landing.injections[0].html = '<b>';
+  assert.equal(config.injections[0].html, '<a>');
+
+  applyVersionedConfig(landing, config);
+  assert.equal(landing.injections[0].html, '<a>');
+  applyVersionedConfig(landing, {});
+  assert.equal(landing.injections, undefined);
+  landing.injections = [];
+  applyVersionedConfig(landing, undefined);
+  assert.deepEqual(landing.injections, []);
+});
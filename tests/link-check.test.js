@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SHARED_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-check-shared-'));
+
+const { isLinkCheckable, extractReferences, checkLandingLinks } = require('../lib/link-check');
+const { writeLibraryFile } = require('../lib/shared-library');
+
+function makeLanding(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-check-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('references are extracted with their line numbers', () => {
+  const html = [
+    '<link rel="stylesheet" href="css/site.css">',
+    '<!-- <img src="old.png"> -->',
+    '<img src="a.png" srcset="a@2x.png 2x, /a@3x.png 3x">',
+    '<a href="https://example.com">x</a> <a href="#top">top</a> <a href="mailto:a@b.c">m</a>',
+    '<script>const el = \'<img src="inline.png">\';</script>',
+    '<div style="background: url(\'bg.jpg\')"></div>'
+  ].join('\n');
+  assert.deepEqual(extractReferences(html, 'html'), [
+    { ref: 'css/site.css', line: 1 },
+    { ref: 'a.png', line: 3 },
+    { ref: 'a@2x.png', line: 3 },
+    { ref: '/a@3x.png', line: 3 },
+    { ref: 'bg.jpg', line: 6 }
+  ]);
+
+  const ejs = '<a href="<%= base %>/about">a</a>\n<a href="/contact?x=1">c</a>\n<img src="{{utm_source}}.png">';
+  assert.deepEqual(extractReferences(ejs, 'ejs'), [{ ref: '/contact?x=1', line: 2 }]);
+
+  const css = '/* url(old.png) */\n@import "base.css";\nbody { background: url(img/bg.png) }';
+  assert.deepEqual(extractReferences(css, 'css'), [
+    { ref: 'img/bg.png', line: 3 },
+    { ref: 'base.css', line: 2 }
+  ]);
+});
+
+test('static landings flag missing files, stale slug prefixes and escapes', () => {
+  const dir = makeLanding({
+    'index.html': [
+      '<img src="img/logo.png"><img src="img/missing.png">',
+      '<a href="/shop/pricing.html">p</a> <a href="/old-shop/pricing.html">o</a>',
+      '<a href="/other/page">x</a> <a href="../secret.txt">s</a> <a href="./">home</a>',
+      '<form action="/_forms/contact"></form> <a href="/go">go</a>'
+    ].join('\n'),
+    'pricing.html': '<a href="index.html">home</a>',
+    'img/logo.png': 'png',
+    'css/site.css': 'body { background: url(../img/logo.png) } h1 { background: url("../img/nope.png") }'
+  });
+  const landing = { slug: 'shop', type: 'static', redirects: [{ from: '/go', to: '/pricing.html', status: 301 }] };
+  const report = checkLandingLinks(landing, dir, { knownSlugs: ['shop', 'other'] });
+
+  assert.equal(report.files, 3);
+  assert.equal(report.references, 12);
+  assert.equal(report.truncated, false);
+  assert.deepEqual(report.broken, [
+    { file: 'css/site.css', line: 1, ref: '../img/nope.png', reason: 'Not found' },
+    { file: 'index.html', line: 1, ref: 'img/missing.png', reason: 'Not found' },
+    { file: 'index.html', line: 2, ref: '/old-shop/pricing.html', reason: 'Points to /old-shop/ instead of /shop/' },
+    { file: 'index.html', line: 3, ref: '../secret.txt', reason: 'Points outside the landing' }
+  ]);
+
+  // Client-side routes are served by the SPA fallback
+  const spaDir = makeLanding({ 'index.html': '<a href="/dashboard">d</a> <script src="/app.js"></script>' });
+  const spa = checkLandingLinks({ slug: 'app', type: 'virtual', spa: { enabled: true } }, spaDir);
+  assert.deepEqual(spa.broken.map(b => b.ref), ['/app.js']);
+});
+
+test('EJS landings resolve pages, locales, manifest routes and shared assets', () => {
+  writeLibraryFile('org-links', 'img/logo.svg', '<svg></svg>');
+  const dir = makeLanding({
+    'index.ejs': [
+      '<a href="about">a</a> <a href="/de/about">de</a> <a href="/news">n</a> <a href="/blog/hello">post</a>',
+      '<a href="contact">c</a> <img src="_shared/img/logo.svg"> <img src="_shared/img/gone.svg">'
+    ].join('\n'),
+    'about.ejs': '<%- include(\'partials/header\') %>',
+    'post.ejs': '',
+    'partials/header.ejs': '<link href="css/site.css" rel="stylesheet">',
+    'css/site.css': '',
+    'locales/de.json': '{}',
+    'locales/en.json': '{}',
+    'landing.json': JSON.stringify({ routes: [{ path: 'news', template: 'post' }] })
+  });
+  const report = checkLandingLinks({ slug: 'site', type: 'ejs', organizationId: 'org-links' }, dir);
+  assert.deepEqual(report.broken.map(b => [b.ref, b.reason]), [
+    ['/blog/hello', 'Page not found'],
+    ['contact', 'Page not found'],
+    ['_shared/img/gone.svg', 'Shared asset not found']
+  ]);
+
+  assert.equal(isLinkCheckable({ type: 'ejs' }), true);
+  assert.equal(isLinkCheckable({ type: 'markdown' }), false);
+  assert.equal(checkLandingLinks({ slug: 'gone', type: 'static' }, path.join(dir, 'missing')).files, 0);
+});
+
+test('large files are scanned in linear time', () => {
+  const lines = [];
+  for (let i = 0; i < 20000; i++) lines.push(`<p>Item ${i}</p><a href="page-${i % 50}.html">link</a> <img src="img/${i}.png">`);
+  const content = lines.join('\n');
+  assert.ok(content.length > 1024 * 1024);
+
+  const started = Date.now();
+  const refs = extractReferences(content, 'html');
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+  assert.equal(refs.length, 40000);
+  assert.deepEqual(refs[39999], { ref: 'img/19999.png', line: 20000 });
+  assert.deepEqual(refs[0], { ref: 'page-0.html', line: 1 });
+});
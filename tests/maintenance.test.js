@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RETRY_AFTER,
+  normalizeMaintenance,
+  resolveMaintenance,
+  activeMaintenance,
+  isIpAllowed,
+  renderMaintenancePage,
+  describeMaintenance
+} = require('../lib/maintenance');
+const { buildRoutingIndex } = require('../lib/routing-index');
+
+test('normalizeMaintenance validates the page, Retry-After and allowlist', () => {
+  assert.deepEqual(normalizeMaintenance({}), { enabled: false, title: '', message: '', retryAfter: DEFAULT_RETRY_AFTER, allowIps: [], allowUsers: false });
+  assert.deepEqual(
+    normalizeMaintenance({ enabled: true, title: ' Back soon ', retryAfter: '600', allowIps: '203.0.113.7\n\n10.0.0.0/8, ::1', allowUsers: true }),
+    { enabled: true, title: 'Back soon', message: '', retryAfter: 600, allowIps: ['203.0.113.7', '10.0.0.0/8', '::1'], allowUsers: true }
+  );
+
+  assert.throws(() => normalizeMaintenance({ enabled: 'yes' }), /enabled must be a boolean/);
+  assert.throws(() => normalizeMaintenance({ retryAfter: 0 }), /retryAfter must be between/);
+  assert.throws(() => normalizeMaintenance({ retryAfter: 1.5 }), /retryAfter must be between/);
+  assert.throws(() => normalizeMaintenance({ allowIps: ['example.com'] }), /not an IP address/);
+  assert.throws(() => normalizeMaintenance({ allowIps: ['10.0.0.0/33'] }), /not an IP address/);
+  assert.throws(() => normalizeMaintenance({ message: 'x'.repeat(2001) }), /Message must be/);
+});
+
+test('activeMaintenance lists enabled scopes from the widest', () => {
+  const on = { maintenance: { enabled: true, retryAfter: 60 } };
+  assert.deepEqual(activeMaintenance({ instance: {}, organization: null, landing: {} }), []);
+  assert.deepEqual(activeMaintenance({ instance: on, organization: { maintenance: { enabled: false } }, landing: on }).map(s => s.scope), ['instance', 'landing']);
+  assert.equal(activeMaintenance({ landing: on })[0].settings.retryAfter, 60);
+  assert.equal(resolveMaintenance({}).retryAfter, DEFAULT_RETRY_AFTER);
+});
+
+test('isIpAllowed matches addresses and IPv4 ranges', () => {
+  const allow = ['203.0.113.7', '10.1.0.0/16', '2001:db8::1'];
+  assert.equal(isIpAllowed('203.0.113.7', allow), true);
+  assert.equal(isIpAllowed('::ffff:203.0.113.7', allow), true);
+  assert.equal(isIpAllowed('10.1.200.3', allow), true);
+  assert.equal(isIpAllowed('10.2.0.1', allow), false);
+  assert.equal(isIpAllowed('2001:DB8::1', allow), true);
+  assert.equal(isIpAllowed('203.0.113.8', allow), false);
+  assert.equal(isIpAllowed('1.2.3.4', ['0.0.0.0/0']), true);
+  assert.equal(isIpAllowed(undefined, allow), false);
+});
+
+test('renderMaintenancePage escapes the configured text', () => {
+  const page = renderMaintenancePage({ title: '<Upgrade>', message: 'Line 1\nLine 2' });
+  assert.match(page, /<title>&lt;Upgrade&gt;<\/title>/);
+  assert.match(page, /Line 1<br>Line 2/);
+  assert.match(renderMaintenancePage({}), /Down for maintenance/);
+  assert.equal(describeMaintenance({ enabled: true }, 'organization Acme'), 'Maintenance mode on for organization Acme');
+});
+
+test('the routing index carries instance-wide settings', () => {
+  const maintenance = { enabled: true };
+  assert.deepEqual(buildRoutingIndex([], [], { maintenance }).instance, { maintenance });
+  assert.deepEqual(buildRoutingIndex([]).instance, {});
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeMarkdownSettings,
+  resolveMarkdownSettings,
+  normalizeMarkdownFiles,
+  parseFrontMatter,
+  highlightCode,
+  renderMarkdown,
+  renderToc,
+  findMarkdownFile,
+  listMarkdownPages,
+  renderMarkdownFile
+} = require('../lib/markdown');
+
+test('normalizeMarkdownSettings and normalizeMarkdownFiles validate admin input', () => {
+  assert.deepEqual(normalizeMarkdownSettings({}), { layout: 'docs', toc: true, highlight: true });
+  assert.deepEqual(normalizeMarkdownSettings({ layout: 'plain', toc: false }), { layout: 'plain', toc: false, highlight: true });
+  assert.throws(() => normalizeMarkdownSettings({ layout: 'wiki' }), /layout must be one of/);
+  assert.throws(() => normalizeMarkdownSettings({ toc: 'no' }), /toc must be a boolean/);
+  assert.deepEqual(resolveMarkdownSettings({ markdown: { layout: 'bogus', highlight: false } }), { layout: 'docs', toc: true, highlight: false });
+
+  const files = normalizeMarkdownFiles([{ path: '/index.md', content: '# Hi' }, { path: 'docs/setup.md', content: '' }, { path: '_layout.ejs', content: '' }]);
+  assert.deepEqual(files.map(f => f.path), ['index.md', 'docs/setup.md', '_layout.ejs']);
+  assert.throws(() => normalizeMarkdownFiles([{ path: 'about.md', content: '' }]), /needs an index\.md/);
+  assert.throws(() => normalizeMarkdownFiles([{ path: 'index.md', content: '' }, { path: '../x.md', content: '' }]), /must be a \.md file/);
+  assert.throws(() => normalizeMarkdownFiles([{ path: 'index.md', content: '' }, { path: 'INDEX.md', content: '' }]), /listed twice/);
+});
+
+test('parseFrontMatter reads flat key/value pairs', () => {
+  const { data, body } = parseFrontMatter('---\ntitle: "Terms: 2024"\norder: 2\ntoc: false\ntags: [a, b]\n---\n# Body\n');
+  assert.deepEqual(data, { title: 'Terms: 2024', order: 2, toc: false, tags: ['a', 'b'] });
+  assert.equal(body, '# Body\n');
+  assert.deepEqual(parseFrontMatter('# No front-matter').data, {});
+});
+
+test('renderMarkdown renders blocks, inline markup and safe links', () => {
+  const { html, headings } = renderMarkdown([
+    '# Guide',
+    '',
+    'Some **bold**, *em*, ~~old~~ and `code` with a [link](setup.md#install) and [bad](JavaScript:evil).',
+    '',
+    '## Install',
+    '',
+    '- [x] done',
+    '- [ ] todo',
+    '',
+    '1. one',
+    '2. two',
+    '',
+    '| A | B |',
+    '|---|--:|',
+    '| 1 | 2 |',
+    '',
+    '> quoted',
+    '',
+    '## Install'
+  ].join('\n'));
+  assert.match(html, /<h1 id="guide">Guide<\/h1>/);
+  assert.match(html, /<strong>bold<\/strong>, <em>em<\/em>, <del>old<\/del> and <code>code<\/code>/);
+  assert.match(html, /<a href="setup#install">link<\/a>/);
+  assert.match(html, /<a href="#">bad<\/a>/);
+  assert.match(html, /<input type="checkbox" disabled checked> done/);
+  assert.match(html, /<ol>\s*<li>one<\/li>/);
+  assert.match(html, /<td style="text-align:right">2<\/td>/);
+  assert.match(html, /<blockquote>\s*<p>quoted<\/p>/);
+  assert.deepEqual(headings.map(h => h.id), ['guide', 'install', 'install-1']);
+
+  const nested = renderMarkdown('[up](../index.md) [same](setup.md#a) ![logo](img/logo.png) [top](/x) [anchor](#b)', { baseUrl: '/docs/guides/' }).html;
+  assert.match(nested, /href="\/docs\/".*href="\/docs\/guides\/setup#a".*src="\/docs\/guides\/img\/logo.png".*href="\/x".*href="#b"/);
+});
+
+test('fenced code blocks are highlighted and escaped', () => {
+  const { html } = renderMarkdown('```js\nconst a = "<b>"; // note\n```');
+  assert.match(html, /<pre><code class="language-js">/);
+  assert.match(html, /<span class="hl-keyword">const<\/span>/);
+  assert.match(html, /<span class="hl-string">&quot;&lt;b&gt;&quot;<\/span>/);
+  assert.match(html, /<span class="hl-comment">\/\/ note<\/span>/);
+  assert.doesNotMatch(renderMarkdown('```js\nconst a = 1;\n```', { highlight: false }).html, /hl-/);
+  assert.equal(highlightCode('<x>', 'unknown'), '&lt;x&gt;');
+});
+
+test('renderToc nests headings and skips pages with fewer than two entries', () => {
+  const toc = renderToc([
+    { level: 1, id: 'title', text: 'Title' },
+    { level: 2, id: 'a', text: 'A' },
+    { level: 3, id: 'a1', text: 'A & 1' },
+    { level: 2, id: 'b', text: 'B' }
+  ]);
+  assert.equal(toc, '<nav class="toc"><ul><li><a href="#a">A</a><ul><li><a href="#a1">A &amp; 1</a></li></ul></li><li><a href="#b">B</a></li></ul></nav>');
+  assert.equal(renderToc([{ level: 2, id: 'a', text: 'A' }]), '');
+});
+
+test('pages map to clean URLs and render with front-matter overrides', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(path.join(dir, 'index.md'), '# Home\n\n## A\n\n## B\n');
+    fs.writeFileSync(path.join(dir, 'about.md'), '---\ntitle: About us\norder: 1\ntoc: false\nlayout: article\n---\n## A\n\n## B\n');
+    fs.writeFileSync(path.join(dir, 'docs', 'index.md'), '# Docs\n');
+    fs.writeFileSync(path.join(dir, '_draft.md'), '# Draft\n');
+
+    assert.equal(findMarkdownFile(dir, '/'), 'index.md');
+    assert.equal(findMarkdownFile(dir, '/about/'), 'about.md');
+    assert.equal(findMarkdownFile(dir, '/docs'), 'docs/index.md');
+    assert.equal(findMarkdownFile(dir, '/../index'), null);
+    assert.equal(findMarkdownFile(dir, '/missing'), null);
+
+    assert.deepEqual(listMarkdownPages(dir).map(p => [p.path, p.title]), [['/about', 'About us'], ['/', 'Home'], ['/docs', 'Docs']]);
+
+    const settings = resolveMarkdownSettings({});
+    const home = renderMarkdownFile(dir, 'index.md', settings);
+    assert.equal(home.title, 'Home');
+    assert.equal(home.layout, 'docs');
+    assert.match(home.toc, /href="#a"/);
+    const about = renderMarkdownFile(dir, 'about.md', { ...settings, layout: 'custom' });
+    assert.equal(about.layout, 'article');
+    assert.equal(about.toc, '');
+    assert.equal(renderMarkdownFile(dir, 'docs/index.md', { ...settings, layout: 'custom' }).layout, 'docs');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
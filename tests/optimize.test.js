@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_OPTIMIZE_SETTINGS,
+  normalizeOptimizeSettings,
+  resolveOptimizeSettings,
+  minifyCss,
+  minifyJs,
+  minifyHtml,
+  bundleKey,
+  optimizeBundle
+} = require('../lib/optimize');
+
+function makeBundle(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-'));
+  const sourceDir = path.join(dir, 'src');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, file), content);
+  }
+  return { sourceDir, outDir: path.join(dir, 'out') };
+}
+
+test('optimization settings are normalized and only apply to file-based landings', () => {
+  assert.deepEqual(normalizeOptimizeSettings({ enabled: true, fingerprint: false }), {
+    ...DEFAULT_OPTIMIZE_SETTINGS,
+    enabled: true,
+    fingerprint: false
+  });
+  assert.throws(() => normalizeOptimizeSettings({ minify: 'yes' }), /minify must be a boolean/);
+  assert.throws(() => normalizeOptimizeSettings([]), /must be an object/);
+
+  assert.equal(resolveOptimizeSettings({ type: 'static', optimize: { enabled: true } }).enabled, true);
+  assert.equal(resolveOptimizeSettings({ type: 'ejs', optimize: { enabled: true } }).enabled, false);
+  assert.deepEqual(resolveOptimizeSettings({ type: 'html' }), DEFAULT_OPTIMIZE_SETTINGS);
+});
+
+test('minifiers drop comments and whitespace but keep strings, regexes and pre blocks', () => {
+  assert.equal(
+    minifyCss('/* c */\n.a > .b , .c {\n  margin: 0 auto;\n  content: "a  ;  b";\n}\n/*! license */'),
+    '.a>.b,.c{margin:0 auto;content:"a  ;  b"}/*! license */'
+  );
+  assert.equal(
+    minifyJs('// c\nconst a = 1 ;\nconst s = \'a // b\' + `t /* x */`;\nconst r = x.split(/,\\s*/); // split'),
+    'const a=1;\nconst s=\'a // b\' + `t /* x */`;\nconst r=x.split(/,\\s*/);'
+  );
+  assert.equal(
+    minifyHtml('<!-- c -->\n<p   class="a"\n   title="a  > b">  Hello   world </p>\n<pre>  a\n b </pre>\n<style>\n body { color: red; }\n</style>'),
+    '<p class="a" title="a  > b"> Hello world </p> <pre>  a\n b </pre> <style>body{color:red}</style>'
+  );
+});
+
+test('bundles are minified, fingerprinted and get small stylesheets inlined', async () => {
+  const { sourceDir, outDir } = makeBundle({
+    'index.html': [
+      '<link rel="stylesheet" href="css/site.css">',
+      '<script src="/shop/js/app.js"></script>',
+      '<img src="img/logo.png" srcset="img/logo.png 1x, https://cdn.example.com/a.png 2x">'
+    ].join('\n'),
+    'css/site.css': 'body {\n  background: url(../img/logo.png);\n}',
+    'js/app.js': '// app\nconsole.log( "hi" );',
+    'img/logo.png': 'png'
+  });
+  const stats = await optimizeBundle(sourceDir, outDir, { ...DEFAULT_OPTIMIZE_SETTINGS, enabled: true }, { slug: 'shop' });
+
+  const files = fs.readdirSync(path.join(outDir, 'img'));
+  const hashed = files.find(file => file !== 'logo.png');
+  assert.match(hashed, /^logo\.[0-9a-f]{10}\.png$/);
+  assert.deepEqual(files.sort(), [hashed, 'logo.png'].sort());
+
+  const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+  assert.ok(html.includes(`<style>body{background:url(img/${hashed})}</style>`));
+  assert.match(html, /<script src="\/shop\/js\/app\.[0-9a-f]{10}\.js"><\/script>/);
+  assert.ok(html.includes(`src="img/${hashed}" srcset="img/${hashed} 1x, https://cdn.example.com/a.png 2x"`));
+  assert.equal(fs.readFileSync(path.join(outDir, 'js/app.js'), 'utf8'), 'console.log("hi");');
+
+  // Sources stay untouched
+  assert.equal(fs.readFileSync(path.join(sourceDir, 'js/app.js'), 'utf8'), '// app\nconsole.log( "hi" );');
+  assert.equal(stats.files, 4);
+  assert.equal(stats.inlinedStylesheets, 1);
+  assert.equal(stats.fingerprinted, 3);
+});
+
+test('disabled steps leave the bundle as uploaded', async () => {
+  const source = '<link rel="stylesheet" href="site.css">\n<!-- keep -->';
+  const { sourceDir, outDir } = makeBundle({ 'index.html': source, 'site.css': 'a { color: red; }' });
+  const stats = await optimizeBundle(sourceDir, outDir, { enabled: true, minify: false, inlineCss: false, fingerprint: false });
+  assert.equal(fs.readFileSync(path.join(outDir, 'index.html'), 'utf8'), source);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['index.html', 'site.css']);
+  assert.equal(stats.bytesAfter, stats.bytesBefore);
+});
+
+test('build keys change with the files and settings only', async () => {
+  const settings = { ...DEFAULT_OPTIMIZE_SETTINGS, enabled: true };
+  const first = makeBundle({ 'index.html': '<p>a</p>', 'css/site.css': 'a {}' });
+  const same = makeBundle({ 'css/site.css': 'a {}', 'index.html': '<p>a</p>' });
+  const key = await bundleKey(first.sourceDir, settings);
+
+  assert.match(key, /^[0-9a-f]{20}$/);
+  assert.equal(await bundleKey(same.sourceDir, settings), key);
+  assert.notEqual(await bundleKey(first.sourceDir, { ...settings, minify: false }), key);
+  fs.writeFileSync(path.join(same.sourceDir, 'css/site.css'), 'b {}');
+  assert.notEqual(await bundleKey(same.sourceDir, settings), key);
+});
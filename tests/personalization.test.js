@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePersonalization,
+  resolvePersonalization,
+  buildPersonalizationLocals,
+  applyPersonalization
+} = require('../lib/personalization');
+const { MAX_TESTED_LENGTH } = require('../lib/safe-regex');
+
+const rules = normalizePersonalization([
+  {
+    name: 'Shoes',
+    conditions: [{ param: 'utm_term', operator: 'contains', value: 'Shoe' }],
+    changes: [
+      { slot: 'headline', value: 'Shoes for {{utm_term}}' },
+      { slot: 'cta', attribute: 'href', value: '/buy?kw={{utm_term}}' }
+    ]
+  },
+  {
+    name: 'Facebook',
+    match: 'any',
+    conditions: [{ param: 'utm_source', value: 'facebook' }, { param: 'fbclid', operator: 'exists' }],
+    changes: [{ slot: 'headline', value: 'Hello Facebook' }, { slot: 'cta', value: 'Join' }]
+  }
+]);
+
+test('normalizePersonalization validates rules from the admin', () => {
+  assert.equal(rules[0].match, 'all');
+  assert.equal(rules[0].enabled, true);
+  assert.deepEqual(rules[1].conditions[1], { param: 'fbclid', operator: 'exists', value: '' });
+  assert.throws(() => normalizePersonalization({}), /must be an array/);
+  assert.throws(() => normalizePersonalization([{ conditions: [], changes: [{ slot: 'a', value: '' }] }]), /Rule 1: at least one condition/);
+  assert.throws(() => normalizePersonalization([{ conditions: [{ param: 'q', operator: 'matches', value: '(' }], changes: [{ slot: 'a', value: '' }] }]), /invalid pattern/);
+  assert.throws(() => normalizePersonalization([{ conditions: [{ param: 'q', operator: 'matches', value: '^(a+)+$' }], changes: [{ slot: 'a', value: '' }] }]), /unsafe pattern \(nested quantifiers/);
+  assert.throws(() => normalizePersonalization([{ conditions: [{ param: 'q', value: 'x' }], changes: [{ slot: 'a b', value: '' }] }]), /slot may contain/);
+  assert.throws(() => normalizePersonalization([{ conditions: [{ param: 'q', value: 'x' }], changes: [{ slot: 'a', attribute: 'data-personalize', value: '' }] }]), /invalid attribute/);
+});
+
+test('matches conditions ignore overlong values', () => {
+  const [rule] = normalizePersonalization([{ conditions: [{ param: 'q', operator: 'matches', value: '^[a-z]+$' }], changes: [{ slot: 'a', value: 'x' }] }]);
+  assert.ok(resolvePersonalization([rule], { q: 'abc' }));
+  assert.equal(resolvePersonalization([rule], { q: 'a'.repeat(MAX_TESTED_LENGTH + 1) }), null);
+  // Rules saved before patterns were checked never match
+  const legacy = { ...rule, conditions: [{ param: 'q', operator: 'matches', value: '^(a+)+$' }] };
+  assert.equal(resolvePersonalization([legacy], { q: 'a'.repeat(30) + 'b' }), null);
+});
+
+test('resolvePersonalization applies matching rules, the first one winning per slot', () => {
+  assert.equal(resolvePersonalization(rules, { utm_term: 'hats' }), null);
+  assert.equal(resolvePersonalization([], { utm_term: 'shoes' }), null);
+
+  const resolved = resolvePersonalization(rules, { utm_term: ['red SHOES"><script>', 'x'], fbclid: 'abc' });
+  assert.deepEqual(resolved.rules.map(rule => rule.name), ['Shoes', 'Facebook']);
+  assert.deepEqual(resolved.changes, [
+    { slot: 'headline', attribute: '', value: 'Shoes for red SHOES&quot;&gt;&lt;script&gt;' },
+    { slot: 'cta', attribute: 'href', value: '/buy?kw=red%20SHOES%22%3E%3Cscript%3E' },
+    { slot: 'cta', attribute: '', value: 'Join' }
+  ]);
+  assert.equal(resolvePersonalization([{ ...rules[1], enabled: false }], { fbclid: '1' }), null);
+});
+
+test('applyPersonalization rewrites slot contents and attributes', () => {
+  const html = '<h1 class="hero" data-personalize="headline">Default <b>title</b></h1>'
+    + '<div data-personalize="cta"><div>x</div></div>'
+    + '<a title="a > b" data-personalize="cta" href="/buy">Buy <span>now</span></a>'
+    + '<img data-personalize="cta" src="/a.png"/><p data-personalize="other">Keep</p>';
+  const { changes } = resolvePersonalization(rules, { utm_term: 'shoes', utm_source: 'facebook' });
+  assert.equal(
+    applyPersonalization(html, changes),
+    '<h1 class="hero" data-personalize="headline">Shoes for shoes</h1>'
+    + '<div data-personalize="cta" href="/buy?kw=shoes">Join</div>'
+    + '<a title="a > b" data-personalize="cta" href="/buy?kw=shoes">Join</a>'
+    + '<img data-personalize="cta" src="/a.png" href="/buy?kw=shoes"/><p data-personalize="other">Keep</p>'
+  );
+  assert.equal(applyPersonalization(html, []), html);
+});
+
+test('buildPersonalizationLocals exposes slots and utm values to EJS', () => {
+  const query = { utm_term: 'shoes', utm_campaign: 'spring' };
+  const { personalization, utm } = buildPersonalizationLocals(resolvePersonalization(rules, query), query);
+  assert.deepEqual(personalization.rules, ['Shoes']);
+  assert.equal(personalization.slot('headline', 'Default'), 'Shoes for shoes');
+  assert.equal(personalization.slot('cta', 'Buy'), 'Buy');
+  assert.deepEqual(utm, { source: '', medium: '', campaign: 'spring', term: 'shoes', content: '' });
+  assert.deepEqual(buildPersonalizationLocals(null, {}).personalization.slots, {});
+});
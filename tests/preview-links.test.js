@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TTL_HOURS,
+  normalizePreviewLinkInput,
+  createPreviewLink,
+  activePreviewLinks,
+  signPreviewToken,
+  parsePreviewToken,
+  findPreviewLink,
+  getPreviewUrl
+} = require('../lib/preview-links');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+test('normalizePreviewLinkInput validates the version, expiry and label', () => {
+  assert.deepEqual(normalizePreviewLinkInput({ versionId: 'v1' }, ['v1']), { versionId: 'v1', expiresInHours: DEFAULT_TTL_HOURS, label: '' });
+  assert.deepEqual(normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: '24', label: ' Client ' }, ['v1']), { versionId: 'v1', expiresInHours: 24, label: 'Client' });
+
+  assert.throws(() => normalizePreviewLinkInput({ versionId: 'v2' }, ['v1']), /Unknown version/);
+  assert.throws(() => normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: 0 }, ['v1']), /Expiry must be between/);
+  assert.throws(() => normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: 0.01 }, ['v1']), /Expiry must be between 1 and/);
+  assert.equal(normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: 1 }, ['v1']).expiresInHours, 1);
+  assert.equal(normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: 720 }, ['v1']).expiresInHours, 720);
+  assert.throws(() => normalizePreviewLinkInput({ versionId: 'v1', expiresInHours: 10000 }, ['v1']), /Expiry must be between/);
+  assert.throws(() => normalizePreviewLinkInput({ versionId: 'v1', label: 'x'.repeat(101) }, ['v1']), /Label must be/);
+});
+
+test('tokens open their link until it expires or is revoked', () => {
+  const link = createPreviewLink({ versionId: 'v1', expiresInHours: 2, label: '' }, { createdBy: 'ann@example.com', now: NOW });
+  assert.equal(link.expiresAt, new Date(NOW + 2 * HOUR).toISOString());
+  const landing = { id: '123', previewLinks: [link] };
+  const token = signPreviewToken(landing.id, link, SECRET);
+
+  assert.equal(getPreviewUrl(token), `/_preview/${token}/`);
+  assert.deepEqual(parsePreviewToken(token), { landingId: '123', linkId: link.id, sig: token.split('.')[2] });
+  assert.equal(findPreviewLink(landing, token, { secret: SECRET, now: NOW + HOUR }), link);
+
+  assert.equal(findPreviewLink(landing, token, { secret: SECRET, now: NOW + 3 * HOUR }), null);
+  assert.equal(findPreviewLink(landing, token, { secret: 'other', now: NOW + HOUR }), null);
+  assert.equal(findPreviewLink({ ...landing, previewLinks: [] }, token, { secret: SECRET, now: NOW + HOUR }), null);
+  assert.equal(findPreviewLink({ ...landing, id: '456' }, token, { secret: SECRET, now: NOW + HOUR }), null);
+});
+
+test('the signature binds the link to its version and expiry', () => {
+  const link = createPreviewLink({ versionId: 'v1', expiresInHours: 2, label: '' }, { now: NOW });
+  const token = signPreviewToken('123', link, SECRET);
+  const moved = { id: '123', previewLinks: [{ ...link, versionId: 'v2' }] };
+  const extended = { id: '123', previewLinks: [{ ...link, expiresAt: new Date(NOW + 100 * HOUR).toISOString() }] };
+  assert.equal(findPreviewLink(moved, token, { secret: SECRET, now: NOW }), null);
+  assert.equal(findPreviewLink(extended, token, { secret: SECRET, now: NOW }), null);
+
+  assert.equal(parsePreviewToken('a.b'), null);
+  assert.equal(parsePreviewToken('a.b/../c.d'), null);
+});
+
+test('activePreviewLinks drops expired links', () => {
+  const fresh = createPreviewLink({ versionId: 'v1', expiresInHours: 2, label: '' }, { now: NOW });
+  const stale = createPreviewLink({ versionId: 'v1', expiresInHours: 1, label: '' }, { now: NOW - 2 * HOUR });
+  assert.deepEqual(activePreviewLinks({ previewLinks: [fresh, stale] }, NOW), [fresh]);
+  assert.deepEqual(activePreviewLinks({}, NOW), []);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRedirects, parseRedirectsFile, matchRedirect } = require('../lib/redirects');
+
+test('normalizeRedirects validates rules and applies defaults', () => {
+  const [rule] = normalizeRedirects([{ from: ' /old ', to: '/new' }]);
+  assert.deepEqual(rule, { from: '/old', to: '/new', status: 301, query: {}, enabled: true });
+
+  assert.throws(() => normalizeRedirects({}), /must be an array/);
+  assert.throws(() => normalizeRedirects([{ from: 'old', to: '/new' }]), /Redirect 1: from must be a path/);
+  assert.throws(() => normalizeRedirects([{ from: '/a*', to: '/b' }]), /final \/\* segment/);
+  assert.throws(() => normalizeRedirects([{ from: '/a', to: 'ftp://x' }]), /to must be a path/);
+  assert.throws(() => normalizeRedirects([{ from: '/a', to: '/b', status: 404 }]), /status must be one of/);
+  assert.throws(() => normalizeRedirects([{ from: '/a', to: 'https://x.com', status: 200 }]), /rewrites \(200\) must target a path/);
+});
+
+test('normalizeRedirects accepts the content of a _redirects file', () => {
+  const rules = normalizeRedirects({ text: '/a /b 302\n' });
+  assert.equal(rules[0].status, 302);
+  assert.throws(() => normalizeRedirects({ text: '/a\n' }), /Line 1: missing destination/);
+});
+
+test('parseRedirectsFile reads rules, query conditions and comments', () => {
+  const { rules, errors } = parseRedirectsFile([
+    '# Moved pages',
+    '/old-page   /new-page',
+    '/store id=:id  ref=ad   /products/:id   302!',
+    '/go  https://example.com/landing  # external',
+    '',
+    '/bad',
+    '/country /x 301 Country=us'
+  ].join('\n'));
+
+  assert.deepEqual(rules.map(r => [r.from, r.to, r.status]), [
+    ['/old-page', '/new-page', 301],
+    ['/store', '/products/:id', 302],
+    ['/go', 'https://example.com/landing', 301]
+  ]);
+  assert.deepEqual(rules[1].query, { id: ':id', ref: 'ad' });
+  assert.deepEqual(errors.map(e => e.line), [6, 7]);
+  assert.match(errors[1].message, /unsupported options/);
+});
+
+test('matchRedirect handles params, splats and trailing slashes', () => {
+  const rules = normalizeRedirects([
+    { from: '/blog/:year/:slug', to: '/posts/:slug?y=:year' },
+    { from: '/docs/*', to: 'https://docs.example.com/:splat', status: 302 },
+    { from: '/about', to: '/team' }
+  ]);
+
+  assert.equal(matchRedirect(rules, '/blog/2024/hello').location, '/posts/hello?y=2024');
+  assert.equal(matchRedirect(rules, '/docs/a/b').location, 'https://docs.example.com/a/b');
+  assert.equal(matchRedirect(rules, '/docs').location, 'https://docs.example.com/');
+  assert.equal(matchRedirect(rules, '/about/').location, '/team');
+  assert.equal(matchRedirect(rules, '/about/more'), null);
+  assert.equal(matchRedirect(rules, '/aboutx'), null);
+});
+
+test('matchRedirect checks query conditions and keeps the query string otherwise', () => {
+  const rules = normalizeRedirects([
+    { from: '/store', to: '/products/:id', query: { id: ':id' }, status: 302 },
+    { from: '/store', to: '/shop' },
+    { from: '/off', to: '/gone', enabled: false }
+  ]);
+
+  const byId = matchRedirect(rules, '/store', { id: '42' }, '?id=42');
+  assert.equal(byId.status, 302);
+  assert.equal(byId.location, '/products/42');
+
+  assert.equal(matchRedirect(rules, '/store', { utm_source: 'x' }, '?utm_source=x').location, '/shop?utm_source=x');
+  assert.equal(matchRedirect(rules, '/off'), null);
+});
+
+test('matchRedirect treats a stray * in stored rules literally', () => {
+  // Rules saved before mid-path * was rejected on import
+  const rules = [{ from: '/a*b', to: '/c', status: 301, query: {}, enabled: true }];
+
+  assert.equal(matchRedirect(rules, '/b'), null);
+  assert.equal(matchRedirect(rules, '/aaab'), null);
+  assert.equal(matchRedirect(rules, '/a*b').location, '/c');
+});
+
+test('matchRedirect recompiles a rule whose pattern changed', () => {
+  const rules = normalizeRedirects([{ from: '/old', to: '/new' }]);
+  assert.equal(matchRedirect(rules, '/old').location, '/new');
+
+  rules[0].from = '/older';
+  assert.equal(matchRedirect(rules, '/old'), null);
+  assert.equal(matchRedirect(rules, '/older').location, '/new');
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CSP_DIRECTIVES,
+  normalizeResponseHeaders,
+  collectInjectionSources,
+  buildContentSecurityPolicy,
+  getResponseHeaders
+} = require('../lib/response-headers');
+
+test('normalizeResponseHeaders parses policy text and validates headers', () => {
+  const settings = normalizeResponseHeaders({
+    csp: { enabled: true, directives: "default-src 'self'\nscript-src 'self' https://cdn.example.com; upgrade-insecure-requests" },
+    frameOptions: 'sameorigin',
+    custom: [{ name: 'X-Team', value: 'growth' }, { name: '', value: '' }]
+  });
+  assert.deepEqual(settings.csp.directives, {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://cdn.example.com'],
+    'upgrade-insecure-requests': []
+  });
+  assert.equal(settings.csp.reportOnly, true);
+  assert.equal(settings.frameOptions, 'SAMEORIGIN');
+  assert.deepEqual(settings.custom, [{ name: 'X-Team', value: 'growth' }]);
+  assert.deepEqual(normalizeResponseHeaders({}).csp.directives, DEFAULT_CSP_DIRECTIVES);
+
+  assert.throws(() => normalizeResponseHeaders({ csp: { directives: 'scripts-src *' } }), /Unknown CSP directive/);
+  assert.throws(() => normalizeResponseHeaders({ custom: [{ name: 'Set-Cookie', value: 'a=1' }] }), /cannot be set here/);
+  assert.throws(() => normalizeResponseHeaders({ custom: [{ name: 'X-A', value: 'a\r\nX-B: b' }] }), /invalid value/);
+  assert.throws(() => normalizeResponseHeaders({ referrerPolicy: 'sometimes' }), /referrerPolicy must be one of/);
+});
+
+test('collectInjectionSources finds the origins and inline code of snippets', () => {
+  const sources = collectInjectionSources([
+    { html: '<script async src="https://www.googletagmanager.com/gtag/js?id=G-1"></script><script>gtag("config","G-1")</script>' },
+    { html: '<link rel="stylesheet" href="//fonts.googleapis.com/css?family=Inter"><img src="/pixel.gif">' },
+    { html: '<iframe src="https://widget.example.org/chat"></iframe>' }
+  ]);
+  assert.deepEqual(sources, {
+    'script-src': ["'unsafe-inline'", 'https://www.googletagmanager.com'],
+    'connect-src': ['https://www.googletagmanager.com'],
+    'style-src': ['https://fonts.googleapis.com'],
+    'frame-src': ['https://widget.example.org']
+  });
+});
+
+test('buildContentSecurityPolicy extends missing fetch directives from default-src', () => {
+  const csp = { directives: { 'default-src': ["'self'"], 'object-src': ["'none'"] }, reportUri: '/csp-reports' };
+  assert.equal(
+    buildContentSecurityPolicy(csp, { 'script-src': ['https://cdn.example.com'], 'object-src': ['https://x.example.com'] }),
+    "default-src 'self'; object-src 'none'; script-src 'self' https://cdn.example.com; report-uri /csp-reports"
+  );
+  assert.equal(buildContentSecurityPolicy({ directives: { 'img-src': ['*'] } }, { 'script-src': ['https://cdn.example.com'] }), 'img-src *');
+});
+
+test('getResponseHeaders sends the CSP on HTML only, in report-only mode by default', () => {
+  const landing = {
+    headers: {
+      csp: { enabled: true, directives: { 'default-src': ["'self'"] } },
+      hsts: { enabled: true, maxAge: 600, includeSubDomains: true },
+      noSniff: true,
+      custom: [{ name: 'X-Team', value: 'growth' }]
+    }
+  };
+  const rules = [{ html: '<script src="https://cdn.example.com/a.js"></script>' }];
+  assert.deepEqual(getResponseHeaders(landing, { html: true, rules }), {
+    'Content-Security-Policy-Report-Only': "default-src 'self'; script-src 'self' https://cdn.example.com; connect-src 'self' https://cdn.example.com",
+    'Strict-Transport-Security': 'max-age=600; includeSubDomains',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Team': 'growth'
+  });
+  const asset = getResponseHeaders(landing, { rules });
+  assert.equal(asset['Content-Security-Policy-Report-Only'], undefined);
+  assert.equal(asset['X-Team'], 'growth');
+
+  landing.headers.csp.reportOnly = false;
+  assert.ok(getResponseHeaders(landing, { html: true })['Content-Security-Policy']);
+  assert.deepEqual(getResponseHeaders({}, { html: true }), {});
+});
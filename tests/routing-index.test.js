@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildRoutingIndex,
+  resolveHost,
+  findLandingByHost,
+  findLandingBySlug,
+  getLandingBasePath,
+  findOrganization,
+  getRoutingIndex,
+  invalidateRoutingIndex
+} = require('../lib/routing-index');
+
+const LANDINGS = [
+  { id: '1', slug: 'alpha', type: 'html', published: true, content: '<h1>big</h1>', domains: [{ domain: 'alpha.com', published: true }] },
+  { id: '2', slug: 'beta', type: 'static', published: false, domains: ['beta.com'] },
+  { id: '3', slug: 'gamma', type: 'virtual', published: true, files: [{ path: 'index.html' }], domains: ['gamma.com', 'www.gamma.com'] },
+  { id: '4', slug: 'shadow', type: 'html', published: true, domains: [{ domain: 'alpha.com', published: true }] }
+];
+
+test('buildRoutingIndex indexes every landing by slug', () => {
+  const index = buildRoutingIndex(LANDINGS);
+  assert.equal(findLandingBySlug(index, 'beta').id, '2');
+  assert.equal(findLandingBySlug(index, 'missing'), null);
+});
+
+test('buildRoutingIndex strips content and files from entries', () => {
+  const index = buildRoutingIndex(LANDINGS);
+  assert.equal(findLandingBySlug(index, 'alpha').content, undefined);
+  assert.equal(findLandingBySlug(index, 'gamma').files, undefined);
+  assert.equal(LANDINGS[0].content, '<h1>big</h1>');
+});
+
+test('findLandingByHost only matches published landings', () => {
+  const index = buildRoutingIndex(LANDINGS);
+  assert.equal(findLandingByHost(index, 'beta.com'), null);
+  assert.equal(findLandingByHost(index, 'www.gamma.com').slug, 'gamma');
+});
+
+test('findLandingByHost ignores port and case', () => {
+  const index = buildRoutingIndex(LANDINGS);
+  assert.equal(findLandingByHost(index, 'Gamma.com:8080').slug, 'gamma');
+});
+
+test('findLandingByHost keeps the first landing claiming a host', () => {
+  const index = buildRoutingIndex(LANDINGS);
+  assert.equal(findLandingByHost(index, 'alpha.com').slug, 'alpha');
+});
+
+test('getRoutingIndex caches until invalidated', async () => {
+  invalidateRoutingIndex();
+  let loads = 0;
+  const load = async () => { loads++; return { landings: LANDINGS }; };
+
+  await getRoutingIndex(load);
+  await getRoutingIndex(load);
+  assert.equal(loads, 1);
+
+  invalidateRoutingIndex();
+  await getRoutingIndex(load);
+  assert.equal(loads, 2);
+});
+
+test('getRoutingIndex shares one build between concurrent callers', async () => {
+  invalidateRoutingIndex();
+  let loads = 0;
+  const load = async () => { loads++; return { landings: LANDINGS }; };
+
+  const [a, b] = await Promise.all([getRoutingIndex(load), getRoutingIndex(load)]);
+  assert.equal(loads, 1);
+  assert.equal(a, b);
+});
+
+test('getRoutingIndex discards a build that raced with a write', async () => {
+  invalidateRoutingIndex();
+  let release;
+  const slowLoad = () => new Promise(resolve => { release = () => resolve({ landings: [LANDINGS[0]] }); });
+
+  const stale = getRoutingIndex(slowLoad);
+  invalidateRoutingIndex();
+  const fresh = getRoutingIndex(async () => ({ landings: LANDINGS }));
+  release();
+
+  assert.equal((await stale).bySlug.size, 1);
+  assert.equal((await fresh).bySlug.size, 4);
+  assert.equal((await getRoutingIndex(async () => ({ landings: [] }))).bySlug.size, 4);
+});
+
+test('buildRoutingIndex indexes organizations without their members', () => {
+  const index = buildRoutingIndex(LANDINGS, [{ id: 'org1', name: 'Acme', users: [{ email: 'a@b.c' }], injections: [] }]);
+  const org = findOrganization(index, { organizationId: 'org1' });
+  assert.equal(org.name, 'Acme');
+  assert.equal(org.users, undefined);
+  assert.equal(findOrganization(index, { organizationId: 'missing' }), null);
+  assert.equal(findOrganization(index, {}), null);
+});
+
+test('resolveHost prefers exact domains, then wildcards, then slug domains', () => {
+  const landings = [
+    { id: '1', slug: 'promo', published: true, domains: [{ domain: '*.campaigns.example.com', published: true }] },
+    { id: '2', slug: 'spring', published: true, domains: [{ domain: 'spring.campaigns.example.com', published: true }] },
+    { id: '3', slug: 'late', published: true, domains: [{ domain: '*.campaigns.example.com', published: true }] },
+    { id: '4', slug: 'acme', published: false, domains: [] },
+    { id: '5', slug: 'pages', published: true, domains: [{ domain: '*.pages.example.com', published: true }] }
+  ];
+  const index = buildRoutingIndex(landings, [], { slugDomains: ['pages.example.com', 'sites.example.com'], adminDomains: ['admin.sites.example.com'] });
+  const resolve = host => {
+    const resolved = resolveHost(index, host);
+    return resolved && `${resolved.landing.slug}/${resolved.via}`;
+  };
+
+  assert.equal(resolve('spring.campaigns.example.com'), 'spring/domain');
+  // The first landing claiming a wildcard keeps it
+  assert.equal(resolve('Summer.Campaigns.example.com:443'), 'promo/wildcard');
+  // A wildcard matches exactly one label
+  assert.equal(resolve('campaigns.example.com'), null);
+  assert.equal(resolve('a.b.campaigns.example.com'), null);
+  // Wildcards win over slug domains; unpublished landings are served by slug
+  assert.equal(resolve('acme.pages.example.com'), 'pages/wildcard');
+  assert.equal(resolve('acme.sites.example.com'), 'acme/subdomain');
+  assert.equal(resolve('missing.sites.example.com'), null);
+  assert.equal(resolve('admin.sites.example.com'), null);
+  assert.equal(findLandingByHost(index, 'acme.sites.example.com').id, '4');
+});
+
+test('getLandingBasePath is empty on wildcard and slug domain hosts', () => {
+  const landings = [
+    { id: '1', slug: 'promo', published: true, domains: [{ domain: '*.campaigns.example.com', published: true }] },
+    { id: '2', slug: 'acme', published: false, domains: [] }
+  ];
+  const index = buildRoutingIndex(landings, [], { slugDomains: ['sites.example.com'] });
+  assert.equal(getLandingBasePath(index, 'x.campaigns.example.com', landings[0]), '');
+  assert.equal(getLandingBasePath(index, 'acme.sites.example.com', landings[1]), '');
+  assert.equal(getLandingBasePath(index, 'promo.sites.example.com', landings[1]), '/acme');
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findUnsafeConstruct, assertSafePattern, compileSafePattern, testSafePattern, MAX_TESTED_LENGTH } = require('../lib/safe-regex');
+
+test('patterns that can backtrack catastrophically are refused', () => {
+  for (const pattern of ['^(a+)+$', '(x\\d*)*', '(?:a?){2,}', '(a|ab)*', '(\\w)\\1', '^.*.*.*.*x$']) {
+    assert.ok(findUnsafeConstruct(pattern), pattern);
+  }
+  for (const pattern of ['^(brand|generic)$', '(foo)+', '(https?)?', '^[a-z]+-[0-9]+-[a-z]+$', '[(]+\\)*', '\\.[0-9a-f]{8,}\\.js$']) {
+    assert.equal(findUnsafeConstruct(pattern), null, pattern);
+  }
+  assert.throws(() => assertSafePattern('(', 'pattern'), /pattern is not a valid regular expression/);
+  assert.throws(() => assertSafePattern('(a*)+', 'pattern'), /pattern is not allowed: nested quantifiers/);
+});
+
+test('patterns are compiled once and overlong values never match', () => {
+  assert.equal(compileSafePattern('^ab?$', 'i'), compileSafePattern('^ab?$', 'i'));
+  assert.equal(compileSafePattern('(a+)+'), null);
+  assert.equal(testSafePattern('^ab?$', 'AB', 'i'), true);
+  assert.equal(testSafePattern('a', 'a'.repeat(MAX_TESTED_LENGTH + 1)), false);
+  assert.equal(testSafePattern('(a+)+$', 'a'.repeat(30) + 'b'), false);
+});
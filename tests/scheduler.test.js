@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeJob, createJob, describeJob, createScheduler } = require('../lib/scheduler');
+
+const NOW = Date.parse('2026-03-02T08:00:00Z');
+const LANDING = { id: 'l1', domains: [{ domain: 'promo.test', published: false }, { domain: 'www.promo.test', published: true }] };
+
+test('normalizeJob accepts publish, unpublish and version activation', () => {
+  assert.deepEqual(normalizeJob({ type: 'publish', runAt: '2026-03-02T09:00:00Z' }, LANDING, [], NOW), {
+    type: 'publish', domain: null, versionId: null, runAt: '2026-03-02T09:00:00.000Z'
+  });
+  assert.equal(normalizeJob({ type: 'unpublish', domain: 'WWW.promo.test', runAt: '2026-03-03T00:00:00+01:00' }, LANDING, [], NOW).domain, 'www.promo.test');
+  assert.equal(normalizeJob({ type: 'activate_version', versionId: 'v14', runAt: '2026-03-03T00:00:00Z' }, LANDING, ['v14'], NOW).versionId, 'v14');
+});
+
+test('normalizeJob rejects bad types, dates, domains and versions', () => {
+  const runAt = '2026-03-02T09:00:00Z';
+  assert.throws(() => normalizeJob({ type: 'delete', runAt }, LANDING, [], NOW), /Job type/);
+  assert.throws(() => normalizeJob({ type: 'publish', runAt: 'tomorrow' }, LANDING, [], NOW), /valid date/);
+  assert.throws(() => normalizeJob({ type: 'publish', runAt: '2026-03-02T07:59:00Z' }, LANDING, [], NOW), /future/);
+  assert.throws(() => normalizeJob({ type: 'publish', runAt: '2027-06-01T00:00:00Z' }, LANDING, [], NOW), /within a year/);
+  assert.throws(() => normalizeJob({ type: 'publish', domain: 'other.test', runAt }, LANDING, [], NOW), /Unknown domain/);
+  assert.throws(() => normalizeJob({ type: 'publish', runAt }, { id: 'l2', domains: [] }, [], NOW), /domain is required/);
+  assert.throws(() => normalizeJob({ type: 'activate_version', versionId: 'v9', runAt }, LANDING, ['v14'], NOW), /Unknown version/);
+});
+
+test('createJob and describeJob', () => {
+  const job = createJob({ type: 'publish', domain: 'promo.test', versionId: null, runAt: '2026-03-02T09:00:00.000Z' }, { landingId: 'l1', createdBy: 'ops@x.test', isAdmin: false });
+  assert.match(job.id, /^job-\d+-[0-9a-f]{8}$/);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 0);
+  assert.equal(describeJob(job), 'Publish domain promo.test');
+  assert.equal(describeJob({ type: 'unpublish', domain: null }), 'Unpublish landing');
+  assert.equal(describeJob({ type: 'activate_version', versionId: 'v1' }, { versionNumber: 14 }), 'Activate version 14');
+});
+
+function fakeScheduler(jobs, run) {
+  const events = [];
+  const scheduler = createScheduler({
+    intervalMs: 60000,
+    listDue: async nowIso => jobs.filter(j => j.status === 'pending' && j.runAt <= nowIso),
+    claim: async job => {
+      if (job.status !== 'pending') return null;
+      job.status = 'running';
+      return job;
+    },
+    run: async job => { events.push(`run ${job.id}`); await run(job); },
+    complete: async job => { events.push(`done ${job.id}`); job.status = 'done'; },
+    fail: async (job, err) => { events.push(`fail ${job.id}: ${err.message}`); job.status = 'failed'; }
+  });
+  return { scheduler, events };
+}
+
+test('scheduler runs due jobs once and records failures', async () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + 3600000).toISOString();
+  const jobs = [
+    { id: 'a', status: 'pending', runAt: past },
+    { id: 'b', status: 'pending', runAt: past },
+    { id: 'c', status: 'pending', runAt: future }
+  ];
+  const { scheduler, events } = fakeScheduler(jobs, async job => {
+    if (job.id === 'b') throw new Error('Traefik unreachable');
+  });
+
+  await Promise.all([scheduler.tick(), scheduler.tick()]);
+  await scheduler.tick();
+  assert.deepEqual(events, ['run a', 'done a', 'run b', 'fail b: Traefik unreachable']);
+  assert.deepEqual(jobs.map(j => j.status), ['done', 'failed', 'pending']);
+});
+
+test('scheduler survives a failing store', async () => {
+  const scheduler = createScheduler({
+    listDue: async () => { throw new Error('db down'); },
+    claim: async () => null,
+    run: async () => {},
+    complete: async () => {},
+    fail: async () => {}
+  });
+  await scheduler.tick();
+});
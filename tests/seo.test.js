@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeSeoSettings,
+  getPrimaryDomain,
+  isIndexable,
+  listHtmlPages,
+  listEjsPages,
+  localizePages,
+  renderSitemap
+} = require('../lib/seo');
+const { normalizeManifest, listRoutePages } = require('../lib/data-providers');
+
+function makeDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sl-seo-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('normalizeSeoSettings validates the domain, robots.txt and exclude patterns', () => {
+  assert.deepEqual(normalizeSeoSettings({}), { noindex: false, primaryDomain: '', robotsTxt: '', sitemapExclude: [] });
+  assert.deepEqual(
+    normalizeSeoSettings({ noindex: true, primaryDomain: ' WWW.Example.com ', robotsTxt: ' User-agent: *\n', sitemapExclude: '/thanks\n\n /drafts/* ' }),
+    { noindex: true, primaryDomain: 'www.example.com', robotsTxt: 'User-agent: *', sitemapExclude: ['/thanks', '/drafts/*'] }
+  );
+
+  assert.throws(() => normalizeSeoSettings({ noindex: 'yes' }), /noindex must be a boolean/);
+  assert.throws(() => normalizeSeoSettings({ primaryDomain: 'https://example.com' }), /primaryDomain/);
+  assert.throws(() => normalizeSeoSettings({ sitemapExclude: ['thanks'] }), /must start with \//);
+  assert.throws(() => normalizeSeoSettings({ robotsTxt: 'x'.repeat(10001) }), /robotsTxt/);
+});
+
+test('only the primary published domain is indexable', () => {
+  const landing = {
+    domains: [
+      { domain: 'draft.example.com', published: false },
+      { domain: 'example.com', published: true },
+      { domain: 'www.example.com', published: true }
+    ]
+  };
+  assert.equal(getPrimaryDomain(landing), 'example.com');
+  assert.equal(isIndexable(landing, 'example.com:443'), true);
+  assert.equal(isIndexable(landing, 'www.example.com'), false);
+  assert.equal(isIndexable(landing, 'draft.example.com'), false);
+
+  assert.equal(getPrimaryDomain({ ...landing, seo: { primaryDomain: 'www.example.com' } }), 'www.example.com');
+  // An unpublished primary domain falls back to the first published one
+  assert.equal(getPrimaryDomain({ ...landing, seo: { primaryDomain: 'draft.example.com' } }), 'example.com');
+  assert.equal(isIndexable({ ...landing, seo: { noindex: true } }, 'example.com'), false);
+  assert.equal(getPrimaryDomain({ domains: [] }), null);
+});
+
+test('listHtmlPages maps HTML files to URL paths', () => {
+  const dir = makeDir({
+    'index.html': '', 'about.html': '', '404.html': '', '_draft.html': '', 'style.css': '',
+    'docs/index.html': '', 'docs/404.html': '', '.git/x.html': '', 'node_modules/p/index.html': ''
+  });
+  assert.deepEqual(listHtmlPages(dir).map(p => p.path), ['/', '/about.html', '/docs/', '/docs/404.html']);
+  assert.match(listHtmlPages(dir)[0].lastmod, /^\d{4}-\d\d-\d\dT/);
+  assert.deepEqual(listHtmlPages(path.join(dir, 'missing')), []);
+});
+
+test('listEjsPages lists templates and route pages but not route templates', () => {
+  const dir = makeDir({ 'index.ejs': '', 'pricing.ejs': '', 'post.ejs': '', '500.ejs': '', 'Bad Name.ejs': '' });
+  const manifest = normalizeManifest({
+    routes: [{ path: ':slug', template: 'post' }],
+    dataSources: [{ name: 'post', type: 'item', file: 'posts.json', match: { slug: ':slug' } }]
+  });
+  const pages = listEjsPages(dir, manifest, [{ page: 'hello', lastmod: '2024-01-02' }, { page: 'pricing', lastmod: null }, { page: '../x', lastmod: null }]);
+  assert.deepEqual(pages.map(p => p.page), ['index', 'pricing', 'hello']);
+  assert.equal(pages[2].lastmod, '2024-01-02T00:00:00.000Z');
+});
+
+test('localizePages lists each page per locale with alternates', () => {
+  const pages = [{ page: 'index', lastmod: null }, { page: 'about', lastmod: null }];
+  assert.deepEqual(localizePages(pages, [], 'https://x.com').map(p => p.path), ['/', '/about']);
+
+  const localized = localizePages(pages, ['en', 'fr'], 'https://x.com');
+  assert.deepEqual(localized.map(p => p.path), ['/en', '/fr', '/en/about', '/fr/about']);
+  assert.deepEqual(localized[2].alternates.map(l => l.href), ['https://x.com/en/about', 'https://x.com/fr/about', 'https://x.com/about']);
+});
+
+test('renderSitemap escapes URLs, dedupes and applies exclude patterns', () => {
+  const xml = renderSitemap('https://x.com', [
+    { path: '/', lastmod: '2024-01-01T00:00:00.000Z' },
+    { path: '/a&b' },
+    { path: '/' },
+    { path: '/drafts/one' },
+    { path: '/thanks' }
+  ], ['/drafts/*', '/thanks']);
+  assert.equal((xml.match(/<url>/g) || []).length, 2);
+  assert.match(xml, /<loc>https:\/\/x\.com\/<\/loc><lastmod>2024-01-01T00:00:00\.000Z<\/lastmod>/);
+  assert.match(xml, /<loc>https:\/\/x\.com\/a&amp;b<\/loc>/);
+  assert.doesNotMatch(xml, /xmlns:xhtml/);
+
+  const localized = renderSitemap('https://x.com', [{ path: '/en', alternates: [{ hreflang: 'en', href: 'https://x.com/en' }] }]);
+  assert.match(localized, /xmlns:xhtml=/);
+  assert.match(localized, /<xhtml:link rel="alternate" hreflang="en" href="https:\/\/x\.com\/en"\/>/);
+});
+
+test('listRoutePages lists one page per item of a :param route', async () => {
+  const dir = makeDir({
+    'data/posts.json': JSON.stringify([
+      { slug: 'a', status: 'published', updatedAt: '2024-02-01' },
+      { slug: 'b', status: 'draft' },
+      { slug: 'c', status: 'published', publishedAt: '2024-01-01' }
+    ])
+  });
+  const manifest = normalizeManifest({
+    routes: [{ path: ':slug', template: 'post' }, { path: 'archive', template: 'list' }],
+    dataSources: [{ name: 'post', type: 'item', templates: ['post'], file: 'data/posts.json', filter: { status: 'published' }, match: { slug: ':slug' } }]
+  });
+  assert.deepEqual(await listRoutePages(manifest, { landingDir: dir }), [
+    { page: 'a', lastmod: '2024-02-01' },
+    { page: 'c', lastmod: '2024-01-01' },
+    { page: 'archive', lastmod: null }
+  ]);
+  assert.deepEqual(await listRoutePages(null, { landingDir: dir }), []);
+});
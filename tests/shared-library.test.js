@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SHARED_LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-library-'));
+
+const {
+  normalizeLibraryPath,
+  listLibraryFiles,
+  resolveLibraryFile,
+  readLibraryFile,
+  writeLibraryFile,
+  deleteLibraryFile,
+  deleteLibrary,
+  listLibraryVersions,
+  createLibraryVersion,
+  restoreLibraryVersion,
+  createSharedIncluder,
+  matchSharedAssetPath
+} = require('../lib/shared-library');
+
+test('normalizeLibraryPath rejects hidden files and traversal', () => {
+  assert.equal(normalizeLibraryPath('/partials/footer.ejs'), 'partials/footer.ejs');
+  assert.equal(normalizeLibraryPath('img/logo_2x.png'), 'img/logo_2x.png');
+  for (const bad of ['', '../x.ejs', 'a/../../x', '.env', 'a//b.css', 'a b.css', null]) {
+    assert.throws(() => normalizeLibraryPath(bad), /Invalid file path/);
+  }
+});
+
+test('library files are written, listed, read and deleted', () => {
+  writeLibraryFile('org-files', 'partials/footer.ejs', '<footer></footer>');
+  writeLibraryFile('org-files', 'img/logo.png', Buffer.from([1, 2, 3]));
+  assert.deepEqual(listLibraryFiles('org-files').map(f => [f.path, f.kind, f.text]), [
+    ['img/logo.png', 'asset', false],
+    ['partials/footer.ejs', 'partial', true]
+  ]);
+  assert.equal(readLibraryFile('org-files', 'partials/footer.ejs'), '<footer></footer>');
+  assert.throws(() => readLibraryFile('org-files', 'img/logo.png'), error => error.status === 400);
+  assert.throws(() => writeLibraryFile('org-files', 'partials', 'x'), /is a folder/);
+
+  deleteLibraryFile('org-files', 'img/logo.png');
+  assert.equal(resolveLibraryFile('org-files', 'img/logo.png'), null);
+  assert.equal(fs.existsSync(path.join(process.env.SHARED_LIBRARY_DIR, 'org-files', 'files', 'img')), false);
+  assert.throws(() => deleteLibraryFile('org-files', 'img/logo.png'), error => error.status === 404);
+  assert.equal(deleteLibrary('org-files'), true);
+  assert.deepEqual(listLibraryFiles('org-files'), []);
+});
+
+test('restoring a version brings its files back as a new version', () => {
+  writeLibraryFile('org-versions', 'footer.ejs', 'v1');
+  const first = createLibraryVersion('org-versions', { description: 'First', actor: 'a@example.com' });
+  writeLibraryFile('org-versions', 'footer.ejs', 'v2');
+  writeLibraryFile('org-versions', 'extra.css', 'body{}');
+  createLibraryVersion('org-versions', { description: 'Second' });
+
+  const restored = restoreLibraryVersion('org-versions', first.id, { actor: 'b@example.com' });
+  assert.equal(restored.versionNumber, 3);
+  assert.equal(restored.description, 'Restored version 1');
+  assert.equal(readLibraryFile('org-versions', 'footer.ejs'), 'v1');
+  assert.equal(resolveLibraryFile('org-versions', 'extra.css'), null);
+  assert.deepEqual(listLibraryVersions('org-versions').map(v => v.versionNumber), [3, 2, 1]);
+  assert.throws(() => restoreLibraryVersion('org-versions', '../1'), error => error.status === 404);
+});
+
+test('versions store each content once', () => {
+  writeLibraryFile('org-blobs', 'footer.ejs', 'same');
+  writeLibraryFile('org-blobs', 'logo.svg', '<svg/>');
+  createLibraryVersion('org-blobs');
+  writeLibraryFile('org-blobs', 'logo.svg', '<svg></svg>');
+  createLibraryVersion('org-blobs');
+
+  const root = path.join(process.env.SHARED_LIBRARY_DIR, 'org-blobs');
+  assert.equal(fs.readdirSync(path.join(root, 'blobs')).length, 3);
+  for (const versionId of fs.readdirSync(path.join(root, 'versions'))) {
+    assert.equal(fs.existsSync(path.join(root, 'versions', versionId, 'files')), false);
+  }
+});
+
+test('only the newest SHARED_LIBRARY_MAX_VERSIONS versions are kept', () => {
+  process.env.SHARED_LIBRARY_MAX_VERSIONS = '2';
+  try {
+    for (const content of ['v1', 'v2', 'v3']) {
+      writeLibraryFile('org-retention', 'footer.ejs', content);
+      createLibraryVersion('org-retention');
+    }
+    const versions = listLibraryVersions('org-retention');
+    assert.deepEqual(versions.map(v => v.versionNumber), [3, 2]);
+    assert.equal(fs.readdirSync(path.join(process.env.SHARED_LIBRARY_DIR, 'org-retention', 'blobs')).length, 2);
+
+    restoreLibraryVersion('org-retention', versions[1].id);
+    assert.equal(readLibraryFile('org-retention', 'footer.ejs'), 'v2');
+    assert.deepEqual(listLibraryVersions('org-retention').map(v => v.versionNumber), [4, 3]);
+  } finally {
+    delete process.env.SHARED_LIBRARY_MAX_VERSIONS;
+  }
+});
+
+test('versions holding a full copy of the files can still be restored', () => {
+  const versionDir = path.join(process.env.SHARED_LIBRARY_DIR, 'org-legacy', 'versions', '1000');
+  fs.mkdirSync(path.join(versionDir, 'files', 'partials'), { recursive: true });
+  fs.writeFileSync(path.join(versionDir, 'files', 'partials', 'footer.ejs'), 'legacy');
+  fs.writeFileSync(path.join(versionDir, 'metadata.json'), JSON.stringify({ id: '1000', versionNumber: 1 }));
+
+  const restored = restoreLibraryVersion('org-legacy', '1000');
+  assert.equal(restored.versionNumber, 2);
+  assert.equal(readLibraryFile('org-legacy', 'partials/footer.ejs'), 'legacy');
+});
+
+test('the includer resolves @shared/ partials of the organization only', () => {
+  writeLibraryFile('org-includes', 'footer.ejs', '<footer></footer>');
+  const includer = createSharedIncluder('org-includes');
+  assert.deepEqual(includer('@shared/footer', null), {
+    filename: path.join(process.env.SHARED_LIBRARY_DIR, 'org-includes', 'files', 'footer.ejs')
+  });
+  assert.equal(includer('partials/header', '/landings/a/partials/header.ejs'), undefined);
+  assert.throws(() => includer('missing', null), /Could not find the include file/);
+  assert.throws(() => includer('@shared/header', null), /Shared partial not found: header.ejs/);
+  assert.throws(() => createSharedIncluder(null)('@shared/footer', null), /has no organization/);
+
+  assert.equal(matchSharedAssetPath('/_shared/img/logo%20v2.svg'), null);
+  assert.equal(matchSharedAssetPath('/_shared/img/logo.svg'), 'img/logo.svg');
+  assert.equal(matchSharedAssetPath('/_shared/footer.ejs'), null);
+  assert.equal(matchSharedAssetPath('/_shared/../db.json'), null);
+  assert.equal(matchSharedAssetPath('/about'), null);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpaSettings, resolveSpaSettings, isClientRoute, shouldServeSpaFallback } = require('../lib/spa');
+
+test('normalizeSpaSettings accepts only an enabled flag', () => {
+  assert.deepEqual(normalizeSpaSettings({ enabled: true }), { enabled: true });
+  assert.deepEqual(normalizeSpaSettings({}), { enabled: false });
+  assert.throws(() => normalizeSpaSettings(true), /must be an object/);
+  assert.throws(() => normalizeSpaSettings({ enabled: 'yes' }), /enabled must be a boolean/);
+  assert.deepEqual(resolveSpaSettings({}), { enabled: false });
+});
+
+test('isClientRoute tells routes from files', () => {
+  for (const route of ['', '/', 'pricing', '/pricing/', '/users/42', '/v1.2/docs']) {
+    assert.equal(isClientRoute(route), true, route);
+  }
+  for (const file of ['/app.js', 'css/main.css', '/logo.PNG', '/about.html', '/.well-known/security', '/a/.env']) {
+    assert.equal(isClientRoute(file), false, file);
+  }
+});
+
+test('shouldServeSpaFallback needs an SPA-enabled static/virtual landing and GET/HEAD', () => {
+  const spa = { type: 'static', spa: { enabled: true } };
+  assert.equal(shouldServeSpaFallback(spa, 'GET', '/pricing'), true);
+  assert.equal(shouldServeSpaFallback(spa, 'HEAD', '/pricing'), true);
+  assert.equal(shouldServeSpaFallback(spa, 'POST', '/pricing'), false);
+  assert.equal(shouldServeSpaFallback(spa, 'GET', '/missing.js'), false);
+  assert.equal(shouldServeSpaFallback({ ...spa, type: 'ejs' }, 'GET', '/pricing'), false);
+  assert.equal(shouldServeSpaFallback({ type: 'virtual' }, 'GET', '/pricing'), false);
+});
@@ -0,0 +1,72 @@
+<script>
+  (function () {
+    function analyticsModule(services) {
+      const analytics = services?.analytics ? services.analytics() : null;
+      const SPARKLINE_DAYS = 14;
+
+      return {
+        // Refreshed with the landings list; failures only hide the sparklines.
+        async loadAnalyticsSparklines() {
+          try {
+            if (!analytics) throw new Error('Analytics service missing');
+            const { ok, data } = await analytics.sparklines(SPARKLINE_DAYS, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to load analytics');
+            this.analyticsSparklines = data.sparklines || {};
+          } catch (err) {
+            console.warn('Analytics sparklines unavailable:', err.message);
+            this.analyticsSparklines = {};
+          }
+        },
+
+        sparklineTotal(landingId) {
+          return (this.analyticsSparklines[landingId] || []).reduce((sum, n) => sum + n, 0);
+        },
+
+        // SVG polyline points for a series, scaled to a width x height box
+        sparklinePoints(values, width = 80, height = 20) {
+          if (!values || values.length < 2) return '';
+          const max = Math.max(1, ...values);
+          const step = width / (values.length - 1);
+          return values
+            .map((v, i) => `${(i * step).toFixed(1)},${(height - 1 - (v / max) * (height - 2)).toFixed(1)}`)
+            .join(' ');
+        },
+
+        async openAnalyticsModal(landing) {
+          this.analyticsLanding = landing;
+          this.analyticsReport = null;
+          this.showAnalyticsModal = true;
+          await this.loadAnalyticsReport();
+        },
+
+        closeAnalyticsModal() {
+          this.showAnalyticsModal = false;
+          this.analyticsLanding = null;
+          this.analyticsReport = null;
+        },
+
+        async loadAnalyticsReport() {
+          if (!this.analyticsLanding) return;
+          this.loading.analytics = true;
+          try {
+            if (!analytics) throw new Error('Analytics service missing');
+            const { ok, data } = await analytics.report(this.analyticsLanding.id, this.analyticsDays, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to load analytics');
+            this.analyticsReport = data;
+          } catch (err) {
+            this.showError('Error loading analytics: ' + err.message);
+          } finally {
+            this.loading.analytics = false;
+          }
+        },
+
+        analyticsBarHeight(total) {
+          const max = Math.max(1, ...(this.analyticsReport?.series || []).map(d => d.total));
+          return Math.max(2, Math.round((total / max) * 100)) + '%';
+        }
+      };
+    }
+    window.AppModules = window.AppModules || {};
+    window.AppModules.analytics = analyticsModule;
+  })();
+</script>
@@ -79,9 +79,20 @@
             'domain_publish': 'Domain Published',
             'domain_unpublish': 'Domain Unpublished',
             'move': 'Moved',
+            'settings_update': 'Settings Updated',
             'cloudflare_connect': 'Cloudflare Connected',
             'cloudflare_disconnect': 'Cloudflare Disconnected',
-            'cloudflare_dns_configure': 'Cloudflare DNS Configured'
+            'cloudflare_dns_configure': 'Cloudflare DNS Configured',
+            'experiment_start': 'Experiment Started',
+            'experiment_stop': 'Experiment Stopped',
+            'experiment_promote': 'Experiment Winner Promoted',
+            'schedule_create': 'Job Scheduled',
+            'schedule_cancel': 'Scheduled Job Cancelled',
+            'schedule_fail': 'Scheduled Job Failed',
+            'preview_link_create': 'Preview Link Created',
+            'preview_link_revoke': 'Preview Link Revoked',
+            'maintenance_on': 'Maintenance On',
+            'maintenance_off': 'Maintenance Off'
           };
           return actionLabels[action] || action;
         },
@@ -104,9 +115,20 @@
             'domain_publish': 'bg-lime-100 text-lime-700',
             'domain_unpublish': 'bg-yellow-100 text-yellow-700',
             'move': 'bg-gray-100 text-gray-700',
+            'settings_update': 'bg-slate-100 text-slate-700',
             'cloudflare_connect': 'bg-sky-100 text-sky-700',
             'cloudflare_disconnect': 'bg-sky-100 text-sky-700',
-            'cloudflare_dns_configure': 'bg-sky-100 text-sky-700'
+            'cloudflare_dns_configure': 'bg-sky-100 text-sky-700',
+            'experiment_start': 'bg-fuchsia-100 text-fuchsia-700',
+            'experiment_stop': 'bg-fuchsia-100 text-fuchsia-700',
+            'experiment_promote': 'bg-fuchsia-100 text-fuchsia-700',
+            'schedule_create': 'bg-indigo-100 text-indigo-700',
+            'schedule_cancel': 'bg-indigo-100 text-indigo-700',
+            'schedule_fail': 'bg-rose-100 text-rose-700',
+            'preview_link_create': 'bg-teal-100 text-teal-700',
+            'preview_link_revoke': 'bg-teal-100 text-teal-700',
+            'maintenance_on': 'bg-orange-100 text-orange-700',
+            'maintenance_off': 'bg-orange-100 text-orange-700'
           };
           return `${base} ${actionClasses[action] || 'bg-gray-100 text-gray-700'}`;
         }
@@ -64,7 +64,8 @@
         async saveDomains() {
           try {
             if (!domains) throw new Error('Domains service missing');
-            const domainPattern = /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+            // Exact domains or wildcards such as *.campaigns.example.com
+            const domainPattern = /^(\*\.)?[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
             const cleanDomains = this.editingDomains.domains
               .filter(d => d.domain?.trim())
               .map(d => ({ domain: d.domain.trim(), published: d.published || false }));
@@ -83,12 +84,19 @@
           }
         },
 
-        async publishLanding(id) {
+        // Broken links found before publishing open the link check report, which
+        // can publish anyway (`force`).
+        async publishLanding(id, { force = false } = {}) {
           this.loading[id] = true;
           try {
             if (!domains) throw new Error('Domains service missing');
             const sshKey = this.dbSettings.TRAEFIK_SSH_KEY;
-            const { ok, data } = await domains.publishLanding(id, sshKey);
+            const { ok, data } = await domains.publishLanding(id, sshKey, { checkLinks: !force });
+            if (!ok && data.linkCheck) {
+              const landing = this.landings.find(l => l.id === id);
+              this.showLinkReport(landing, data.linkCheck, { publishPending: true });
+              return;
+            }
             if (!ok) throw new Error(data.error || 'Failed to publish');
             this.showSuccess(data.message);
             this.loadLandings();
@@ -137,6 +145,23 @@
           }
         },
 
+        async saveSlugDomains() {
+          this.loading.slugDomains = true;
+          try {
+            if (!adminConfig) throw new Error('AdminConfig service missing');
+            const slugDomains = this.slugDomainsInput.split('\n').map(d => d.trim()).filter(Boolean);
+            const sshKey = this.dbSettings.TRAEFIK_SSH_KEY;
+            const { ok, data } = await adminConfig.updateSlugDomains(slugDomains, sshKey);
+            if (!ok) throw new Error(data.error || 'Failed to update slug domains');
+            this.showSuccess('Slug domains updated successfully!');
+            this.loadAdminConfig();
+          } catch (err) {
+            this.showError('Error updating slug domains: ' + err.message);
+          } finally {
+            this.loading.slugDomains = false;
+          }
+        },
+
         async publishAdmin() {
           this.loading.admin = true;
           try {
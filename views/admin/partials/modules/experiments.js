@@ -0,0 +1,134 @@
+<script>
+  (function () {
+    function experimentsModule(services) {
+      const experiments = services?.experiments ? services.experiments() : null;
+      const versions = services?.versions ? services.versions() : null;
+
+      function emptyDraft() {
+        return { name: '', variants: [], goal: { type: 'form', form: '', path: '' } };
+      }
+
+      return {
+        async openExperimentModal(landing) {
+          this.experimentLanding = landing;
+          this.experimentData = null;
+          this.experimentVersions = [];
+          this.experimentDraft = emptyDraft();
+          this.showExperimentModal = true;
+          await this.loadExperiment();
+        },
+
+        closeExperimentModal() {
+          this.showExperimentModal = false;
+          this.experimentLanding = null;
+          this.experimentData = null;
+        },
+
+        async loadExperiment() {
+          if (!this.experimentLanding) return;
+          this.loading.experiment = true;
+          try {
+            if (!experiments || !versions) throw new Error('Experiments service missing');
+            const [current, versionList] = await Promise.all([
+              experiments.get(this.experimentLanding.id, this.getHeaders()),
+              versions.list(this.experimentLanding.id)
+            ]);
+            if (!current.ok) throw new Error(current.data.error || 'Failed to load experiment');
+            if (!versionList.ok) throw new Error(versionList.data.error || 'Failed to load versions');
+            this.experimentData = current.data;
+            this.experimentVersions = versionList.data;
+            if (!this.experimentDraft.variants.length) {
+              // Start from the current version against the newest other one
+              const currentId = this.experimentLanding.currentVersionId;
+              const other = versionList.data.find(v => v.id !== currentId);
+              this.experimentDraft.variants = [
+                { versionId: currentId || versionList.data[0]?.id || '', weight: 50 },
+                { versionId: other?.id || '', weight: 50 }
+              ];
+            }
+          } catch (err) {
+            this.showError('Error loading experiment: ' + err.message);
+          } finally {
+            this.loading.experiment = false;
+          }
+        },
+
+        addExperimentVariant() {
+          if (this.experimentDraft.variants.length >= 5) return;
+          this.experimentDraft.variants.push({ versionId: '', weight: 50 });
+        },
+
+        removeExperimentVariant(index) {
+          if (this.experimentDraft.variants.length <= 2) return;
+          this.experimentDraft.variants.splice(index, 1);
+        },
+
+        experimentVersionLabel(versionId) {
+          const version = this.experimentVersions.find(v => v.id === versionId);
+          if (!version) return versionId;
+          const label = `v${version.versionNumber || '?'}${version.tag ? ` (${version.tag})` : ''}`;
+          return versionId === this.experimentLanding?.currentVersionId ? `${label} - current` : label;
+        },
+
+        formatPercent(value) {
+          return value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+        },
+
+        async startExperiment() {
+          const draft = this.experimentDraft;
+          const goal = draft.goal.type === 'form'
+            ? { type: 'form', form: draft.goal.form }
+            : { type: 'url', path: draft.goal.path };
+          await this.runExperimentAction(
+            () => experiments.start(this.experimentLanding.id, { name: draft.name, variants: draft.variants, goal }, this.getHeaders()),
+            'Experiment started'
+          );
+        },
+
+        async stopExperiment() {
+          if (!confirm('Stop this experiment? All visitors will get the current version again.')) return;
+          await this.runExperimentAction(() => experiments.stop(this.experimentLanding.id, this.getHeaders()), 'Experiment stopped');
+        },
+
+        async promoteExperimentVariant(row) {
+          if (!confirm(`Make variant ${row.id.toUpperCase()} (${this.experimentVersionLabel(row.versionId)}) the current version and end the experiment?`)) return;
+          await this.runExperimentAction(
+            () => experiments.promote(this.experimentLanding.id, row.id, this.getHeaders()),
+            `Variant ${row.id.toUpperCase()} promoted`
+          );
+          await this.loadLandings();
+        },
+
+        async discardExperiment() {
+          if (!confirm('Discard this experiment and its results?')) return;
+          this.experimentDraft = emptyDraft();
+          await this.runExperimentAction(
+            async () => {
+              const result = await experiments.discard(this.experimentLanding.id, this.getHeaders());
+              return result.ok ? { ok: true, data: { experiment: null, results: [] } } : result;
+            },
+            'Experiment discarded'
+          );
+          await this.loadExperiment();
+        },
+
+        async runExperimentAction(action, successMessage) {
+          this.loading.experiment = true;
+          try {
+            if (!experiments) throw new Error('Experiments service missing');
+            const { ok, data } = await action();
+            if (!ok) throw new Error(data.error || 'Request failed');
+            this.experimentData = data;
+            this.showSuccess(successMessage);
+          } catch (err) {
+            this.showError(err.message);
+          } finally {
+            this.loading.experiment = false;
+          }
+        }
+      };
+    }
+    window.AppModules = window.AppModules || {};
+    window.AppModules.experiments = experimentsModule;
+  })();
+</script>
@@ -0,0 +1,205 @@
+<script>
+  (function () {
+    function landingSettingsModule(services) {
+      const landingSettings = services?.landingSettings ? services.landingSettings() : null;
+
+      return {
+        async openLandingSettingsModal(landing) {
+          this.settingsLanding = landing;
+          this.landingSettings = {};
+          this.landingSettingsTab = 'cache';
+          this.redirectsImportText = '';
+          this.cspPreview = null;
+          this.personalizationPreview = null;
+          this.showLandingSettingsModal = true;
+          await this.loadLandingSettings();
+        },
+
+        closeLandingSettingsModal() {
+          this.showLandingSettingsModal = false;
+          this.settingsLanding = null;
+          this.landingSettings = {};
+        },
+
+        async loadLandingSettings() {
+          if (!this.settingsLanding) return;
+          this.loading.landingSettings = true;
+          try {
+            if (!landingSettings) throw new Error('Landing settings service missing');
+            const { ok, data } = await landingSettings.get(this.settingsLanding.id, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to load settings');
+            this.landingSettings = data;
+          } catch (err) {
+            this.showError('Error loading landing settings: ' + err.message);
+          } finally {
+            this.loading.landingSettings = false;
+          }
+        },
+
+        async saveLandingSettingsSection(section) {
+          if (!this.settingsLanding) return;
+          this.loading.saveLandingSettings = true;
+          try {
+            if (!landingSettings) throw new Error('Landing settings service missing');
+            const { ok, data } = await landingSettings.update(this.settingsLanding.id, section, this.landingSettings[section], this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to save settings');
+            this.landingSettings = { ...this.landingSettings, [section]: data[section] };
+            // Keep the list entry in sync so the inbox can offer the form names
+            if (section === 'forms') this.settingsLanding.forms = data.forms;
+            if (section === 'access') this.settingsLanding.access = data.access;
+            if (section === 'maintenance') this.settingsLanding.maintenance = data.maintenance;
+            if (section === 'headers') await this.loadCspPreview();
+            this.showSuccess('Settings saved');
+          } catch (err) {
+            this.showError('Error saving settings: ' + err.message);
+          } finally {
+            this.loading.saveLandingSettings = false;
+          }
+        },
+
+        // Injection rule list helpers, shared with the organization injections modal
+        addInjectionRule(rules) {
+          rules.push({ name: '', position: 'head', html: '', domains: [], enabled: true });
+        },
+
+        removeInjectionRule(rules, index) {
+          rules.splice(index, 1);
+        },
+
+        parseDomainList(text) {
+          return String(text || '').split(/[\s,]+/).map(d => d.trim().toLowerCase()).filter(Boolean);
+        },
+
+        // Redirect rule helpers (Redirects tab)
+        addRedirectRule(rules) {
+          rules.push({ from: '', to: '', status: 301, query: {}, enabled: true });
+        },
+
+        formatRedirectQuery(query) {
+          return Object.entries(query || {}).map(([key, value]) => `${key}=${value}`).join(' ');
+        },
+
+        parseRedirectQuery(text) {
+          const query = {};
+          for (const pair of String(text || '').split(/[\s&]+/).filter(Boolean)) {
+            const [key, ...value] = pair.split('=');
+            query[key] = value.join('=');
+          }
+          return query;
+        },
+
+        // The server parses the pasted `_redirects` content and saves the rules
+        async importRedirectsText() {
+          if (!this.settingsLanding) return;
+          this.loading.saveLandingSettings = true;
+          try {
+            if (!landingSettings) throw new Error('Landing settings service missing');
+            const { ok, data } = await landingSettings.update(this.settingsLanding.id, 'redirects', { text: this.redirectsImportText }, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to import redirects');
+            this.landingSettings = { ...this.landingSettings, redirects: data.redirects };
+            this.redirectsImportText = '';
+            this.showSuccess(`Imported ${data.redirects.length} redirect rules`);
+          } catch (err) {
+            this.showError('Error importing redirects: ' + err.message);
+          } finally {
+            this.loading.saveLandingSettings = false;
+          }
+        },
+
+        // Personalization helpers (Personalization tab)
+        openPersonalizationTab() {
+          this.landingSettingsTab = 'personalization';
+          if (!this.personalizationPreviewQuery) this.personalizationPreviewQuery = '?utm_source=google&utm_term=';
+        },
+
+        addPersonalizationRule(rules) {
+          rules.push({
+            name: '',
+            match: 'all',
+            conditions: [{ param: 'utm_term', operator: 'equals', value: '' }],
+            changes: [{ slot: 'headline', attribute: '', value: '' }],
+            enabled: true
+          });
+        },
+
+        // Simulates the query string against the rules being edited, before saving
+        async previewPersonalization() {
+          if (!this.settingsLanding) return;
+          this.loading.personalizationPreview = true;
+          try {
+            if (!landingSettings) throw new Error('Landing settings service missing');
+            const { ok, data } = await landingSettings.previewPersonalization(
+              this.settingsLanding.id,
+              this.landingSettings.personalization,
+              this.personalizationPreviewQuery,
+              this.getHeaders()
+            );
+            if (!ok) throw new Error(data.error || 'Failed to preview personalization');
+            this.personalizationPreview = data;
+          } catch (err) {
+            this.personalizationPreview = null;
+            this.showError('Error previewing personalization: ' + err.message);
+          } finally {
+            this.loading.personalizationPreview = false;
+          }
+        },
+
+        personalizationPreviewUrl() {
+          const query = this.personalizationPreviewQuery.trim().replace(/^\?/, '');
+          return `/${this.settingsLanding?.slug}${query ? '?' + query : ''}`;
+        },
+
+        // Response header helpers (Headers tab). Directives are edited as policy text
+        // and sent as-is; the server parses them.
+        formatCspDirectives(directives) {
+          if (typeof directives === 'string') return directives;
+          return Object.entries(directives || {}).map(([name, sources]) => [name, ...sources].join(' ')).join('\n');
+        },
+
+        async openHeadersTab() {
+          this.landingSettingsTab = 'headers';
+          await this.loadCspPreview();
+        },
+
+        // Sources needed by the injected snippets, and the policy sent with them
+        async loadCspPreview() {
+          if (!this.settingsLanding || !landingSettings) return;
+          const { ok, data } = await landingSettings.getCsp(this.settingsLanding.id, this.getHeaders());
+          this.cspPreview = ok ? data : null;
+        },
+
+        // Form definition helpers (Forms tab)
+        addForm(forms) {
+          forms.push({ name: '', fields: [{ name: 'email', label: 'Email', type: 'email', required: true }], redirect: '', honeypot: '_gotcha' });
+        },
+
+        addFormField(form) {
+          form.fields.push({ name: '', label: '', type: 'text', required: false });
+        },
+
+        parseOptionList(text) {
+          return String(text || '').split(',').map(o => o.trim()).filter(Boolean);
+        },
+
+        async resetLandingSettingsSection(section) {
+          if (!this.settingsLanding) return;
+          this.loading.saveLandingSettings = true;
+          try {
+            if (!landingSettings) throw new Error('Landing settings service missing');
+            const { ok, data } = await landingSettings.reset(this.settingsLanding.id, section, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to reset settings');
+            this.landingSettings = { ...this.landingSettings, [section]: data[section] };
+            this.showSuccess('Settings reset to defaults');
+          } catch (err) {
+            this.showError('Error resetting settings: ' + err.message);
+          } finally {
+            this.loading.saveLandingSettings = false;
+          }
+        }
+      };
+    }
+
+    window.AppModules = window.AppModules || {};
+    window.AppModules.landingSettings = landingSettingsModule;
+  })();
+</script>
@@ -9,6 +9,7 @@
             if (!landings) throw new Error('Landings service missing');
             const data = await landings.list(this.getHeaders());
             this.landings = data;
+            this.loadAnalyticsSparklines();
           } catch (err) {
             this.showError('Error loading landings: ' + err.message);
           }
@@ -21,7 +22,9 @@
             slug: '',
             type: 'html',
             domains: [],
-            content: '<!DOCTYPE html>\\n<html>\\n<head>\\n  <title>New Landing</title>\\n</head>\\n<body>\\n  <h1>Hello World!</h1>\\n</body>\\n</html>'
+            content: '<!DOCTYPE html>\\n<html>\\n<head>\\n  <title>New Landing</title>\\n</head>\\n<body>\\n  <h1>Hello World!</h1>\\n</body>\\n</html>',
+            redirectTarget: { url: '', status: 301, preservePath: true, preserveQuery: true },
+            proxy: { upstream: '', timeout: 30 }
           };
           this.selectedEjsFiles = [];
           this.selectedEjsZip = null;
@@ -51,6 +54,10 @@
               formData.append('content', this.addEditor ? this.addEditor.getValue() : this.newLanding.content);
             } else if (this.newLanding.type === 'traefik-config') {
               formData.append('content', this.addTraefikEditor ? this.addTraefikEditor.getValue() : this.newLanding.content);
+            } else if (this.newLanding.type === 'redirect') {
+              formData.append('redirectTarget', JSON.stringify(this.newLanding.redirectTarget));
+            } else if (this.newLanding.type === 'proxy') {
+              formData.append('proxy', JSON.stringify(this.newLanding.proxy));
             } else if (this.newLanding.type === 'ejs') {
               if (this.selectedEjsZip) {
                 formData.append('files', this.selectedEjsZip);
@@ -83,6 +90,7 @@
             if (!ok) throw new Error(data.error || 'Failed to create landing');
 
             this.showSuccess('Landing created successfully!');
+            this.warnBrokenLinks(data, data.linkCheck);
             this.closeAddModal();
             this.loadLandings();
           } catch (err) {
@@ -96,6 +104,28 @@
             if (landing.type === 'html' || landing.type === 'traefik-config') {
               const data = await landings.getContent(landing.id);
               this.editingLanding = { ...landing, content: data.content };
+            } else if (landing.type === 'markdown') {
+              const data = await landings.getContent(landing.id);
+              this.markdownFiles = data.files || [];
+              this.markdownActiveFile = 'index.md';
+              this.editingLanding = { ...landing };
+            } else if (landing.type === 'redirect') {
+              const target = landing.redirectTarget || {};
+              this.editingLanding = {
+                ...landing,
+                redirectTarget: { url: '', status: 301, preservePath: true, preserveQuery: true, ...target }
+              };
+            } else if (landing.type === 'proxy') {
+              const proxy = landing.proxy || {};
+              this.editingLanding = {
+                ...landing,
+                proxy: {
+                  upstream: '', timeout: 30, preserveHost: false, rewriteLocation: true,
+                  ...proxy,
+                  requestHeaders: (proxy.requestHeaders || []).map(h => ({ ...h })),
+                  responseHeaders: (proxy.responseHeaders || []).map(h => ({ ...h }))
+                }
+              };
             } else {
               this.editingLanding = { ...landing };
             }
@@ -111,6 +141,7 @@
             this.$nextTick(() => { 
               if (landing.type === 'html') this.initEditEditor(); 
               if (landing.type === 'traefik-config') this.initTraefikEditor('edit');
+              if (landing.type === 'markdown') this.initMarkdownEditor();
             });
           } catch (err) {
             this.showError('Error loading landing: ' + err.message);
@@ -118,6 +149,7 @@
         },
 
         async saveEdit(keepOpen = false) {
+          let linkCheck = null;
           try {
             if (!landings) throw new Error('Landings service missing');
             if (this.editingLanding.type === 'html' || this.editingLanding.type === 'traefik-config') {
@@ -125,10 +157,26 @@
               const content = editor.getValue();
               const { ok, data } = await landings.update(this.editingLanding.id, { content }, this.getHeaders());
               if (!ok) throw new Error(data.error || 'Failed to save');
+              linkCheck = data.linkCheck;
               // Update current version ID after manual save
               if (data.versionId) {
                 this.editingLanding.currentVersionId = data.versionId;
               }
+            } else if (this.editingLanding.type === 'markdown') {
+              this.syncMarkdownFile();
+              const files = this.markdownFiles.map(f => ({ path: f.path, content: f.content }));
+              const { ok, data } = await landings.update(this.editingLanding.id, { files }, this.getHeaders());
+              if (!ok) throw new Error(data.error || 'Failed to save');
+              if (data.versionId) {
+                this.editingLanding.currentVersionId = data.versionId;
+              }
+            } else if (this.editingLanding.type === 'redirect' || this.editingLanding.type === 'proxy') {
+              const field = this.editingLanding.type === 'redirect' ? 'redirectTarget' : 'proxy';
+              const { ok, data } = await landings.update(this.editingLanding.id, { [field]: this.editingLanding[field] }, this.getHeaders());
+              if (!ok) throw new Error(data.error || 'Failed to save');
+              if (data.versionId) {
+                this.editingLanding.currentVersionId = data.versionId;
+              }
             } else if (this.editingLanding.type === 'ejs') {
               const formData = new FormData();
               if (this.editSelectedEjsZip) {
@@ -141,6 +189,7 @@
               }
               const { ok, data } = await landings.updateFiles(this.editingLanding.id, formData, this.getHeaders());
               if (!ok) throw new Error(data.error || 'Failed to save');
+              linkCheck = data.linkCheck;
             } else if (this.editingLanding.type === 'virtual') {
               const formData = new FormData();
               if (this.editSelectedVirtualFiles.length > 0) {
@@ -160,8 +209,10 @@
               }
               const { ok, data } = await landings.update(this.editingLanding.id, formData, this.getHeaders());
               if (!ok) throw new Error(data.error || 'Failed to save');
+              linkCheck = data.linkCheck;
             }
             this.showSuccess('Changes saved successfully!');
+            this.warnBrokenLinks(this.editingLanding, linkCheck);
             if (!keepOpen) {
               this.closeEditModal();
             } else {
@@ -181,10 +232,60 @@
           this.editSelectedVirtualFiles = [];
           if (this.editEditor) { this.editEditor.toTextArea(); this.editEditor = null; }
           if (this.editTraefikEditor) { this.editTraefikEditor.toTextArea(); this.editTraefikEditor = null; }
+          if (this.editMarkdownEditor) { this.editMarkdownEditor.toTextArea(); this.editMarkdownEditor = null; }
+          this.markdownFiles = [];
+          this.markdownActiveFile = 'index.md';
+          this.newMarkdownPath = '';
           this.traefikAiPrompt = '';
           this.landingAiPrompt = '';
         },
 
+        // Markdown pages are edited in a single editor: the active file's text is
+        // copied back into markdownFiles before switching files or saving.
+        syncMarkdownFile() {
+          if (!this.editMarkdownEditor) return;
+          const file = this.markdownFiles.find(f => f.path === this.markdownActiveFile);
+          if (file) file.content = this.editMarkdownEditor.getValue();
+        },
+
+        selectMarkdownFile(filePath) {
+          this.syncMarkdownFile();
+          this.markdownActiveFile = filePath;
+          const file = this.markdownFiles.find(f => f.path === filePath);
+          if (this.editMarkdownEditor && file) {
+            this.editMarkdownEditor.setOption('mode', filePath.endsWith('.md') ? 'markdown' : 'htmlmixed');
+            this.editMarkdownEditor.setValue(file.content);
+            this.editMarkdownEditor.clearHistory();
+          }
+        },
+
+        addMarkdownFile() {
+          let filePath = (this.newMarkdownPath || '').trim().replace(/^\/+/, '');
+          if (!filePath) return;
+          if (filePath !== '_layout.ejs' && !filePath.endsWith('.md')) filePath += '.md';
+          if (this.markdownFiles.some(f => f.path === filePath)) {
+            this.showError(`${filePath} already exists`);
+            return;
+          }
+          const title = filePath.replace(/\.md$/, '').split('/').pop().replace(/[-_]+/g, ' ');
+          const content = filePath.endsWith('.md')
+            ? `---\ntitle: ${title.charAt(0).toUpperCase() + title.slice(1)}\n---\n\n# ${title.charAt(0).toUpperCase() + title.slice(1)}\n`
+            : '<!DOCTYPE html>\n<html>\n<head>\n<%%- include(\'markdown/_head\') %>\n</head>\n<body>\n<main class="prose">\n<%%- toc %>\n<%%- content %>\n</main>\n</body>\n</html>\n';
+          this.markdownFiles.push({ path: filePath, content });
+          this.newMarkdownPath = '';
+          this.selectMarkdownFile(filePath);
+        },
+
+        removeMarkdownFile(filePath) {
+          if (filePath === 'index.md') return;
+          if (!confirm(`Remove ${filePath}? It is deleted when you save.`)) return;
+          this.markdownFiles = this.markdownFiles.filter(f => f.path !== filePath);
+          if (this.markdownActiveFile === filePath) {
+            this.markdownActiveFile = null;
+            this.selectMarkdownFile('index.md');
+          }
+        },
+
         async deleteLanding(id) {
           try {
             if (!landings) throw new Error('Landings service missing');
@@ -198,6 +299,35 @@
           }
         },
 
+        // Link check (lib/link-check.js): on demand, after uploads and before publishing
+        async runLinkCheck(landing) {
+          this.showLinkReport(landing, null);
+          try {
+            if (!landings) throw new Error('Landings service missing');
+            const { ok, data } = await landings.checkLinks(landing.id);
+            if (!ok) throw new Error(data.error || 'Failed to check links');
+            this.linkCheck.report = data;
+          } catch (err) {
+            this.showLinkCheckModal = false;
+            this.showError('Error checking links: ' + err.message);
+          }
+        },
+
+        showLinkReport(landing, report, { publishPending = false } = {}) {
+          this.linkCheck = { landing, report, publishPending };
+          this.showLinkCheckModal = true;
+        },
+
+        warnBrokenLinks(landing, report) {
+          if (report && report.broken.length) this.showLinkReport(landing, report);
+        },
+
+        async publishDespiteBrokenLinks() {
+          const { landing } = this.linkCheck;
+          this.showLinkCheckModal = false;
+          await this.publishLanding(landing.id, { force: true });
+        },
+
         async clearLandingCache(landing) {
           const loadingKey = `cache-${landing.id}`;
           if (!this.isMounted) return;
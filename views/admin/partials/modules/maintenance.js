@@ -0,0 +1,67 @@
+<script>
+  (function () {
+    function maintenanceModule(services) {
+      const orgs = services?.organizations ? services.organizations() : null;
+      const adminConfig = services?.adminConfig ? services.adminConfig() : null;
+
+      // Form values of stored settings (defaults match lib/maintenance.js)
+      function toForm(maintenance) {
+        return {
+          enabled: false,
+          title: '',
+          message: '',
+          retryAfter: 3600,
+          allowIps: [],
+          allowUsers: false,
+          ...JSON.parse(JSON.stringify(maintenance || {}))
+        };
+      }
+
+      return {
+        openOrgMaintenanceModal(org) {
+          this.editingMaintenance = { scope: 'organization', orgId: org.id, label: org.name, settings: toForm(org.maintenance) };
+          this.showMaintenanceModal = true;
+        },
+
+        async openInstanceMaintenanceModal() {
+          try {
+            if (!adminConfig) throw new Error('Admin config service missing');
+            const { ok, data } = await adminConfig.loadMaintenance();
+            if (!ok) throw new Error(data.error || 'Failed to load maintenance mode');
+            this.editingMaintenance = { scope: 'instance', label: 'whole instance', settings: toForm(data) };
+            this.showMaintenanceModal = true;
+          } catch (err) {
+            this.showError('Error loading maintenance mode: ' + err.message);
+          }
+        },
+
+        async saveMaintenance() {
+          this.loading.saveMaintenance = true;
+          try {
+            const { scope, orgId, settings } = this.editingMaintenance;
+            const { updatedAt, ...maintenance } = settings;
+            let result;
+            if (scope === 'instance') {
+              if (!adminConfig) throw new Error('Admin config service missing');
+              result = await adminConfig.updateMaintenance(maintenance);
+            } else {
+              if (!orgs) throw new Error('Organizations service missing');
+              result = await orgs.updateMaintenance(orgId, maintenance);
+            }
+            if (!result.ok) throw new Error(result.data.error || 'Failed to save maintenance mode');
+            this.showSuccess(`Maintenance mode ${maintenance.enabled ? 'on' : 'off'} for ${this.editingMaintenance.label}`);
+            this.showMaintenanceModal = false;
+            if (scope === 'organization') await this.loadOrganizations();
+          } catch (err) {
+            this.showError('Error saving maintenance mode: ' + err.message);
+          } finally {
+            this.loading.saveMaintenance = false;
+          }
+        }
+      };
+    }
+
+    window.AppModules = window.AppModules || {};
+    window.AppModules.maintenance = maintenanceModule;
+  })();
+</script>
@@ -44,6 +44,144 @@
           }
         },
 
+        openOrgInjectionsModal(org) {
+          this.editingOrgInjections = {
+            orgId: org.id,
+            orgName: org.name,
+            rules: JSON.parse(JSON.stringify(org.injections || []))
+          };
+          this.showOrgInjectionsModal = true;
+        },
+
+        async saveOrgInjections() {
+          this.loading.saveOrgInjections = true;
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { ok, data } = await orgs.updateInjections(this.editingOrgInjections.orgId, this.editingOrgInjections.rules);
+            if (!ok) throw new Error(data.error || 'Failed to update injections');
+            this.showSuccess('Organization injections saved!');
+            this.showOrgInjectionsModal = false;
+            await this.loadOrganizations();
+          } catch (err) {
+            this.showError('Error saving injections: ' + err.message);
+          } finally {
+            this.loading.saveOrgInjections = false;
+          }
+        },
+
+        // Shared library (lib/shared-library.js)
+        async openSharedLibraryModal(org) {
+          this.sharedLibrary = {
+            orgId: org.id,
+            orgName: org.name,
+            files: [],
+            versions: [],
+            editor: null,
+            uploadFolder: ''
+          };
+          this.showSharedLibraryModal = true;
+          await this.loadSharedLibrary();
+        },
+
+        async loadSharedLibrary() {
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const [library, versions] = await Promise.all([
+              orgs.getLibrary(this.sharedLibrary.orgId),
+              orgs.getLibraryVersions(this.sharedLibrary.orgId)
+            ]);
+            if (!library.ok) throw new Error(library.data.error || 'Failed to load library');
+            if (!versions.ok) throw new Error(versions.data.error || 'Failed to load library versions');
+            this.sharedLibrary.files = library.data.files;
+            this.sharedLibrary.versions = versions.data;
+          } catch (err) {
+            this.showError('Error loading shared library: ' + err.message);
+          }
+        },
+
+        newSharedLibraryFile() {
+          this.sharedLibrary.editor = { path: 'partials/', content: '', isNew: true };
+        },
+
+        async editSharedLibraryFile(file) {
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { ok, data } = await orgs.getLibraryFile(this.sharedLibrary.orgId, file.path);
+            if (!ok) throw new Error(data.error || 'Failed to read file');
+            this.sharedLibrary.editor = { path: data.path, content: data.content, isNew: false };
+          } catch (err) {
+            this.showError('Error reading file: ' + err.message);
+          }
+        },
+
+        async saveSharedLibraryFile() {
+          this.loading.saveSharedLibraryFile = true;
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { path, content } = this.sharedLibrary.editor;
+            const { ok, data } = await orgs.saveLibraryFile(this.sharedLibrary.orgId, path.trim(), content);
+            if (!ok) throw new Error(data.error || 'Failed to save file');
+            this.showSuccess(`${data.path} saved (library version ${data.version.versionNumber})`);
+            this.sharedLibrary.editor = null;
+            await this.loadSharedLibrary();
+          } catch (err) {
+            this.showError('Error saving file: ' + err.message);
+          } finally {
+            this.loading.saveSharedLibraryFile = false;
+          }
+        },
+
+        async uploadSharedLibraryFiles(event) {
+          const files = Array.from(event.target.files || []);
+          if (!files.length) return;
+          this.loading.uploadSharedLibrary = true;
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { ok, data } = await orgs.uploadLibraryFiles(this.sharedLibrary.orgId, files, this.sharedLibrary.uploadFolder.trim());
+            if (!ok) throw new Error(data.error || 'Failed to upload files');
+            this.showSuccess(`Uploaded ${data.files.length} file(s)`);
+            await this.loadSharedLibrary();
+          } catch (err) {
+            this.showError('Error uploading files: ' + err.message);
+          } finally {
+            event.target.value = '';
+            this.loading.uploadSharedLibrary = false;
+          }
+        },
+
+        async deleteSharedLibraryFile(file) {
+          if (!confirm(`Delete ${file.path}? Landings including or linking it will break.`)) return;
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { ok, data } = await orgs.deleteLibraryFile(this.sharedLibrary.orgId, file.path);
+            if (!ok) throw new Error(data.error || 'Failed to delete file');
+            this.showSuccess(`${file.path} deleted`);
+            if (this.sharedLibrary.editor?.path === file.path) this.sharedLibrary.editor = null;
+            await this.loadSharedLibrary();
+          } catch (err) {
+            this.showError('Error deleting file: ' + err.message);
+          }
+        },
+
+        async restoreSharedLibraryVersion(version) {
+          if (!confirm(`Restore version ${version.versionNumber}? Every landing of ${this.sharedLibrary.orgName} uses the restored files right away.`)) return;
+          try {
+            if (!orgs) throw new Error('Organizations service missing');
+            const { ok, data } = await orgs.restoreLibraryVersion(this.sharedLibrary.orgId, version.id);
+            if (!ok) throw new Error(data.error || 'Failed to restore version');
+            this.showSuccess(`Version ${version.versionNumber} restored`);
+            this.sharedLibrary.editor = null;
+            await this.loadSharedLibrary();
+          } catch (err) {
+            this.showError('Error restoring version: ' + err.message);
+          }
+        },
+
+        sharedLibrarySnippet(file) {
+          if (file.kind === 'partial') return `<%%- include('@shared/${file.path.replace(/\.ejs$/, '')}') %>`;
+          return `_shared/${file.path}`;
+        },
+
         async deleteOrganization(id) {
           try {
             if (!orgs) throw new Error('Organizations service missing');
@@ -0,0 +1,115 @@
+<script>
+  (function () {
+    function scheduledJobsModule(services) {
+      const scheduledJobs = services?.scheduledJobs ? services.scheduledJobs() : null;
+      const versions = services?.versions ? services.versions() : null;
+
+      // datetime-local value one hour from now, in local time
+      function defaultRunAt() {
+        const date = new Date(Date.now() + 60 * 60 * 1000);
+        date.setMinutes(0, 0, 0);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+      }
+
+      return {
+        async openScheduleModal(landing = null) {
+          this.scheduleFilterLandingId = landing ? landing.id : '';
+          this.scheduleDraft = { landingId: landing ? landing.id : '', type: this.canDomains ? 'publish' : 'activate_version', domain: '', versionId: '', runAt: defaultRunAt() };
+          this.scheduleVersions = [];
+          this.showScheduleModal = true;
+          await Promise.all([this.loadScheduledJobs(), this.loadScheduleVersions()]);
+        },
+
+        closeScheduleModal() {
+          this.showScheduleModal = false;
+          this.scheduledJobEntries = [];
+        },
+
+        async loadScheduledJobs() {
+          this.loading.scheduledJobs = true;
+          try {
+            if (!scheduledJobs) throw new Error('Scheduled jobs service missing');
+            const { ok, data } = await scheduledJobs.list(this.scheduleFilterLandingId, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to load scheduled jobs');
+            this.scheduledJobEntries = data.entries;
+          } catch (err) {
+            this.showError('Error loading scheduled jobs: ' + err.message);
+          } finally {
+            this.loading.scheduledJobs = false;
+          }
+        },
+
+        // Versions of the landing picked in the form, for activation jobs
+        async loadScheduleVersions() {
+          this.scheduleVersions = [];
+          this.scheduleDraft.versionId = '';
+          this.scheduleDraft.domain = '';
+          if (!this.scheduleDraft.landingId || !versions) return;
+          const { ok, data } = await versions.list(this.scheduleDraft.landingId);
+          if (ok) this.scheduleVersions = data;
+        },
+
+        scheduleDraftDomains() {
+          const landing = this.landings.find(l => l.id === this.scheduleDraft.landingId);
+          return ((landing && landing.domains) || []).map(d => (typeof d === 'string' ? d : d.domain));
+        },
+
+        scheduledJobLabel(job) {
+          if (job.type === 'activate_version') return `Activate version ${job.versionNumber || job.versionId}`;
+          const verb = job.type === 'publish' ? 'Publish' : 'Unpublish';
+          return job.domain ? `${verb} ${job.domain}` : `${verb} all domains`;
+        },
+
+        async createScheduledJob() {
+          const draft = this.scheduleDraft;
+          const runAt = new Date(draft.runAt);
+          if (!draft.landingId || Number.isNaN(runAt.getTime())) {
+            this.showError('Pick a landing and a date');
+            return;
+          }
+          this.loading.scheduleCreate = true;
+          try {
+            if (!scheduledJobs) throw new Error('Scheduled jobs service missing');
+            const job = { landingId: draft.landingId, type: draft.type, runAt: runAt.toISOString() };
+            if (draft.type === 'activate_version') job.versionId = draft.versionId;
+            else if (draft.domain) job.domain = draft.domain;
+            const { ok, data } = await scheduledJobs.create(job, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to schedule job');
+            this.showSuccess('Job scheduled');
+            await this.loadScheduledJobs();
+          } catch (err) {
+            this.showError(err.message);
+          } finally {
+            this.loading.scheduleCreate = false;
+          }
+        },
+
+        async retryScheduledJob(job) {
+          try {
+            if (!scheduledJobs) throw new Error('Scheduled jobs service missing');
+            const { ok, data } = await scheduledJobs.retry(job.id, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to retry job');
+            this.showSuccess('Job queued to run now');
+            await this.loadScheduledJobs();
+          } catch (err) {
+            this.showError(err.message);
+          }
+        },
+
+        async deleteScheduledJobEntry(job) {
+          if (!confirm(job.status === 'failed' ? 'Dismiss this failed job?' : 'Cancel this scheduled job?')) return;
+          try {
+            if (!scheduledJobs) throw new Error('Scheduled jobs service missing');
+            const { ok, data } = await scheduledJobs.remove(job.id, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to delete job');
+            this.scheduledJobEntries = this.scheduledJobEntries.filter(j => j.id !== job.id);
+          } catch (err) {
+            this.showError(err.message);
+          }
+        }
+      };
+    }
+    window.AppModules = window.AppModules || {};
+    window.AppModules.scheduledJobs = scheduledJobsModule;
+  })();
+</script>
@@ -0,0 +1,85 @@
+<script>
+  (function () {
+    function submissionsModule(services) {
+      const submissions = services?.submissions ? services.submissions() : null;
+      const PAGE_SIZE = 50;
+
+      return {
+        async openSubmissionsModal() {
+          this.submissionsFilters = { landingId: '', form: '' };
+          this.showSubmissionsModal = true;
+          await this.loadSubmissions();
+        },
+
+        closeSubmissionsModal() {
+          this.showSubmissionsModal = false;
+          this.submissionEntries = [];
+          this.submissionsTotal = 0;
+          this.submissionsHasMore = false;
+        },
+
+        // Form names declared by the filtered landing (or by every visible landing)
+        submissionFormNames() {
+          const landings = this.submissionsFilters.landingId
+            ? this.landings.filter(l => l.id === this.submissionsFilters.landingId)
+            : this.landings;
+          return [...new Set(landings.flatMap(l => (l.forms || []).map(f => f.name)))];
+        },
+
+        async loadSubmissions({ append = false } = {}) {
+          this.loading[append ? 'submissionsMore' : 'submissions'] = true;
+          try {
+            if (!submissions) throw new Error('Submissions service missing');
+            const offset = append ? this.submissionEntries.length : 0;
+            const { ok, data } = await submissions.list({ ...this.submissionsFilters, limit: PAGE_SIZE, offset }, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to load submissions');
+            this.submissionEntries = append ? [...this.submissionEntries, ...data.entries] : data.entries;
+            this.submissionsTotal = data.total;
+            this.submissionsHasMore = data.hasMore;
+          } catch (err) {
+            this.showError('Error loading submissions: ' + err.message);
+          } finally {
+            this.loading[append ? 'submissionsMore' : 'submissions'] = false;
+          }
+        },
+
+        async deleteSubmissionEntry(entry) {
+          if (!confirm('Delete this submission?')) return;
+          try {
+            if (!submissions) throw new Error('Submissions service missing');
+            const { ok, data } = await submissions.remove(entry.id, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to delete submission');
+            this.submissionEntries = this.submissionEntries.filter(e => e.id !== entry.id);
+            this.submissionsTotal = Math.max(0, this.submissionsTotal - 1);
+            this.showSuccess('Submission deleted');
+          } catch (err) {
+            this.showError('Error deleting submission: ' + err.message);
+          }
+        },
+
+        async exportSubmissionsCsv() {
+          this.loading.submissionsExport = true;
+          try {
+            if (!submissions) throw new Error('Submissions service missing');
+            const { ok, data } = await submissions.exportCsv(this.submissionsFilters, this.getHeaders());
+            if (!ok) throw new Error(data.error || 'Failed to export submissions');
+            const url = URL.createObjectURL(data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `submissions-${new Date().toISOString().slice(0, 10)}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+          } catch (err) {
+            this.showError('Error exporting submissions: ' + err.message);
+          } finally {
+            this.loading.submissionsExport = false;
+          }
+        }
+      };
+    }
+    window.AppModules = window.AppModules || {};
+    window.AppModules.submissions = submissionsModule;
+  })();
+</script>
@@ -9,14 +9,16 @@
           this.versionLanding = landing;
           this.versions = [];
           this.newVersionDescription = '';
+          this.previewLinks = [];
           this.showVersionsModal = true;
-          await this.loadVersions();
+          await Promise.all([this.loadVersions(), this.loadPreviewLinks()]);
         },
 
         closeVersionsModal() {
           this.showVersionsModal = false;
           this.versionLanding = null;
           this.versions = [];
+          this.previewLinks = [];
         },
 
         async loadVersions() {
@@ -67,6 +69,71 @@
           }
         },
 
+        // Shareable preview links (signed, expiring, for any landing type)
+        async loadPreviewLinks() {
+          if (!this.versionLanding) return;
+          try {
+            if (!versions) throw new Error('Versions service missing');
+            const { ok, data } = await versions.listPreviewLinks(this.versionLanding.id);
+            if (!ok) throw new Error(data.error || 'Failed to load preview links');
+            this.previewLinks = data;
+          } catch (err) {
+            this.showError('Error loading preview links: ' + err.message);
+            this.previewLinks = [];
+          }
+        },
+
+        async sharePreviewLink(version) {
+          const loadingKey = 'share-' + version.id;
+          this.loading[loadingKey] = true;
+          try {
+            if (!versions) throw new Error('Versions service missing');
+            const { ok, data } = await versions.createPreviewLink(this.versionLanding.id, {
+              versionId: version.id,
+              expiresInHours: Number(this.previewLinkHours),
+              label: version.tag || version.description || ''
+            });
+            if (!ok) throw new Error(data.error || 'Failed to create preview link');
+            this.previewLinks.push(data);
+            await this.copyPreviewLink(data);
+          } catch (err) {
+            this.showError('Error creating preview link: ' + err.message);
+          } finally {
+            this.loading[loadingKey] = false;
+          }
+        },
+
+        previewLinkUrl(link) {
+          return window.location.origin + link.url;
+        },
+
+        async copyPreviewLink(link) {
+          try {
+            await navigator.clipboard.writeText(this.previewLinkUrl(link));
+            this.showSuccess('Preview link copied to clipboard!');
+          } catch (err) {
+            this.showError('Failed to copy: ' + err.message);
+          }
+        },
+
+        async revokePreviewLink(link) {
+          if (!confirm('Revoke this preview link? Anyone using it loses access.')) return;
+          try {
+            if (!versions) throw new Error('Versions service missing');
+            const { ok, data } = await versions.revokePreviewLink(this.versionLanding.id, link.id);
+            if (!ok) throw new Error(data.error || 'Failed to revoke preview link');
+            this.previewLinks = this.previewLinks.filter(l => l.id !== link.id);
+            this.showSuccess('Preview link revoked');
+          } catch (err) {
+            this.showError('Error revoking preview link: ' + err.message);
+          }
+        },
+
+        previewLinkVersionLabel(link) {
+          const version = this.versions.find(v => v.id === link.versionId);
+          return version ? `Version ${version.versionNumber || '?'}` : 'Deleted version';
+        },
+
         async viewVersionHtml(version) {
           const loadingKey = 'html-' + version.id;
           this.loading[loadingKey] = true;
@@ -143,7 +210,7 @@
             const { ok, data } = await versions.remove(this.versionLanding.id, this.confirmingVersion.id);
             if (!ok) throw new Error(data.error || 'Failed to delete version');
             this.showSuccess('Version deleted!');
-            await this.loadVersions();
+            await Promise.all([this.loadVersions(), this.loadPreviewLinks()]);
           } catch (err) {
             this.showError('Error deleting version: ' + err.message);
           } finally {
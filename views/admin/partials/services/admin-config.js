@@ -15,6 +15,29 @@
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
         },
+        async updateSlugDomains(domains, sshKey) {
+          const res = await fetchImpl('/api/admin-config/slug-domains', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ domains, sshKey })
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async loadMaintenance() {
+          const res = await fetchImpl('/api/admin-config/maintenance');
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async updateMaintenance(maintenance) {
+          const res = await fetchImpl('/api/admin-config/maintenance', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(maintenance)
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
         async publish(sshKey) {
           const res = await fetchImpl('/api/admin-config/publish', {
             method: 'POST',
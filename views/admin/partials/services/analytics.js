@@ -0,0 +1,20 @@
+<script>
+  (function () {
+    function analyticsService(fetchImpl = fetch) {
+      return {
+        async sparklines(days, headers) {
+          const res = await fetchImpl(`/api/landings/analytics/sparklines?days=${days}`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async report(landingId, days, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/analytics?days=${days}`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        }
+      };
+    }
+    window.AppServices = window.AppServices || {};
+    window.AppServices.analytics = analyticsService;
+  })();
+</script>
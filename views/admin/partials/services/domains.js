@@ -29,11 +29,11 @@
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
         },
-        async publishLanding(id, sshKey) {
+        async publishLanding(id, sshKey, { checkLinks = false } = {}) {
           const res = await fetchImpl(`/api/landings/${id}/publish`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sshKey })
+            body: JSON.stringify({ sshKey, checkLinks })
           });
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
@@ -0,0 +1,34 @@
+<script>
+  (function () {
+    function experimentsService(fetchImpl = fetch) {
+      async function send(landingId, suffix, method, body, headers) {
+        const res = await fetchImpl(`/api/landings/${landingId}/experiment${suffix}`, {
+          method,
+          headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        return { ok: res.ok, data };
+      }
+      return {
+        get(landingId, headers) {
+          return send(landingId, '', 'GET', null, headers);
+        },
+        start(landingId, experiment, headers) {
+          return send(landingId, '', 'PUT', experiment, headers);
+        },
+        stop(landingId, headers) {
+          return send(landingId, '/stop', 'POST', null, headers);
+        },
+        promote(landingId, variantId, headers) {
+          return send(landingId, '/promote', 'POST', { variantId }, headers);
+        },
+        discard(landingId, headers) {
+          return send(landingId, '', 'DELETE', null, headers);
+        }
+      };
+    }
+    window.AppServices = window.AppServices || {};
+    window.AppServices.experiments = experimentsService;
+  })();
+</script>
@@ -0,0 +1,43 @@
+<script>
+  (function () {
+    function landingSettingsService(fetchImpl = fetch) {
+      return {
+        async get(landingId, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/settings`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async update(landingId, section, value, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/settings/${section}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(value)
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async getCsp(landingId, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/settings/headers/csp`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async previewPersonalization(landingId, rules, query, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/settings/personalization/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ rules, query })
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async reset(landingId, section, headers) {
+          const res = await fetchImpl(`/api/landings/${landingId}/settings/${section}`, { method: 'DELETE', headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        }
+      };
+    }
+    window.AppServices = window.AppServices || {};
+    window.AppServices.landingSettings = landingSettingsService;
+  })();
+</script>
@@ -42,6 +42,11 @@
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
         },
+        async checkLinks(id) {
+          const res = await fetchImpl(`/api/landings/${id}/link-check`);
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
         async clearCache(id) {
           const res = await fetchImpl(`/api/landings/${id}/cache/clear`, { method: 'POST' });
           const data = await res.json().catch(() => ({}));
@@ -24,6 +24,24 @@
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
         },
+        async updateInjections(id, injections) {
+          const res = await fetchImpl(`/api/organizations/${id}/injections`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(injections)
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async updateMaintenance(id, maintenance) {
+          const res = await fetchImpl(`/api/organizations/${id}/maintenance`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(maintenance)
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
         async remove(id) {
           const res = await fetchImpl(`/api/organizations/${id}`, { method: 'DELETE' });
           const data = await res.json().catch(() => ({}));
@@ -52,6 +70,49 @@
           const data = await res.json().catch(() => ({}));
           return { ok: res.ok, data };
         },
+        // Shared library (partials and assets of the organization)
+        async getLibrary(orgId) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library`);
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async getLibraryFile(orgId, filePath) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/files/${encodeURI(filePath)}`);
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async saveLibraryFile(orgId, filePath, content) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/files/${encodeURI(filePath)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content })
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async uploadLibraryFiles(orgId, files, folder) {
+          const formData = new FormData();
+          files.forEach(file => formData.append('files', file));
+          if (folder) formData.append('folder', folder);
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/upload`, { method: 'POST', body: formData });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async deleteLibraryFile(orgId, filePath) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/files/${encodeURI(filePath)}`, { method: 'DELETE' });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async getLibraryVersions(orgId) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/versions`);
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async restoreLibraryVersion(orgId, versionId) {
+          const res = await fetchImpl(`/api/organizations/${orgId}/library/versions/${versionId}/restore`, { method: 'POST' });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
         async moveLanding(landingId, targetOrganizationId) {
           const res = await fetchImpl('/api/migration/move-landing', {
             method: 'POST',
@@ -0,0 +1,35 @@
+<script>
+  (function () {
+    function scheduledJobsService(fetchImpl = fetch) {
+      return {
+        async list(landingId, headers) {
+          const query = landingId ? `?landingId=${encodeURIComponent(landingId)}` : '';
+          const res = await fetchImpl(`/api/scheduled-jobs${query}`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async create(job, headers) {
+          const res = await fetchImpl('/api/scheduled-jobs', {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(job)
+          });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async retry(id, headers) {
+          const res = await fetchImpl(`/api/scheduled-jobs/${encodeURIComponent(id)}/retry`, { method: 'POST', headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async remove(id, headers) {
+          const res = await fetchImpl(`/api/scheduled-jobs/${encodeURIComponent(id)}`, { method: 'DELETE', headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        }
+      };
+    }
+    window.AppServices = window.AppServices || {};
+    window.AppServices.scheduledJobs = scheduledJobsService;
+  })();
+</script>
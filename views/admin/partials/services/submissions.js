@@ -0,0 +1,36 @@
+<script>
+  (function () {
+    function submissionsService(fetchImpl = fetch) {
+      function buildQuery({ landingId, form, limit, offset } = {}) {
+        const params = new URLSearchParams();
+        if (landingId) params.set('landingId', landingId);
+        if (form) params.set('form', form);
+        if (limit !== undefined) params.set('limit', limit);
+        if (offset !== undefined) params.set('offset', offset);
+        return params.toString();
+      }
+      return {
+        async list(filters, headers) {
+          const res = await fetchImpl(`/api/submissions?${buildQuery(filters)}`, { headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        },
+        async exportCsv(filters, headers) {
+          const res = await fetchImpl(`/api/submissions/export.csv?${buildQuery(filters)}`, { headers });
+          if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            return { ok: false, data };
+          }
+          return { ok: true, data: await res.blob() };
+        },
+        async remove(id, headers) {
+          const res = await fetchImpl(`/api/submissions/${encodeURIComponent(id)}`, { method: 'DELETE', headers });
+          const data = await res.json().catch(() => ({}));
+          return { ok: res.ok, data };
+        }
+      };
+    }
+    window.AppServices = window.AppServices || {};
+    window.AppServices.submissions = submissionsService;
+  })();
+</script>
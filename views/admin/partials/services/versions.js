@@ -21,6 +21,25 @@
           const data = await res.json();
           return { ok: res.ok, data };
         },
+        async listPreviewLinks(landingId) {
+          const res = await fetchImpl(`/api/landings/${landingId}/preview-links`);
+          const data = await res.json();
+          return { ok: res.ok, data };
+        },
+        async createPreviewLink(landingId, payload) {
+          const res = await fetchImpl(`/api/landings/${landingId}/preview-links`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          });
+          const data = await res.json();
+          return { ok: res.ok, data };
+        },
+        async revokePreviewLink(landingId, linkId) {
+          const res = await fetchImpl(`/api/landings/${landingId}/preview-links/${linkId}`, { method: 'DELETE' });
+          const data = await res.json();
+          return { ok: res.ok, data };
+        },
         async diff(landingId, versionId) {
           const res = await fetchImpl(`/api/landings/${landingId}/versions/${versionId}/diff`);
           const data = await res.json();